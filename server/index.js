@@ -0,0 +1,190 @@
+import { watch } from "node:fs";
+import { readFile } from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { StoreError, createDatasetStore, isDatasetName } from "./store.js";
+
+// ------------------------------------------------------------
+// Dataset server for the explorer (Node built-ins only, localhost only)
+// ------------------------------------------------------------
+//   GET  /api/datasets        → { datasets: [{ name, revision, size, modified }] }
+//   GET  /api/datasets/:name  → the dataset JSON, its revision in the ETag (HEAD: the ETag only)
+//   PUT  /api/datasets/:name  → save; `If-Match: "<revision>"` names the revision the
+//                               edit started from, `If-None-Match: *` creates a new one.
+//                               200/201 { name, revision }, or 409 { error, name,
+//                               revision, data } with what is stored now
+//   GET  /api/events          → server-sent events: `dataset` { type: "saved" | "removed", name, revision }
+// Saves through the API and files changed on disk by hand are both announced.
+// `npm run server`; PORT (3001) and DATASET_DIR (./datasets) configure it, and
+// the Vite dev server proxies /api here.
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PORT = 3001;
+const DEFAULT_DIR = path.join(HERE, "..", "datasets");
+const SEED = { name: "requirements", file: path.join(HERE, "..", "src", "defaultData", "defaultData.json") };
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+const HEARTBEAT_MS = 25000;
+const LOCAL_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store", ...headers });
+  res.end(JSON.stringify(body));
+};
+
+// Past `limit` the rest of the body is drained unread (destroying the request would
+// take the socket, and the 413 with it); the 413 then closes the connection
+const readBody = (req, limit) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const collect = (chunk) => {
+      size += chunk.length;
+      if (size <= limit) {
+        chunks.push(chunk);
+        return;
+      }
+      req.off("data", collect);
+      req.resume();
+      reject(new StoreError(413, `Dataset larger than ${limit} bytes.`));
+    };
+    req.on("data", collect);
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+
+// `"abc"` / `W/"abc"` → abc
+const etagValue = (header) => header?.trim().replace(/^W\//, "").replace(/^"(.*)"$/, "$1") || null;
+
+/**
+ * createApiServer
+ * HTTP server over a dataset store (see ./store.js). `announce(name, revision)`
+ * pushes a change to every open event stream unless it is already known, so a
+ * save and the file watcher seeing it don't notify twice.
+ */
+export const createApiServer = (store, { maxBodyBytes = MAX_BODY_BYTES } = {}) => {
+  const clients = new Set();
+  const known = new Map(); // name → last announced revision
+
+  const announce = (name, revision) => {
+    if (known.get(name) === revision) return;
+    known.set(name, revision);
+    const event = revision ? { type: "saved", name, revision } : { type: "removed", name };
+    const message = `event: dataset\ndata: ${JSON.stringify(event)}\n\n`;
+    for (const res of clients) res.write(message);
+  };
+
+  const openEvents = (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-store", Connection: "keep-alive" });
+    res.write("retry: 2000\n\n");
+    clients.add(res);
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  };
+
+  const saveDataset = async (req, res, name) => {
+    const ifMatch = etagValue(req.headers["if-match"]);
+    const create = req.headers["if-none-match"]?.trim() === "*";
+    if (!ifMatch && !create) {
+      sendJson(res, 428, { error: "Saves must send If-Match with the revision they are based on (If-None-Match: * to create)." });
+      return;
+    }
+    let data;
+    try {
+      data = JSON.parse(await readBody(req, maxBodyBytes));
+    } catch (e) {
+      if (e instanceof StoreError) throw e;
+      throw new StoreError(400, `Invalid JSON: ${e.message}`);
+    }
+    const result = await store.save(name, data, create ? null : ifMatch);
+    if (result.conflict) {
+      sendJson(res, 409, { error: "The dataset was changed since it was loaded.", ...result.conflict });
+      return;
+    }
+    announce(name, result.revision);
+    sendJson(res, result.created ? 201 : 200, { name, revision: result.revision }, { ETag: `"${result.revision}"` });
+  };
+
+  const handle = async (req, res) => {
+    const host = (req.headers.host ?? "").replace(/:\d+$/, "");
+    if (!LOCAL_HOSTS.has(host)) {
+      sendJson(res, 403, { error: "Only localhost may use this server." });
+      return;
+    }
+    const { pathname } = new URL(req.url, "http://localhost");
+    const match = pathname.match(/^\/api\/datasets\/([^/]+)$/);
+    const name = match && decodeURIComponent(match[1]);
+
+    if (pathname === "/api/events" && req.method === "GET") return openEvents(req, res);
+    if (pathname === "/api/datasets" && req.method === "GET") return sendJson(res, 200, { datasets: await store.list() });
+    if (name && (req.method === "GET" || req.method === "HEAD")) {
+      const doc = await store.read(name);
+      if (!doc) return sendJson(res, 404, { error: `No dataset named ${name}.` });
+      res.writeHead(200, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store", ETag: `"${doc.revision}"` });
+      return res.end(doc.text);
+    }
+    if (name && req.method === "PUT") return saveDataset(req, res, name);
+    return sendJson(res, pathname.startsWith("/api/") ? 405 : 404, { error: `${req.method} ${pathname} is not supported.` });
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((e) => {
+      if (res.headersSent) return res.destroy();
+      const status = e instanceof StoreError ? e.status : e instanceof URIError ? 400 : 500;
+      sendJson(res, status, { error: e.message }, status === 413 ? { Connection: "close" } : {});
+    });
+  });
+  return { server, announce };
+};
+
+/**
+ * watchDatasets
+ * Announces datasets whose files change on disk (edited by hand, copied in or
+ * deleted). Events are coalesced per file for `delay` ms. Returns a stop function.
+ */
+export const watchDatasets = (store, announce, { delay = 150 } = {}) => {
+  const timers = new Map();
+  const check = async (name) => {
+    timers.delete(name);
+    try {
+      const doc = await store.read(name);
+      announce(name, doc?.revision ?? null);
+    } catch {
+      // unreadable mid-write; the next change event checks again
+    }
+  };
+  const watcher = watch(store.dir, (_, file) => {
+    const name = file?.endsWith(".json") ? file.slice(0, -5) : null;
+    if (!isDatasetName(name)) return;
+    clearTimeout(timers.get(name));
+    timers.set(name, setTimeout(check, delay, name));
+  });
+  return () => {
+    watcher.close();
+    timers.forEach(clearTimeout);
+  };
+};
+
+const main = async () => {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const store = createDatasetStore(path.resolve(process.env.DATASET_DIR || DEFAULT_DIR));
+  const datasets = await store.list();
+  if (!datasets.length) {
+    await store.save(SEED.name, JSON.parse(await readFile(SEED.file, "utf8")), null);
+    console.log(`Seeded ${store.dir} with "${SEED.name}".`);
+  }
+  const { server, announce } = createApiServer(store);
+  for (const d of await store.list()) announce(d.name, d.revision);
+  const stopWatching = watchDatasets(store, announce);
+  server.listen(port, "127.0.0.1", () => console.log(`Dataset server on http://127.0.0.1:${port}/api (data in ${store.dir})`));
+  process.on("SIGINT", () => {
+    stopWatching();
+    server.close(() => process.exit(0));
+    server.closeAllConnections?.();
+  });
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();
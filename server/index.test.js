@@ -0,0 +1,94 @@
+// @vitest-environment node
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, expect, test } from 'vitest';
+import { createApiServer } from './index.js';
+import { createDatasetStore, revisionOf } from './store.js';
+
+const dirs = [];
+const tempStore = async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'datasets-'));
+  dirs.push(dir);
+  return createDatasetStore(dir);
+};
+afterEach(async () => {
+  await Promise.all(dirs.splice(0).map((dir) => rm(dir, { recursive: true, force: true })));
+});
+
+test('saves need the current revision and a stale one gets the stored data back', async () => {
+  const store = await tempStore();
+  const created = await store.save('model', { name: 'v1' }, null);
+  expect(created.created).toBe(true);
+  expect(created.revision).toBe(revisionOf(await readFile(path.join(store.dir, 'model.json'))));
+  expect((await store.save('model', { name: 'again' }, null)).conflict.revision).toBe(created.revision);
+
+  // two saves from the same base: the first wins, the second conflicts
+  const [first, second] = await Promise.all([
+    store.save('model', { name: 'mine' }, created.revision),
+    store.save('model', { name: 'theirs' }, created.revision),
+  ]);
+  expect(first.revision).toBeTruthy();
+  expect(second.conflict).toEqual({ name: 'model', revision: first.revision, data: { name: 'mine' } });
+
+  expect(await store.list()).toEqual([expect.objectContaining({ name: 'model', revision: first.revision })]);
+  await expect(store.read('../secrets')).rejects.toMatchObject({ status: 400 });
+  await expect(store.save('model', [], first.revision)).rejects.toMatchObject({ status: 400 });
+});
+
+test('the HTTP API saves with If-Match, answers conflicts with 409 and pushes saves as events', async () => {
+  const { server } = createApiServer(await tempStore());
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  const put = (name, body, headers) => fetch(`${base}/datasets/${name}`, { method: 'PUT', headers, body: JSON.stringify(body) });
+  const events = new AbortController();
+  try {
+    const stream = (await fetch(`${base}/events`, { signal: events.signal })).body.getReader();
+
+    expect((await put('model', { name: 'm' }, {})).status).toBe(428);
+    const created = await put('model', { name: 'm' }, { 'If-None-Match': '*' });
+    expect(created.status).toBe(201);
+    const { revision } = await created.json();
+
+    const loaded = await fetch(`${base}/datasets/model`);
+    expect(loaded.headers.get('etag')).toBe(`"${revision}"`);
+    expect(await loaded.json()).toEqual({ name: 'm' });
+
+    expect((await put('model', { name: 'm2' }, { 'If-Match': `"${revision}"` })).status).toBe(200);
+    const stale = await put('model', { name: 'm3' }, { 'If-Match': `"${revision}"` });
+    expect(stale.status).toBe(409);
+    expect((await stale.json()).data).toEqual({ name: 'm2' });
+
+    const listed = await (await fetch(`${base}/datasets`)).json();
+    expect(listed.datasets.map((d) => d.name)).toEqual(['model']);
+    expect((await fetch(`${base}/datasets/nope`)).status).toBe(404);
+
+    let text = '';
+    while ((text.match(/event: dataset/g) ?? []).length < 2) text += new TextDecoder().decode((await stream.read()).value);
+    expect(text).toContain(`"type":"saved","name":"model","revision":"${revision}"`);
+  } finally {
+    events.abort();
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('an oversized save is answered with 413 and nothing is written', async () => {
+  const store = await tempStore();
+  const { server } = createApiServer(store, { maxBodyBytes: 1024 });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/datasets/big`, {
+      method: 'PUT',
+      headers: { 'If-None-Match': '*' },
+      body: JSON.stringify({ name: 'big', pad: 'x'.repeat(256 * 1024) }),
+    });
+    expect(res.status).toBe(413);
+    expect(res.headers.get('connection')).toBe('close');
+    expect((await res.json()).error).toMatch(/larger than 1024 bytes/);
+    expect(await store.list()).toEqual([]);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
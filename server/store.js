@@ -0,0 +1,124 @@
+import { createHash } from "node:crypto";
+import { mkdir, readdir, readFile, rename, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// ------------------------------------------------------------
+// Dataset store: one pretty-printed JSON file per dataset in a directory
+// ------------------------------------------------------------
+// A dataset's revision is a hash of its file's bytes, so a file edited by hand
+// gets a new revision just like a save through the server. Saves name the
+// revision they were based on and are refused with a conflict when the file
+// has moved on since (optimistic concurrency); the conflict carries the
+// current revision and data so the client can compare node by node.
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const EXTENSION = ".json";
+
+export class StoreError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const isDatasetName = (name) => typeof name === "string" && NAME_PATTERN.test(name) && !name.endsWith(EXTENSION);
+
+export const revisionOf = (bytes) => createHash("sha256").update(bytes).digest("hex").slice(0, 16);
+
+export const serializeDataset = (data) => `${JSON.stringify(data, null, 2)}\n`;
+
+// A hand-edited file may not parse; the conflict then carries no data
+const parseOrNull = (bytes) => {
+  try {
+    return JSON.parse(bytes.toString("utf8"));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * createDatasetStore
+ * Store over `dir` (created on first use). Every method takes a dataset name
+ * matching NAME_PATTERN and throws a StoreError with an HTTP status otherwise.
+ */
+export const createDatasetStore = (dir) => {
+  const fileOf = (name) => {
+    if (!isDatasetName(name)) throw new StoreError(400, `Invalid dataset name: ${name}`);
+    return path.join(dir, name + EXTENSION);
+  };
+
+  const readRaw = async (name) => {
+    try {
+      return await readFile(fileOf(name));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  };
+
+  /**
+   * list
+   * `[{ name, revision, size, modified }]` sorted by name.
+   */
+  const list = async () => {
+    await mkdir(dir, { recursive: true });
+    const names = (await readdir(dir))
+      .filter((f) => f.endsWith(EXTENSION))
+      .map((f) => f.slice(0, -EXTENSION.length))
+      .filter(isDatasetName)
+      .sort();
+    const out = [];
+    for (const name of names) {
+      const file = fileOf(name);
+      const [bytes, info] = await Promise.all([readFile(file), stat(file)]);
+      out.push({ name, revision: revisionOf(bytes), size: info.size, modified: info.mtime.toISOString() });
+    }
+    return out;
+  };
+
+  /**
+   * read
+   * `{ name, revision, text }` with the file's JSON text, or null when missing.
+   */
+  const read = async (name) => {
+    const bytes = await readRaw(name);
+    return bytes && { name, revision: revisionOf(bytes), text: bytes.toString("utf8") };
+  };
+
+  // Saves of one dataset run one at a time, so two can't both pass the revision check
+  const queues = new Map();
+  const serialized = (name, task) => {
+    const run = (queues.get(name) ?? Promise.resolve()).then(task, task);
+    const settled = run.catch(() => {});
+    queues.set(name, settled);
+    settled.then(() => queues.get(name) === settled && queues.delete(name));
+    return run;
+  };
+
+  /**
+   * save
+   * Writes `data` when `baseRevision` is the current revision (null creates a
+   * dataset that must not exist yet). Returns `{ name, revision, created }`, or
+   * `{ conflict: { name, revision, data } }` with what is on disk now. The file
+   * is replaced by rename, so readers never see half a write.
+   */
+  const save = (name, data, baseRevision) => serialized(name, async () => {
+    const file = fileOf(name);
+    if (!data || typeof data !== "object" || Array.isArray(data) || typeof data.name !== "string") {
+      throw new StoreError(400, "A dataset is a JSON object with a string `name`.");
+    }
+    const current = await readRaw(name);
+    const currentRevision = current && revisionOf(current);
+    if ((baseRevision ?? null) !== currentRevision) {
+      return { conflict: { name, revision: currentRevision, data: current && parseOrNull(current) } };
+    }
+    const bytes = Buffer.from(serializeDataset(data), "utf8");
+    await mkdir(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, bytes);
+    await rename(tmp, file);
+    return { name, revision: revisionOf(bytes), created: current === null };
+  });
+
+  return { dir, list, read, save };
+};
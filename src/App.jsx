@@ -1,5 +1,75 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useMemo, useRef, useState } from "react";
 import * as d3 from "d3";
+import { ancestorKeys, asArray, parsePathKey, pathKey, samePath, walkTree } from "./lib/tree";
+import { buildSearchIndex, collectFacetValues, searchHighlightKeys, searchIndex } from "./lib/search";
+import { validateDataset, validateHierarchy } from "./lib/schema";
+import { loadDatasetFromFile, readFileText } from "./lib/datasetLoader";
+import SearchPanel from "./components/SearchPanel";
+import DatasetLoader from "./components/DatasetLoader";
+import ImportDialog from "./components/ImportDialog";
+import ExportMenu from "./components/ExportMenu";
+import { COVERAGE_DIMENSIONS, coverageSegments } from "./lib/coverage";
+import CoverageLegend from "./components/CoverageLegend";
+import CoverageBreakdown from "./components/CoverageBreakdown";
+import { buildInterfaceIndex, interfacePairs, projectPairsToView } from "./lib/interfaces";
+import InterfaceDetails from "./components/InterfaceDetails";
+import TraceMatrix from "./components/TraceMatrix";
+import { buildTraceMatrix } from "./lib/traceability";
+import LintPanel from "./components/LintPanel";
+import { LINT_RULES, LINT_SEVERITIES, lintTree, sortFindings, summarizeLint } from "./lib/lint";
+import WorkspacePanel from "./components/WorkspacePanel";
+import useWorkspace from "./hooks/useWorkspace";
+import {
+  addBookmark, datasetFingerprint, loadPreference, pushRecent, removeEntry, removeNamedFilter, resolveWorkspaceRefs, saveNamedFilter,
+  savePreference, togglePin,
+} from "./lib/workspace";
+import ReviewPanel from "./components/ReviewPanel";
+import EncodingMenu from "./components/EncodingMenu";
+import EncodingLegend from "./components/EncodingLegend";
+import { buildEncoding, encodeNode } from "./lib/encoding";
+import FilterPanel from "./components/FilterPanel";
+import { filterTree, matchesRequirement, parseFilter } from "./lib/filter";
+import TraceDetails from "./components/TraceDetails";
+import ImpactPanel from "./components/ImpactPanel";
+import { buildDerivationIndex, impactAnalysis, traceChain, traceLinksInView } from "./lib/derivation";
+import DashboardPanel from "./components/DashboardPanel";
+import { computeDashboard } from "./lib/dashboard";
+import Minimap from "./components/Minimap";
+import { fitTransform, minimapAnchor, minimapLayout } from "./lib/navigation";
+import HoverCard from "./components/HoverCard";
+import { horizontalLabelAnchor, placePolarLabels } from "./lib/labels";
+import { summarizeNode } from "./lib/nodeSummary";
+import ServerSyncPanel from "./components/ServerSyncPanel";
+import { embeddedSource, saveConflicts, serverSource } from "./lib/dataSources";
+import CommentThreads from "./components/CommentThreads";
+import {
+  commentTargetKey, createComment, indexComments, mergeComments, nodeCommentCounts, parseCommentsFile, serializeComments, setThreadStatus,
+} from "./lib/comments";
+import { LAYOUTS, PARTITION_SIZES, computeLayout, hydrateLayout, linkPathFor } from "./lib/layouts";
+import useNodeTransition from "./hooks/useNodeTransition";
+import {
+  canvasToPngBlob, downloadBlob, downloadText, fileSlug, requirementsToCsv, serializeSvg, subtreeToJson, svgToPngBlob,
+} from "./lib/exporters";
+import {
+  addBlock, addChildNode, addRequirement, moveNode, newId, removeBlock, removeNode, removeRequirement,
+  updateBlock, updateNode, updateRequirement,
+} from "./lib/edits";
+import useEditHistory from "./hooks/useEditHistory";
+import EditToolbar from "./components/EditToolbar";
+import CommitField from "./components/CommitField";
+import RequirementEditor from "./components/RequirementEditor";
+import BlockEditor from "./components/BlockEditor";
+import { DIFF_STATUSES, churnTotal, diffDatasets } from "./lib/diff";
+import BaselinePanel from "./components/BaselinePanel";
+import DiffLegend from "./components/DiffLegend";
+import DiffDetails from "./components/DiffDetails";
+import { decodeViewState, encodeViewState, findRequirementOwner, nodeRef, resolveNodeRef } from "./lib/deepLink";
+import { NAV_KEYS, moveTarget, treeItemAria } from "./lib/treeNav";
+import useTreeWorker from "./hooks/useTreeWorker";
+import useControlledId from "./hooks/useControlledId";
+import { createHitTester, drawScene } from "./lib/canvasScene";
+import { computeTreeStats } from "./lib/treeStats";
+import defaultData from "./defaultData/defaultData.json";
 
 /**
  * RadialTreeExplorer (Stable build)
@@ -15,6 +85,91 @@ import * as d3 from "d3";
  *  - Sidebar surfaces **Requirements**, **Related System Blocks**, and **Metadata** from FULL dataset for selected node.
  *  - Double‑click focuses a node and preserves selection; breadcrumbs (from FULL data) are clickable to focus ancestors.
  *  - Optional "Lock center" to disable panning while keeping zoom.
+ *  - Search bar over the FULL dataset (nodes, requirements, blocks) with facets; picking a hit
+ *    focuses its parent and selects it, and branches leading to hits are highlighted.
+ *  - Dataset loader (built-ins, file picker, drag-and-drop, local URL) with schema validation;
+ *    loading a dataset resets focus, selection and search. CSV and ReqIF files go through an
+ *    import dialog (column/attribute mapping + dropped/orphaned report) first.
+ *  - Export menu: current view as SVG/PNG, focused subtree as JSON, requirements under the
+ *    selected node as CSV (flattened from the FULL tree with a node-path column).
+ *  - Coverage mode: rings colored by the subtree roll-up of requirement verification or
+ *    lifecycle status, with a legend and a per-node breakdown in the side panel.
+ *  - Interface overlay: nodes whose blocks share an `interfaceRefs` id are joined by bundled
+ *    edges routed through the hierarchy; hover highlights partners, and interface ids in the
+ *    side panel list every block/node that references them.
+ *  - Layout switcher: radial tree, radial cluster, sunburst / icicle (sized by requirement count
+ *    or value) and a collapsible indented outline. All share the focus/selection model and
+ *    switching animates node positions.
+ *  - Depth window: 1–6 tiers or "all" below the focus. Clicking a branch's "…" marker opens
+ *    it one level past the window in place (kept across re-rooting); very large windows
+ *    are sampled, with the surplus children of wide nodes folded into a "+N more" node.
+ *  - Edit mode: rename nodes, edit metadata, requirements and related blocks in the side
+ *    panel, add/delete nodes and drag a node onto another to re-parent it. Every edit is an
+ *    undo/redo step that also restores focus and selection; unsaved edits are flagged and
+ *    the model can be saved back to JSON.
+ *  - Baseline diff: load an earlier version (or snapshot the current model) and nodes are
+ *    ringed as added / moved / modified, with removed nodes counted on their parent. The side
+ *    panel lists field-level changes and per-subtree change counts.
+ *  - Deep links: focus, selection (by node `id`), highlighted requirement, layout, depth, zoom
+ *    and lock state live in the URL hash. Re-rooting pushes a history entry so back/forward
+ *    step through focus changes; the breadcrumb can copy a link to the current view.
+ *  - Keyboard + screen readers: the nodes form a WAI-ARIA tree with a single tab stop. Arrows
+ *    move to parent / first child / siblings, Enter selects, Shift+Enter re-roots, Backspace
+ *    goes up a level, +/−/0 and Shift+arrows zoom and pan. Selection and focus changes are
+ *    announced in a live region with the node's requirement counts.
+ *  - Large models: above the SVG node budget the view is painted on a canvas (clicks, double
+ *    clicks and hovers are hit-tested), big windows are laid out in a Web Worker, and the deep
+ *    statistics and coverage roll-ups are precomputed per node there too.
+ *  - Embedding: `focusId` / `selectedId` can be controlled (or seeded via `defaultFocusId` /
+ *    `defaultSelectedId`); `onSelect`, `onFocusChange`, `onHover` and `onZoom` report changes
+ *    with the full node. `sections` and `renderNode` override side panel sections and node
+ *    markers, and a ref exposes focus / select / zoomTo / resetRoot / fitAll / exportSvg. A library
+ *    build (src/embed) ships the component and a `<radial-tree-explorer>` custom element.
+ *  - Traceability matrix under the tree: requirements of the focused subtree × related blocks ×
+ *    interfaces (sortable, filterable, virtualized), flagging unallocated requirements and
+ *    orphan blocks. Picking a row selects the owning node and highlights the requirement.
+ *  - Model health: lint rules (requirement wording, acceptance criteria, verification, duplicate
+ *    ids, blocks without interfaces, stale metadata) check the FULL tree; findings are listed by
+ *    severity in the side panel and counted in a badge on each node. Rules can be switched off,
+ *    re-graded and tuned there, and hosts add their own through `lintRules`.
+ *  - Workspaces (per dataset, in localStorage): named bookmarks, a pinned-nodes tray and recent
+ *    nodes, all addressed by node `id` so they survive edits and reloads of the dataset (gone
+ *    nodes are flagged, not silently replaced by the root). The last session (focus, selection,
+ *    layout, depth, zoom, lock, "Show all" requirements) is restored when the URL names no view.
+ *    `persistWorkspace={false}` keeps all of it in memory.
+ *  - Review comments: threaded comments (author, time, open/resolved) on nodes, requirements and
+ *    blocks, with count badges on tree nodes and requirement/block cards and an "open only"
+ *    filter. They live beside the model in a sidecar JSON file that can be exported and merged
+ *    from several reviewers.
+ *  - Visual encoding: node fill, radius, stroke and link width can each be mapped to an attribute
+ *    (owner, version, block layer mix, days since update, requirement counts, value) with the d3
+ *    scale picked from the attribute (ordinal palette, sequential ramp, sqrt sizes) and a legend;
+ *    presets cover ownership, staleness and scale. The choice is saved with the session.
+ *  - Filters: expressions over nodes, their requirements and blocks (`req.priority == "High" and
+ *    req.verification.status != "Complete"`), parsed safely with positioned errors. Non-matching
+ *    nodes are dimmed, or pruned from the window with the ancestors of matches kept; the
+ *    requirement list follows the filter. Named filters are saved in the workspace.
+ *  - Derivation tracing: requirements may name the requirements they are `derivedFrom` or
+ *    `satisfies`. A highlighted requirement shows its upward and downward chains, trace links
+ *    can be drawn between the owning nodes, and an impact analysis lists and rings every
+ *    downstream requirement's node. Broken references are reported by the "trace-refs" lint rule.
+ *  - Dashboard tab: d3 charts of the focused subtree (requirements by priority, status, source
+ *    and verification method, blocks by type and layer, top owners, a lastUpdated histogram)
+ *    that follow re-rooting. Clicking a bar applies it as a filter, dimming the other nodes.
+ *  - Navigation: re-rooting tweens nodes from their old positions; "Fit all" and "Zoom to
+ *    selection" drive the same d3.zoom, which keeps its transform across resizes. A corner
+ *    minimap of the FULL tree marks the focus window and the viewport; clicking it pans to a
+ *    node on screen or reveals and centres one elsewhere.
+ *  - Labels: polar labels are placed ring by ring from the arc and radial room they have;
+ *    crowded rings read radially and are staggered, truncated or thinned out, and the nodes in
+ *    play always show their full name. Hover cards summarize the full node (id, owner,
+ *    requirements by status, blocks) without selecting it.
+ *  - Dataset server (`datasetServer`, `npm run server`): datasets kept on disk by a local Node
+ *    server are listed, opened and saved back. Saves carry the revision they started from; a
+ *    refused one lists the nodes changed on both sides with their `metadata.version`, to
+ *    overwrite or reload. Saves made elsewhere are pushed over server-sent events: a clean model
+ *    reloads in place, an edited one is told. Built-ins and URLs go through the same data
+ *    sources (lib/dataSources).
  */
 
 // ------------------------------------------------------------
@@ -40,44 +195,123 @@ const coerceHierarchyInput = (input) => {
   return null;
 };
 
-const asArray = (v) => (Array.isArray(v) ? v : []);
-
 // ------------------------------------------------------------
 // Depth limiting helpers
 // ------------------------------------------------------------
-const MAX_DEPTH = 2; // visible tiers from current focus (root depth=0)
+const MAX_DEPTH = 2; // default visible tiers from current focus (root depth=0)
+const DEPTH_OPTIONS = [1, 2, 3, 4, 5, 6, Infinity]; // Infinity = "all"
+const MAX_VISIBLE_NODES = 1500; // above this, wide branches are sampled (see capVisibleNodes)
+const MAX_CANVAS_NODES = 20000; // the same guard when drawing to canvas
+const WORKER_LAYOUT_THRESHOLD = 3000; // windows bigger than this are laid out off the main thread
+const CANVAS_LABEL_BUDGET = 400; // canvas draws every label once this few nodes are on screen
+const RENDERERS = { auto: "Auto", svg: "SVG", canvas: "Canvas" };
+const EMPTY_LAYOUT = { nodes: [], links: [], radius: 0, bounds: { x0: 0, y0: 0, x1: 0, y1: 0 } };
+const NO_ENCODING = {};
+const NO_COVERAGE = new Map();
 const LABEL_RADIAL_PAD_BASE = 8;  // base radial push for labels (px)
 const LABEL_RADIAL_PAD_EXTRA = 10; // extra push near top/bottom (scaled by |sin(theta)|)
+const LABEL_PAD = { base: LABEL_RADIAL_PAD_BASE, extra: LABEL_RADIAL_PAD_EXTRA };
+const COVERAGE_RING = { inner: 5.5, outer: 8.5 }; // px, around the node circle
+const COMMENT_BADGE_COLOR = "#4f46e5"; // review comment counts (lint badges use their severity color)
+const FILTER_DIM_OPACITY = 0.2; // nodes outside the active filter
+const TRACE_COLOR = "#0d9488"; // derivation trace links
+const IMPACT_COLOR = "#e11d48"; // nodes reached by an impact analysis
+const KEY_PAN_STEP = 60; // px per Shift+arrow press
+const ZOOM_SCALE_EXTENT = [0.4, 4];
+const FIT_PAD = LABEL_RADIAL_PAD_BASE + LABEL_RADIAL_PAD_EXTRA + 20; // layout extent plus label padding, when fitting
+const MINIMAP_SIZE = 150; // px, square
+const PAN_STEPS = { ArrowLeft: [1, 0], ArrowRight: [-1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] };
 
 /**
  * limitDepth
  * Returns a deep-cloned subtree limited to `maxDepth` from the given node.
  * Adds `_pathIdxs` (array of child indices from focus) for each node so we can
  * map a visible/pruned node back to the original full dataset.
- * Adds `_hasHidden` when deeper content exists beyond the current window.
+ * Adds `_hasHidden` on nodes whose children are cut off by the window.
+ * `isExpanded(pathIdxs)` opens individual branches past the window one level at
+ * a time; such nodes are marked `_expanded` so they can be collapsed again.
+ * `isKept(pathIdxs)` prunes children (and their subtrees) it rejects; kept
+ * children keep their original indices.
  */
-const limitDepth = (node, maxDepth, depth = 0, pathIdxs = []) => {
+const limitDepth = (node, maxDepth, depth = 0, pathIdxs = [], isExpanded = () => false, isKept = null) => {
   if (!node || typeof node !== "object") return node;
   const copy = { name: node.name };
   copy._pathIdxs = pathIdxs;
   if ("value" in node) copy.value = node.value;
 
-  const hasKids = Array.isArray(node.children) && node.children.length > 0;
+  const kids = asArray(node.children).map((c, i) => [c, [...pathIdxs, i]]).filter(([, p]) => !isKept || isKept(p));
+  const hasKids = kids.length > 0;
   if (!hasKids) return copy;
 
   if (depth >= maxDepth) {
-    copy._hasHidden = hasKids;
-    return copy;
+    if (!isExpanded(pathIdxs)) {
+      copy._hasHidden = hasKids;
+      return copy;
+    }
+    copy._expanded = true;
   }
 
-  copy.children = node.children.map((c, i) => limitDepth(c, maxDepth, depth + 1, [...pathIdxs, i]));
-  // Mark if deeper content exists and we're exposing the last visible tier
-  if (node.children.some((c) => Array.isArray(c.children) && c.children.length > 0)) {
-    if (depth + 1 >= maxDepth) copy._hasHidden = true;
-  }
+  copy.children = kids.map(([c, p]) => limitDepth(c, maxDepth, depth + 1, p, isExpanded, isKept));
   return copy;
 };
 
+const countNodes = (node) => {
+  let count = 0;
+  const stack = [node];
+  while (stack.length) {
+    const cur = stack.pop();
+    count += 1;
+    if (cur.children) stack.push(...cur.children);
+  }
+  return count;
+};
+
+/**
+ * capVisibleNodes
+ * Guard for huge windows: when the pruned tree has more than `maxNodes` nodes,
+ * every node keeps only its first `cap` children (the largest cap that fits)
+ * and the rest are folded into one `+N more` aggregate child. Aggregates carry
+ * `_aggregate` (hidden count) and a `_pathIdxs` ending in -1, which never
+ * resolves in the full data. Returns `{ data, total, shown }`.
+ */
+const capVisibleNodes = (viewRoot, maxNodes) => {
+  const total = countNodes(viewRoot);
+  if (total <= maxNodes) return { data: viewRoot, total, shown: total };
+
+  // Node count if every node keeps at most `cap` children (+1 aggregate)
+  const countWithCap = (cap) => {
+    let count = 0;
+    const stack = [viewRoot];
+    while (stack.length) {
+      const cur = stack.pop();
+      count += 1;
+      const kids = cur.children || [];
+      if (kids.length > cap) count += 1;
+      stack.push(...kids.slice(0, cap));
+    }
+    return count;
+  };
+  let lo = 1;
+  let hi = total;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (countWithCap(mid) <= maxNodes) lo = mid;
+    else hi = mid - 1;
+  }
+  const cap = lo;
+  const apply = (n) => {
+    if (!n.children) return n;
+    const kids = n.children;
+    const copy = { ...n, children: kids.slice(0, cap).map(apply) };
+    if (kids.length > cap) {
+      copy.children.push({ name: `+${kids.length - cap} more`, _pathIdxs: [...n._pathIdxs, -1], _aggregate: kids.length - cap });
+    }
+    return copy;
+  };
+  const data = apply(viewRoot);
+  return { data, total, shown: countNodes(data) };
+};
+
 // ------------------------------------------------------------
 // Path helpers (operate on FULL data)
 // ------------------------------------------------------------
@@ -108,6 +342,18 @@ const clipRelPathToDepth = (focusPath, targetAbs, maxDepth) => {
   return rel.slice(0, maxDepth);
 };
 
+// Whether `absPath` is `ancestor` itself or lies below it
+const isWithinPath = (ancestor, absPath) => absPath.length >= ancestor.length && ancestor.every((v, i) => absPath[i] === v);
+
+// Focus/selection paths for a decoded deep link. A selection outside the linked
+// focus re-roots at the selection's parent so it is always visible.
+const resolveLinkPaths = (root, link) => {
+  let focus = resolveNodeRef(root, link.focus) ?? [];
+  const select = (link.select && resolveNodeRef(root, link.select)) || (link.req && findRequirementOwner(root, link.req)) || null;
+  if (select && !isWithinPath(focus, select)) focus = select.slice(0, -1);
+  return { focus, select };
+};
+
 // ------------------------------------------------------------
 // Full-tree statistics
 // ------------------------------------------------------------
@@ -123,6 +369,18 @@ const sumValuesDeep = (node) => {
   return total;
 };
 
+const countRequirementsDeep = (node) => {
+  if (!node) return 0;
+  let count = 0;
+  const stack = [node];
+  while (stack.length) {
+    const cur = stack.pop();
+    count += asArray(cur.requirements).length;
+    if (Array.isArray(cur.children)) stack.push(...cur.children);
+  }
+  return count;
+};
+
 const countLeavesDeep = (node) => {
   if (!node) return 0;
   let count = 0;
@@ -144,25 +402,92 @@ const countLeavesDeep = (node) => {
 // ------------------------------------------------------------
 const sampleData = {"name":"flare","children":[{"name":"analytics","children":[{"name":"cluster","children":[{"name":"AgglomerativeCluster","value":3938},{"name":"CommunityStructure","value":3812},{"name":"HierarchicalCluster","value":6714},{"name":"MergeEdge","value":743}]},{"name":"graph","children":[{"name":"BetweennessCentrality","value":3534},{"name":"LinkDistance","value":5731},{"name":"MaxFlowMinCut","value":7840},{"name":"ShortestPaths","value":5914},{"name":"SpanningTree","value":3416}]},{"name":"optimization","children":[{"name":"AspectRatioBanker","value":7074}]}]},{"name":"animate","children":[{"name":"Easing","value":17010},{"name":"FunctionSequence","value":5842},{"name":"interpolate","children":[{"name":"ArrayInterpolator","value":1983},{"name":"ColorInterpolator","value":2047},{"name":"DateInterpolator","value":1375},{"name":"Interpolator","value":8746},{"name":"MatrixInterpolator","value":2202},{"name":"NumberInterpolator","value":1382},{"name":"ObjectInterpolator","value":1629},{"name":"PointInterpolator","value":1675},{"name":"RectangleInterpolator","value":2042}]},{"name":"ISchedulable","value":1041},{"name":"Parallel","value":5176},{"name":"Pause","value":449},{"name":"Scheduler","value":5593},{"name":"Sequence","value":5534},{"name":"Transition","value":9201},{"name":"Transitioner","value":19975},{"name":"TransitionEvent","value":1116},{"name":"Tween","value":6006}]},{"name":"data","children":[{"name":"converters","children":[{"name":"Converters","value":721},{"name":"DelimitedTextConverter","value":4294},{"name":"GraphMLConverter","value":9800},{"name":"IDataConverter","value":1314},{"name":"JSONConverter","value":2220}]},{"name":"DataField","value":1759},{"name":"DataSchema","value":2165},{"name":"DataSet","value":586},{"name":"DataSource","value":3331},{"name":"DataTable","value":772},{"name":"DataUtil","value":3322}]},{"name":"display","children":[{"name":"DirtySprite","value":8833},{"name":"LineSprite","value":1732},{"name":"RectSprite","value":3623},{"name":"TextSprite","value":10066}]},{"name":"flex","children":[{"name":"FlareVis","value":4116}]},{"name":"physics","children":[{"name":"DragForce","value":1082},{"name":"GravityForce","value":1336},{"name":"IForce","value":319},{"name":"NBodyForce","value":10498},{"name":"Particle","value":2822},{"name":"Simulation","value":9983},{"name":"Spring","value":2213},{"name":"SpringForce","value":1681}]},{"name":"query","children":[{"name":"AggregateExpression","value":1616},{"name":"And","value":1027},{"name":"Arithmetic","value":3891},{"name":"Average","value":891},{"name":"BinaryExpression","value":2893},{"name":"Comparison","value":5103},{"name":"CompositeExpression","value":3677},{"name":"Count","value":781},{"name":"DateUtil","value":4141},{"name":"Distinct","value":933},{"name":"Expression","value":5130},{"name":"ExpressionIterator","value":3617},{"name":"Fn","value":3240},{"name":"If","value":2732},{"name":"IsA","value":2039},{"name":"Literal","value":1214},{"name":"Match","value":3748},{"name":"Maximum","value":843},{"name":"methods","children":[{"name":"add","value":593},{"name":"and","value":330},{"name":"average","value":287},{"name":"count","value":277},{"name":"distinct","value":292},{"name":"div","value":595},{"name":"eq","value":594},{"name":"fn","value":460},{"name":"gt","value":603},{"name":"gte","value":625},{"name":"iff","value":748},{"name":"isa","value":461},{"name":"lt","value":597},{"name":"lte","value":619},{"name":"max","value":283},{"name":"min","value":283},{"name":"mod","value":591},{"name":"mul","value":603},{"name":"neq","value":599},{"name":"not","value":386},{"name":"or","value":323},{"name":"orderby","value":307},{"name":"range","value":772},{"name":"select","value":296},{"name":"stddev","value":363},{"name":"sub","value":600},{"name":"sum","value":280},{"name":"update","value":307},{"name":"variance","value":335},{"name":"where","value":299},{"name":"xor","value":354},{"name":"_","value":264}]},{"name":"Minimum","value":843},{"name":"Not","value":1554},{"name":"Or","value":970},{"name":"Query","value":13896},{"name":"Range","value":1594},{"name":"StringUtil","value":4130},{"name":"Sum","value":791},{"name":"Variable","value":1124},{"name":"Variance","value":1876},{"name":"Xor","value":1101}]},{"name":"scale","children":[{"name":"IScaleMap","value":2105},{"name":"LinearScale","value":1316},{"name":"LogScale","value":3151},{"name":"OrdinalScale","value":3770},{"name":"QuantileScale","value":2435},{"name":"QuantitativeScale","value":4839},{"name":"RootScale","value":1756},{"name":"Scale","value":4268},{"name":"ScaleType","value":1821},{"name":"TimeScale","value":5833}]},{"name":"util","children":[{"name":"Arrays","value":8258},{"name":"Colors","value":10001},{"name":"Dates","value":8217},{"name":"Displays","value":12555},{"name":"Filter","value":2324},{"name":"Geometry","value":10993},{"name":"heap","children":[{"name":"FibonacciHeap","value":9354},{"name":"HeapNode","value":1233}]},{"name":"IEvaluable","value":335},{"name":"IPredicate","value":383},{"name":"IValueProxy","value":874},{"name":"math","children":[{"name":"DenseMatrix","value":3165},{"name":"IMatrix","value":2815},{"name":"SparseMatrix","value":3366}]},{"name":"Maths","value":17705},{"name":"Orientation","value":1486},{"name":"palette","children":[{"name":"ColorPalette","value":6367},{"name":"Palette","value":1229},{"name":"ShapePalette","value":2059},{"name":"SizePalette","value":2291}]},{"name":"Property","value":5559},{"name":"Shapes","value":19118},{"name":"Sort","value":6887},{"name":"Stats","value":6557},{"name":"Strings","value":22026}]},{"name":"vis","children":[{"name":"axis","children":[{"name":"Axes","value":1302},{"name":"Axis","value":24593},{"name":"AxisGridLine","value":652},{"name":"AxisLabel","value":636},{"name":"CartesianAxes","value":6703}]},{"name":"controls","children":[{"name":"AnchorControl","value":2138},{"name":"ClickControl","value":3824},{"name":"Control","value":1353},{"name":"ControlList","value":4665},{"name":"DragControl","value":2649},{"name":"ExpandControl","value":2832},{"name":"HoverControl","value":4896},{"name":"IControl","value":763},{"name":"PanZoomControl","value":5222},{"name":"SelectionControl","value":7862},{"name":"TooltipControl","value":8435}]},{"name":"data","children":[{"name":"Data","value":20544},{"name":"DataList","value":19788},{"name":"DataSprite","value":10349},{"name":"EdgeSprite","value":3301},{"name":"NodeSprite","value":19382},{"name":"render","children":[{"name":"ArrowType","value":698},{"name":"EdgeRenderer","value":5569},{"name":"IRenderer","value":353},{"name":"ShapeRenderer","value":2247}]},{"name":"ScaleBinding","value":11275},{"name":"Tree","value":7147},{"name":"TreeBuilder","value":9930}]},{"name":"events","children":[{"name":"DataEvent","value":2313},{"name":"SelectionEvent","value":1880},{"name":"TooltipEvent","value":1701},{"name":"VisualizationEvent","value":1117}]},{"name":"legend","children":[{"name":"Legend","value":20859},{"name":"LegendItem","value":4614},{"name":"LegendRange","value":10530}]},{"name":"operator","children":[{"name":"distortion","children":[{"name":"BifocalDistortion","value":4461},{"name":"Distortion","value":6314},{"name":"FisheyeDistortion","value":3444}]},{"name":"encoder","children":[{"name":"ColorEncoder","value":3179},{"name":"Encoder","value":4060},{"name":"PropertyEncoder","value":4138},{"name":"ShapeEncoder","value":1690},{"name":"SizeEncoder","value":1830}]},{"name":"filter","children":[{"name":"FisheyeTreeFilter","value":5219},{"name":"GraphDistanceFilter","value":3165},{"name":"VisibilityFilter","value":3509}]},{"name":"IOperator","value":1286},{"name":"label","children":[{"name":"Labeler","value":9956},{"name":"RadialLabeler","value":3899},{"name":"StackedAreaLabeler","value":3202}]},{"name":"layout","children":[{"name":"AxisLayout","value":6725},{"name":"BundledEdgeRouter","value":3727},{"name":"CircleLayout","value":9317},{"name":"CirclePackingLayout","value":12003},{"name":"DendrogramLayout","value":4853},{"name":"ForceDirectedLayout","value":8411},{"name":"IcicleTreeLayout","value":4864},{"name":"IndentedTreeLayout","value":3174},{"name":"Layout","value":7881},{"name":"NodeLinkTreeLayout","value":12870},{"name":"PieLayout","value":2728},{"name":"RadialTreeLayout","value":12348},{"name":"RandomLayout","value":870},{"name":"StackedAreaLayout","value":9121},{"name":"TreeMapLayout","value":9191}]},{"name":"Operator","value":2490},{"name":"OperatorList","value":5248},{"name":"OperatorSequence","value":4190},{"name":"OperatorSwitch","value":2581},{"name":"SortOperator","value":2023}]},{"name":"Visualization","value":16540}]}]};
 
+// Datasets selectable from the loader without a file
+const BUILT_IN_DATASETS = [
+  { key: "requirements", label: "Requirements model (default)", data: defaultData },
+  { key: "flare", label: "Flare sample", data: sampleData },
+];
+const builtInSource = embeddedSource(BUILT_IN_DATASETS);
+const serverLabel = (name) => `${name} (server)`;
+// A server dataset keeps its workspace by name, whatever its tree holds
+const serverFingerprint = (name) => datasetFingerprint(`server:${name}`);
+
 // ------------------------------------------------------------
 // Component
 // ------------------------------------------------------------
-export default function RadialTreeExplorer({ data = sampleData, fitViewport = true, disableBodyScroll = false }) {
+const RadialTreeExplorer = forwardRef(function RadialTreeExplorer({
+  data = defaultData,
+  fitViewport = true,
+  disableBodyScroll = false,
+  syncUrl = true,
+  persistWorkspace = true,
+  focusId,
+  selectedId,
+  defaultFocusId,
+  defaultSelectedId,
+  onSelect,
+  onFocusChange,
+  onHover,
+  onZoom,
+  sections,
+  renderNode,
+  lintRules,
+  datasetServer = null,
+}, ref) {
   // Accept object or JSON string for data
-  const parsed = useMemo(() => coerceHierarchyInput(data) || sampleData, [data]);
+  const parsed = useMemo(() => coerceHierarchyInput(data) || defaultData, [data]);
 
   const containerRef = useRef(null);
   const svgRef = useRef(null);
   const gRef = useRef(null);
-
-  // Keep the original root data so we can "Reset root"
-  const [rootData] = useState(() => safeClone(parsed));
-  const [focusPathIdxs, setFocusPathIdxs] = useState([]);
+  const zoomBehaviorRef = useRef(null); // d3.zoom instance, for keyboard zoom/pan
+  const callbacksRef = useRef(null); // host event handlers, read at call time
+  callbacksRef.current = { onSelect, onFocusChange, onHover, onZoom };
+
+  // Keep the original root data so we can "Reset root"; replaced wholesale when a dataset is loaded
+  const [rootData, setRootData] = useState(() => safeClone(parsed));
+  const [savedData, setSavedData] = useState(rootData); // last loaded/saved tree; differs once edited
+  const [datasetLabel, setDatasetLabel] = useState(() => (data === defaultData ? BUILT_IN_DATASETS[0].label : "data prop"));
+  const [loadErrors, setLoadErrors] = useState([]);
+  // Where the tree came from when it can be saved back: { kind: "server", name, revision } (see lib/dataSources)
+  const [datasetOrigin, setDatasetOrigin] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  // 🗂️ Saved workspace of the dataset: bookmarks, pinned and recent nodes, last session (see lib/workspace)
+  // keyed on where the dataset was loaded from, so edits to the tree keep it
+  const [fingerprint, setFingerprint] = useState(() => datasetFingerprint(datasetLabel, rootData));
+  const workspaceStore = useWorkspace(fingerprint, persistWorkspace);
+  // 🔗 Deep link in the URL hash, read once on mount (see lib/deepLink); ids passed as props win.
+  // With neither, the last session saved for this dataset is restored.
+  const [initialLink] = useState(() => {
+    const link = syncUrl && typeof window !== "undefined" ? decodeViewState(window.location.hash) : {};
+    const focus = focusId !== undefined ? focusId : defaultFocusId;
+    const select = selectedId !== undefined ? selectedId : defaultSelectedId;
+    if (focus !== undefined) link.focus = focus;
+    if (select !== undefined) {
+      link.select = select;
+      delete link.req;
+    }
+    const session = Object.keys(link).length ? null : workspaceStore.workspace.session;
+    if (session) Object.assign(link, decodeViewState(session.hash));
+    const lost = session ? ["focus", "select"].filter((key) => link[key] && !resolveNodeRef(rootData, link[key])) : [];
+    return {
+      ...link,
+      ...resolveLinkPaths(rootData, link),
+      showAllReqs: !!session?.showAllReqs,
+      encoding: session?.encoding ?? {},
+      filter: session?.filter ?? { expression: "", mode: "dim" },
+      notice: lost.length
+        ? `The ${lost.map((key) => (key === "focus" ? "focused" : "selected")).join(" and ")} node of your last session is no longer in this dataset.`
+        : null,
+    };
+  });
+  const [focusPathIdxs, setFocusPathIdxs] = useState(initialLink.focus);
   const focusedData = useMemo(() => getNodeByPathIdxs(rootData, focusPathIdxs) ?? rootData, [rootData, focusPathIdxs]);
   const [selectedNode, setSelectedNode] = useState(null);
   const [dims, setDims] = useState({ width: 900, height: 600 });
-  const pendingSelectAbsPathRef = useRef(null);
-  const [lockCenter, setLockCenter] = useState(false);
+  const pendingSelectAbsPathRef = useRef(initialLink.select);
+  const [lockCenter, setLockCenter] = useState(!!initialLink.lock);
 
   // Optionally disable page scrolling while the graph is mounted/active
   useEffect(() => {
@@ -195,30 +520,164 @@ export default function RadialTreeExplorer({ data = sampleData, fitViewport = tr
     return () => ro.disconnect();
   }, []);
 
-  // 🧮 Compute hierarchy layout (restores `radius`, `nodes`, `links`)
-  const { root, nodes, links, radius } = useMemo(() => {
-    const width = Math.max(400, dims.width);
-    const height = Math.max(300, dims.height);
-
-    const r = Math.min(width, height) / 2 - 24; // padding from edge
-
-    // Build a d3.hierarchy from the focused (possibly re-rooted) data, limited in depth
-    const viewData = limitDepth(focusedData, MAX_DEPTH);
-    const h = d3
-      .hierarchy(viewData)
-      .sort((a, b) => d3.ascending(a.data.name, b.data.name));
+  const [layoutKind, setLayoutKind] = useState(initialLink.layout ?? "tree");
+  const [partitionSize, setPartitionSize] = useState("requirements");
+  const [collapsedKeys, setCollapsedKeys] = useState(() => new Set()); // indented tree, absolute pathKeys
 
-    // Layout in polar coords: angle [0, 2π), radius [0, r]
-    const tree = d3.tree().size([2 * Math.PI, r]);
-    const laidOut = tree(h);
+  // 🪜 Depth window + per-branch expansion (absolute pathKeys, so they survive re-rooting)
+  const [depthLimit, setDepthLimit] = useState(initialLink.depth ?? MAX_DEPTH);
+  const [expandedKeys, setExpandedKeys] = useState(() => new Set(initialLink.select ? ancestorKeys(initialLink.select) : []));
 
+  // 🧵 Full-tree aggregates and coverage roll-ups are computed in a worker (lib/treeJobs),
+  // so selecting or sizing nodes never walks the full tree on the main thread
+  const treeWorker = useTreeWorker();
+  const [treeStats, setTreeStats] = useState(null); // { root, stats, coverage }
+  useEffect(() => {
+    let live = true;
+    treeWorker.run("stats", { root: rootData })
+      .then((result) => { if (live) setTreeStats({ root: rootData, ...result }); })
+      .catch((e) => { if (live) console.error("Tree statistics failed.", e); });
+    return () => { live = false; };
+  }, [rootData, treeWorker.run]);
+  const statsReady = treeStats?.root === rootData; // results for an older tree are never shown
+  const statOf = (absPath) => (statsReady && absPath ? treeStats.stats.get(pathKey(absPath)) ?? null : null);
+
+  // 🖼️ Renderer: SVG, or one canvas once the window outgrows what the DOM handles well
+  const [renderer, setRenderer] = useState("auto");
+
+  // 🧪 Filter expression over the FULL tree (see lib/filter): non-matching nodes are dimmed, or
+  // pruned from the window ("prune" keeps the ancestors of matches so the path stays visible)
+  const [filterState, setFilterState] = useState(initialLink.filter); // { expression, mode }
+  const activeFilter = useMemo(() => parseFilter(filterState.expression).filter, [filterState.expression]);
+  const filterKeys = useMemo(() => (activeFilter ? filterTree(rootData, activeFilter) : null), [rootData, activeFilter]);
+  const pruneKeys = filterKeys && filterState.mode === "prune" ? filterKeys.keepKeys : null;
+
+  // Depth-limited copy of the focused data; kept stable across layout switches and resizes
+  const { data: viewData, total: windowNodeCount, shown: shownNodeCount, canvas: useCanvas } = useMemo(() => {
+    const isExpanded = (rel) => expandedKeys.has(pathKey([...focusPathIdxs, ...rel]));
+    const isKept = pruneKeys ? (rel) => pruneKeys.has(pathKey([...focusPathIdxs, ...rel])) : null;
+    const limited = limitDepth(focusedData, depthLimit, 0, [], isExpanded, isKept);
+    const canvas = renderer === "canvas" || (renderer === "auto" && countNodes(limited) > MAX_VISIBLE_NODES);
+    return { ...capVisibleNodes(limited, canvas ? MAX_CANVAS_NODES : MAX_VISIBLE_NODES), canvas };
+  }, [focusedData, focusPathIdxs, depthLimit, expandedKeys, renderer, pruneKeys]);
+
+  // 🧮 Compute hierarchy layout (`nodes`, `links`, `radius`, `bounds`). Big windows are laid
+  // out in the worker; until its answer arrives the previous layout of the same window stays up.
+  const layoutInWorker = treeWorker.offThread && shownNodeCount > WORKER_LAYOUT_THRESHOLD;
+  const partitionStats = LAYOUTS[layoutKind].partition && statsReady ? treeStats : null;
+  const layoutOptions = useMemo(() => {
+    const absOf = (rel) => [...focusPathIdxs, ...rel];
+    const deepWeight = (absPath) => {
+      const st = partitionStats?.stats.get(pathKey(absPath));
+      return (partitionSize === "value" ? st?.value : st?.requirementsDeep) ?? 0;
+    };
+    // Partition weights: own amount for inner view nodes, whole hidden subtree for view leaves
+    const weightOf = (d) => {
+      if (d._aggregate) {
+        const parentRel = d._pathIdxs.slice(0, -1);
+        const count = asArray(getNodeByPathIdxs(focusedData, parentRel)?.children).length;
+        return d3.sum(d3.range(count - d._aggregate, count), (i) => deepWeight(absOf([...parentRel, i])));
+      }
+      if (!d.children) return deepWeight(absOf(d._pathIdxs));
+      const orig = getNodeByPathIdxs(focusedData, d._pathIdxs);
+      if (partitionSize === "value") return typeof orig?.value === "number" ? orig.value : 0;
+      return asArray(orig?.requirements).length;
+    };
+    const isCollapsed = (d) => collapsedKeys.has(pathKey(absOf(d._pathIdxs)));
+    return { width: dims.width, height: dims.height, weightOf, isCollapsed };
+  }, [focusedData, focusPathIdxs, dims.width, dims.height, partitionSize, partitionStats, collapsedKeys]);
+  const localLayout = useMemo(
+    () => (layoutInWorker ? null : computeLayout(layoutKind, viewData, layoutOptions)),
+    [layoutInWorker, layoutKind, viewData, layoutOptions]
+  );
+  const [workerLayout, setWorkerLayout] = useState(null); // { view, ...layout }
+  useEffect(() => {
+    if (!layoutInWorker) return undefined;
+    let live = true;
+    const weights = new Map();
+    const collapsed = new Set();
+    walkTree(viewData, (d) => {
+      const key = pathKey(d._pathIdxs);
+      if (LAYOUTS[layoutKind].partition) weights.set(key, layoutOptions.weightOf(d));
+      if (layoutOptions.isCollapsed(d)) collapsed.add(key);
+    });
+    const { width, height } = layoutOptions;
+    treeWorker.run("layout", { kind: layoutKind, view: viewData, width, height, weights, collapsed })
+      .then((result) => { if (live) setWorkerLayout({ view: viewData, ...hydrateLayout(viewData, result) }); })
+      .catch((e) => { if (live) console.error("Layout failed.", e); });
+    return () => { live = false; };
+  }, [layoutInWorker, layoutKind, viewData, layoutOptions, treeWorker.run]);
+  const { nodes, links, radius, bounds } = localLayout ?? (workerLayout?.view === viewData ? workerLayout : EMPTY_LAYOUT);
+
+  // Absolute pathKey of a laid-out node; stable identity for transitions
+  const nodeAbsKey = useCallback((n) => pathKey([...focusPathIdxs, ...n.data._pathIdxs]), [focusPathIdxs]);
+  // Layout switches and re-rooting both tween: nodes glide from where they were in the old window
+  const transitionKey = `${layoutKind}@${pathKey(focusPathIdxs)}`;
+  const { progress: layoutProgress, positionOf } = useNodeTransition(nodes, nodeAbsKey, transitionKey);
+
+  // 🎨 Visual encoding: node fill / radius / stroke and link width by attribute (see lib/encoding).
+  // Scales span the FULL tree; subtree attributes fill in once the worker statistics arrive.
+  const [encodingChannels, setEncodingChannels] = useState(initialLink.encoding);
+  const encoding = useMemo(
+    () => buildEncoding(rootData, encodingChannels, { stats: statsReady ? treeStats.stats : null }),
+    [rootData, encodingChannels, statsReady, treeStats]
+  );
+  const encodedNodes = useMemo(() => {
+    if (!Object.keys(encoding).length) return null;
+    return new Map(nodes.filter((n) => !n.data._aggregate).map((n) => {
+      const absPath = [...focusPathIdxs, ...n.data._pathIdxs];
+      return [n, encodeNode(encoding, getNodeByPathIdxs(rootData, absPath), absPath)];
+    }));
+  }, [encoding, nodes, focusPathIdxs, rootData]);
+  const encodedOf = (n) => encodedNodes?.get(n) ?? NO_ENCODING;
+  // Node marker circle, shared by the SVG and canvas renderers
+  const markerStyle = (n, isSelected) => {
+    const enc = encodedOf(n);
+    const ringSelection = !!enc.fill && isSelected; // an encoded fill can't turn blue, so the selection rings it
     return {
-      root: laidOut,
-      nodes: laidOut.descendants(),
-      links: laidOut.links(),
-      radius: r,
+      r: enc.radius ?? (n.children ? 4 : 3),
+      fill: enc.fill ?? (isSelected ? "#2563eb" : n.children ? "#111827" : "#6b7280"),
+      stroke: enc.stroke ?? (ringSelection ? "#1d4ed8" : null),
+      width: enc.stroke || ringSelection ? 2 : 0,
     };
-  }, [focusedData, dims.width, dims.height]);
+  };
+  const linkWidthOf = (l) => encodedOf(l.target).linkWidth ?? 1;
+  // Nodes outside the active filter (aggregates stand for unknown children, so they fade too)
+  const isFilteredOut = (n) => !!filterKeys && !filterKeys.matchKeys.has(nodeAbsKey(n));
+  const linkOpacityOf = (l) => (isFilteredOut(l.target) ? FILTER_DIM_OPACITY : 1);
+
+  const toggleCollapsed = (n) => {
+    const key = nodeAbsKey(n);
+    setCollapsedKeys((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  // Rebuilding the window replaces every node, so re-resolve the selection afterwards
+  const keepSelection = () => {
+    if (selectedAbsPath) pendingSelectAbsPathRef.current = selectedAbsPath;
+  };
+  const toggleExpanded = (n) => {
+    const key = nodeAbsKey(n);
+    keepSelection();
+    setExpandedKeys((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+  const changeDepthLimit = (limit) => {
+    keepSelection();
+    setDepthLimit(limit);
+  };
+  const changeRenderer = (kind) => {
+    keepSelection(); // the node-count guard differs per renderer, so the window is rebuilt
+    setRenderer(kind);
+  };
 
   // Unified focus helper used by double‑click, button, and breadcrumb
   const focusAtNodeData = (nodeData) => {
@@ -231,6 +690,184 @@ export default function RadialTreeExplorer({ data = sampleData, fitViewport = tr
     setFocusPathIdxs(absPath);
     setSelectedNode(null);
   };
+  // Focus the parent of `absPath` and select the node itself once it is laid out
+  const selectAtAbsPath = (absPath = []) => {
+    pendingSelectAbsPathRef.current = absPath;
+    setFocusPathIdxs(absPath.slice(0, -1));
+  };
+
+  // Resolve a pending selection (set by focus/jump helpers) against the new layout
+  useEffect(() => {
+    const pending = pendingSelectAbsPathRef.current;
+    if (!pending) return;
+    pendingSelectAbsPathRef.current = null;
+    const rel = pending.slice(focusPathIdxs.length);
+    setSelectedNode(nodes.find((n) => samePath(n.data._pathIdxs, rel)) ?? null);
+  }, [nodes, focusPathIdxs]);
+
+  // 🔎 Search over the FULL data (not just the visible window)
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchFacets, setSearchFacets] = useState({});
+  const searchIdx = useMemo(() => buildSearchIndex(rootData), [rootData]);
+  const facetValues = useMemo(() => collectFacetValues(searchIdx), [searchIdx]);
+  const searchResult = useMemo(
+    () => searchIndex(searchIdx, searchQuery, searchFacets),
+    [searchIdx, searchQuery, searchFacets]
+  );
+  const searchHits = searchResult.hits;
+  const searchHighlight = useMemo(() => searchHighlightKeys(searchHits), [searchHits]);
+
+  // 🟢 Coverage roll-up over the FULL tree ("off" | key of COVERAGE_DIMENSIONS)
+  const [coverageMode, setCoverageMode] = useState("off");
+  const coverage = statsReady ? treeStats.coverage : NO_COVERAGE;
+  const coverageArc = useMemo(
+    () => d3.arc().innerRadius(COVERAGE_RING.inner).outerRadius(COVERAGE_RING.outer),
+    []
+  );
+
+  // 🧾 Baseline diff: current model vs an earlier version (matched by ids, see lib/diff)
+  const [baseline, setBaseline] = useState(null); // { data, label }
+  const [baselineError, setBaselineError] = useState(null);
+  const diff = useMemo(() => (baseline ? diffDatasets(rootData, baseline.data) : null), [rootData, baseline]);
+  const loadBaselineFile = async (file) => {
+    const result = await loadDatasetFromFile(file);
+    if (!result.data) {
+      setBaselineError(`${file.name}: ${result.errors[0]?.message ?? "could not be read."}`);
+      return;
+    }
+    setBaselineError(null);
+    setBaseline({ data: result.data, label: file.name });
+  };
+
+  // 🔌 Interface connectivity: pairs from the FULL data, projected onto the visible window
+  const [showInterfaces, setShowInterfaces] = useState(false);
+  const [hoveredRelKey, setHoveredRelKey] = useState(null);
+  // Hover cards summarize the FULL node under the pointer (see lib/nodeSummary)
+  const [showHoverCards, setShowHoverCards] = useState(() => loadPreference("hoverCards", "on") === "on");
+  const toggleHoverCards = () => {
+    savePreference("hoverCards", showHoverCards ? "off" : "on");
+    setShowHoverCards(!showHoverCards);
+  };
+  const hoverCardRef = useRef(null);
+  const [selectedInterface, setSelectedInterface] = useState(null);
+  const ifcIndex = useMemo(() => buildInterfaceIndex(rootData), [rootData]);
+  const ifcPairs = useMemo(() => interfacePairs(ifcIndex), [ifcIndex]);
+  const nodeByRelKey = useMemo(() => new Map(nodes.map((n) => [pathKey(n.data._pathIdxs), n])), [nodes]);
+  const viewIfcPairs = useMemo(
+    () => (showInterfaces ? projectPairsToView(ifcPairs, focusPathIdxs, new Set(nodeByRelKey.keys())) : []),
+    [showInterfaces, ifcPairs, focusPathIdxs, nodeByRelKey]
+  );
+  const hoverPartners = useMemo(() => {
+    const out = new Set();
+    if (!hoveredRelKey) return out;
+    for (const p of viewIfcPairs) {
+      if (pathKey(p.aRel) === hoveredRelKey) out.add(pathKey(p.bRel));
+      else if (pathKey(p.bRel) === hoveredRelKey) out.add(pathKey(p.aRel));
+    }
+    return out;
+  }, [viewIfcPairs, hoveredRelKey]);
+
+  // 🧬 Requirement derivation (derivedFrom / satisfies, see lib/derivation): trace links between
+  // the owning nodes, and the downstream impact of changing one requirement
+  const [showTraces, setShowTraces] = useState(false);
+  const derivationIndex = useMemo(() => buildDerivationIndex(rootData), [rootData]);
+  const viewTraceLinks = useMemo(
+    () => (showTraces ? traceLinksInView(derivationIndex, focusPathIdxs, new Set(nodeByRelKey.keys())) : []),
+    [showTraces, derivationIndex, focusPathIdxs, nodeByRelKey]
+  );
+  const [impactReqId, setImpactReqId] = useState(null);
+  const impact = useMemo(
+    () => (impactReqId && derivationIndex.reqs.has(impactReqId) ? impactAnalysis(derivationIndex, impactReqId) : null),
+    [derivationIndex, impactReqId]
+  );
+
+  // 📋 Traceability matrix of the focused subtree (FULL data), shown under the tree
+  const [showMatrix, setShowMatrix] = useState(false);
+  const traceMatrix = useMemo(
+    () => (showMatrix ? buildTraceMatrix(rootData, focusPathIdxs) : null),
+    [showMatrix, rootData, focusPathIdxs]
+  );
+
+  // 🩺 Model health: lint rules over the FULL tree. The built-ins run in the worker; host
+  // `lintRules` carry functions that can't be posted, so they run inline and are merged in.
+  const [showLint, setShowLint] = useState(false);
+  const [lintConfig, setLintConfig] = useState({}); // ruleId → { enabled, severity, options }
+  const [lintRun, setLintRun] = useState(null); // { root, config, findings } of the built-ins
+  useEffect(() => {
+    if (!showLint) return undefined;
+    let live = true;
+    treeWorker.run("lint", { root: rootData, config: lintConfig, now: Date.now() })
+      .then((findings) => { if (live) setLintRun({ root: rootData, config: lintConfig, findings }); })
+      .catch((e) => { if (live) console.error("Model lint failed.", e); });
+    return () => { live = false; };
+  }, [showLint, rootData, lintConfig, treeWorker.run]);
+  const allLintRules = useMemo(() => [...LINT_RULES, ...(lintRules ?? [])], [lintRules]);
+  const lintFindings = useMemo(() => {
+    if (!showLint || lintRun?.root !== rootData || lintRun.config !== lintConfig) return null;
+    if (!lintRules?.length) return lintRun.findings;
+    return sortFindings([...lintRun.findings, ...lintTree(rootData, { rules: lintRules, config: lintConfig })]);
+  }, [showLint, lintRun, rootData, lintConfig, lintRules]);
+  const lintByNode = useMemo(() => (lintFindings ? summarizeLint(lintFindings).byNode : null), [lintFindings]);
+
+  // 📂 Swap in a new dataset and reset every piece of view state tied to the old one
+  const loadDataset = (obj, label, origin = null) => {
+    pendingSelectAbsPathRef.current = null;
+    const next = safeClone(obj);
+    setRootData(next);
+    setSavedData(next);
+    editHistory.clear();
+    setEditError(null);
+    setDatasetLabel(label);
+    setDatasetOrigin(origin);
+    setFingerprint(origin ? serverFingerprint(origin.name) : datasetFingerprint(label, next));
+    setSaveConflict(null);
+    setRemoteChange(null);
+    setLoadErrors([]);
+    setFocusPathIdxs([]);
+    setSelectedNode(null);
+    setSearchQuery("");
+    setSearchFacets({});
+    setShowAllReqs(false);
+    setSelectedInterface(null);
+    setHoveredRelKey(null);
+    setCollapsedKeys(new Set());
+    setExpandedKeys(new Set());
+    setSelectedReqId(null);
+    setWorkspaceNotice(null);
+  };
+
+  // Loading another dataset throws edits away; ask first when they are unsaved
+  const confirmDiscard = () => !dirty || window.confirm("Discard unsaved edits to the current model?");
+
+  const applyLoadResult = (result, label) => {
+    if (!result.data) setLoadErrors(result.errors);
+    else if (confirmDiscard()) loadDataset(result.data, label);
+  };
+
+  // Pick up a new `data` prop instead of holding on to the first one forever
+  const lastParsedRef = useRef(parsed);
+  useEffect(() => {
+    if (lastParsedRef.current === parsed) return;
+    lastParsedRef.current = parsed;
+    loadDataset(parsed, "data prop");
+  }, [parsed]);
+
+  // Imported CSV/ReqIF trees go through the same coercion + schema check as JSON files
+  const applyImported = (obj, label) => {
+    const coerced = coerceHierarchyInput(obj);
+    const errors = validateDataset(coerced);
+    setImportFile(null);
+    applyLoadResult({ data: errors.length ? null : coerced, errors }, label);
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    const file = e.dataTransfer?.files?.[0];
+    if (!file) return;
+    if (/\.json$/i.test(file.name)) applyLoadResult(await loadDatasetFromFile(file), file.name);
+    else setImportFile(file);
+  };
 
   // 🔍 Initialize zoom/pan and respect `radius`
   useEffect(() => {
@@ -247,57 +884,189 @@ export default function RadialTreeExplorer({ data = sampleData, fitViewport = tr
       // If lockCenter is enabled, ignore pan (x/y) but keep zoom (k)
       const t = lockCenter ? d3.zoomIdentity.scale(event.transform.k) : event.transform;
       g.attr("transform", `translate(${cx},${cy}) ${t}`);
+      zoomTransformRef.current = t;
+      if (event.sourceEvent) linkedZoomRef.current = null; // the user took over from a linked zoom
+      drawCanvasRef.current?.();
+      minimapSyncRef.current?.(t);
+      // the card would drift off its node; it comes back with the next hover
+      if (event.sourceEvent && hoverCardRef.current) hoverCardRef.current.style.visibility = "hidden";
+      persistZoom();
+      callbacksRef.current.onZoom?.({ k: t.k, x: t.x, y: t.y });
     };
 
-    // Estimate drawable bounds (circle of radius `radius` plus label padding)
-    const labelPadMax = LABEL_RADIAL_PAD_BASE + LABEL_RADIAL_PAD_EXTRA + 20; // safety margin
-    const contentR = radius + labelPadMax;
-
     const zoom = d3
       .zoom()
-      .scaleExtent([0.4, 4])
+      .scaleExtent(ZOOM_SCALE_EXTENT)
       .extent([[0, 0], [dims.width, dims.height]])
-      .translateExtent([[cx - contentR, cy - contentR], [cx + contentR, cy + contentR]])
-      // Ignore double-click so it doesn't trigger zoom; we handle dblclick for focus ourselves
-      .filter((event) => event.type !== "dblclick")
+      .translateExtent([
+        [cx + bounds.x0 - FIT_PAD, cy + bounds.y0 - FIT_PAD],
+        [cx + bounds.x1 + FIT_PAD, cy + bounds.y1 + FIT_PAD],
+      ])
+      // Ignore double-click so it doesn't trigger zoom; we handle dblclick for focus ourselves.
+      // In edit mode nodes are drag handles, so only wheel-zoom starts on them.
+      .filter((event) => event.type !== "dblclick" && (event.type === "wheel" || !event.target.closest?.("[data-drag-handle]")))
       .on("zoom", zoomed);
 
     svg.call(zoom);
+    zoomBehaviorRef.current = zoom;
     // Also remove the built-in dblclick zoom handler for extra safety
     svg.on("dblclick.zoom", null);
 
-    // Reset to identity transform when dependencies change
-    svg.transition().duration(300).call(zoom.transform, d3.zoomIdentity);
+    // A new focus starts at the identity transform (or at the zoom a deep link asked for); a
+    // resize or a change of extent under the same focus keeps the current zoom
+    const focusKey = pathKey(focusPathIdxs);
+    const linked = linkedZoomRef.current;
+    if (linked && linked.focusKey === focusKey) {
+      svg.call(zoom.transform, d3.zoomIdentity.translate(linked.t.x, linked.t.y).scale(linked.t.k));
+    } else if (zoomFocusKeyRef.current === focusKey) {
+      svg.call(zoom.transform, zoomTransformRef.current);
+    } else {
+      svg.transition().duration(300).call(zoom.transform, d3.zoomIdentity);
+    }
+    zoomFocusKeyRef.current = focusKey;
 
     return () => svg.on("zoom", null);
-  }, [focusedData, dims.width, dims.height, radius, lockCenter]);
+    // Keyed on focus and extent values (not the data) so edits don't reset the zoom
+  }, [focusPathIdxs, dims.width, dims.height, bounds.x0, bounds.y0, bounds.x1, bounds.y1, lockCenter]);
+
+  const linkPath = linkPathFor(layoutKind);
+  // Hierarchical edge bundling: route through the tree path between two nodes (any layout)
+  const bundlePath = d3.line().curve(d3.curveBundle.beta(0.85));
+  const isPartition = !!LAYOUTS[layoutKind].partition;
+  const branchColor = d3.scaleOrdinal(d3.schemeTableau10);
+  // Partition fill: hue from the top-level branch, lighter with depth
+  const partitionFill = (n) => {
+    if (n.depth === 0) return "#f3f4f6";
+    const top = n.ancestors().find((a) => a.depth === 1);
+    return d3.interpolateRgb(branchColor(top.data.name), "#ffffff")(Math.min(0.7, (n.depth - 1) * 0.25));
+  };
+  const partitionArc = d3.arc();
+  const fitLabel = (name, maxChars) => {
+    const s = String(name ?? "");
+    if (maxChars < 3) return "";
+    return s.length > maxChars ? `${s.slice(0, maxChars - 1)}…` : s;
+  };
 
-  // Helpers to convert polar (angle, radius) to Cartesian
-  const radialPoint = (x, y) => [
-    Math.cos(x - Math.PI / 2) * y,
-    Math.sin(x - Math.PI / 2) * y,
-  ];
+  // Sunburst / icicle shape colors and the label that fits inside the shape ("" when none does)
+  const partitionShape = (n) => {
+    const isSelected = !!selectedNode && selectedNode.data === n.data;
+    const diffStatus = diff?.byKey.get(nodeAbsKey(n))?.status;
+    const enc = encodedOf(n);
+    return {
+      fill: enc.fill ?? partitionFill(n),
+      stroke: isSelected ? "#2563eb" : diffStatus ? DIFF_STATUSES[diffStatus].color : enc.stroke ?? "#ffffff",
+      width: isSelected || diffStatus || enc.stroke ? 2 : 1,
+    };
+  };
+  const partitionLabel = (n) => {
+    const label = `${n.data.name}${n.data._hasHidden ? " …" : ""}`;
+    if (n.rect) return n.rect.h >= 12 ? fitLabel(label, Math.floor((n.rect.w - 8) / 6.5)) : "";
+    if (n.depth === 0) return fitLabel(label, Math.floor((n.arc.outerRadius * 2 - 8) / 6.5));
+    const roomy = (n.arc.endAngle - n.arc.startAngle) * ((n.arc.innerRadius + n.arc.outerRadius) / 2) > 12;
+    return roomy ? fitLabel(label, Math.floor((n.arc.outerRadius - n.arc.innerRadius - 6) / 6.5)) : "";
+  };
 
-  const linkPath = d3.linkRadial().angle((d) => d.x).radius((d) => d.y);
+  // Clickable "…" (open a branch past the window) / "−" (close it again) after a node label
+  const branchMarker = (n) => {
+    if (!n.data._hasHidden && !n.data._expanded) return null;
+    return (
+      <tspan
+        fill="#2563eb"
+        className="cursor-pointer"
+        onClick={(e) => { e.stopPropagation(); toggleExpanded(n); }}
+        onDoubleClick={(e) => e.stopPropagation()}
+      >
+        {n.data._hasHidden ? " …" : " −"}
+      </tspan>
+    );
+  };
 
-  // Single vs double click handling
-  const clickTimeout = useRef(null);
+  // Per-node overlay state shared by the SVG and canvas renderers
+  const nodeState = (n) => {
+    const absKey = nodeAbsKey(n);
+    const relKey = pathKey(n.data._pathIdxs);
+    const isHit = searchHighlight.hitKeys.has(absKey);
+    const coverageOn = coverageMode !== "off";
+    const nodeDiff = diff?.byKey.get(absKey);
+    return {
+      absKey,
+      relKey,
+      isSelected: !!selectedNode && selectedNode.data === n.data,
+      isHit,
+      isHitAncestor: !isHit && searchHighlight.ancestors.has(absKey),
+      coverageOn,
+      rollup: coverageOn ? coverage.get(absKey) : null,
+      isIfcPartner: hoverPartners.has(relKey),
+      isDropTarget: !!dragPreview?.targetAbs && pathKey(dragPreview.targetAbs) === absKey,
+      nodeDiff,
+      hasChangesBelow: !!nodeDiff && !nodeDiff.status && churnTotal(nodeDiff.subtree) > 0,
+      lintBadge: lintByNode?.get(absKey) ?? null,
+      commentCount: commentCount(commentsByNode.get(absKey)),
+      isFilteredOut: isFilteredOut(n),
+      isImpacted: !!impact?.nodeKeys.has(absKey),
+    };
+  };
+  // Count shown in a node's lint / comment badge, and how the badges are read out
+  const badgeText = (count) => (count > 99 ? "99+" : String(count));
+  const lintBadgeLabel = (badge) => (badge ? `, ${badge.count} lint finding${badge.count === 1 ? "" : "s"}` : "");
+  const commentBadgeLabel = (count) => (count ? `, ${count} ${commentsOpenOnly ? "open " : ""}comment${count === 1 ? "" : "s"}` : "");
+  // What a host `renderNode` gets for one node (SVG renderer only)
+  const renderContext = (n, selected, children) => {
+    const [node, { id, path }] = nodeEvent([...focusPathIdxs, ...n.data._pathIdxs]);
+    return { node, id, path, depth: n.depth, layout: layoutKind, selected, children };
+  };
+  // Polar labels sit just outside the node, pushed further near the top and bottom
+  const polarLabelAnchor = (n) => horizontalLabelAnchor(n.x, LABEL_PAD);
+
+  // 🏷️ Collision-aware polar labels (see lib/labels): crowded rings read radially and are
+  // staggered, truncated or thinned out. The nodes in play always show their full name.
+  const labelPlacement = useMemo(() => {
+    if (!LAYOUTS[layoutKind].polar || isPartition) return null;
+    return placePolarLabels(nodes, {
+      textOf: (n) => n.data.name ?? "",
+      isRadial: (n) => n.depth >= depthLimit,
+      pad: LABEL_PAD,
+      viewport: dims,
+    });
+  }, [nodes, layoutKind, isPartition, depthLimit, dims]);
+  // Pointer hover re-renders the tree, so it is only tracked when something shows it; a hovered
+  // node's placed label is pinned in full, which is the only way to read a truncated or hidden one
+  const trackHover = showHoverCards || showInterfaces || !!onHover || !!labelPlacement;
+  // `{ text, radial, shift, hidden }` of a polar label; `pinned` labels are shown in full
+  const polarLabel = (n, pinned) => {
+    const placed = labelPlacement?.get(n);
+    if (!placed) return { text: n.data.name, radial: false, shift: 0, hidden: false };
+    return pinned ? { ...placed, text: n.data.name, hidden: false } : placed;
+  };
+  // Radial labels run outward along the node's ray, flipped on the left half so they read upright
+  const radialLabelGeometry = (n, shift) => {
+    const isLeft = n.x >= Math.PI;
+    const dist = LABEL_RADIAL_PAD_BASE + shift;
+    return { isLeft, dist, angle: n.x - Math.PI / 2 + (isLeft ? Math.PI : 0) };
+  };
 
-  const handleNodeClick = (node) => {
-    if (clickTimeout.current) {
-      clearTimeout(clickTimeout.current);
-      clickTimeout.current = null;
+  // Drop-target marker for every real node; in edit mode nodes are also drag handles
+  const dragProps = (n) => (n.data._aggregate ? {} : {
+    "data-node-key": nodeAbsKey(n),
+    ...(editMode ? { "data-drag-handle": "", onPointerDown: (e) => startNodeDrag(e, n) } : {}),
+  });
+
+  // "+N more" stands in for sampled-away children: open its parent as the new root instead
+  const openAggregate = (node) => focusAtAbsPath([...focusPathIdxs, ...node.data._pathIdxs.slice(0, -1)]);
+
+  // Clicks select straight away; the second click of a double-click is left to re-rooting,
+  // which keeps the selection anyway
+  const handleNodeClick = (node, event) => {
+    if (node.data._aggregate) {
+      openAggregate(node);
+      return;
     }
-    clickTimeout.current = setTimeout(() => {
-      setSelectedNode(node);
-    }, 180);
+    if (event?.detail > 1) return;
+    setSelectedNode(node);
   };
 
   const handleNodeDoubleClick = (node) => {
-    if (clickTimeout.current) {
-      clearTimeout(clickTimeout.current);
-      clickTimeout.current = null;
-    }
+    if (node?.data?._aggregate) return;
     focusAtNodeData(node?.data);
   };
 
@@ -337,25 +1106,938 @@ export default function RadialTreeExplorer({ data = sampleData, fitViewport = tr
     ? originalSelected.children.length
     : 0;
 
-  const originalTotalValue = useMemo(() => (
-    originalSelected ? sumValuesDeep(originalSelected) : null
-  ), [originalSelected]);
+  // Subtree aggregates from the worker (null while they are being recomputed)
+  const selectedStats = statOf(selectedAbsPath);
 
-  const originalLeafCount = useMemo(() => (
-    originalSelected ? countLeavesDeep(originalSelected) : 0
-  ), [originalSelected]);
+  const selectedCoverage = selectedAbsPath ? coverage.get(pathKey(selectedAbsPath)) : null;
 
   // Domain-specific side panel data (from FULL node)
   const originalRequirements = useMemo(() => asArray(originalSelected?.requirements), [originalSelected]);
+  // What the (read-only) requirement list shows: the requirements that satisfy an active filter
+  const requirementFilter = activeFilter?.scopes.req ? activeFilter : null;
+  const listedRequirements = useMemo(
+    () => (requirementFilter ? originalRequirements.filter((r) => matchesRequirement(requirementFilter, originalSelected, r)) : originalRequirements),
+    [requirementFilter, originalRequirements, originalSelected]
+  );
   const originalBlocks = useMemo(() => asArray(originalSelected?.relatedSystemBlocks), [originalSelected]);
   const originalMeta = originalSelected?.metadata ?? null;
 
-  const [showAllReqs, setShowAllReqs] = useState(false);
+  const [showAllReqs, setShowAllReqs] = useState(initialLink.showAllReqs);
   const maxPreview = 6;
 
+  // A highlighted requirement (deep-linkable) only makes sense on the node that holds it
+  const [selectedReqId, setSelectedReqId] = useState(initialLink.req ?? null);
+  useEffect(() => {
+    if (!selectedReqId || !originalSelected) return;
+    const index = originalRequirements.findIndex((r) => r.reqId === selectedReqId);
+    if (index < 0) setSelectedReqId(null);
+    else if (index >= maxPreview) setShowAllReqs(true);
+  }, [selectedReqId, originalSelected, originalRequirements]);
+  useEffect(() => {
+    if (selectedReqId) document.getElementById(`req-${selectedReqId}`)?.scrollIntoView?.({ block: "nearest" });
+  }, [selectedReqId, selectedNode]);
+
+  // ⌨️ Keyboard navigation. The nodes layer is a WAI-ARIA tree with one tab stop (roving
+  // tabindex): the last node moved to, else the selection, else the view root.
+  const [activeKey, setActiveKey] = useState(null); // absolute pathKey
+  const [focusRingVisible, setFocusRingVisible] = useState(false);
+  const pointerFocusRef = useRef(false); // focus came from a click: no ring
+  const keyboardMovedRef = useRef(false); // move DOM focus to the tab stop after the next render
+  const nodeByAbsKey = useMemo(() => new Map(nodes.map((n) => [nodeAbsKey(n), n])), [nodes, nodeAbsKey]);
+  const tabStopKey = [activeKey, selectedAbsPath && pathKey(selectedAbsPath), pathKey(focusPathIdxs)]
+    .find((key) => typeof key === "string" && nodeByAbsKey.has(key)) ?? (nodes[0] ? nodeAbsKey(nodes[0]) : null);
+  useEffect(() => {
+    if (!keyboardMovedRef.current || tabStopKey === null) return;
+    keyboardMovedRef.current = false;
+    const el = svgRef.current?.querySelector(`[data-tree-key="${tabStopKey}"]`);
+    if (el && document.activeElement !== el) el.focus();
+  }, [tabStopKey, nodes]);
+
+  const moveTo = (n) => {
+    keyboardMovedRef.current = true;
+    setActiveKey(nodeAbsKey(n));
+    if (useCanvas) {
+      // no treeitems to focus on canvas, so say where the keyboard is
+      const aria = treeItemAria(n, focusPathIdxs.length);
+      setAnnouncement(`${n.data.name}, level ${aria["aria-level"]}, ${aria["aria-posinset"]} of ${aria["aria-setsize"]}`);
+    }
+  };
+  const zoomBy = (factor) => {
+    linkedZoomRef.current = null;
+    d3.select(svgRef.current).transition().duration(200).call(zoomBehaviorRef.current.scaleBy, factor);
+  };
+  const panBy = (dx, dy) => {
+    const k = zoomTransformRef.current.k;
+    linkedZoomRef.current = null;
+    d3.select(svgRef.current).call(zoomBehaviorRef.current.translateBy, dx / k, dy / k);
+  };
+
+  const handleTreeKeyDown = (e) => {
+    const n = nodeByAbsKey.get(tabStopKey);
+    if (!n || e.altKey || e.ctrlKey || e.metaKey) return;
+    const move = NAV_KEYS[e.key];
+    if (e.shiftKey && PAN_STEPS[e.key]) {
+      panBy(PAN_STEPS[e.key][0] * KEY_PAN_STEP, PAN_STEPS[e.key][1] * KEY_PAN_STEP);
+    } else if (move) {
+      const target = moveTarget(n, move);
+      if (target) moveTo(target);
+      else if (move === "child" && n.data._hasHidden) toggleExpanded(n);
+      else if (move === "child" && n.collapsedChildren) toggleCollapsed(n);
+    } else if (e.key === "Enter" || e.key === " ") {
+      if (n.data._aggregate) {
+        moveTo(n.parent);
+        openAggregate(n);
+      } else if (e.shiftKey) {
+        moveTo(n);
+        focusAtNodeData(n.data);
+      } else {
+        setSelectedNode(n);
+      }
+    } else if (e.key === "Backspace") {
+      if (!focusPathIdxs.length) return;
+      keepSelection();
+      keyboardMovedRef.current = true;
+      setFocusPathIdxs(focusPathIdxs.slice(0, -1));
+    } else if (e.key === "+" || e.key === "=") {
+      zoomBy(1.25);
+    } else if (e.key === "-" || e.key === "_") {
+      zoomBy(0.8);
+    } else if (e.key === "0") {
+      linkedZoomRef.current = null;
+      d3.select(svgRef.current).transition().duration(200).call(zoomBehaviorRef.current.transform, d3.zoomIdentity);
+    } else if (e.key === "Escape") {
+      setSelectedNode(null);
+    } else {
+      return;
+    }
+    e.preventDefault();
+    pointerFocusRef.current = false;
+    setFocusRingVisible(true);
+  };
+  const treeFocusProps = {
+    onKeyDown: handleTreeKeyDown,
+    onPointerDown: () => { pointerFocusRef.current = true; },
+    onFocus: () => setFocusRingVisible(!pointerFocusRef.current),
+    onBlur: (e) => {
+      if (e.currentTarget.contains(e.relatedTarget)) return;
+      pointerFocusRef.current = false;
+      setFocusRingVisible(false);
+    },
+  };
+
+  // 📣 Screen-reader announcements, once focus and selection have settled (re-rooting
+  // resolves the selection a render later)
+  const [announcement, setAnnouncement] = useState("");
+  const announcedRef = useRef({ focus: pathKey(focusPathIdxs), selected: null });
+  useEffect(() => {
+    const focusKey = pathKey(focusPathIdxs);
+    const selectedKey = selectedAbsPath ? pathKey(selectedAbsPath) : null;
+    const parts = [];
+    if (selectedKey === null) announcedRef.current.selected = null; // re-selecting a node announces it again
+    if (focusKey !== announcedRef.current.focus) parts.push(`Showing ${focusedData?.name ?? "root"}.`);
+    if (originalSelected && selectedKey !== announcedRef.current.selected) {
+      if (!selectedStats) return; // wait for the subtree counts
+      const own = selectedStats.requirements;
+      parts.push(`${originalSelected.name ?? "Node"} selected: ${own} requirement${own === 1 ? "" : "s"}, ${selectedStats.requirementsDeep} in subtree.`);
+    }
+    if (!parts.length) return;
+    const timer = setTimeout(() => {
+      announcedRef.current = { focus: focusKey, selected: selectedKey };
+      setAnnouncement(parts.join(" "));
+    }, 100);
+    return () => clearTimeout(timer);
+  }, [focusPathIdxs, focusedData, selectedAbsPath, originalSelected, selectedStats]);
+
+  // 🖼️ Canvas renderer: the same scene painted into one <canvas> under the (then node-less)
+  // svg, which keeps handling zoom/pan; clicks and hovers are hit-tested against the layout.
+  const canvasRef = useRef(null);
+  const canvasStyleOf = (n) => {
+    const st = nodeState(n);
+    const k = zoomTransformRef.current.k;
+    const rings = [];
+    if (st.isIfcPartner) rings.push({ r: COVERAGE_RING.outer + 2, fill: "#e0e7ff", stroke: "#4338ca", width: 1.5 });
+    if (st.isHit || st.isHitAncestor) {
+      rings.push({
+        r: (st.isHit ? 8 : 6) + (st.coverageOn ? COVERAGE_RING.outer - 3 : 0),
+        fill: st.isHit && !st.coverageOn ? "#fde68a" : null,
+        stroke: "#f59e0b",
+        width: st.isHit ? 2 : 1.5,
+      });
+    }
+    const segments = st.rollup?.total > 0 ? coverageSegments(st.rollup, coverageMode) : [];
+    if (st.coverageOn && !segments.length) {
+      rings.push({ r: (COVERAGE_RING.inner + COVERAGE_RING.outer) / 2, stroke: "#d1d5db", width: 1, dash: [2, 2] });
+    }
+    if (st.isImpacted) rings.push({ r: COVERAGE_RING.outer + 4, stroke: IMPACT_COLOR, width: 2 });
+    if (st.nodeDiff?.status) rings.push({ r: COVERAGE_RING.outer + 2, stroke: DIFF_STATUSES[st.nodeDiff.status].color, width: 2.5 });
+    if (st.hasChangesBelow) rings.push({ r: COVERAGE_RING.outer + 2, stroke: "#9ca3af", width: 1, dash: [2, 2] });
+    if (focusRingVisible && st.absKey === tabStopKey) {
+      rings.push({ r: COVERAGE_RING.outer + 6, stroke: "#2563eb", width: 2, dash: [4, 2] });
+    }
+
+    // Every label while few nodes are on screen, otherwise only the top tiers and the nodes in play
+    const showLabel = nodes.length / (k * k) <= CANVAS_LABEL_BUDGET
+      || n.depth <= 1 || st.isSelected || st.isHit || st.relKey === hoveredRelKey || st.absKey === tabStopKey;
+    const color = st.isSelected ? "#1d4ed8" : "#111827";
+    const text = `${n.data.name}${n.data._hasHidden ? " …" : ""}`;
+    let label = null;
+    if (isPartition) {
+      const fitted = partitionLabel(n);
+      if (n.arc && n.depth > 0) {
+        const mid = (n.arc.startAngle + n.arc.endAngle) / 2;
+        label = { text: fitted, align: "center", angle: mid - Math.PI / 2 + (mid < Math.PI ? 0 : Math.PI), font: "11px sans-serif" };
+      } else {
+        label = n.rect
+          ? { text: fitted, dx: n.rect.x + 4 - n.px, font: "11px sans-serif" }
+          : { text: fitted, align: "center", font: "11px sans-serif" };
+      }
+    } else if (showLabel && LAYOUTS[layoutKind].polar) {
+      const placed = polarLabel(n, st.isSelected || st.isHit || st.relKey === hoveredRelKey || st.absKey === tabStopKey);
+      const suffix = n.data._hasHidden ? " …" : "";
+      if (placed.radial && !placed.hidden) {
+        const { isLeft, dist, angle } = radialLabelGeometry(n, placed.shift);
+        const [ux, uy] = [Math.cos(n.x - Math.PI / 2), Math.sin(n.x - Math.PI / 2)];
+        label = { text: `${placed.text}${suffix}`, dx: ux * dist, dy: uy * dist, angle, align: isLeft ? "end" : "start", color };
+      } else if (!placed.hidden) {
+        const { isLeft, rx, ry, pad } = polarLabelAnchor(n);
+        label = { text: `${placed.text}${suffix}`, dx: rx * pad + (isLeft ? -4 : 4), dy: ry * pad, align: isLeft ? "end" : "start", color };
+      }
+    } else if (showLabel) {
+      label = { text, dx: 8, color };
+    }
+
+    return {
+      alpha: st.isFilteredOut ? FILTER_DIM_OPACITY : 1,
+      shape: isPartition ? partitionShape(n) : null,
+      rings,
+      segments,
+      segmentRadii: [COVERAGE_RING.inner, COVERAGE_RING.outer],
+      dot: isPartition ? null : markerStyle(n, st.isSelected),
+      label,
+      badges: [
+        st.lintBadge && { text: badgeText(st.lintBadge.count), fill: LINT_SEVERITIES[st.lintBadge.severity].color, dx: 7, dy: -7 },
+        st.commentCount > 0 && { text: badgeText(st.commentCount), fill: COMMENT_BADGE_COLOR, dx: -7, dy: -7 },
+      ].filter(Boolean),
+    };
+  };
+  const canvasScene = (dpr) => ({
+    width: dims.width,
+    height: dims.height,
+    dpr,
+    transform: zoomTransformRef.current,
+    nodes,
+    links,
+    linkPath,
+    linkWidth: encodedNodes ? linkWidthOf : null,
+    linkOpacity: filterKeys ? linkOpacityOf : null,
+    linkAlpha: 0.7 * layoutProgress,
+    edges: [
+      ...(showInterfaces ? viewIfcPairs.flatMap((p) => {
+        const a = nodeByRelKey.get(pathKey(p.aRel));
+        const b = nodeByRelKey.get(pathKey(p.bRel));
+        if (!a || !b) return [];
+        const touchesHover = hoveredRelKey && (pathKey(p.aRel) === hoveredRelKey || pathKey(p.bRel) === hoveredRelKey);
+        return [{
+          points: a.path(b).map(positionOf),
+          color: touchesHover ? "#4338ca" : "#6366f1",
+          alpha: touchesHover ? 0.9 : hoveredRelKey ? 0.08 : 0.3,
+          width: touchesHover ? 2 : 1.2,
+        }];
+      }) : []),
+      ...viewTraceLinks.flatMap((t) => {
+        const from = nodeByRelKey.get(pathKey(t.fromRel));
+        const to = nodeByRelKey.get(pathKey(t.toRel));
+        return from && to ? [{ points: from.path(to).map(positionOf), color: TRACE_COLOR, alpha: 0.6, width: 1.5, dash: [4, 3] }] : [];
+      }),
+    ],
+    positionOf,
+    styleOf: canvasStyleOf,
+  });
+  // Repainted after every render and on every zoom event (see the zoom effect)
+  const drawCanvasRef = useRef(null);
+  drawCanvasRef.current = () => {
+    const ctx = useCanvas ? canvasRef.current?.getContext("2d") : null;
+    if (ctx) drawScene(ctx, canvasScene(window.devicePixelRatio || 1));
+  };
+  useEffect(() => drawCanvasRef.current());
+
+  const hitTest = useMemo(() => (useCanvas ? createHitTester(nodes, (n) => [n.px, n.py]) : null), [useCanvas, nodes]);
+  const nodeAtPointer = (e) => {
+    if (!hitTest) return null;
+    return hitTest(d3.pointer(e, gRef.current), 8 / zoomTransformRef.current.k);
+  };
+  const canvasPointerProps = useCanvas ? {
+    onClick: (e) => {
+      const n = nodeAtPointer(e);
+      if (n) handleNodeClick(n, e);
+    },
+    onDoubleClick: (e) => {
+      const n = nodeAtPointer(e);
+      if (n) handleNodeDoubleClick(n);
+    },
+    onMouseMove: (e) => {
+      const n = nodeAtPointer(e);
+      const key = n ? pathKey(n.data._pathIdxs) : null;
+      if (key !== hoveredRelKey) setHoveredRelKey(key);
+    },
+    onMouseLeave: () => setHoveredRelKey(null),
+  } : {};
+
+  // 🔗 Keep the URL hash in sync with the view. Focus changes push a history entry (so
+  // back/forward step through re-rooting); everything else replaces the current one.
+  const zoomTransformRef = useRef(d3.zoomIdentity);
+  const zoomFocusKeyRef = useRef(null); // focus the zoom was last set up for
+  const minimapSyncRef = useRef(null); // see Minimap
+  const linkedZoomRef = useRef(initialLink.zoom ? { focusKey: pathKey(initialLink.focus), t: initialLink.zoom } : null);
+  const linkState = useMemo(() => {
+    const refAt = (absPath) => nodeRef(getNodeByPathIdxs(rootData, absPath), absPath);
+    return {
+      focus: focusPathIdxs.length ? refAt(focusPathIdxs) : null,
+      select: selectedAbsPath ? refAt(selectedAbsPath) : null,
+      req: selectedReqId,
+      layout: layoutKind !== "tree" ? layoutKind : null,
+      depth: depthLimit !== MAX_DEPTH ? depthLimit : null,
+      lock: lockCenter,
+    };
+  }, [rootData, focusPathIdxs, selectedAbsPath, selectedReqId, layoutKind, depthLimit, lockCenter]);
+  const linkStateRef = useRef(linkState);
+  linkStateRef.current = linkState;
+  const currentHash = () => encodeViewState({ ...linkStateRef.current, zoom: zoomTransformRef.current });
+  const urlFor = (hash) => `${window.location.pathname}${window.location.search}${hash}`;
+
+  const wroteUrlRef = useRef(false);
+  useEffect(() => {
+    if (!syncUrl) return;
+    const hash = currentHash();
+    const isFirst = !wroteUrlRef.current;
+    wroteUrlRef.current = true;
+    if (hash === window.location.hash) return;
+    const focusMoved = (decodeViewState(window.location.hash).focus ?? null) !== linkState.focus;
+    if (focusMoved && !isFirst) window.history.pushState(null, "", urlFor(hash));
+    else window.history.replaceState(null, "", urlFor(hash));
+  }, [syncUrl, linkState]);
+
+  // Zoom/pan fires continuously; write it to the URL and the saved session once things settle
+  const zoomWriteTimer = useRef(null);
+  const persistZoom = () => {
+    clearTimeout(zoomWriteTimer.current);
+    zoomWriteTimer.current = setTimeout(() => {
+      saveSessionRef.current();
+      if (!syncUrl) return;
+      const hash = currentHash();
+      if (hash !== window.location.hash) window.history.replaceState(null, "", urlFor(hash));
+    }, 250);
+  };
+  useEffect(() => () => clearTimeout(zoomWriteTimer.current), []);
+
+  // Back/forward (or an edited hash): apply the linked view without writing a new entry
+  const applyLink = (link) => {
+    const { focus, select } = resolveLinkPaths(rootData, link);
+    pendingSelectAbsPathRef.current = select;
+    setSelectedNode(null); // resolved again from `select` once the new window is laid out
+    if (select) setExpandedKeys((prev) => new Set([...prev, ...ancestorKeys(select)]));
+    linkedZoomRef.current = link.zoom ? { focusKey: pathKey(focus), t: link.zoom } : null;
+    setFocusPathIdxs(focus); // always a fresh array, so the selection and zoom are re-applied
+    setSelectedReqId(link.req ?? null);
+    setLayoutKind(link.layout ?? "tree");
+    setDepthLimit(link.depth ?? MAX_DEPTH);
+    setLockCenter(!!link.lock);
+  };
+  const applyLinkRef = useRef(applyLink);
+  applyLinkRef.current = applyLink;
+  useEffect(() => {
+    if (!syncUrl) return undefined;
+    const onPopState = () => applyLinkRef.current(decodeViewState(window.location.hash));
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [syncUrl]);
+
+  const [linkCopied, setLinkCopied] = useState(false);
+  const copyLink = async () => {
+    const url = `${window.location.origin}${urlFor(currentHash())}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 1500);
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  };
+
+  // 🗂️ Workspace: the view is saved as the dataset's last session and every selected node joins
+  // the recent list. Entries are resolved by ref, so they follow nodes that moved; entries whose
+  // node is gone stay listed, flagged, and say so when picked.
+  const { workspace, update: updateWorkspace, persisted: workspacePersisted } = workspaceStore;
+  const [workspaceNotice, setWorkspaceNotice] = useState(initialLink.notice);
+  const saveSessionRef = useRef(null);
+  saveSessionRef.current = () => {
+    const session = { hash: currentHash(), showAllReqs, encoding: encodingChannels, filter: filterState };
+    updateWorkspace((ws) => (JSON.stringify(ws.session) === JSON.stringify(session) ? ws : { ...ws, session }));
+  };
+  useEffect(() => {
+    saveSessionRef.current();
+  }, [linkState, showAllReqs, encodingChannels, filterState]);
+  const pushRecentRef = useRef(null);
+  pushRecentRef.current = (ref) => {
+    if (!ref || !selectedAbsPath) return;
+    const name = getNodeByPathIdxs(rootData, selectedAbsPath)?.name ?? ref;
+    updateWorkspace((ws) => pushRecent(ws, { ref, name }));
+  };
+  useEffect(() => {
+    pushRecentRef.current(linkState.select);
+  }, [linkState.select]);
+  const workspaceRefs = useMemo(() => resolveWorkspaceRefs(rootData, workspace), [rootData, workspace]);
+  const workspaceSelection = linkState.select && originalSelected ? { ref: linkState.select, name: originalSelected.name ?? linkState.select } : null;
+  const jumpToEntry = (entry) => {
+    const absPath = workspaceRefs.get(entry.ref);
+    if (!absPath) {
+      setWorkspaceNotice(`“${entry.label ?? entry.name}” (${entry.ref}) is no longer in this dataset.`);
+      return;
+    }
+    setWorkspaceNotice(null);
+    setSelectedReqId(null);
+    selectAbsPath(absPath);
+  };
+  // Pruning rebuilds the window, so the selection is re-resolved (and dropped if pruned away)
+  const changeFilter = (patch) => {
+    keepSelection();
+    setFilterState((prev) => ({ ...prev, ...patch }));
+  };
+
+  // 📊 Dashboard tab: statistics of the focused subtree, only computed while the tab is open. Each
+  // bar is a filter expression, so picking one dims the rest of the tree; picking it again clears it.
+  const [sideTab, setSideTab] = useState("details");
+  const dashboard = useMemo(() => (sideTab === "dashboard" ? computeDashboard(focusedData) : null), [sideTab, focusedData]);
+  const pickChartFilter = (expression) =>
+    changeFilter(filterState.expression === expression ? { expression: "" } : { expression, mode: "dim" });
+
+  // 💬 Review comments on nodes, requirements and blocks (see lib/comments). They are kept with
+  // the workspace and exchanged as a sidecar file; the model data itself is never touched.
+  const [reviewer, setReviewer] = useState(() => loadPreference("reviewer"));
+  const [commentsOpenOnly, setCommentsOpenOnly] = useState(false);
+  const [commentReport, setCommentReport] = useState(null); // outcome of the last import
+  const [commentTarget, setCommentTarget] = useState(null); // target key of the card showing its threads
+  const comments = workspace.comments;
+  const commentIndex = useMemo(() => indexComments(comments), [comments]);
+  const commentsByNode = useMemo(() => nodeCommentCounts(rootData, commentIndex), [rootData, commentIndex]);
+  const commentTotals = useMemo(() => ({ total: comments.length, open: comments.filter((c) => c.status === "open").length }), [comments]);
+  const commentCount = (counts) => (counts ? (commentsOpenOnly ? counts.open : counts.total) : 0);
+  const updateComments = (fn) => updateWorkspace((ws) => ({ ...ws, comments: fn(ws.comments) }));
+  const addComment = (target, text, parentId) => updateComments((list) => [...list, createComment({ target, author: reviewer, text, parentId })]);
+  const importComments = async (file) => {
+    try {
+      const { comments: incoming, errors } = parseCommentsFile(await readFileText(file));
+      // the report counts against the comments on screen; the update merges into the latest list
+      const { added, updated } = mergeComments(comments, incoming);
+      updateComments((list) => mergeComments(list, incoming).comments);
+      setCommentReport({ message: `${file.name}: ${added} new, ${updated} updated, ${incoming.length - added - updated} already here.`, errors });
+    } catch (e) {
+      setCommentReport({ message: `Could not read ${file.name}: ${e.message}`, errors: [] });
+    }
+  };
+  const exportComments = () => {
+    downloadText(serializeComments(comments), `${fileSlug(rootData?.name)}-comments.json`, "application/json");
+  };
+  const threadProps = (kind, ref, label) => ({
+    threads: commentIndex.threads.get(commentTargetKey(kind, ref)) ?? [],
+    openOnly: commentsOpenOnly,
+    label,
+    onAdd: (text) => addComment({ kind, ref }, text),
+    onReply: (rootId, text) => addComment({ kind, ref }, text, rootId),
+    onSetStatus: (rootId, status) => updateComments((list) => setThreadStatus(list, rootId, status)),
+  });
+  // 💬 toggle on a requirement / block card, showing its comment count
+  const commentToggle = (kind, ref) => {
+    const key = commentTargetKey(kind, ref);
+    const count = commentCount(commentIndex.counts.get(key));
+    return (
+      <button
+        type="button"
+        onClick={() => setCommentTarget((t) => (t === key ? null : key))}
+        aria-expanded={commentTarget === key}
+        className={`rounded-full border px-1.5 text-[11px] ${count ? "border-indigo-300 bg-indigo-50 text-indigo-700" : "text-gray-500 hover:bg-gray-50"}`}
+        title={count ? `${count} ${commentsOpenOnly ? "open " : ""}comment${count === 1 ? "" : "s"}` : "Comment"}
+      >
+        💬{count ? ` ${count}` : ""}
+      </button>
+    );
+  };
+
+  // 🎛️ Embedding API. Focus and selection are addressed by node ref (the node's `id`, else its
+  // `~` path, see lib/deepLink) and can be controlled by the host through `focusId` /
+  // `selectedId`; changes made in the explorer are reported with the full node either way.
+  const nodeEvent = (absPath) => (absPath
+    ? [getNodeByPathIdxs(rootData, absPath), { id: nodeRef(getNodeByPathIdxs(rootData, absPath), absPath), path: absPath }]
+    : [null, null]);
+  // Host refs in canonical form, so a `~` path and the id of the same node compare equal
+  const canonicalRef = useCallback((id) => {
+    const absPath = resolveNodeRef(rootData, id);
+    return absPath ? nodeRef(getNodeByPathIdxs(rootData, absPath), absPath) : id;
+  }, [rootData]);
+  const rootRef = nodeRef(rootData, []);
+  const focusValue = useMemo(
+    () => (focusId === undefined ? undefined : canonicalRef(focusId ?? rootRef)),
+    [focusId, canonicalRef, rootRef]
+  );
+  const selectedValue = useMemo(
+    () => (selectedId === undefined || selectedId === null ? selectedId : canonicalRef(selectedId)),
+    [selectedId, canonicalRef]
+  );
+
+  // Select a node anywhere in the tree: directly when it is on screen, by opening the branches
+  // above it when it is below the focus, else by re-rooting at its parent
+  const selectAbsPath = (absPath) => {
+    const inView = nodeByAbsKey.get(pathKey(absPath));
+    if (inView) {
+      setSelectedNode(inView);
+      return;
+    }
+    setSelectedNode(null); // resolved from the pending path once the node is laid out
+    if (isWithinPath(focusPathIdxs, absPath)) {
+      pendingSelectAbsPathRef.current = absPath;
+      setExpandedKeys((prev) => new Set([...prev, ...ancestorKeys(absPath)]));
+    } else {
+      selectAtAbsPath(absPath);
+    }
+  };
+  // Highlight a requirement on its owning node (trace chains, impact lists)
+  const jumpToRequirement = ({ reqId, absPath }) => {
+    setSelectedReqId(reqId);
+    selectAbsPath(absPath);
+  };
+  // "↑1 ↓3" for a requirement card: direct upstream / downstream trace links
+  const traceCountText = (reqId) => {
+    const up = derivationIndex.up.get(reqId)?.length ?? 0;
+    const down = derivationIndex.down.get(reqId)?.length ?? 0;
+    return up || down ? `↑${up} ↓${down}` : "";
+  };
+
+  const applyFocusId = (id) => {
+    const absPath = resolveNodeRef(rootData, id);
+    if (!absPath) return false;
+    if (selectedAbsPath && isWithinPath(absPath, selectedAbsPath)) keepSelection();
+    else setSelectedNode(null);
+    setFocusPathIdxs(absPath);
+    return true;
+  };
+  const applySelectedId = (id) => {
+    if (id === null) {
+      setSelectedNode(null);
+      return true;
+    }
+    const absPath = resolveNodeRef(rootData, id);
+    if (!absPath) return false;
+    selectAbsPath(absPath);
+    return true;
+  };
+
+  useControlledId({
+    value: focusValue,
+    current: linkState.focus ?? rootRef,
+    apply: applyFocusId,
+    onChange: () => callbacksRef.current.onFocusChange?.(...nodeEvent(focusPathIdxs)),
+  });
+  // Re-rooting and window rebuilds resolve the selection a render later; report it after that
+  const selectionSettled = !pendingSelectAbsPathRef.current
+    && (!selectedNode || nodeByAbsKey.get(nodeAbsKey(selectedNode)) === selectedNode);
+  useControlledId({
+    value: selectedValue,
+    current: linkState.select,
+    settled: selectionSettled,
+    apply: applySelectedId,
+    onChange: () => callbacksRef.current.onSelect?.(...nodeEvent(selectedAbsPath)),
+  });
+
+  // Hovered node, for the host (aggregates report as no node). Only hover changes report,
+  // so the focus and tree are read through a ref.
+  const reportHoverRef = useRef(null);
+  reportHoverRef.current = (relKey) => {
+    const handler = callbacksRef.current.onHover;
+    if (!handler) return;
+    const rel = relKey === null ? null : parsePathKey(relKey);
+    handler(...nodeEvent(rel && !rel.includes(-1) ? [...focusPathIdxs, ...rel] : null));
+  };
+  useEffect(() => {
+    reportHoverRef.current(hoveredRelKey);
+  }, [hoveredRelKey]);
+
+  // Centre a node at (at least) 2× zoom once it is laid out, revealing it first if needed
+  const pendingZoomRef = useRef(null); // absolute path
+  const [zoomRequest, setZoomRequest] = useState(0);
+  const zoomToAbsPath = (absPath) => {
+    pendingZoomRef.current = absPath;
+    setZoomRequest((r) => r + 1);
+    if (nodeByAbsKey.has(pathKey(absPath))) return;
+    if (isWithinPath(focusPathIdxs, absPath)) {
+      keepSelection();
+      setExpandedKeys((prev) => new Set([...prev, ...ancestorKeys(absPath)]));
+    } else {
+      applyFocusId(nodeRef(getNodeByPathIdxs(rootData, absPath.slice(0, -1)), absPath.slice(0, -1)));
+    }
+  };
+  useEffect(() => {
+    const absPath = pendingZoomRef.current;
+    const n = absPath && nodeByAbsKey.get(pathKey(absPath));
+    if (!n || !zoomBehaviorRef.current) return;
+    pendingZoomRef.current = null;
+    const k = Math.min(4, Math.max(2, zoomTransformRef.current.k));
+    const t = d3.zoomIdentity.translate(-k * n.px, -k * n.py).scale(k);
+    linkedZoomRef.current = { focusKey: pathKey(focusPathIdxs), t }; // survives the zoom effect re-running
+    d3.select(svgRef.current).transition().duration(300).call(zoomBehaviorRef.current.transform, t);
+  }, [nodeByAbsKey, zoomRequest, focusPathIdxs]);
+
+  // Card of the hovered node at its screen position (aggregates have no single node to show)
+  const hoverCard = (() => {
+    const n = showHoverCards && hoveredRelKey !== null ? nodeByRelKey.get(hoveredRelKey) : null;
+    if (!n || n.data._aggregate) return null;
+    const absPath = [...focusPathIdxs, ...n.data._pathIdxs];
+    const full = getOriginalFromPrunedNode(rootData, focusPathIdxs, n);
+    if (!full) return null;
+    const t = zoomTransformRef.current;
+    return {
+      summary: summarizeNode(full),
+      deepRequirements: statOf(absPath)?.requirementsDeep ?? null,
+      at: { x: dims.width / 2 + t.x + t.k * n.px, y: dims.height / 2 + t.y + t.k * n.py },
+    };
+  })();
+
+  // 🧭 Navigation: fit the whole window, zoom to the selection, and a minimap of the FULL tree
+  const fitAll = () => {
+    if (!zoomBehaviorRef.current) return;
+    linkedZoomRef.current = null;
+    const t = fitTransform(bounds, dims, { pad: FIT_PAD, scaleExtent: ZOOM_SCALE_EXTENT });
+    d3.select(svgRef.current).transition().duration(300).call(zoomBehaviorRef.current.transform, t);
+  };
+  const zoomToSelection = () => {
+    if (selectedAbsPath) zoomToAbsPath(selectedAbsPath);
+  };
+  const [showMinimap, setShowMinimap] = useState(() => loadPreference("minimap", "on") === "on");
+  const toggleMinimap = () => {
+    savePreference("minimap", showMinimap ? "off" : "on");
+    setShowMinimap(!showMinimap);
+  };
+  const minimap = useMemo(
+    () => (showMinimap ? minimapLayout(rootData, { radius: MINIMAP_SIZE / 2 - 8 }) : null),
+    [rootData, showMinimap]
+  );
+  const minimapAnchors = useMemo(() => {
+    if (!minimap) return [];
+    return nodes.map((n) => ({ node: minimapAnchor(minimap, [...focusPathIdxs, ...n.data._pathIdxs]), px: n.px, py: n.py }))
+      .filter((a) => a.node);
+  }, [minimap, nodes, focusPathIdxs]);
+  const minimapWindowKeys = useMemo(() => new Set(minimapAnchors.map((a) => a.node.key)), [minimapAnchors]);
+  // A node on screen is panned to at the current zoom; anything else is revealed and centred
+  const navigateToAbsPath = (absPath) => {
+    const n = nodeByAbsKey.get(pathKey(absPath));
+    if (!n) {
+      zoomToAbsPath(absPath);
+      return;
+    }
+    const k = zoomTransformRef.current.k;
+    linkedZoomRef.current = null;
+    d3.select(svgRef.current).transition().duration(300)
+      .call(zoomBehaviorRef.current.transform, d3.zoomIdentity.translate(-k * n.px, -k * n.py).scale(k));
+  };
+
+  // Imperative handle; every method takes a node ref and returns false when it does not resolve
+  const apiRef = useRef(null);
+  apiRef.current = {
+    focus: (id) => applyFocusId(id ?? rootRef),
+    select: (id) => applySelectedId(id ?? null),
+    zoomTo: (id) => {
+      const absPath = resolveNodeRef(rootData, id);
+      if (!absPath) return false;
+      zoomToAbsPath(absPath);
+      return true;
+    },
+    resetRoot: () => resetRoot(),
+    fitAll: () => fitAll(),
+    exportSvg: () => (useCanvas || !svgRef.current ? null : serializeSvg(svgRef.current, dims)),
+  };
+  useImperativeHandle(ref, () => ({
+    focus: (id) => apiRef.current.focus(id),
+    select: (id) => apiRef.current.select(id),
+    zoomTo: (id) => apiRef.current.zoomTo(id),
+    resetRoot: () => apiRef.current.resetRoot(),
+    fitAll: () => apiRef.current.fitAll(),
+    exportSvg: () => apiRef.current.exportSvg(),
+  }), []);
+
+  // ✏️ Editing. Each edit snapshots the tree together with the view state addressed by
+  // absolute paths, so undo/redo lands on the same focus and selection.
+  const [editMode, setEditMode] = useState(false);
+  const [editError, setEditError] = useState(null);
+  const editHistory = useEditHistory();
+  const dirty = rootData !== savedData;
+
+  const viewSnapshot = () => ({
+    data: rootData,
+    focus: focusPathIdxs,
+    selected: selectedAbsPath,
+    expanded: expandedKeys,
+    collapsed: collapsedKeys,
+  });
+  const restoreSnapshot = (snap) => {
+    pendingSelectAbsPathRef.current = snap.selected;
+    if (!snap.selected) setSelectedNode(null);
+    setRootData(snap.data);
+    setFocusPathIdxs(snap.focus);
+    setExpandedKeys(snap.expanded);
+    setCollapsedKeys(snap.collapsed);
+  };
+
+  /**
+   * applyEdit
+   * Runs `edit(rootData)`, which returns the new root or `{ root, remap?, select? }`
+   * (see lib/edits). `remap` moves focus, selection and the expanded/collapsed
+   * sets onto the new tree; `select` is an absolute path to select afterwards.
+   */
+  const applyEdit = (label, edit) => {
+    let result;
+    try {
+      result = edit(rootData);
+    } catch (e) {
+      setEditError(e.message);
+      return;
+    }
+    const { root: nextRoot, remap = (p) => p, select } = result.root ? result : { root: result };
+    const remapKeys = (keys) => new Set([...keys].map((k) => remap(parsePathKey(k))).filter(Boolean).map(pathKey));
+    // A deleted focus falls back to its nearest surviving ancestor
+    let focus = null;
+    for (let n = focusPathIdxs.length; !focus; n--) focus = remap(focusPathIdxs.slice(0, n));
+    const selected = select ?? (selectedAbsPath && remap(selectedAbsPath));
+    const expanded = remapKeys(expandedKeys);
+    if (select?.length) expanded.add(pathKey(select.slice(0, -1))); // keep the new/moved node in view
+
+    const before = viewSnapshot();
+    const after = { data: nextRoot, focus, selected, expanded, collapsed: remapKeys(collapsedKeys) };
+    editHistory.record(label, before, after);
+    setEditError(null);
+    restoreSnapshot(after);
+  };
+  const undoEdit = () => {
+    const entry = editHistory.undo();
+    if (entry) restoreSnapshot(entry.before);
+  };
+  const redoEdit = () => {
+    const entry = editHistory.redo();
+    if (entry) restoreSnapshot(entry.after);
+  };
+  const saveJson = () => {
+    downloadText(JSON.stringify(rootData, null, 2), `${fileSlug(rootData?.name)}.json`, "application/json");
+    setSavedData(rootData);
+  };
+
+  // 🗄️ Dataset server (server/index.js through lib/dataSources). Saves name the revision the
+  // model was loaded at; events for the open dataset reload it in place unless it has edits.
+  const server = useMemo(() => (datasetServer ? serverSource(datasetServer) : null), [datasetServer]);
+  const [serverList, setServerList] = useState({ datasets: null, error: null });
+  const [serverSaving, setServerSaving] = useState(false);
+  const [saveConflict, setSaveConflict] = useState(null); // { name, revision, data, summary }
+  const [remoteChange, setRemoteChange] = useState(null); // server event for the open dataset
+  const savingNameRef = useRef(null); // our own save's event may arrive before its response
+  const ownRevisionsRef = useRef(new Set());
+
+  const refreshServerList = useCallback(async () => {
+    const { datasets, errors } = await server.list();
+    setServerList({ datasets, error: errors[0]?.message ?? null });
+  }, [server]);
+
+  // Take the stored version, keeping focus and selection on the same nodes (by id) when they survive
+  const adoptServerVersion = (name, obj, revision) => {
+    const next = safeClone(obj);
+    const follow = (absPath) => absPath && resolveNodeRef(next, nodeRef(getNodeByPathIdxs(rootData, absPath), absPath));
+    pendingSelectAbsPathRef.current = follow(selectedAbsPath);
+    if (!pendingSelectAbsPathRef.current) setSelectedNode(null);
+    setFocusPathIdxs(follow(focusPathIdxs) ?? []);
+    setRootData(next);
+    setSavedData(next);
+    editHistory.clear();
+    setEditError(null);
+    setDatasetLabel(serverLabel(name));
+    setDatasetOrigin({ kind: "server", name, revision });
+    if (datasetOrigin?.name !== name) setFingerprint(serverFingerprint(name));
+    setSaveConflict(null);
+    setRemoteChange(null);
+  };
+
+  const reloadFromServer = async (name) => {
+    const result = await server.load(name);
+    if (result.data) adoptServerVersion(name, result.data, result.revision);
+    else setEditError(result.errors[0]?.message ?? null);
+  };
+
+  const openServerDataset = async (name) => {
+    if (!confirmDiscard()) return;
+    const result = await server.load(name);
+    if (!result.data) setLoadErrors(result.errors);
+    else loadDataset(result.data, serverLabel(name), { kind: "server", name, revision: result.revision });
+  };
+
+  const saveToServer = async (name, baseRevision) => {
+    const saving = rootData;
+    savingNameRef.current = name;
+    setServerSaving(true);
+    let result;
+    try {
+      result = await server.save(name, saving, baseRevision);
+    } catch (e) {
+      setEditError(`Save failed: ${e.message}`);
+      return;
+    } finally {
+      savingNameRef.current = null;
+      setServerSaving(false);
+    }
+    if (result.conflict) {
+      const base = datasetOrigin?.name === name ? savedData : null;
+      setSaveConflict({ name, ...result.conflict, summary: saveConflicts(base, saving, result.conflict.data) });
+    } else if (result.errors.length) {
+      setEditError(result.errors[0].message);
+    } else {
+      ownRevisionsRef.current.add(result.revision);
+      setSavedData(saving);
+      setEditError(null);
+      setDatasetLabel(serverLabel(name));
+      setDatasetOrigin({ kind: "server", name, revision: result.revision });
+      setSaveConflict(null);
+      setRemoteChange(null);
+    }
+  };
+
+  const saveToServerClick = () => {
+    if (datasetOrigin) {
+      saveToServer(datasetOrigin.name, datasetOrigin.revision);
+      return;
+    }
+    const name = window.prompt("Save to the dataset server as:", fileSlug(rootData?.name));
+    if (name?.trim()) saveToServer(name.trim(), null);
+  };
+
+  const serverEventRef = useRef(null);
+  serverEventRef.current = (event) => {
+    refreshServerList();
+    if (event.name !== datasetOrigin?.name || event.name === savingNameRef.current) return;
+    if (event.type === "removed") {
+      setDatasetOrigin({ ...datasetOrigin, revision: null }); // saving creates it again
+      setRemoteChange(event);
+    } else if (event.revision !== datasetOrigin.revision && !ownRevisionsRef.current.has(event.revision)) {
+      if (dirty) setRemoteChange(event);
+      else reloadFromServer(event.name);
+    }
+  };
+  useEffect(() => {
+    if (!server) return undefined;
+    refreshServerList();
+    return server.subscribe((event) => serverEventRef.current(event));
+  }, [server, refreshServerList]);
+
+  // Ctrl/⌘+Z, Ctrl/⌘+Shift+Z and Ctrl+Y, except while typing (inputs keep their own undo)
+  const undoRef = useRef(null);
+  undoRef.current = { undo: undoEdit, redo: redoEdit };
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest?.("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) undoRef.current.undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") undoRef.current.redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // Warn before closing the tab with unsaved edits
+  useEffect(() => {
+    if (!dirty) return undefined;
+    const onBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = "";
+    };
+    window.addEventListener("beforeunload", onBeforeUnload);
+    return () => window.removeEventListener("beforeunload", onBeforeUnload);
+  }, [dirty]);
+
+  const editSelected = (label, fn) => applyEdit(label, (root) => fn(root, selectedAbsPath));
+  const addChildToSelected = () => applyEdit("Add child node", (root) => {
+    const { root: next, path } = addChildNode(root, selectedAbsPath, { id: newId("NODE"), name: "New node" });
+    return { root: next, select: path };
+  });
+  const deleteSelected = () => applyEdit(`Delete “${originalSelected?.name}”`, (root) => ({
+    ...removeNode(root, selectedAbsPath),
+    select: selectedAbsPath.slice(0, -1),
+  }));
+
+  // Drag a node onto another to make it the target's last child (edit mode only)
+  const [dragPreview, setDragPreview] = useState(null); // { name, pointer: [x, y], targetAbs, valid }
+  const canDropOn = (fromAbs, targetAbs) =>
+    !!targetAbs && !(fromAbs.length <= targetAbs.length && fromAbs.every((v, i) => targetAbs[i] === v))
+    && !samePath(targetAbs, fromAbs.slice(0, -1));
+  const startNodeDrag = (event, n) => {
+    const fromAbs = [...focusPathIdxs, ...n.data._pathIdxs];
+    if (event.button !== 0 || n.data._aggregate || !fromAbs.length) return;
+    const start = [event.clientX, event.clientY];
+    let active = false;
+    let targetAbs = null;
+    const targetAt = (e) => {
+      const key = document.elementFromPoint?.(e.clientX, e.clientY)?.closest?.("[data-node-key]")?.getAttribute("data-node-key");
+      return key === null || key === undefined ? null : parsePathKey(key);
+    };
+    const onMove = (e) => {
+      if (!active && Math.hypot(e.clientX - start[0], e.clientY - start[1]) < 5) return;
+      active = true;
+      targetAbs = targetAt(e);
+      setDragPreview({ name: n.data.name, pointer: d3.pointer(e, gRef.current), targetAbs, valid: canDropOn(fromAbs, targetAbs) });
+    };
+    const onUp = () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      setDragPreview(null);
+      if (active && canDropOn(fromAbs, targetAbs)) {
+        applyEdit(`Move “${n.data.name}”`, (root) => {
+          const { root: next, path, remap } = moveNode(root, fromAbs, targetAbs);
+          return { root: next, remap, select: path };
+        });
+      }
+    };
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+  };
+
+  // 📤 Exports
+  const [exportError, setExportError] = useState(null);
+  const exportSvg = () => {
+    const svg = serializeSvg(svgRef.current, dims);
+    downloadText(svg, `${fileSlug(focusedData?.name)}.svg`, "image/svg+xml");
+  };
+  const exportPng = async (scale) => {
+    setExportError(null);
+    try {
+      const blob = useCanvas
+        ? await canvasToPngBlob((ctx, dpr) => drawScene(ctx, canvasScene(dpr)), dims.width, dims.height, scale)
+        : await svgToPngBlob(serializeSvg(svgRef.current, dims), dims.width, dims.height, scale);
+      downloadBlob(blob, `${fileSlug(focusedData?.name)}@${scale}x.png`);
+    } catch (e) {
+      setExportError(e.message);
+    }
+  };
+  const exportJson = () => {
+    downloadText(subtreeToJson(focusedData), `${fileSlug(focusedData?.name)}.json`, "application/json");
+  };
+  const exportCsv = () => {
+    if (!selectedAbsPath) return;
+    const csv = requirementsToCsv(rootData, selectedAbsPath);
+    downloadText(csv, `${fileSlug(originalSelected?.name)}-requirements.csv`, "text/csv");
+  };
+
   // Node value access helper (flare leaves often carry `value`)
   const nodeValue = (n) => (n && n.data && typeof n.data.value === "number" ? n.data.value : null);
 
+  // Host overrides of side panel sections: `sections[name](context)` renders in place of the
+  // section, with the built-in content passed as `children` (null hides the section)
+  const slotContext = { node: originalSelected, id: linkState.select, path: selectedAbsPath, editMode };
+  const slot = (name, content) => (sections?.[name] ? sections[name]({ ...slotContext, children: content }) : content);
+
   // Helpers for small badges
   const Pill = ({ children, className = "" }) => (
     <span className={`inline-flex items-center rounded-full border px-2 py-0.5 text-[11px] ${className}`}>{children}</span>
@@ -370,102 +2052,689 @@ export default function RadialTreeExplorer({ data = sampleData, fitViewport = tr
 
   return (
     <div className={`w-full ${fitViewport ? "h-[100dvh]" : "h-[80vh]"} grid grid-cols-12 gap-4 p-4 bg-gray-50 overflow-hidden`}>
-      {/* Graph area */}
-      <div
-        ref={containerRef}
-        className="col-span-8 relative rounded-2xl border bg-white overflow-hidden overscroll-contain"
-      >
-        <svg
-          ref={svgRef}
-          width={dims.width}
-          height={dims.height}
-          className="absolute inset-0 w-full h-full"
-          style={{ touchAction: "none" }}
-          role="img"
-          aria-label="Radial tree"
-          onWheel={(e) => { e.preventDefault(); }}
+      <div className="col-span-8 min-h-0 flex flex-col gap-4">
+        {/* Graph area */}
+        <div
+          ref={containerRef}
+          className="flex-1 min-h-0 relative rounded-2xl border bg-white overflow-hidden overscroll-contain"
+          onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+          onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false); }}
+          onDrop={handleDrop}
         >
-          {/* Centering group; zoom behavior applies transform updates here */}
-          <g ref={gRef} transform={`translate(${dims.width / 2},${dims.height / 2})`}>
-            {/* links */}
-            <g fill="none" stroke="#bbb" strokeOpacity={0.7}>
-              {links.map((l, i) => (
-                <path key={`link-${i}`} d={linkPath(l)} />
-              ))}
-            </g>
-
-            {/* nodes */}
-            <g>
-              {nodes.map((n, i) => {
-                const [x, y] = radialPoint(n.x, n.y);
-                const isSelected = selectedNode && selectedNode.data === n.data;
-                const isLeft = n.x >= Math.PI;
-                const rx = Math.cos(n.x - Math.PI / 2);
-                const ry = Math.sin(n.x - Math.PI / 2);
-                const pad = LABEL_RADIAL_PAD_BASE + LABEL_RADIAL_PAD_EXTRA * Math.abs(ry);
-                const isEdgeDepth = n.depth === MAX_DEPTH; // rotate edge labels tangentially
-                const angleDeg = (n.x * 180) / Math.PI;
-                const rotateDeg = (angleDeg - 90);
-                const transformStr = isEdgeDepth
-                  ? `translate(${rx * pad},${ry * pad}) rotate(${rotateDeg})`
-                  : `translate(${rx * pad},${ry * pad})`;
-                return (
-                  <g
-                    key={`node-${i}-${n.data?.name ?? "noname"}`}
-                    transform={`translate(${x},${y})`}
-                    className="cursor-pointer"
-                    onClick={() => handleNodeClick(n)}
-                    onDoubleClick={(e) => { e.preventDefault(); e.stopPropagation(); handleNodeDoubleClick(n); }}
-                  >
-                    <circle
-                      r={n.children ? 4 : 3}
-                      fill={isSelected ? "#2563eb" : n.children ? "#111827" : "#6b7280"}
+          {useCanvas && (
+            <canvas
+              ref={canvasRef}
+              width={Math.round(dims.width * (window.devicePixelRatio || 1))}
+              height={Math.round(dims.height * (window.devicePixelRatio || 1))}
+              className="absolute inset-0"
+              style={{ width: dims.width, height: dims.height }}
+              aria-hidden="true"
+            />
+          )}
+          <svg
+            ref={svgRef}
+            width={dims.width}
+            height={dims.height}
+            className="absolute inset-0 w-full h-full"
+            style={{ touchAction: "none", cursor: useCanvas && hoveredRelKey !== null ? "pointer" : undefined }}
+            onWheel={(e) => { e.preventDefault(); }}
+            {...(useCanvas
+              ? {
+                role: "application",
+                tabIndex: 0,
+                "aria-label": `${LAYOUTS[layoutKind].label} of ${focusedData?.name ?? "root"}, ${nodes.length} nodes. Arrow keys move between nodes.`,
+                ...treeFocusProps,
+                ...canvasPointerProps,
+              }
+              : { role: "group", "aria-label": LAYOUTS[layoutKind].label })}
+          >
+            {/* Centering group; zoom behavior applies transform updates here */}
+            <g ref={gRef} transform={`translate(${dims.width / 2},${dims.height / 2})`}>
+              {/* partition shapes (sunburst arcs / icicle rects); fade in after a layout switch */}
+              {isPartition && !useCanvas && (
+                <g opacity={layoutProgress} aria-hidden="true">
+                  {nodes.map((n) => {
+                    const shape = partitionShape(n);
+                    const shapeProps = {
+                      fill: shape.fill,
+                      stroke: shape.stroke,
+                      strokeWidth: shape.width,
+                      className: "cursor-pointer",
+                      onClick: (e) => handleNodeClick(n, e),
+                      onDoubleClick: (e) => { e.preventDefault(); e.stopPropagation(); handleNodeDoubleClick(n); },
+                    };
+                    const text = partitionLabel(n);
+                    if (n.arc) {
+                      const midAngle = ((n.arc.startAngle + n.arc.endAngle) / 2) * 180 / Math.PI;
+                      const midR = (n.arc.innerRadius + n.arc.outerRadius) / 2;
+                      return (
+                        <g key={`shape-${nodeAbsKey(n)}`} opacity={isFilteredOut(n) ? FILTER_DIM_OPACITY : undefined} {...dragProps(n)}>
+                          <path d={partitionArc(n.arc)} {...shapeProps} />
+                          {text && (
+                            <text
+                              transform={n.depth === 0 ? undefined : `rotate(${midAngle - 90}) translate(${midR},0) rotate(${midAngle < 180 ? 0 : 180})`}
+                              textAnchor="middle"
+                              dominantBaseline="middle"
+                              fontSize={11}
+                              className="select-none pointer-events-none"
+                              fill="#111827"
+                            >
+                              {text}
+                            </text>
+                          )}
+                        </g>
+                      );
+                    }
+                    return (
+                      <g key={`shape-${nodeAbsKey(n)}`} opacity={isFilteredOut(n) ? FILTER_DIM_OPACITY : undefined} {...dragProps(n)}>
+                        <rect x={n.rect.x} y={n.rect.y} width={Math.max(0, n.rect.w)} height={Math.max(0, n.rect.h)} {...shapeProps} />
+                        {text && (
+                          <text
+                            x={n.rect.x + 4}
+                            y={n.rect.y + n.rect.h / 2}
+                            dominantBaseline="middle"
+                            fontSize={11}
+                            className="select-none pointer-events-none"
+                            fill="#111827"
+                          >
+                            {text}
+                          </text>
+                        )}
+                      </g>
+                    );
+                  })}
+                </g>
+              )}
+
+              {/* links */}
+              {linkPath && !useCanvas && (
+                <g fill="none" stroke="#bbb" strokeOpacity={0.7 * layoutProgress} aria-hidden="true">
+                  {links.map((l, i) => (
+                    <path
+                      key={`link-${i}`}
+                      d={linkPath(l)}
+                      strokeWidth={encodedNodes ? linkWidthOf(l) : undefined}
+                      opacity={filterKeys ? linkOpacityOf(l) : undefined}
                     />
-                    <text
-                      dy="0.35em"
-                      x={isEdgeDepth ? 6 : (isLeft ? -4 : 4)}
-                      textAnchor={isEdgeDepth ? "start" : (isLeft ? "end" : "start")} dominantBaseline="middle"
-                      transform={transformStr}
-                      fontSize={12}
-                      className="select-none"
-                      fill={isSelected ? "#1d4ed8" : "#111827"}
-                    >
-                      {n.data.name}{n.data._hasHidden ? " …" : ""}
-                    </text>
-                  </g>
-                );
-              })}
+                  ))}
+                </g>
+              )}
+
+              {/* interface edges (bundled) */}
+              {showInterfaces && !useCanvas && (
+                <g fill="none" aria-hidden="true">
+                  {viewIfcPairs.map((p) => {
+                    const a = nodeByRelKey.get(pathKey(p.aRel));
+                    const b = nodeByRelKey.get(pathKey(p.bRel));
+                    if (!a || !b) return null;
+                    const touchesHover = hoveredRelKey && (pathKey(p.aRel) === hoveredRelKey || pathKey(p.bRel) === hoveredRelKey);
+                    return (
+                      <path
+                        key={`ifc-${pathKey(p.aRel)}|${pathKey(p.bRel)}`}
+                        d={bundlePath(a.path(b).map(positionOf))}
+                        stroke={touchesHover ? "#4338ca" : "#6366f1"}
+                        strokeOpacity={touchesHover ? 0.9 : hoveredRelKey ? 0.08 : 0.3}
+                        strokeWidth={touchesHover ? 2 : 1.2}
+                      >
+                        <title>{p.ifcIds.join(", ")}</title>
+                      </path>
+                    );
+                  })}
+                </g>
+              )}
+
+              {/* derivation trace links, from the upstream owner to the downstream one */}
+              {showTraces && !useCanvas && (
+                <g fill="none" stroke={TRACE_COLOR} strokeOpacity={0.6} strokeWidth={1.5} strokeDasharray="4 3" aria-hidden="true">
+                  {viewTraceLinks.map((t) => {
+                    const from = nodeByRelKey.get(pathKey(t.fromRel));
+                    const to = nodeByRelKey.get(pathKey(t.toRel));
+                    if (!from || !to) return null;
+                    return (
+                      <path key={`trace-${pathKey(t.fromRel)}>${pathKey(t.toRel)}`} d={bundlePath(from.path(to).map(positionOf))}>
+                        <title>{t.reqIds.join("\n")}</title>
+                      </path>
+                    );
+                  })}
+                </g>
+              )}
+
+              {/* nodes (the keyboard / screen-reader tree) */}
+              {!useCanvas && (
+                <g role="tree" aria-label={`${LAYOUTS[layoutKind].label} of ${focusedData?.name ?? "root"}`} {...treeFocusProps}>
+                  {nodes.map((n) => {
+                    const [x, y] = positionOf(n);
+                    const {
+                      absKey, relKey, isSelected, isHit, isHitAncestor, coverageOn, rollup, isIfcPartner, isDropTarget, nodeDiff, hasChangesBelow,
+                      lintBadge, commentCount: commentBadge, isFilteredOut: filteredOut, isImpacted,
+                    } = nodeState(n);
+                    const isPolar = !!LAYOUTS[layoutKind].polar;
+                    const label = isPolar ? polarLabel(n, isSelected || isHit || relKey === hoveredRelKey || absKey === tabStopKey) : null;
+                    const labelProps = (() => {
+                      if (!label) return null;
+                      if (label.radial) {
+                        const { isLeft, dist, angle } = radialLabelGeometry(n, label.shift);
+                        return { x: isLeft ? -dist : dist, textAnchor: isLeft ? "end" : "start", transform: `rotate(${(angle * 180) / Math.PI})` };
+                      }
+                      const { isLeft, rx, ry, pad } = polarLabelAnchor(n);
+                      return { x: isLeft ? -4 : 4, textAnchor: isLeft ? "end" : "start", transform: `translate(${rx * pad},${ry * pad})` };
+                    })();
+                    // marker + label; a host `renderNode` gets it as `children` and may replace it
+                    const marker = markerStyle(n, isSelected);
+                    const defaultMarker = (
+                      <>
+                        {!isPartition && (
+                          <circle r={marker.r} fill={marker.fill} stroke={marker.stroke ?? undefined} strokeWidth={marker.width || undefined} />
+                        )}
+                        {isPolar && !label.hidden && (
+                          <text
+                            dy="0.35em"
+                            {...labelProps}
+                            dominantBaseline="middle"
+                            fontSize={12}
+                            className="select-none"
+                            fill={isSelected ? "#1d4ed8" : "#111827"}
+                          >
+                            {label.text}{branchMarker(n)}
+                          </text>
+                        )}
+                        {layoutKind === "indented" && (
+                          <>
+                            {(n.children || n.collapsedChildren || n.data._hasHidden) && (
+                              <text
+                                x={-14}
+                                dominantBaseline="middle"
+                                fontSize={10}
+                                className="select-none"
+                                fill="#6b7280"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  // branches cut off by the depth window open past it; others just fold
+                                  if (n.data._hasHidden) toggleExpanded(n);
+                                  else toggleCollapsed(n);
+                                }}
+                                onDoubleClick={(e) => e.stopPropagation()}
+                              >
+                                {n.collapsedChildren || n.data._hasHidden ? "▸" : "▾"}
+                              </text>
+                            )}
+                            <text
+                              x={8}
+                              dominantBaseline="middle"
+                              fontSize={12}
+                              className="select-none"
+                              fill={isSelected ? "#1d4ed8" : "#111827"}
+                            >
+                              {n.data.name}{branchMarker(n)}
+                            </text>
+                          </>
+                        )}
+                      </>
+                    );
+                    return (
+                      <g
+                        key={`node-${absKey}`}
+                        transform={`translate(${x},${y})`}
+                        className="cursor-pointer"
+                        role="treeitem"
+                        aria-label={`${n.data.name}${lintBadgeLabel(lintBadge)}${commentBadgeLabel(commentBadge)}`}
+                        aria-selected={!!isSelected}
+                        {...treeItemAria(n, focusPathIdxs.length)}
+                        tabIndex={absKey === tabStopKey ? 0 : -1}
+                        data-tree-key={absKey}
+                        opacity={filteredOut ? FILTER_DIM_OPACITY : undefined}
+                        style={{ outline: "none" }}
+                        onFocus={() => setActiveKey(absKey)}
+                        onClick={(e) => handleNodeClick(n, e)}
+                        onDoubleClick={(e) => { e.preventDefault(); e.stopPropagation(); handleNodeDoubleClick(n); }}
+                        onMouseEnter={trackHover ? () => setHoveredRelKey(relKey) : undefined}
+                        onMouseLeave={trackHover ? () => setHoveredRelKey(null) : undefined}
+                        {...dragProps(n)}
+                      >
+                        {isDropTarget && (
+                          <circle
+                            r={COVERAGE_RING.outer + 4}
+                            fill={dragPreview.valid ? "#dcfce7" : "#fee2e2"}
+                            stroke={dragPreview.valid ? "#16a34a" : "#dc2626"}
+                            strokeWidth={2}
+                          />
+                        )}
+                        {isIfcPartner && (
+                          <circle r={COVERAGE_RING.outer + 2} fill="#e0e7ff" stroke="#4338ca" strokeWidth={1.5} />
+                        )}
+                        {(isHit || isHitAncestor) && (
+                          <circle
+                            r={(isHit ? 8 : 6) + (coverageOn ? COVERAGE_RING.outer - 3 : 0)}
+                            fill={isHit && !coverageOn ? "#fde68a" : "none"}
+                            stroke="#f59e0b"
+                            strokeWidth={isHit ? 2 : 1.5}
+                          />
+                        )}
+                        {coverageOn && (rollup && rollup.total > 0 ? (
+                          coverageSegments(rollup, coverageMode).map((seg) => (
+                            <path key={seg.key} d={coverageArc({ startAngle: seg.start, endAngle: seg.end })} fill={seg.color} />
+                          ))
+                        ) : (
+                          <circle r={(COVERAGE_RING.inner + COVERAGE_RING.outer) / 2} fill="none" stroke="#d1d5db" strokeDasharray="2 2" />
+                        ))}
+                        {isImpacted && <circle r={COVERAGE_RING.outer + 4} fill="none" stroke={IMPACT_COLOR} strokeWidth={2} />}
+                        {nodeDiff?.status && (
+                          <circle r={COVERAGE_RING.outer + 2} fill="none" stroke={DIFF_STATUSES[nodeDiff.status].color} strokeWidth={2.5} />
+                        )}
+                        {hasChangesBelow && (
+                          <circle r={COVERAGE_RING.outer + 2} fill="none" stroke="#9ca3af" strokeDasharray="2 2" />
+                        )}
+                        {nodeDiff?.removed.length > 0 && (
+                          <text x={-8} y={-10} textAnchor="end" fontSize={10} fill={DIFF_STATUSES.removed.color} className="select-none">
+                            −{nodeDiff.removed.length}
+                          </text>
+                        )}
+                        {renderNode && !n.data._aggregate ? renderNode(renderContext(n, !!isSelected, defaultMarker)) : defaultMarker}
+                        {lintBadge && (
+                          <g transform="translate(7,-7)" className="pointer-events-none select-none">
+                            <circle r={6} fill={LINT_SEVERITIES[lintBadge.severity].color} stroke="#fff" strokeWidth={1} />
+                            <text textAnchor="middle" dy="0.35em" fontSize={8} fontWeight="bold" fill="#fff">{badgeText(lintBadge.count)}</text>
+                          </g>
+                        )}
+                        {commentBadge > 0 && (
+                          <g transform="translate(-7,-7)" className="pointer-events-none select-none">
+                            <circle r={6} fill={COMMENT_BADGE_COLOR} stroke="#fff" strokeWidth={1} />
+                            <text textAnchor="middle" dy="0.35em" fontSize={8} fontWeight="bold" fill="#fff">{badgeText(commentBadge)}</text>
+                          </g>
+                        )}
+                        {focusRingVisible && absKey === tabStopKey && (
+                          <circle r={COVERAGE_RING.outer + 6} fill="none" stroke="#2563eb" strokeWidth={2} strokeDasharray="4 2" />
+                        )}
+                      </g>
+                    );
+                  })}
+                </g>
+              )}
+
+              {/* re-parenting drag ghost */}
+              {dragPreview && (
+                <text
+                  transform={`translate(${dragPreview.pointer[0] + 12},${dragPreview.pointer[1] + 12})`}
+                  fontSize={12}
+                  fill={dragPreview.valid ? "#15803d" : "#6b7280"}
+                  className="select-none pointer-events-none"
+                >
+                  ↳ {dragPreview.name}
+                </text>
+              )}
             </g>
-          </g>
-        </svg>
-
-        {/* overlay controls */}
-        <div className="absolute left-3 top-3 flex items-center gap-2">
-          <button
-            onClick={resetRoot}
-            className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50 shadow-sm"
-            title="Reset to original root"
-          >
-            Reset root
-          </button>
-          <button
-            onClick={() => setLockCenter((v) => !v)}
-            className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50 shadow-sm"
-            title={lockCenter ? "Allow panning" : "Lock view to center (no pan)"}
+          </svg>
+
+          {/* overlay controls */}
+          <div className="absolute left-3 top-3 flex items-center gap-2">
+            <button
+              onClick={resetRoot}
+              className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50 shadow-sm"
+              title="Reset to original root"
             >
-            {lockCenter ? "Unlock pan" : "Lock center"}
-          </button>
-        </div>
+              Reset root
+            </button>
+            <button
+              onClick={() => setLockCenter((v) => !v)}
+              className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50 shadow-sm"
+              title={lockCenter ? "Allow panning" : "Lock view to center (no pan)"}
+              >
+              {lockCenter ? "Unlock pan" : "Lock center"}
+            </button>
+            <button
+              onClick={fitAll}
+              className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50 shadow-sm"
+              title="Zoom so the whole window fits"
+            >
+              Fit all
+            </button>
+            <button
+              onClick={zoomToSelection}
+              disabled={!selectedAbsPath}
+              className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50 shadow-sm disabled:text-gray-400 disabled:hover:bg-white"
+              title="Centre and zoom in on the selected node"
+            >
+              Zoom to selection
+            </button>
+            <button
+              onClick={toggleHoverCards}
+              className={`rounded-xl border px-3 py-1 text-sm shadow-sm ${showHoverCards ? "bg-indigo-50 border-indigo-300" : "bg-white hover:bg-gray-50"}`}
+              title="Show a summary card for the node under the pointer"
+            >
+              Hover cards
+            </button>
+            <button
+              onClick={toggleMinimap}
+              className={`rounded-xl border px-3 py-1 text-sm shadow-sm ${showMinimap ? "bg-indigo-50 border-indigo-300" : "bg-white hover:bg-gray-50"}`}
+              title="Show a minimap of the full tree with the focus window and viewport"
+            >
+              Minimap
+            </button>
+            <select
+              value={layoutKind}
+              onChange={(e) => setLayoutKind(e.target.value)}
+              className="rounded-xl border px-2 py-1 text-sm bg-white shadow-sm"
+              aria-label="Layout"
+            >
+              {Object.entries(LAYOUTS).map(([key, spec]) => (
+                <option key={key} value={key}>{spec.label}</option>
+              ))}
+            </select>
+            <select
+              value={Number.isFinite(depthLimit) ? depthLimit : "all"}
+              onChange={(e) => changeDepthLimit(e.target.value === "all" ? Infinity : Number(e.target.value))}
+              className="rounded-xl border px-2 py-1 text-sm bg-white shadow-sm"
+              aria-label="Depth"
+              title="Tiers shown below the current root"
+            >
+              {DEPTH_OPTIONS.map((d) => (
+                <option key={d} value={Number.isFinite(d) ? d : "all"}>Depth: {Number.isFinite(d) ? d : "all"}</option>
+              ))}
+            </select>
+            <select
+              value={renderer}
+              onChange={(e) => changeRenderer(e.target.value)}
+              className="rounded-xl border px-2 py-1 text-sm bg-white shadow-sm"
+              aria-label="Renderer"
+              title={`Auto switches to canvas above ${MAX_VISIBLE_NODES} nodes`}
+            >
+              {Object.entries(RENDERERS).map(([key, label]) => (
+                <option key={key} value={key}>Render: {label}</option>
+              ))}
+            </select>
+            {isPartition && (
+              <select
+                value={partitionSize}
+                onChange={(e) => setPartitionSize(e.target.value)}
+                className="rounded-xl border px-2 py-1 text-sm bg-white shadow-sm"
+                aria-label="Partition size"
+              >
+                {Object.entries(PARTITION_SIZES).map(([key, label]) => (
+                  <option key={key} value={key}>Size: {label}</option>
+                ))}
+              </select>
+            )}
+            <select
+              value={coverageMode}
+              onChange={(e) => setCoverageMode(e.target.value)}
+              className="rounded-xl border px-2 py-1 text-sm bg-white shadow-sm"
+              aria-label="Coverage coloring"
+              title="Color nodes by requirement coverage of their subtree"
+            >
+              <option value="off">Coverage: off</option>
+              {Object.entries(COVERAGE_DIMENSIONS).map(([key, spec]) => (
+                <option key={key} value={key}>Coverage: {spec.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => { setShowInterfaces((v) => !v); setHoveredRelKey(null); }}
+              className={`rounded-xl border px-3 py-1 text-sm shadow-sm ${showInterfaces ? "bg-indigo-50 border-indigo-300" : "bg-white hover:bg-gray-50"}`}
+              title="Show connections between nodes whose blocks share an interface"
+            >
+              Interfaces
+            </button>
+            <button
+              onClick={() => setShowTraces((v) => !v)}
+              className={`rounded-xl border px-3 py-1 text-sm shadow-sm ${showTraces ? "bg-indigo-50 border-indigo-300" : "bg-white hover:bg-gray-50"}`}
+              title="Show derivation links between nodes whose requirements derive from each other"
+            >
+              Traces
+            </button>
+            <button
+              onClick={() => setShowMatrix((v) => !v)}
+              className={`rounded-xl border px-3 py-1 text-sm shadow-sm ${showMatrix ? "bg-indigo-50 border-indigo-300" : "bg-white hover:bg-gray-50"}`}
+              title="Requirements × blocks × interfaces of the current subtree"
+            >
+              Matrix
+            </button>
+            <button
+              onClick={() => setShowLint((v) => !v)}
+              className={`rounded-xl border px-3 py-1 text-sm shadow-sm ${showLint ? "bg-indigo-50 border-indigo-300" : "bg-white hover:bg-gray-50"}`}
+              title="Check the model against the lint rules and badge nodes with findings"
+            >
+              Health
+            </button>
+            <EncodingMenu channels={encodingChannels} onChange={setEncodingChannels} />
+            <ExportMenu
+              onExportSvg={exportSvg}
+              onExportPng={exportPng}
+              onExportJson={exportJson}
+              onExportCsv={exportCsv}
+              canExportCsv={!!selectedAbsPath}
+              canExportSvg={!useCanvas}
+              error={exportError}
+            />
+          </div>
+
+          <div className="absolute right-3 top-3">
+            <SearchPanel
+              query={searchQuery}
+              onQueryChange={setSearchQuery}
+              facets={searchFacets}
+              onFacetsChange={setSearchFacets}
+              facetValues={facetValues}
+              hits={searchHits}
+              total={searchResult.total}
+              onSelectHit={(h) => selectAtAbsPath(h.absPath)}
+            />
+          </div>
+
+          {(coverageMode !== "off" || diff || encodedNodes) && (
+            <div className="absolute left-3 bottom-3 flex items-end gap-2">
+              {coverageMode !== "off" && <CoverageLegend dimension={coverageMode} />}
+              {diff && <DiffLegend totals={diff.totals} />}
+              {encodedNodes && <EncodingLegend encoding={encoding} />}
+            </div>
+          )}
+
+          {hoverCard && (
+            <div ref={hoverCardRef} key={hoveredRelKey}>
+              <HoverCard {...hoverCard} bounds={dims} />
+            </div>
+          )}
+
+          {minimap && (
+            <div className="absolute right-3 bottom-12">
+              <Minimap
+                minimap={minimap}
+                size={MINIMAP_SIZE}
+                windowKeys={minimapWindowKeys}
+                focusKey={pathKey(focusPathIdxs)}
+                anchors={minimapAnchors}
+                dims={dims}
+                initialTransform={zoomTransformRef.current}
+                syncRef={minimapSyncRef}
+                onPick={navigateToAbsPath}
+              />
+            </div>
+          )}
+
+          <div className="absolute right-3 bottom-3 text-xs text-gray-500 bg-white/70 rounded-md px-2 py-1">
+            {focusRingVisible
+              ? "←→↑↓ = move • Enter = select • Shift+Enter = re‑root • Backspace = up • +/−/0 = zoom • Shift+arrows = pan"
+              : editMode
+                ? `Edit mode: ${useCanvas ? "switch to the SVG renderer to drag nodes" : "drag a node onto another to move it"} • Ctrl+Z / Ctrl+Shift+Z = undo / redo`
+                : "Scroll = zoom • Drag = pan • Double‑click = re‑root • Tab into the tree for keys • Drop a JSON, CSV or ReqIF file to load it"}
+          </div>
+
+          {/* Screen-reader announcements of selection / focus changes */}
+          <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
 
-        <div className="absolute right-3 bottom-3 text-xs text-gray-500 bg-white/70 rounded-md px-2 py-1">
-          Scroll = zoom • Drag = pan • Double‑click = re‑root
+          {dragActive && (
+            <div className="absolute inset-0 flex items-center justify-center bg-blue-50/80 border-2 border-dashed border-blue-400 rounded-2xl pointer-events-none">
+              <div className="text-sm font-medium text-blue-700">Drop a JSON, CSV or ReqIF file to load it</div>
+            </div>
+          )}
         </div>
+
+        {traceMatrix && (
+          <TraceMatrix
+            matrix={traceMatrix}
+            scopeLabel={focusedData?.name ?? "root"}
+            selectedKey={selectedAbsPath ? pathKey(selectedAbsPath) : null}
+            selectedReqId={selectedReqId}
+            onSelectRow={(row) => {
+              setSelectedReqId(row.reqId);
+              selectAbsPath(row.absPath);
+            }}
+            onClose={() => setShowMatrix(false)}
+          />
+        )}
       </div>
 
       {/* Side panel */}
       <div className="col-span-4 h-full overflow-auto rounded-2xl border bg-white">
-        <div className="p-4 space-y-4">
-          <h2 className="text-lg font-semibold">Node Details</h2>
+        <div className="sticky top-0 z-10 flex gap-1 border-b bg-white px-4 pt-2" role="tablist" aria-label="Side panel">
+          {[["details", "Details"], ["dashboard", "Dashboard"]].map(([key, label]) => (
+            <button
+              key={key}
+              type="button"
+              role="tab"
+              aria-selected={sideTab === key}
+              onClick={() => setSideTab(key)}
+              className={`-mb-px rounded-t-lg border px-3 py-1 text-sm ${sideTab === key ? "border-b-white bg-white font-medium" : "border-transparent text-gray-500 hover:text-gray-800"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {dashboard && (
+          <div className="p-4" role="tabpanel" aria-label="Dashboard">
+            {slot("dashboard", (
+              <DashboardPanel
+                dashboard={dashboard}
+                subtreeName={focusedData?.name ?? "root"}
+                activeExpression={activeFilter?.source ?? null}
+                onPick={pickChartFilter}
+              />
+            ))}
+          </div>
+        )}
+        {/* Details stay mounted behind the dashboard so drafts and open sections survive a tab switch */}
+        <div className="p-4 space-y-4" role="tabpanel" aria-label="Details" hidden={sideTab !== "details"}>
+          {slot("dataset", (
+            <DatasetLoader
+              label={datasetLabel}
+              builtIns={BUILT_IN_DATASETS}
+              errors={loadErrors}
+              onResult={applyLoadResult}
+              onImportFile={setImportFile}
+              onSelectBuiltIn={async (key) => {
+                const b = BUILT_IN_DATASETS.find((d) => d.key === key);
+                if (b) applyLoadResult(await builtInSource.load(key), b.label);
+              }}
+              server={server && { ...serverList, current: datasetOrigin?.name }}
+              onOpenServer={openServerDataset}
+            />
+          ))}
+
+          {slot("workspace", (
+            <WorkspacePanel
+              workspace={workspace}
+              resolved={workspaceRefs}
+              selected={workspaceSelection}
+              persisted={!persistWorkspace || workspacePersisted}
+              notice={workspaceNotice}
+              onJump={jumpToEntry}
+              onAddBookmark={(label) => updateWorkspace((ws) => addBookmark(ws, { ...workspaceSelection, label }))}
+              onTogglePin={() => updateWorkspace((ws) => togglePin(ws, workspaceSelection))}
+              onRemove={(list, ref) => updateWorkspace((ws) => removeEntry(ws, list, ref))}
+              onClearRecent={() => updateWorkspace((ws) => ({ ...ws, recent: [] }))}
+              onDismissNotice={() => setWorkspaceNotice(null)}
+            />
+          ))}
+
+          {slot("filter", (
+            <FilterPanel
+              expression={filterState.expression}
+              mode={filterState.mode}
+              matchCount={filterKeys ? filterKeys.matchKeys.size : null}
+              onApply={(expression) => changeFilter({ expression })}
+              onModeChange={(mode) => changeFilter({ mode })}
+              saved={workspace.filters}
+              onSave={(name) => updateWorkspace((ws) => saveNamedFilter(ws, { name, ...filterState }))}
+              onRemoveSaved={(name) => updateWorkspace((ws) => removeNamedFilter(ws, name))}
+            />
+          ))}
+
+          {slot("editing", (
+            <div className="space-y-2">
+              <EditToolbar
+                editMode={editMode}
+                onToggleEditMode={() => setEditMode((v) => !v)}
+                canUndo={editHistory.canUndo}
+                canRedo={editHistory.canRedo}
+                undoLabel={editHistory.undoLabel}
+                redoLabel={editHistory.redoLabel}
+                onUndo={undoEdit}
+                onRedo={redoEdit}
+                dirty={dirty}
+                onSave={saveJson}
+                error={editError}
+                serverName={datasetOrigin?.name ?? null}
+                onSaveToServer={server && serverList.datasets ? saveToServerClick : null}
+                saving={serverSaving}
+              />
+              <ServerSyncPanel
+                conflict={saveConflict}
+                remoteChange={remoteChange}
+                onOverwrite={() => saveToServer(saveConflict.name, saveConflict.revision)}
+                onLoadTheirs={() => adoptServerVersion(saveConflict.name, saveConflict.data, saveConflict.revision)}
+                onReload={() => reloadFromServer(remoteChange.name)}
+                onDismiss={() => {
+                  setSaveConflict(null);
+                  setRemoteChange(null);
+                }}
+              />
+            </div>
+          ))}
+
+          {slot("baseline", (
+            <BaselinePanel
+              label={baseline?.label}
+              totals={diff?.totals}
+              error={baselineError}
+              onLoadFile={loadBaselineFile}
+              onSnapshot={() => {
+                setBaselineError(null);
+                setBaseline({ data: rootData, label: `Snapshot of ${datasetLabel} (${new Date().toLocaleTimeString()})` });
+              }}
+              onClear={() => setBaseline(null)}
+            />
+          ))}
+
+          {slot("review", (
+            <ReviewPanel
+              author={reviewer}
+              onAuthorChange={(name) => {
+                setReviewer(name);
+                savePreference("reviewer", name);
+              }}
+              totals={commentTotals}
+              openOnly={commentsOpenOnly}
+              onOpenOnlyChange={setCommentsOpenOnly}
+              onImportFile={importComments}
+              onExport={exportComments}
+              report={commentReport}
+            />
+          ))}
+
+          {impact && slot("impact", (
+            <ImpactPanel impact={impact} onSelect={jumpToRequirement} onClose={() => setImpactReqId(null)} />
+          ))}
+
+          {showLint && slot("lint", (
+            <LintPanel
+              findings={lintFindings}
+              rules={allLintRules}
+              config={lintConfig}
+              onConfigChange={setLintConfig}
+              selectedKey={selectedAbsPath ? pathKey(selectedAbsPath) : null}
+              onSelectFinding={(f) => jumpToRequirement({ reqId: f.reqId ?? null, absPath: f.absPath })}
+            />
+          ))}
+
+          <h2 className="text-lg font-semibold pt-4 border-t">Node Details</h2>
 
           {!selectedNode && (
             <p className="text-gray-600 text-sm">Single‑click a node to see its details here.</p>
@@ -474,180 +2743,413 @@ export default function RadialTreeExplorer({ data = sampleData, fitViewport = tr
           {selectedNode && (
             <div className="space-y-4">
               {/* Basic */}
-              <div>
-                <div className="text-xs uppercase tracking-wide text-gray-500">Name</div>
-                <div className="text-base font-medium break-words">{selectedNode.data.name}</div>
-                {originalSelected?.id && (
-                  <div className="mt-1 text-xs text-gray-500">ID: {originalSelected.id}</div>
-                )}
-              </div>
+              {slot("summary", (
+                <>
+                  <div>
+                    <div className="text-xs uppercase tracking-wide text-gray-500">Name</div>
+                    {editMode && originalSelected ? (
+                      <CommitField
+                        value={originalSelected.name}
+                        onCommit={(name) => name.trim() && editSelected(`Rename “${originalSelected.name}”`, (root, path) => updateNode(root, path, { name: name.trim() }))}
+                        label="Node name"
+                      />
+                    ) : (
+                      <div className="text-base font-medium break-words">{selectedNode.data.name}</div>
+                    )}
+                    {originalSelected?.id && (
+                      <div className="mt-1 text-xs text-gray-500">ID: {originalSelected.id}</div>
+                    )}
+                  </div>
 
-              <div className="grid grid-cols-3 gap-2 text-sm">
-                <div className="rounded-xl border p-2">
-                  <div className="text-[11px] text-gray-500">Depth (visible)</div>
-                  <div className="font-medium">{selectedNode.depth}</div>
-                </div>
-                <div className="rounded-xl border p-2">
-                  <div className="text-[11px] text-gray-500">Children (original)</div>
-                  <div className="font-medium">{originalChildrenCount}</div>
+                  <div className="grid grid-cols-3 gap-2 text-sm">
+                    <div className="rounded-xl border p-2">
+                      <div className="text-[11px] text-gray-500">Depth (visible)</div>
+                      <div className="font-medium">{selectedNode.depth}</div>
+                    </div>
+                    <div className="rounded-xl border p-2">
+                      <div className="text-[11px] text-gray-500">Children (original)</div>
+                      <div className="font-medium">{originalChildrenCount}</div>
+                    </div>
+                    <div className="rounded-xl border p-2">
+                      <div className="text-[11px] text-gray-500">Value (aggregate)</div>
+                      <div className="font-medium">{selectedStats ? selectedStats.value : "…"}</div>
+                    </div>
+                  </div>
+                </>
+              ))}
+
+              {/* Coverage roll-up (FULL subtree) */}
+              {slot("coverage", (
+                <div>
+                  <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">Coverage (subtree)</div>
+                  <CoverageBreakdown rollup={selectedCoverage} />
                 </div>
-                <div className="rounded-xl border p-2">
-                  <div className="text-[11px] text-gray-500">Value (aggregate)</div>
-                  <div className="font-medium">{originalTotalValue ?? "—"}</div>
+              ))}
+
+              {/* Baseline diff */}
+              {diff && selectedAbsPath && slot("changes", (
+                <div>
+                  <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">Changes vs baseline</div>
+                  <DiffDetails nodeDiff={diff.byKey.get(pathKey(selectedAbsPath))} />
                 </div>
-              </div>
+              ))}
 
               {/* Breadcrumb (FULL tree) */}
-              <div>
-                <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">Path</div>
-                <div className="flex flex-wrap items-center gap-1 text-sm">
-                  {breadcrumb.map((c, i) => {
-                    const isLast = i === breadcrumb.length - 1;
-                    return (
-                      <React.Fragment key={`crumb-${i}`}>
-                        <button
-                          type="button"
-                          onClick={() => focusAtAbsPath(c.absPath)}
-                          className={isLast ? "px-1 rounded font-medium text-gray-900 cursor-default" : "px-1 rounded text-gray-600 hover:text-gray-900 hover:underline"}
-                          title={isLast ? "Current node" : "Focus at this ancestor"}
-                        >
-                          {c.name}
-                        </button>
-                        {i !== breadcrumb.length - 1 && <span className="text-gray-400">›</span>}
-                      </React.Fragment>
-                    );
-                  })}
+              {slot("path", (
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <div className="text-xs uppercase tracking-wide text-gray-500">Path</div>
+                    <button
+                      type="button"
+                      onClick={copyLink}
+                      className="rounded-lg border px-2 py-0.5 text-[11px] bg-white hover:bg-gray-50"
+                      title="Copy a link to this view (focus, selection, layout, zoom)"
+                    >
+                      {linkCopied ? "Link copied" : "Copy link"}
+                    </button>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-1 text-sm">
+                    {breadcrumb.map((c, i) => {
+                      const isLast = i === breadcrumb.length - 1;
+                      return (
+                        <React.Fragment key={`crumb-${i}`}>
+                          <button
+                            type="button"
+                            onClick={() => focusAtAbsPath(c.absPath)}
+                            className={isLast ? "px-1 rounded font-medium text-gray-900 cursor-default" : "px-1 rounded text-gray-600 hover:text-gray-900 hover:underline"}
+                            title={isLast ? "Current node" : "Focus at this ancestor"}
+                          >
+                            {c.name}
+                          </button>
+                          {i !== breadcrumb.length - 1 && <span className="text-gray-400">›</span>}
+                        </React.Fragment>
+                      );
+                    })}
+                  </div>
                 </div>
-              </div>
+              ))}
+
+              {/* Review comments on the node itself */}
+              {linkState.select && slot("comments", (
+                <div className="pt-2 border-t">
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-sm font-semibold">Comments</h3>
+                    {commentsByNode.get(pathKey(selectedAbsPath)) && (
+                      <Pill>
+                        {commentCount(commentsByNode.get(pathKey(selectedAbsPath)))} {commentsOpenOnly ? "open" : "total"} incl. requirements & blocks
+                      </Pill>
+                    )}
+                  </div>
+                  <CommentThreads {...threadProps("node", linkState.select, originalSelected?.name ?? "this node")} />
+                </div>
+              ))}
 
               {/* Metadata */}
-              <div className="pt-2 border-t">
-                <h3 className="text-sm font-semibold mb-2">Metadata</h3>
-                <div className="space-y-1">
-                  <Field label="Owner">{originalMeta?.owner}</Field>
-                  <Field label="Version">{originalMeta?.version}</Field>
-                  <Field label="Last Updated">{originalMeta?.lastUpdated}</Field>
+              {slot("metadata", (
+                <div className="pt-2 border-t">
+                  <h3 className="text-sm font-semibold mb-2">Metadata</h3>
+                  {editMode ? (
+                    <div className="grid grid-cols-3 gap-1 items-center">
+                      {[["owner", "Owner"], ["version", "Version"], ["lastUpdated", "Last Updated"]].map(([key, label]) => (
+                        <React.Fragment key={key}>
+                          <div className="text-[11px] text-gray-500">{label}</div>
+                          <div className="col-span-2">
+                            <CommitField
+                              value={originalMeta?.[key]}
+                              onCommit={(v) => editSelected(`Edit ${label.toLowerCase()}`, (root, path) => updateNode(root, path, { metadata: { [key]: v } }))}
+                              label={label}
+                              placeholder={key === "lastUpdated" ? "YYYY-MM-DD" : ""}
+                            />
+                          </div>
+                        </React.Fragment>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="space-y-1">
+                      <Field label="Owner">{originalMeta?.owner}</Field>
+                      <Field label="Version">{originalMeta?.version}</Field>
+                      <Field label="Last Updated">{originalMeta?.lastUpdated}</Field>
+                    </div>
+                  )}
                 </div>
-              </div>
+              ))}
 
               {/* Requirements */}
-              <div className="pt-2 border-t">
-                <div className="flex items-center justify-between mb-2">
-                  <h3 className="text-sm font-semibold">Requirements</h3>
-                  <Pill>{originalRequirements.length} total</Pill>
+              {slot("requirements", (
+                <div className="pt-2 border-t">
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-sm font-semibold">Requirements</h3>
+                    <Pill>
+                      {requirementFilter && !editMode
+                        ? `${listedRequirements.length} of ${originalRequirements.length} match`
+                        : `${originalRequirements.length} total`}
+                    </Pill>
+                  </div>
+                  {originalRequirements.length === 0 ? (
+                    <div className="text-xs text-gray-500">No requirements linked to this node.</div>
+                  ) : editMode ? (
+                    <ul className="space-y-2">
+                      {originalRequirements
+                        .slice(0, showAllReqs ? originalRequirements.length : maxPreview)
+                        .map((r, i) => (
+                          <li key={`req-${i}`} className="rounded-xl border p-2">
+                            <RequirementEditor
+                              requirement={r}
+                              onChange={(patch) => editSelected(`Edit ${r.reqId}`, (root, path) => updateRequirement(root, path, i, patch))}
+                              onRemove={() => editSelected(`Remove ${r.reqId}`, (root, path) => removeRequirement(root, path, i))}
+                            />
+                          </li>
+                        ))}
+                    </ul>
+                  ) : listedRequirements.length === 0 ? (
+                    <div className="text-xs text-gray-500">No requirements of this node match the filter.</div>
+                  ) : (
+                    <ul className="space-y-2">
+                      {listedRequirements
+                        .slice(0, showAllReqs ? listedRequirements.length : maxPreview)
+                        .map((r) => (
+                          <li
+                            key={r.reqId}
+                            id={`req-${r.reqId}`}
+                            className={`rounded-xl border p-2 ${r.reqId === selectedReqId ? "border-indigo-400 bg-indigo-50/50" : ""}`}
+                          >
+                            <div className="flex items-start justify-between gap-2">
+                              <button
+                                type="button"
+                                onClick={() => setSelectedReqId((id) => (id === r.reqId ? null : r.reqId))}
+                                className="font-medium text-sm break-words text-left hover:underline"
+                                title="Highlight this requirement (included in copied links)"
+                              >
+                                {r.title}
+                              </button>
+                              <div className="flex items-center gap-1">
+                                {traceCountText(r.reqId) && <Pill className="text-teal-700">{traceCountText(r.reqId)}</Pill>}
+                                {r.priority && <Pill className="text-gray-700">{r.priority}</Pill>}
+                                {r.status && <Pill className="text-gray-700">{r.status}</Pill>}
+                                {r.reqId && commentToggle("requirement", r.reqId)}
+                              </div>
+                            </div>
+                            <div className="text-[11px] text-gray-500 mt-0.5">{r.reqId}{r.source ? ` • ${r.source}` : ""}</div>
+                            {r.text && <div className="text-xs text-gray-800 mt-1 whitespace-pre-wrap">{r.text}</div>}
+                            {(r.verification?.method || r.verification?.status) && (
+                              <div className="text-[11px] text-gray-600 mt-1">Verification: {r.verification?.method ?? "—"} / {r.verification?.status ?? "—"}</div>
+                            )}
+                            {r.acceptanceCriteria && (
+                              <details className="mt-1">
+                                <summary className="text-xs text-gray-700 cursor-pointer">Acceptance criteria</summary>
+                                <div className="text-xs text-gray-800 mt-1 whitespace-pre-wrap">{r.acceptanceCriteria}</div>
+                              </details>
+                            )}
+                            {r.reqId === selectedReqId && (
+                              <div className="mt-2">
+                                <TraceDetails
+                                  up={traceChain(derivationIndex, r.reqId, "up")}
+                                  down={traceChain(derivationIndex, r.reqId, "down")}
+                                  problems={derivationIndex.problems.filter((p) => p.reqId === r.reqId)}
+                                  onSelect={jumpToRequirement}
+                                  onImpact={() => setImpactReqId(r.reqId)}
+                                />
+                              </div>
+                            )}
+                            {commentTarget === commentTargetKey("requirement", r.reqId) && (
+                              <div className="mt-2">
+                                <CommentThreads {...threadProps("requirement", r.reqId, r.reqId)} />
+                              </div>
+                            )}
+                          </li>
+                        ))}
+                    </ul>
+                  )}
+                  {(editMode ? originalRequirements : listedRequirements).length > maxPreview && (
+                    <div className="mt-2">
+                      <button
+                        onClick={() => setShowAllReqs((v) => !v)}
+                        className="rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50"
+                      >
+                        {showAllReqs ? "Collapse" : `Show all (${(editMode ? originalRequirements : listedRequirements).length - maxPreview} more)`}
+                      </button>
+                    </div>
+                  )}
+                  {editMode && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setShowAllReqs(true);
+                        editSelected("Add requirement", (root, path) => addRequirement(root, path, {
+                          reqId: newId("REQ"), title: "New requirement", status: "Draft",
+                        }));
+                      }}
+                      className="mt-2 rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50"
+                    >
+                      + Add requirement
+                    </button>
+                  )}
                 </div>
-                {originalRequirements.length === 0 ? (
-                  <div className="text-xs text-gray-500">No requirements linked to this node.</div>
-                ) : (
-                  <ul className="space-y-2">
-                    {originalRequirements
-                      .slice(0, showAllReqs ? originalRequirements.length : maxPreview)
-                      .map((r) => (
-                        <li key={r.reqId} className="rounded-xl border p-2">
+              ))}
+
+              {/* Related System Blocks */}
+              {slot("blocks", (
+                <div className="pt-2 border-t">
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-sm font-semibold">Related System Blocks</h3>
+                    <Pill>{originalBlocks.length} total</Pill>
+                  </div>
+                  {selectedInterface && (
+                    <div className="mb-2">
+                      <InterfaceDetails
+                        ifcId={selectedInterface}
+                        refs={ifcIndex.get(selectedInterface) ?? []}
+                        onSelectPath={selectAtAbsPath}
+                        onClose={() => setSelectedInterface(null)}
+                      />
+                    </div>
+                  )}
+                  {originalBlocks.length === 0 ? (
+                    <div className="text-xs text-gray-500">No blocks linked to this node.</div>
+                  ) : editMode ? (
+                    <ul className="space-y-2">
+                      {originalBlocks.map((b, i) => (
+                        <li key={`blk-${i}`} className="rounded-xl border p-2">
+                          <BlockEditor
+                            block={b}
+                            onChange={(patch) => editSelected(`Edit ${b.blockId || b.name}`, (root, path) => updateBlock(root, path, i, patch))}
+                            onRemove={() => editSelected(`Remove ${b.blockId || b.name}`, (root, path) => removeBlock(root, path, i))}
+                          />
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <ul className="space-y-2">
+                      {originalBlocks.map((b) => (
+                        <li key={b.blockId || b.name} className="rounded-xl border p-2">
                           <div className="flex items-start justify-between gap-2">
-                            <div className="font-medium text-sm break-words">{r.title}</div>
+                            <div className="font-medium text-sm break-words">{b.name}</div>
                             <div className="flex items-center gap-1">
-                              {r.priority && <Pill className="text-gray-700">{r.priority}</Pill>}
-                              {r.status && <Pill className="text-gray-700">{r.status}</Pill>}
+                              {b.type && <Pill className="text-gray-700">{b.type}</Pill>}
+                              {b.layer && <Pill className="text-gray-700">{b.layer}</Pill>}
+                              {b.blockId && commentToggle("block", b.blockId)}
                             </div>
                           </div>
-                          <div className="text-[11px] text-gray-500 mt-0.5">{r.reqId}{r.source ? ` • ${r.source}` : ""}</div>
-                          {r.text && <div className="text-xs text-gray-800 mt-1 whitespace-pre-wrap">{r.text}</div>}
-                          {(r.verification?.method || r.verification?.status) && (
-                            <div className="text-[11px] text-gray-600 mt-1">Verification: {r.verification?.method ?? "—"} / {r.verification?.status ?? "—"}</div>
-                          )}
-                          {r.acceptanceCriteria && (
-                            <details className="mt-1">
-                              <summary className="text-xs text-gray-700 cursor-pointer">Acceptance criteria</summary>
-                              <div className="text-xs text-gray-800 mt-1 whitespace-pre-wrap">{r.acceptanceCriteria}</div>
-                            </details>
+                          <div className="text-[11px] text-gray-500 mt-0.5">{b.blockId ?? ""}</div>
+                          <div className="text-[11px] text-gray-600 mt-1">
+                            Interfaces:{" "}
+                            {asArray(b.interfaceRefs).length > 0
+                              ? asArray(b.interfaceRefs).map((ifc, i) => (
+                                <React.Fragment key={ifc}>
+                                  {i > 0 && ", "}
+                                  <button
+                                    type="button"
+                                    onClick={() => setSelectedInterface(ifc)}
+                                    className="text-indigo-700 hover:underline"
+                                    title={`List every block referencing ${ifc}`}
+                                  >
+                                    {ifc}
+                                  </button>
+                                </React.Fragment>
+                              ))
+                              : "None"}
+                          </div>
+                          {b.blockId && commentTarget === commentTargetKey("block", b.blockId) && (
+                            <div className="mt-2">
+                              <CommentThreads {...threadProps("block", b.blockId, b.blockId)} />
+                            </div>
                           )}
                         </li>
                       ))}
-                  </ul>
-                )}
-                {originalRequirements.length > maxPreview && (
-                  <div className="mt-2">
+                    </ul>
+                  )}
+                  {editMode && (
                     <button
-                      onClick={() => setShowAllReqs((v) => !v)}
-                      className="rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50"
+                      type="button"
+                      onClick={() => editSelected("Add block", (root, path) => addBlock(root, path, {
+                        blockId: newId("BLK"), name: "New block", interfaceRefs: [],
+                      }))}
+                      className="mt-2 rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50"
                     >
-                      {showAllReqs ? "Collapse" : `Show all (${originalRequirements.length - maxPreview} more)`}
+                      + Add block
                     </button>
-                  </div>
-                )}
-              </div>
-
-              {/* Related System Blocks */}
-              <div className="pt-2 border-t">
-                <div className="flex items-center justify-between mb-2">
-                  <h3 className="text-sm font-semibold">Related System Blocks</h3>
-                  <Pill>{originalBlocks.length} total</Pill>
+                  )}
                 </div>
-                {originalBlocks.length === 0 ? (
-                  <div className="text-xs text-gray-500">No blocks linked to this node.</div>
-                ) : (
-                  <ul className="space-y-2">
-                    {originalBlocks.map((b) => (
-                      <li key={b.blockId || b.name} className="rounded-xl border p-2">
-                        <div className="flex items-start justify-between gap-2">
-                          <div className="font-medium text-sm break-words">{b.name}</div>
-                          <div className="flex items-center gap-1">
-                            {b.type && <Pill className="text-gray-700">{b.type}</Pill>}
-                            {b.layer && <Pill className="text-gray-700">{b.layer}</Pill>}
-                          </div>
-                        </div>
-                        <div className="text-[11px] text-gray-500 mt-0.5">{b.blockId ?? ""}</div>
-                        <div className="text-[11px] text-gray-600 mt-1">
-                          Interfaces: {asArray(b.interfaceRefs).length > 0 ? asArray(b.interfaceRefs).join(", ") : "None"}
-                        </div>
-                      </li>
-                    ))}
-                  </ul>
-                )}
-              </div>
+              ))}
 
               {/* Focus & stats footer */}
-              <div className="pt-2 flex flex-wrap gap-2 items-center">
-                <button
-                  onClick={() => focusAtNodeData(selectedNode?.data)}
-                  className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50 shadow-sm"
-                >
-                  Focus at this node
-                </button>
-                {originalSelected && (
-                  <div className="text-xs text-gray-500">
-                    Leaves (original): {originalLeafCount}
-                  </div>
-                )}
-              </div>
+              {slot("actions", (
+                <div className="pt-2 flex flex-wrap gap-2 items-center">
+                  <button
+                    onClick={() => focusAtNodeData(selectedNode?.data)}
+                    className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50 shadow-sm"
+                  >
+                    Focus at this node
+                  </button>
+                  {(selectedNode.data._hasHidden || selectedNode.data._expanded) && (
+                    <button
+                      onClick={() => toggleExpanded(selectedNode)}
+                      className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50 shadow-sm"
+                    >
+                      {selectedNode.data._hasHidden ? "Expand branch" : "Collapse branch"}
+                    </button>
+                  )}
+                  {editMode && (
+                    <>
+                      <button
+                        onClick={addChildToSelected}
+                        className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50 shadow-sm"
+                      >
+                        Add child
+                      </button>
+                      {selectedAbsPath?.length > 0 && (
+                        <button
+                          onClick={deleteSelected}
+                          className="rounded-xl border px-3 py-1 text-sm text-red-700 bg-white hover:bg-red-50 shadow-sm"
+                        >
+                          Delete node
+                        </button>
+                      )}
+                    </>
+                  )}
+                  {originalSelected && (
+                    <div className="text-xs text-gray-500">
+                      Leaves (original): {selectedStats ? selectedStats.leaves : "…"}
+                    </div>
+                  )}
+                </div>
+              ))}
             </div>
           )}
 
-          <div className="pt-4 border-t">
-            <h3 className="text-sm font-semibold mb-1">Layout</h3>
-            <div className="text-xs text-gray-600">
-              Radius: {Math.round(radius)} px • Nodes: {nodes.length} • Links: {links.length}
+          {slot("layout", (
+            <div className="pt-4 border-t">
+              <h3 className="text-sm font-semibold mb-1">Layout</h3>
+              <div className="text-xs text-gray-600">
+                Radius: {Math.round(radius)} px • Nodes: {nodes.length} • Links: {links.length}
+              </div>
+              <div className="text-xs text-gray-600">
+                Renderer: {useCanvas ? "canvas" : "SVG"}{layoutInWorker ? " • laid out in a worker" : ""}
+                {!statsReady && " • updating statistics…"}
+              </div>
+              {shownNodeCount < windowNodeCount && (
+                <div className="mt-1 text-xs text-amber-700">
+                  Showing {shownNodeCount} of {windowNodeCount} nodes in this window. Wide branches are
+                  sampled; click a “+N more” node to open its parent, or lower the depth.
+                </div>
+              )}
             </div>
-          </div>
+          ))}
         </div>
       </div>
+
+      {importFile && (
+        <ImportDialog file={importFile} onClose={() => setImportFile(null)} onImported={applyImported} />
+      )}
     </div>
   );
-}
+});
 
 // ------------------------------------------------------------
 // Lightweight runtime tests (opt‑in)
 // Set `window.__RUN_RT_TESTS__ = true` before loading this module (e.g., in index.html)
 // or call RadialTreeExplorer.__runTests() from the console to execute on demand.
 // ------------------------------------------------------------
-const validateHierarchy = (obj) => {
-  if (!obj || typeof obj !== "object") throw new Error("Data must be an object or JSON string representing an object.");
-  if (!("name" in obj)) throw new Error("Root object must have a 'name' property.");
-  if ("children" in obj && !Array.isArray(obj.children)) throw new Error("'children' must be an array when provided.");
-  return true;
-};
-
 const runRuntimeTests = () => {
   const results = [];
   try {
@@ -698,6 +3200,35 @@ const runRuntimeTests = () => {
     const expectedOrig2 = getNodeByPathIdxs(sampleData, [0, 0]);
     results.push({ name: "pruned→original mapping with focus path", pass: origFromPruned2 && expectedOrig2 && origFromPruned2.name === expectedOrig2.name });
 
+    // 10) bundled requirements model passes the dataset schema
+    results.push({ name: "defaultData validates", pass: validateHierarchy(defaultData) === true });
+
+    // 11) expanded branches open past the depth window, one level at a time
+    const opened = limitDepth(sampleData, 1, 0, [], (p) => pathKey(p) === "0");
+    const okOpen = opened.children[0]._expanded === true
+      && opened.children[0].children?.[0]?._hasHidden === true
+      && opened.children[1]._hasHidden === true && !opened.children[1].children;
+    results.push({ name: "limitDepth opens expanded branch only", pass: okOpen });
+
+    // 12) node-count guard folds surplus children into "+N more" aggregates
+    const capped = capVisibleNodes(limitDepth(sampleData, Infinity), 50);
+    const aggregates = [];
+    walkTree(capped.data, (n) => { if (n._aggregate) aggregates.push(n); });
+    results.push({
+      name: "capVisibleNodes stays under the limit",
+      pass: capped.shown <= 50 && capped.total > 50 && aggregates.length > 0,
+      got: capped.shown,
+    });
+
+    // 13) worker aggregates agree with the direct subtree walks
+    const clusterStats = computeTreeStats(sampleData).get("0/0");
+    results.push({
+      name: "computeTreeStats(cluster) matches deep walks",
+      pass: clusterStats.value === sumCluster && clusterStats.leaves === leavesCluster
+        && clusterStats.requirementsDeep === countRequirementsDeep(expectedOrig),
+      got: clusterStats,
+    });
+
     console.table(results);
     return results;
   } catch (e) {
@@ -713,3 +3244,5 @@ if (typeof window !== "undefined" && window.__RUN_RT_TESTS__ === true) {
   // Delay slightly to avoid blocking initial render in some environments
   setTimeout(runRuntimeTests, 0);
 }
+
+export default RadialTreeExplorer;
@@ -7,3 +7,8 @@ test('renders learn react link', () => {
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeDefined();
 });
+
+test('runtime self-tests pass', () => {
+  const results = App.__runTests();
+  expect(results.filter((r) => !r.pass)).toEqual([]);
+});
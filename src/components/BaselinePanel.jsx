@@ -0,0 +1,48 @@
+import React, { useRef } from "react";
+import { DIFF_STATUSES } from "../lib/diff";
+
+/**
+ * BaselinePanel
+ * Pick a baseline to diff the current model against: a JSON file
+ * (`onLoadFile(file)`) or a snapshot of the model as it is now
+ * (`onSnapshot()`, handy before a round of edits). Shows the overall counts
+ * while a baseline is active.
+ */
+export default function BaselinePanel({ label, totals, error, onLoadFile, onSnapshot, onClear }) {
+  const fileRef = useRef(null);
+  const button = "rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50";
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-sm font-semibold">Baseline</h3>
+        {label && <span className="text-[11px] text-gray-500 truncate" title={label}>{label}</span>}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <button type="button" className={button} onClick={() => fileRef.current?.click()}>Load baseline…</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (file) onLoadFile(file);
+          }}
+        />
+        <button type="button" className={button} onClick={onSnapshot} title="Use the model as it is now as the baseline">
+          Snapshot current
+        </button>
+        {label && <button type="button" className={button} onClick={onClear}>Clear</button>}
+      </div>
+      {label && totals && (
+        <div className="flex flex-wrap gap-x-3 text-[11px]">
+          {Object.entries(DIFF_STATUSES).map(([key, spec]) => (
+            <span key={key} style={{ color: spec.color }}>{spec.label}: {totals[key]}</span>
+          ))}
+        </div>
+      )}
+      {error && <div className="text-[11px] text-red-700">{error}</div>}
+    </div>
+  );
+}
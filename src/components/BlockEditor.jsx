@@ -0,0 +1,37 @@
+import React from "react";
+import CommitField from "./CommitField";
+import { asArray } from "../lib/tree";
+
+/**
+ * BlockEditor
+ * Edit form for one related system block. Interface references are edited as
+ * a comma-separated list. Reports patches through `onChange(patch)`;
+ * `onRemove()` unlinks the block from the node.
+ */
+export default function BlockEditor({ block: b, onChange, onRemove }) {
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-1">
+        <div className="w-28 shrink-0">
+          <CommitField value={b.blockId} onCommit={(blockId) => onChange({ blockId })} label="Block ID" />
+        </div>
+        <CommitField value={b.name} onCommit={(name) => onChange({ name })} label="Block name" placeholder="Name" />
+      </div>
+      <div className="flex items-center gap-1">
+        <CommitField value={b.type} onCommit={(type) => onChange({ type })} label="Block type" placeholder="Type" />
+        <CommitField value={b.layer} onCommit={(layer) => onChange({ layer })} label="Block layer" placeholder="Layer" />
+      </div>
+      <CommitField
+        value={asArray(b.interfaceRefs).join(", ")}
+        onCommit={(text) => onChange({ interfaceRefs: text.split(",").map((s) => s.trim()).filter(Boolean) })}
+        label="Interface references"
+        placeholder="IFC-…, IFC-…"
+      />
+      <div className="text-right">
+        <button type="button" onClick={onRemove} className="rounded-lg border px-2 py-0.5 text-[11px] text-red-700 bg-white hover:bg-red-50">
+          Remove block
+        </button>
+      </div>
+    </div>
+  );
+}
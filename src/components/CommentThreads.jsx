@@ -0,0 +1,92 @@
+import React, { useState } from "react";
+
+const formatTime = (iso) => {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? iso : d.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+};
+
+// Text box + submit; clears itself after posting
+const CommentForm = ({ placeholder, submitLabel, onSubmit, autoFocus = false }) => {
+  const [text, setText] = useState("");
+  return (
+    <form
+      className="flex items-start gap-1"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+        onSubmit(text);
+        setText("");
+      }}
+    >
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={placeholder}
+        rows={1}
+        autoFocus={autoFocus}
+        className="min-w-0 flex-1 rounded-lg border px-2 py-1 text-xs"
+        aria-label={placeholder}
+      />
+      <button type="submit" disabled={!text.trim()} className="rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50 disabled:text-gray-400">
+        {submitLabel}
+      </button>
+    </form>
+  );
+};
+
+const Comment = ({ comment }) => (
+  <div>
+    <div className="text-[10px] text-gray-500">
+      <span className="font-medium text-gray-700">{comment.author}</span> • {formatTime(comment.createdAt)}
+      {comment.status === "resolved" && " • resolved"}
+    </div>
+    <div className="text-xs text-gray-800 whitespace-pre-wrap break-words">{comment.text}</div>
+  </div>
+);
+
+/**
+ * CommentThreads
+ * Review threads on one target (see lib/comments): each root comment with its
+ * replies, a resolve/reopen toggle and a reply box, then a box for a new
+ * thread. With `openOnly`, resolved threads are counted but not shown.
+ */
+export default function CommentThreads({ threads = [], openOnly, onAdd, onReply, onSetStatus, label }) {
+  const [replyTo, setReplyTo] = useState(null);
+  const shown = openOnly ? threads.filter((t) => t.open) : threads;
+  const hidden = threads.length - shown.length;
+  return (
+    <div className="space-y-2">
+      {shown.map(({ root, replies, open }) => (
+        <div key={root.id} className={`rounded-lg border p-2 space-y-1 ${open ? "bg-white" : "bg-gray-50 opacity-80"}`}>
+          <Comment comment={root} />
+          {replies.map((r) => (
+            <div key={r.id} className="ml-3 border-l pl-2">
+              <Comment comment={r} />
+            </div>
+          ))}
+          <div className="flex gap-2 text-[11px]">
+            <button type="button" className="text-blue-700 hover:underline" onClick={() => setReplyTo(replyTo === root.id ? null : root.id)}>
+              Reply
+            </button>
+            <button type="button" className="text-gray-600 hover:underline" onClick={() => onSetStatus(root.id, open ? "resolved" : "open")}>
+              {open ? "Resolve" : "Reopen"}
+            </button>
+          </div>
+          {replyTo === root.id && (
+            <CommentForm
+              placeholder="Reply…"
+              submitLabel="Reply"
+              autoFocus
+              onSubmit={(text) => {
+                onReply(root.id, text);
+                setReplyTo(null);
+              }}
+            />
+          )}
+        </div>
+      ))}
+      {hidden > 0 && <div className="text-[11px] text-gray-500">{hidden} resolved thread{hidden === 1 ? "" : "s"} hidden</div>}
+      <CommentForm placeholder={`Comment on ${label}…`} submitLabel="Comment" onSubmit={onAdd} />
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React, { useEffect, useState } from "react";
+
+/**
+ * CommitField
+ * Text input (or textarea with `multiline`) that edits a local draft and
+ * reports it through `onCommit(value)` on blur or Enter (Ctrl/⌘+Enter in a
+ * textarea), so every finished change becomes a single undo step. Escape
+ * throws the draft away.
+ */
+export default function CommitField({ value, onCommit, label, placeholder, multiline = false }) {
+  const current = value ?? "";
+  const [draft, setDraft] = useState(current);
+  useEffect(() => setDraft(current), [current]);
+
+  const commit = () => {
+    if (draft !== current) onCommit(draft);
+  };
+  const props = {
+    value: draft,
+    placeholder,
+    "aria-label": label,
+    onChange: (e) => setDraft(e.target.value),
+    onBlur: commit,
+    onKeyDown: (e) => {
+      if (e.key === "Escape") setDraft(current);
+      else if (e.key === "Enter" && (!multiline || e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        commit();
+      }
+    },
+    className: "w-full rounded-lg border px-2 py-1 text-xs",
+  };
+  return multiline ? <textarea rows={2} {...props} /> : <input type="text" {...props} />;
+}
@@ -0,0 +1,42 @@
+import React from "react";
+import { COVERAGE_DIMENSIONS, coverageSegments } from "../lib/coverage";
+
+/**
+ * CoverageBreakdown
+ * Count and percent of the subtree's requirements per status bucket, one
+ * stacked bar per coverage dimension.
+ */
+export default function CoverageBreakdown({ rollup }) {
+  if (!rollup) return null;
+  return (
+    <div className="space-y-2">
+      {Object.entries(COVERAGE_DIMENSIONS).map(([dim, spec]) => {
+        const segments = coverageSegments(rollup, dim);
+        return (
+          <div key={dim}>
+            <div className="text-[11px] text-gray-500 mb-0.5">{spec.label} — {rollup.total} requirement{rollup.total === 1 ? "" : "s"}</div>
+            {segments.length === 0 ? (
+              <div className="text-xs text-gray-500">No requirements in this subtree.</div>
+            ) : (
+              <>
+                <div className="flex h-2 w-full overflow-hidden rounded-full bg-gray-100">
+                  {segments.map((s) => (
+                    <div key={s.key} style={{ width: `${(s.count / rollup.total) * 100}%`, background: s.color }} title={`${s.key}: ${s.count}`} />
+                  ))}
+                </div>
+                <div className="mt-1 flex flex-wrap gap-x-3 gap-y-0.5 text-[11px] text-gray-700">
+                  {segments.map((s) => (
+                    <span key={s.key} className="inline-flex items-center gap-1">
+                      <span className="inline-block h-2 w-2 rounded-full" style={{ background: s.color }} />
+                      {s.key}: {s.count} ({s.pct}%)
+                    </span>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
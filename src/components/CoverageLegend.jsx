@@ -0,0 +1,23 @@
+import React from "react";
+import { COVERAGE_DIMENSIONS, OTHER_BUCKET, OTHER_COLOR } from "../lib/coverage";
+
+/**
+ * CoverageLegend
+ * Swatches for the active coverage dimension's ring colors.
+ */
+export default function CoverageLegend({ dimension }) {
+  const spec = COVERAGE_DIMENSIONS[dimension];
+  if (!spec) return null;
+  const entries = [...spec.buckets.map((b) => [b, spec.colors[b]]), [OTHER_BUCKET, OTHER_COLOR]];
+  return (
+    <div className="rounded-md bg-white/80 px-2 py-1 text-xs text-gray-700 space-y-0.5">
+      <div className="font-medium">{spec.label} (subtree)</div>
+      {entries.map(([label, color]) => (
+        <div key={label} className="flex items-center gap-1.5">
+          <span className="inline-block h-2.5 w-2.5 rounded-full" style={{ background: color }} />
+          {label}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import React from "react";
+import * as d3 from "d3";
+
+const WIDTH = 300;
+const LABEL_WIDTH = 110;
+const COUNT_WIDTH = 28;
+const BAR_HEIGHT = 14;
+const BAR_GAP = 4;
+const HISTOGRAM_HEIGHT = 80;
+
+const heading = "text-[11px] uppercase tracking-wide text-gray-500";
+const barFill = (active) => (active ? "#4f46e5" : "#a5b4fc");
+
+// Horizontal bars, one per value; a click on a row picks its expression
+const BarChart = ({ chart, activeExpression, onPick }) => {
+  const x = d3.scaleLinear([0, d3.max(chart.bars, (b) => b.count) || 1], [0, WIDTH - LABEL_WIDTH - COUNT_WIDTH]);
+  const height = chart.bars.length * (BAR_HEIGHT + BAR_GAP);
+  return (
+    <div>
+      <div className={heading}>{chart.label}</div>
+      {chart.bars.length === 0 ? (
+        <div className="mt-1 text-[11px] text-gray-400">None in this subtree</div>
+      ) : (
+        <svg width={WIDTH} height={height} className="mt-1 text-[10px]" role="group" aria-label={chart.label}>
+          {chart.bars.map((bar, i) => {
+            const active = bar.expression === activeExpression;
+            return (
+              <g
+                key={bar.label}
+                transform={`translate(0,${i * (BAR_HEIGHT + BAR_GAP)})`}
+                className="cursor-pointer"
+                role="button"
+                tabIndex={0}
+                aria-pressed={active}
+                aria-label={`${chart.label}: ${bar.label} (${bar.count})`}
+                onClick={() => onPick(bar.expression)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter" || e.key === " ") {
+                    e.preventDefault();
+                    onPick(bar.expression);
+                  }
+                }}
+              >
+                <title>{bar.expression}</title>
+                <rect width={WIDTH} height={BAR_HEIGHT} fill={active ? "#eef2ff" : "transparent"} />
+                <text x={LABEL_WIDTH - 6} y={BAR_HEIGHT / 2} dy="0.35em" textAnchor="end" fill="#374151">
+                  {bar.label.length > 18 ? `${bar.label.slice(0, 17)}…` : bar.label}
+                </text>
+                <rect x={LABEL_WIDTH} width={Math.max(1, x(bar.count))} height={BAR_HEIGHT} rx={2} fill={barFill(active)} />
+                <text x={LABEL_WIDTH + x(bar.count) + 4} y={BAR_HEIGHT / 2} dy="0.35em" fill="#6b7280">{bar.count}</text>
+              </g>
+            );
+          })}
+        </svg>
+      )}
+    </div>
+  );
+};
+
+// Column per lastUpdated bin with the first and last bin labelled
+const Histogram = ({ updated, activeExpression, onPick }) => {
+  const { bins, undated } = updated;
+  const x = d3.scaleBand(bins.map((b) => b.x0), [0, WIDTH]).paddingInner(0.15);
+  const y = d3.scaleLinear([0, d3.max(bins, (b) => b.count) || 1], [HISTOGRAM_HEIGHT, 0]);
+  return (
+    <div>
+      <div className={heading}>Last updated (nodes)</div>
+      {bins.length === 0 ? (
+        <div className="mt-1 text-[11px] text-gray-400">No dates in this subtree</div>
+      ) : (
+        <svg width={WIDTH} height={HISTOGRAM_HEIGHT + 14} className="mt-1 text-[10px]" role="group" aria-label="Last updated">
+          {bins.map((bin) => {
+            const active = bin.expression === activeExpression;
+            return (
+              <g
+                key={bin.x0}
+                className="cursor-pointer"
+                role="button"
+                tabIndex={0}
+                aria-pressed={active}
+                aria-label={`Last updated ${bin.label} (${bin.count})`}
+                onClick={() => onPick(bin.expression)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter" || e.key === " ") {
+                    e.preventDefault();
+                    onPick(bin.expression);
+                  }
+                }}
+              >
+                <title>{`${bin.x0} – ${bin.x1}: ${bin.count}`}</title>
+                <rect x={x(bin.x0)} width={x.bandwidth()} height={HISTOGRAM_HEIGHT} fill={active ? "#eef2ff" : "transparent"} />
+                <rect x={x(bin.x0)} y={y(bin.count)} width={x.bandwidth()} height={HISTOGRAM_HEIGHT - y(bin.count)} fill={barFill(active)} />
+              </g>
+            );
+          })}
+          <text x={0} y={HISTOGRAM_HEIGHT + 11} fill="#6b7280">{bins[0].label}</text>
+          {bins.length > 1 && <text x={WIDTH} y={HISTOGRAM_HEIGHT + 11} textAnchor="end" fill="#6b7280">{bins.at(-1).label}</text>}
+        </svg>
+      )}
+      {undated > 0 && <div className="text-[11px] text-gray-500">{undated} node{undated === 1 ? "" : "s"} without a date</div>}
+    </div>
+  );
+};
+
+/**
+ * DashboardPanel
+ * Charts of the focused subtree (see lib/dashboard). Clicking a bar calls
+ * `onPick(expression)` with the filter expression of what it counts; the bar
+ * whose expression is the applied filter (`activeExpression`) is highlighted.
+ */
+export default function DashboardPanel({ dashboard, subtreeName, activeExpression, onPick }) {
+  const { totals } = dashboard;
+  return (
+    <div className="space-y-4 text-xs">
+      <div>
+        <h3 className="text-sm font-semibold">Dashboard</h3>
+        <div className="text-[11px] text-gray-500">
+          {subtreeName} · {totals.nodes} node{totals.nodes === 1 ? "" : "s"} · {totals.requirements} requirement
+          {totals.requirements === 1 ? "" : "s"} · {totals.blocks} block{totals.blocks === 1 ? "" : "s"}
+        </div>
+        <div className="mt-1 text-[11px] text-gray-500">Click a bar to highlight its nodes in the tree; click it again to clear.</div>
+      </div>
+      {dashboard.charts.map((chart) => (
+        <BarChart key={chart.key} chart={chart} activeExpression={activeExpression} onPick={onPick} />
+      ))}
+      <Histogram updated={dashboard.updated} activeExpression={activeExpression} onPick={onPick} />
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import React, { useRef, useState } from "react";
+import { loadDatasetFromFile } from "../lib/datasetLoader";
+import { staticSource } from "../lib/dataSources";
+
+const MAX_LISTED_ERRORS = 20;
+const urlSource = staticSource();
+
+/**
+ * DatasetLoader
+ * Switch between bundled datasets, open a JSON file, or fetch one from a local
+ * URL. Every source reports through `onResult({ data, errors }, label)` so the
+ * owner can apply it (or show the validation errors) in one place. CSV/ReqIF
+ * files are handed to `onImportFile` for the column-mapping step instead.
+ * With a dataset server, `server` `{ datasets, error, current }` lists what it
+ * holds and `onOpenServer(name)` opens one (loaded and saved by the owner).
+ */
+export default function DatasetLoader({ label, builtIns, errors, onResult, onSelectBuiltIn, onImportFile, server, onOpenServer }) {
+  const fileRef = useRef(null);
+  const importRef = useRef(null);
+  const [url, setUrl] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const run = async (promise, sourceLabel) => {
+    setBusy(true);
+    try {
+      onResult(await promise, sourceLabel);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re-selecting the same file
+    if (file) run(loadDatasetFromFile(file), file.name);
+  };
+
+  const onUrlSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = url.trim();
+    if (trimmed) run(urlSource.load(trimmed), trimmed);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-sm font-semibold">Dataset</h3>
+        <span className="text-[11px] text-gray-500 truncate" title={label}>{label}</span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value=""
+          onChange={(e) => e.target.value && onSelectBuiltIn(e.target.value)}
+          className="rounded-lg border px-2 py-1 text-xs bg-white"
+          aria-label="Built-in datasets"
+        >
+          <option value="">Built-in…</option>
+          {builtIns.map((b) => (
+            <option key={b.key} value={b.key}>{b.label}</option>
+          ))}
+        </select>
+        {server?.datasets && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && onOpenServer(e.target.value)}
+            className="rounded-lg border px-2 py-1 text-xs bg-white"
+            aria-label="Datasets on the dataset server"
+          >
+            <option value="">Server{server.datasets.length ? "…" : " (empty)"}</option>
+            {server.datasets.map((d) => (
+              <option key={d.name} value={d.name}>
+                {d.name}{d.name === server.current ? " (open)" : ""}
+              </option>
+            ))}
+          </select>
+        )}
+        <button
+          type="button"
+          onClick={() => fileRef.current?.click()}
+          disabled={busy}
+          className="rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50"
+        >
+          Open file…
+        </button>
+        <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={onFileChange} />
+        <button
+          type="button"
+          onClick={() => importRef.current?.click()}
+          className="rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50"
+        >
+          Import CSV/ReqIF…
+        </button>
+        <input
+          ref={importRef}
+          type="file"
+          accept=".csv,.tsv,.txt,.reqif,.xml"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (file) onImportFile(file);
+          }}
+        />
+      </div>
+
+      <form onSubmit={onUrlSubmit} className="flex items-center gap-1">
+        <input
+          type="text"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="/data/model.json"
+          className="flex-1 rounded-lg border px-2 py-1 text-xs"
+          aria-label="Dataset URL"
+        />
+        <button type="submit" disabled={busy} className="rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50">
+          {busy ? "Loading…" : "Load URL"}
+        </button>
+      </form>
+
+      {server && !server.datasets && server.error && (
+        <div className="text-[11px] text-gray-500" title={server.error}>Dataset server offline; built-ins, files and URLs still work.</div>
+      )}
+
+      {errors.length > 0 && (
+        <div className="rounded-lg border border-red-200 bg-red-50 p-2">
+          <div className="text-xs font-medium text-red-700 mb-1">
+            Dataset rejected ({errors.length} error{errors.length === 1 ? "" : "s"})
+          </div>
+          <ul className="space-y-0.5 max-h-40 overflow-auto">
+            {errors.slice(0, MAX_LISTED_ERRORS).map((err, i) => (
+              <li key={`err-${i}`} className="text-[11px] text-red-700 break-words">
+                <code>{err.path}</code> — {err.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
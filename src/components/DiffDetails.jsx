@@ -0,0 +1,63 @@
+import React from "react";
+import { DIFF_STATUSES } from "../lib/diff";
+
+const KIND_LABELS = { node: "Node", requirement: "Requirement", block: "Block" };
+
+const show = (v) => (v === undefined || v === null || v === "" ? "—" : String(v));
+
+/**
+ * DiffDetails
+ * Baseline changes for one node: its own status, subtree counts per status,
+ * field-level changes (`priority: High → Low`) and nodes removed from under it.
+ */
+export default function DiffDetails({ nodeDiff }) {
+  if (!nodeDiff) return null;
+  const { status, changes, removed, subtree } = nodeDiff;
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-1">
+        <span
+          className="inline-flex items-center rounded-full border px-2 py-0.5 text-[11px]"
+          style={status ? { borderColor: DIFF_STATUSES[status].color, color: DIFF_STATUSES[status].color } : undefined}
+        >
+          {status ? DIFF_STATUSES[status].label : "Unchanged"}
+        </span>
+        <span className="text-[11px] text-gray-500">Subtree:</span>
+        {Object.entries(DIFF_STATUSES).map(([key, spec]) => (
+          <span key={key} className="text-[11px]" style={{ color: subtree[key] ? spec.color : "#9ca3af" }}>
+            {spec.label.toLowerCase()} {subtree[key]}
+          </span>
+        ))}
+      </div>
+
+      {changes.length > 0 && (
+        <ul className="space-y-1">
+          {changes.map((c, i) => (
+            <li key={`${c.kind}-${c.id}-${i}`} className="rounded-lg border px-2 py-1">
+              <div className="flex items-center justify-between gap-2 text-xs">
+                <span className="font-medium break-words">{KIND_LABELS[c.kind]} {c.id}</span>
+                <span style={{ color: DIFF_STATUSES[c.change].color }}>{DIFF_STATUSES[c.change].label}</span>
+              </div>
+              {c.fields.map((f) => (
+                <div key={f.field} className="text-[11px] text-gray-700 break-words">
+                  <span className="text-gray-500">{f.field}:</span> {show(f.from)} → {show(f.to)}
+                </div>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {removed.length > 0 && (
+        <div>
+          <div className="text-[11px] text-gray-500">Removed below this node</div>
+          <ul className="text-xs" style={{ color: DIFF_STATUSES.removed.color }}>
+            {removed.map((r, i) => (
+              <li key={`${r.id ?? r.name}-${i}`} className="break-words">− {r.path.join(" / ")}{r.id ? ` (${r.id})` : ""}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from "react";
+import { DIFF_STATUSES } from "../lib/diff";
+
+/**
+ * DiffLegend
+ * Ring colors of the baseline diff, with the whole-model count per status.
+ */
+export default function DiffLegend({ totals }) {
+  return (
+    <div className="rounded-md bg-white/80 px-2 py-1 text-xs text-gray-700 space-y-0.5">
+      <div className="font-medium">Changes vs baseline</div>
+      {Object.entries(DIFF_STATUSES).map(([key, spec]) => (
+        <div key={key} className="flex items-center gap-1.5">
+          <span className="inline-block h-2.5 w-2.5 rounded-full border-2" style={{ borderColor: spec.color }} />
+          {spec.label}
+          <span className="ml-auto pl-2 text-gray-500">{totals?.[key] ?? 0}</span>
+        </div>
+      ))}
+      <div className="flex items-center gap-1.5 text-gray-500">
+        <span className="inline-block h-2.5 w-2.5 rounded-full border border-dashed border-gray-400" />
+        Changes below
+      </div>
+    </div>
+  );
+}
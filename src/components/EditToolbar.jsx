@@ -0,0 +1,54 @@
+import React from "react";
+
+/**
+ * EditToolbar
+ * Edit-mode switch, undo/redo (labelled with the edit they act on), an
+ * unsaved-changes marker and "Save JSON". With a dataset server,
+ * `onSaveToServer` adds a save to `serverName` (or under a new name when the
+ * model isn't from the server). Pure view; the owner keeps the history and
+ * does the saving.
+ */
+export default function EditToolbar({
+  editMode, onToggleEditMode, canUndo, canRedo, undoLabel, redoLabel, onUndo, onRedo, dirty, onSave, error,
+  serverName = null, onSaveToServer = null, saving = false,
+}) {
+  const button = "rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50 disabled:text-gray-400 disabled:hover:bg-white";
+  return (
+    <div className="space-y-1">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={onToggleEditMode}
+          className={`rounded-lg border px-2 py-1 text-xs ${editMode ? "bg-amber-50 border-amber-300" : "bg-white hover:bg-gray-50"}`}
+          aria-pressed={editMode}
+        >
+          {editMode ? "Editing" : "Edit"}
+        </button>
+        <button type="button" className={button} onClick={onUndo} disabled={!canUndo} title={undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : "Nothing to undo"}>
+          Undo
+        </button>
+        <button type="button" className={button} onClick={onRedo} disabled={!canRedo} title={redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo"}>
+          Redo
+        </button>
+        <button type="button" className={button} onClick={onSave}>Save JSON</button>
+        {onSaveToServer && (
+          <button
+            type="button"
+            className={button}
+            onClick={onSaveToServer}
+            disabled={saving}
+            title={serverName ? `Save to "${serverName}" on the dataset server` : "Save as a new dataset on the dataset server"}
+          >
+            {saving ? "Saving…" : serverName ? "Save to server" : "Save to server…"}
+          </button>
+        )}
+        {dirty && (
+          <span className="inline-flex items-center gap-1 text-[11px] text-amber-700" title="The model has edits that have not been saved">
+            <span className="inline-block h-2 w-2 rounded-full bg-amber-500" /> Unsaved changes
+          </span>
+        )}
+      </div>
+      {error && <div className="text-[11px] text-red-700">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React from "react";
+import * as d3 from "d3";
+import { ENCODING_CHANNELS, ENCODING_MISSING_COLOR, ENCODING_OTHER } from "../lib/encoding";
+
+const format = d3.format(",~r");
+const GRADIENT_STOPS = 8;
+
+const Swatch = ({ color, label }) => (
+  <div className="flex items-center gap-1.5">
+    <span className="inline-block h-2.5 w-2.5 rounded-full" style={{ background: color }} />
+    {label}
+  </div>
+);
+
+// Color ramp (numeric) or swatches (categorical), plus the no-value color
+const ColorLegend = ({ enc }) => {
+  if (enc.kind === "categorical") {
+    return (
+      <>
+        {enc.domain.map((v) => (
+          <Swatch key={v} color={enc.scale(v)} label={v === ENCODING_OTHER && enc.other ? `${v} (${enc.other})` : v} />
+        ))}
+        <Swatch color={ENCODING_MISSING_COLOR} label="No value" />
+      </>
+    );
+  }
+  const [lo, hi] = enc.domain;
+  const stops = d3.range(GRADIENT_STOPS).map((i) => enc.scale(lo + ((hi - lo) * i) / (GRADIENT_STOPS - 1)));
+  return (
+    <>
+      <div className="h-2 w-32 rounded-sm" style={{ background: `linear-gradient(to right, ${stops.join(", ")})` }} />
+      <div className="flex w-32 justify-between text-[10px] text-gray-500">
+        <span>{format(lo)}</span>
+        <span>{format(hi)}</span>
+      </div>
+      <Swatch color={ENCODING_MISSING_COLOR} label="No value" />
+    </>
+  );
+};
+
+// Sample circles (radius) or strokes (link width)
+const SizeLegend = ({ enc, channel }) => {
+  const samples = enc.kind === "categorical"
+    ? enc.domain.map((v) => [v, enc.scale(v)])
+    : [...new Set([enc.domain[0], (enc.domain[0] + enc.domain[1]) / 2, enc.domain[1]])].map((v) => [format(v), enc.scale(v)]);
+  return (
+    <div className="flex flex-wrap items-end gap-2">
+      {samples.map(([label, size]) => (
+        <div key={label} className="flex flex-col items-center">
+          {channel === "radius" ? (
+            <svg width={18} height={18} aria-hidden="true">
+              <circle cx={9} cy={9} r={size} fill="#6b7280" />
+            </svg>
+          ) : (
+            <svg width={24} height={10} aria-hidden="true">
+              <line x1={0} x2={24} y1={5} y2={5} stroke="#9ca3af" strokeWidth={size} />
+            </svg>
+          )}
+          <span className="text-[10px] text-gray-500">{label}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * EncodingLegend
+ * One block per encoded channel of `encoding` (see lib/encoding buildEncoding).
+ */
+export default function EncodingLegend({ encoding }) {
+  const channels = Object.keys(ENCODING_CHANNELS).filter((c) => encoding[c]);
+  if (!channels.length) return null;
+  return (
+    <div className="rounded-md bg-white/80 px-2 py-1 text-xs text-gray-700 space-y-1.5">
+      {channels.map((channel) => {
+        const enc = encoding[channel];
+        return (
+          <div key={channel} className="space-y-0.5">
+            <div className="font-medium">{ENCODING_CHANNELS[channel].label}: {enc.label}</div>
+            {channel === "fill" || channel === "stroke"
+              ? <ColorLegend enc={enc} />
+              : <SizeLegend enc={enc} channel={channel} />}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import React from "react";
+import { ENCODING_ATTRIBUTES, ENCODING_CHANNELS, ENCODING_PRESETS } from "../lib/encoding";
+
+/**
+ * EncodingMenu
+ * Dropdown mapping each visual channel (fill, radius, stroke, link width) to
+ * a node attribute, or back to the default styling, plus presets.
+ * `channels` is the current `{ channel: attributeKey }` map; changes go
+ * through `onChange(nextChannels)`.
+ */
+export default function EncodingMenu({ channels, onChange }) {
+  const active = Object.values(channels).filter(Boolean).length;
+  const item = "rounded-lg border px-2 py-0.5 text-xs bg-white hover:bg-gray-50";
+  return (
+    <details className="relative">
+      <summary
+        className={`list-none rounded-xl border px-3 py-1 text-sm shadow-sm cursor-pointer select-none ${active ? "bg-indigo-50 border-indigo-300" : "bg-white hover:bg-gray-50"}`}
+      >
+        Encoding{active ? ` (${active})` : ""}
+      </summary>
+      <div className="absolute left-0 mt-1 w-64 rounded-xl border bg-white p-2 shadow-lg z-10 space-y-2 text-xs">
+        {Object.entries(ENCODING_CHANNELS).map(([channel, spec]) => (
+          <label key={channel} className="flex items-center justify-between gap-2">
+            <span className="text-gray-700">{spec.label}</span>
+            <select
+              value={channels[channel] ?? ""}
+              onChange={(e) => onChange({ ...channels, [channel]: e.target.value || undefined })}
+              className="w-40 rounded border px-1 py-0.5 bg-white"
+              aria-label={`${spec.label} encoding`}
+            >
+              <option value="">Default</option>
+              {Object.entries(ENCODING_ATTRIBUTES).map(([key, attr]) => (
+                <option key={key} value={key}>{attr.label}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <div className="flex flex-wrap items-center gap-1 border-t pt-2">
+          {Object.entries(ENCODING_PRESETS).map(([key, preset]) => (
+            <button key={key} type="button" className={item} onClick={() => onChange(preset.channels)}>{preset.label}</button>
+          ))}
+          <button type="button" className={`${item} ml-auto`} onClick={() => onChange({})} disabled={!active}>Reset</button>
+        </div>
+      </div>
+    </details>
+  );
+}
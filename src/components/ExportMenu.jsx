@@ -0,0 +1,56 @@
+import React, { useState } from "react";
+
+const PNG_SCALES = [1, 2, 3, 4];
+
+/**
+ * ExportMenu
+ * Dropdown of export actions. The owner supplies the actual exporters so this
+ * stays a dumb view: `onExportSvg()`, `onExportPng(scale)`, `onExportJson()`,
+ * `onExportCsv()` (disabled while nothing is selected). SVG export is
+ * disabled while the view is drawn to canvas (`canExportSvg` false).
+ */
+export default function ExportMenu({ onExportSvg, onExportPng, onExportJson, onExportCsv, canExportCsv, canExportSvg = true, error }) {
+  const [scale, setScale] = useState(2);
+  const item = "w-full text-left rounded-lg px-2 py-1 text-xs hover:bg-gray-50 disabled:text-gray-400 disabled:hover:bg-white";
+
+  return (
+    <details className="relative">
+      <summary className="list-none rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50 shadow-sm cursor-pointer select-none">
+        Export
+      </summary>
+      <div className="absolute left-0 mt-1 w-60 rounded-xl border bg-white p-1 shadow-lg z-10 space-y-0.5">
+        <button
+          type="button"
+          className={item}
+          onClick={onExportSvg}
+          disabled={!canExportSvg}
+          title={canExportSvg ? "" : "Not available with the canvas renderer"}
+        >
+          Current view as SVG
+        </button>
+        <div className="flex items-center gap-1">
+          <button type="button" className={item} onClick={() => onExportPng(scale)}>Current view as PNG</button>
+          <select
+            value={scale}
+            onChange={(e) => setScale(Number(e.target.value))}
+            className="rounded border px-1 py-0.5 text-xs bg-white"
+            aria-label="PNG scale"
+          >
+            {PNG_SCALES.map((s) => <option key={s} value={s}>{s}×</option>)}
+          </select>
+        </div>
+        <button type="button" className={item} onClick={onExportJson}>Focused subtree as JSON</button>
+        <button
+          type="button"
+          className={item}
+          onClick={onExportCsv}
+          disabled={!canExportCsv}
+          title={canExportCsv ? "" : "Select a node first"}
+        >
+          Requirements under selection as CSV
+        </button>
+        {error && <div className="px-2 py-1 text-[11px] text-red-700">{error}</div>}
+      </div>
+    </details>
+  );
+}
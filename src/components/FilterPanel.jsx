@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from "react";
+import { FILTER_EXAMPLES, FILTER_MODES, parseFilter } from "../lib/filter";
+
+/**
+ * FilterPanel
+ * Persistent filter expression (see lib/filter). The draft is checked as it
+ * is typed and applied with Enter or Apply via `onApply(expression)`;
+ * `matchCount` is the number of matching nodes of the applied filter (null
+ * when none is applied). Named filters (`saved`) come from the workspace.
+ */
+export default function FilterPanel({
+  expression, mode, matchCount, onApply, onModeChange, saved, onSave, onRemoveSaved,
+}) {
+  const [draft, setDraft] = useState(expression);
+  const [name, setName] = useState("");
+  useEffect(() => setDraft(expression), [expression]);
+  const { error } = parseFilter(draft);
+  const button = "rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50 disabled:text-gray-400 disabled:hover:bg-white";
+  const heading = "text-[11px] uppercase tracking-wide text-gray-500";
+
+  return (
+    <div className="space-y-2 text-xs">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-sm font-semibold">Filter</h3>
+        {matchCount !== null && (
+          <span className="text-[11px] text-gray-500">{matchCount === 0 ? "No matching nodes" : `${matchCount} matching node${matchCount === 1 ? "" : "s"}`}</span>
+        )}
+      </div>
+
+      <form
+        className="space-y-1"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (!error) onApply(draft.trim());
+        }}
+      >
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && !e.shiftKey) {
+              e.preventDefault();
+              e.currentTarget.form.requestSubmit();
+            }
+          }}
+          rows={2}
+          spellCheck={false}
+          placeholder={FILTER_EXAMPLES[0]}
+          className={`w-full rounded-lg border px-2 py-1 font-mono text-[11px] ${error ? "border-red-400" : ""}`}
+          aria-label="Filter expression"
+          aria-invalid={!!error}
+        />
+        {error && <div className="text-[11px] text-red-700" role="alert">{error.message}</div>}
+        <div className="flex flex-wrap items-center gap-2">
+          <button type="submit" className={button} disabled={!!error || draft.trim() === expression}>Apply</button>
+          <button type="button" className={button} disabled={!expression && !draft} onClick={() => { setDraft(""); onApply(""); }}>Clear</button>
+          <select
+            value={mode}
+            onChange={(e) => onModeChange(e.target.value)}
+            className="rounded-lg border px-1 py-0.5 bg-white"
+            aria-label="Filter mode"
+          >
+            {Object.entries(FILTER_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+      </form>
+
+      <form
+        className="flex items-center gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onSave(name);
+          setName("");
+        }}
+      >
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Filter name"
+          disabled={!expression}
+          className="min-w-0 flex-1 rounded-lg border px-2 py-1"
+          aria-label="Filter name"
+        />
+        <button type="submit" className={button} disabled={!expression || !name.trim()}>Save</button>
+      </form>
+
+      {saved.length > 0 && (
+        <div>
+          <div className={heading}>Saved filters</div>
+          <ul className="mt-1 space-y-0.5">
+            {saved.map((f) => (
+              <li key={f.name} className="flex items-center gap-1">
+                <button
+                  type="button"
+                  onClick={() => {
+                    onModeChange(f.mode in FILTER_MODES ? f.mode : mode);
+                    onApply(f.expression);
+                  }}
+                  className={`flex-1 truncate text-left hover:underline ${f.expression === expression ? "font-medium text-indigo-700" : "text-blue-700"}`}
+                  title={f.expression}
+                >
+                  {f.name}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onRemoveSaved(f.name)}
+                  className="px-1 text-gray-400 hover:text-red-600"
+                  aria-label={`Delete filter ${f.name}`}
+                  title="Delete"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <details>
+        <summary className="cursor-pointer text-[11px] text-gray-600">Syntax</summary>
+        <div className="mt-1 space-y-1 text-[11px] text-gray-600">
+          <p>
+            Fields: <code>node.name</code>, <code>node.value</code>, <code>metadata.owner</code>, <code>req.priority</code>,{" "}
+            <code>req.verification.status</code>, <code>block.layer</code>… Operators: <code>==</code> <code>!=</code>{" "}
+            <code>&lt;</code> <code>&gt;</code> <code>in [..]</code> <code>contains</code> <code>and</code> <code>or</code> <code>not</code>.
+            A node matches when any of its requirements (blocks) satisfies the <code>req</code> (<code>block</code>) terms.
+          </p>
+          <ul className="space-y-0.5">
+            {FILTER_EXAMPLES.map((ex) => (
+              <li key={ex}>
+                <button type="button" className="text-left font-mono text-blue-700 hover:underline" onClick={() => setDraft(ex)}>{ex}</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import React from "react";
+
+const CARD_WIDTH = 220;
+const OFFSET = 14; // px between the node and the card
+
+/**
+ * HoverCard
+ * Floating summary of the node under the pointer (see lib/nodeSummary), placed
+ * beside its screen position `at` `{ x, y }` and flipped to stay inside
+ * `bounds` `{ width, height }`. `deepRequirements` is the subtree count when
+ * the statistics are known. It never takes the pointer, so hovering is unaffected.
+ */
+export default function HoverCard({ summary, deepRequirements, at, bounds }) {
+  const left = at.x + OFFSET + CARD_WIDTH > bounds.width ? at.x - OFFSET - CARD_WIDTH : at.x + OFFSET;
+  const top = Math.min(Math.max(8, at.y - 20), bounds.height - 140);
+  const { requirements } = summary;
+  return (
+    <div
+      className="pointer-events-none absolute z-20 rounded-xl border bg-white/95 p-2 text-xs shadow-md"
+      style={{ left: Math.max(8, left), top: Math.max(8, top), width: CARD_WIDTH }}
+      role="tooltip"
+    >
+      <div className="font-semibold break-words">{summary.name}</div>
+      <div className="text-[11px] text-gray-500">
+        {summary.id ?? "No id"}{summary.owner ? ` · ${summary.owner}` : ""}
+      </div>
+      <div className="mt-1 text-gray-700">
+        {requirements.total} requirement{requirements.total === 1 ? "" : "s"}
+        {deepRequirements !== null && deepRequirements !== requirements.total && ` (${deepRequirements} in subtree)`}
+        {" · "}{summary.blocks} block{summary.blocks === 1 ? "" : "s"}
+        {summary.children > 0 && ` · ${summary.children} child${summary.children === 1 ? "" : "ren"}`}
+      </div>
+      {requirements.byStatus.length > 0 && (
+        <ul className="mt-1 space-y-0.5">
+          {requirements.byStatus.map(({ status, count }) => (
+            <li key={status} className="flex justify-between text-[11px] text-gray-600">
+              <span>{status}</span>
+              <span className="tabular-nums">{count}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
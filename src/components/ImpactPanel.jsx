@@ -0,0 +1,36 @@
+import React from "react";
+
+/**
+ * ImpactPanel
+ * Result of an impact analysis (see lib/derivation): every requirement
+ * downstream of `impact.reqId`, whose owning nodes are highlighted in the
+ * tree. Picking one calls `onSelect(entry)`.
+ */
+export default function ImpactPanel({ impact, onSelect, onClose }) {
+  const { reqId, requirements, nodeKeys } = impact;
+  return (
+    <div className="space-y-2 text-xs">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-sm font-semibold">Impact of {reqId}</h3>
+        <button type="button" onClick={onClose} className="rounded-lg border px-2 py-0.5 text-xs bg-white hover:bg-gray-50">Clear</button>
+      </div>
+      <div className="text-[11px] text-gray-600">
+        A change reaches {requirements.length} requirement{requirements.length === 1 ? "" : "s"} on {nodeKeys.size} node{nodeKeys.size === 1 ? "" : "s"}.
+      </div>
+      <ul className="max-h-64 overflow-auto space-y-1">
+        {requirements.map((e) => (
+          <li key={e.reqId} style={{ paddingLeft: (e.depth - 1) * 8 }}>
+            <button
+              type="button"
+              onClick={() => onSelect(e)}
+              className="w-full text-left rounded-lg border px-2 py-1 hover:bg-rose-50"
+            >
+              <div className="font-medium truncate">{e.reqId}{e.req.title ? ` • ${e.req.title}` : ""}</div>
+              <div className="text-[11px] text-gray-500 truncate">on {e.node.name}</div>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from "react";
+import { IMPORT_FORMATS, detectImportFormat } from "../lib/importers";
+
+const MAX_LISTED = 50;
+
+const ReportList = ({ title, items }) => (
+  items.length === 0 ? null : (
+    <div>
+      <div className="text-xs font-medium text-gray-700 mb-1">{title} ({items.length})</div>
+      <ul className="max-h-32 overflow-auto space-y-0.5">
+        {items.slice(0, MAX_LISTED).map((it, i) => (
+          <li key={`${title}-${i}`} className="text-[11px] text-gray-600">
+            <code>{it.row !== undefined ? `row ${it.row}` : it.ref}</code> — {it.reason}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+);
+
+/**
+ * ImportDialog
+ * Two-step modal for CSV/ReqIF files: map source columns/attributes onto
+ * explorer fields, then review the import report before loading the result.
+ */
+export default function ImportDialog({ file, onClose, onImported }) {
+  const [text, setText] = useState("");
+  const [format, setFormat] = useState(null);
+  const [fields, setFields] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [rootName, setRootName] = useState("Imported requirements");
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setResult(null);
+    setError(null);
+    file.text().then((t) => {
+      if (cancelled) return;
+      const fmt = detectImportFormat(file.name, t);
+      setText(t);
+      setFormat(fmt);
+      if (!fmt) return setError("Unrecognised file: expected CSV or ReqIF XML.");
+      try {
+        const read = IMPORT_FORMATS[fmt].readFields(t);
+        setFields(read.fields);
+        setMapping(read.mapping);
+      } catch (e) {
+        setError(e.message);
+      }
+    }, (e) => !cancelled && setError(`Could not read ${file.name}: ${e.message}`));
+    return () => { cancelled = true; };
+  }, [file]);
+
+  const runImport = () => {
+    try {
+      setResult(IMPORT_FORMATS[format].run(text, mapping, { rootName }));
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const importer = format ? IMPORT_FORMATS[format] : null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30" role="dialog" aria-modal="true" aria-label="Import requirements">
+      <div className="w-[32rem] max-h-[85vh] overflow-auto rounded-2xl border bg-white p-4 space-y-3 shadow-lg">
+        <div className="flex items-center justify-between">
+          <h2 className="text-base font-semibold">Import {importer?.label ?? ""} — {file.name}</h2>
+          <button type="button" onClick={onClose} className="rounded-lg border px-2 py-0.5 text-xs bg-white hover:bg-gray-50">Close</button>
+        </div>
+
+        {error && <div className="rounded-lg border border-red-200 bg-red-50 p-2 text-xs text-red-700">{error}</div>}
+
+        {importer && !result && (
+          <>
+            <div className="text-xs text-gray-600">
+              Map each {format === "csv" ? "column" : "attribute"} onto an explorer field. Unmapped ones are ignored.
+            </div>
+            <table className="w-full text-xs">
+              <tbody>
+                {fields.map((f) => (
+                  <tr key={f}>
+                    <td className="py-0.5 pr-2 text-gray-700 break-all">{f}</td>
+                    <td className="py-0.5">
+                      <select
+                        value={mapping[f] ?? ""}
+                        onChange={(e) => setMapping((m) => ({ ...m, [f]: e.target.value }))}
+                        className="w-full rounded border px-1 py-0.5 bg-white"
+                        aria-label={`Field for ${f}`}
+                      >
+                        <option value="">(ignore)</option>
+                        {importer.targets.map((t) => (
+                          <option key={t.key} value={t.key}>{t.label}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <label className="flex items-center gap-2 text-xs">
+              <span className="text-gray-600">Root name</span>
+              <input value={rootName} onChange={(e) => setRootName(e.target.value)} className="flex-1 rounded border px-2 py-0.5" />
+            </label>
+            <div className="flex justify-end">
+              <button type="button" onClick={runImport} className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50 shadow-sm">
+                Import
+              </button>
+            </div>
+          </>
+        )}
+
+        {result && (
+          <>
+            <div className="text-sm text-gray-700">
+              {result.report.nodes} nodes • {result.report.requirements} requirements from {result.report.rows} {format === "csv" ? "rows" : "objects"}
+            </div>
+            <ReportList title="Dropped" items={result.report.dropped} />
+            <ReportList title="Orphaned" items={result.report.orphaned} />
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={() => setResult(null)} className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50">
+                Back to mapping
+              </button>
+              <button
+                type="button"
+                onClick={() => onImported(result.data, file.name)}
+                className="rounded-xl border px-3 py-1 text-sm bg-blue-600 text-white hover:bg-blue-700 shadow-sm"
+              >
+                Load into explorer
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
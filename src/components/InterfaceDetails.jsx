@@ -0,0 +1,36 @@
+import React from "react";
+
+/**
+ * InterfaceDetails
+ * Every block (and owning node) that references one interface id. Picking an
+ * entry jumps to its node via `onSelectPath(absPath)`.
+ */
+export default function InterfaceDetails({ ifcId, refs, onSelectPath, onClose }) {
+  return (
+    <div className="rounded-xl border border-indigo-200 bg-indigo-50/50 p-2 space-y-1">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold">{ifcId}</div>
+        <button type="button" onClick={onClose} className="rounded-lg border px-2 py-0.5 text-xs bg-white hover:bg-gray-50">Close</button>
+      </div>
+      <div className="text-[11px] text-gray-600">
+        Referenced by {refs.length} block{refs.length === 1 ? "" : "s"} on {new Set(refs.map((r) => r.node)).size} node(s)
+      </div>
+      <ul className="space-y-1">
+        {refs.map((r, i) => (
+          <li key={`${r.block.blockId ?? r.block.name}-${i}`}>
+            <button
+              type="button"
+              onClick={() => onSelectPath(r.absPath)}
+              className="w-full text-left rounded-lg border bg-white px-2 py-1 hover:bg-indigo-50"
+            >
+              <div className="text-xs font-medium">{r.block.name ?? r.block.blockId}</div>
+              <div className="text-[11px] text-gray-500">
+                {r.block.blockId ? `${r.block.blockId} • ` : ""}on {r.node.name}
+              </div>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import React, { useMemo, useState } from "react";
+import { pathKey } from "../lib/tree";
+import { LINT_SEVERITIES } from "../lib/lint";
+
+const MAX_LISTED = 200; // findings rendered at once; the rest are counted
+
+// Input for one rule option, typed after its default value
+const OptionInput = ({ label, value, onChange }) => {
+  const input = "rounded border px-1 py-0.5 text-[11px]";
+  if (typeof value === "number") {
+    return (
+      <label className="flex items-center gap-1">
+        <span>{label}</span>
+        <input
+          type="number"
+          value={value}
+          onChange={(e) => e.target.value !== "" && onChange(Number(e.target.value))}
+          className={`${input} w-20`}
+        />
+      </label>
+    );
+  }
+  if (typeof value === "boolean") {
+    return (
+      <label className="flex items-center gap-1">
+        <input type="checkbox" checked={value} onChange={(e) => onChange(e.target.checked)} />
+        <span>{label}</span>
+      </label>
+    );
+  }
+  const isList = Array.isArray(value);
+  return (
+    <label className="flex flex-col gap-0.5">
+      <span>{label}</span>
+      <input
+        type="text"
+        defaultValue={isList ? value.join(", ") : value ?? ""}
+        onBlur={(e) => onChange(isList ? e.target.value.split(",").map((s) => s.trim()).filter(Boolean) : e.target.value)}
+        className={input}
+      />
+    </label>
+  );
+};
+
+/**
+ * LintPanel
+ * Model health: findings of the lint rules (see lib/lint) with per-severity
+ * counts and filters, most severe first. Picking a finding calls
+ * `onSelectFinding(finding)`. The rules list toggles, re-grades and tunes each
+ * rule through `onConfigChange(nextConfig)`. `findings` is null while a run
+ * is pending.
+ */
+export default function LintPanel({ findings, rules, config, onConfigChange, selectedKey, onSelectFinding }) {
+  const [hidden, setHidden] = useState(() => new Set()); // severities filtered out
+  const [selectedOnly, setSelectedOnly] = useState(false);
+
+  const labels = useMemo(() => new Map(rules.map((r) => [r.id, r.label ?? r.id])), [rules]);
+  const totals = useMemo(() => {
+    const out = Object.fromEntries(Object.keys(LINT_SEVERITIES).map((s) => [s, 0]));
+    for (const f of findings ?? []) out[f.severity] = (out[f.severity] ?? 0) + 1;
+    return out;
+  }, [findings]);
+  const shown = useMemo(() => (findings ?? []).filter((f) => !hidden.has(f.severity)
+    && (!selectedOnly || pathKey(f.absPath) === selectedKey)), [findings, hidden, selectedOnly, selectedKey]);
+
+  const toggleSeverity = (s) => setHidden((prev) => {
+    const next = new Set(prev);
+    if (next.has(s)) next.delete(s);
+    else next.add(s);
+    return next;
+  });
+  const setRule = (id, patch) => onConfigChange({ ...config, [id]: { ...config[id], ...patch } });
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-sm font-semibold">Model health</h3>
+        {findings && <span className="text-[11px] text-gray-500">{findings.length} finding{findings.length === 1 ? "" : "s"}</span>}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-[11px]">
+        {Object.entries(LINT_SEVERITIES).map(([key, spec]) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => toggleSeverity(key)}
+            aria-pressed={!hidden.has(key)}
+            className={`rounded-full border px-2 py-0.5 ${hidden.has(key) ? "opacity-40" : ""}`}
+            style={{ borderColor: spec.color, color: spec.color }}
+            title={`${hidden.has(key) ? "Show" : "Hide"} ${spec.label.toLowerCase()}s`}
+          >
+            {spec.label}: {totals[key]}
+          </button>
+        ))}
+        <label className="flex items-center gap-1 text-gray-700">
+          <input type="checkbox" checked={selectedOnly} onChange={(e) => setSelectedOnly(e.target.checked)} disabled={selectedKey === null} />
+          Selected node only
+        </label>
+      </div>
+
+      {!findings ? (
+        <div className="text-[11px] text-gray-500">Checking the model…</div>
+      ) : shown.length === 0 ? (
+        <div className="text-[11px] text-gray-500">{findings.length ? "No findings match the filters." : "No issues found."}</div>
+      ) : (
+        <ul className="max-h-64 overflow-auto divide-y rounded-lg border text-xs" aria-label="Lint findings">
+          {shown.slice(0, MAX_LISTED).map((f, i) => (
+            <li key={`${f.ruleId}-${pathKey(f.absPath)}-${i}`}>
+              <button
+                type="button"
+                onClick={() => onSelectFinding(f)}
+                className={`w-full px-2 py-1 text-left hover:bg-gray-50 ${pathKey(f.absPath) === selectedKey ? "bg-blue-50" : ""}`}
+              >
+                <span className="mr-1" style={{ color: LINT_SEVERITIES[f.severity]?.color }} aria-label={LINT_SEVERITIES[f.severity]?.label}>●</span>
+                {f.message}
+                <span className="block text-[10px] text-gray-500">
+                  {f.nodeName}{f.reqId ? ` • ${f.reqId}` : f.blockId ? ` • ${f.blockId}` : ""} • {labels.get(f.ruleId) ?? f.ruleId}
+                </span>
+              </button>
+            </li>
+          ))}
+          {shown.length > MAX_LISTED && (
+            <li className="px-2 py-1 text-[11px] text-gray-500">…and {shown.length - MAX_LISTED} more</li>
+          )}
+        </ul>
+      )}
+
+      <details className="text-[11px]">
+        <summary className="cursor-pointer text-gray-700">Rules ({rules.length})</summary>
+        <ul className="mt-1 space-y-1.5">
+          {rules.map((rule) => {
+            const c = config[rule.id] ?? {};
+            const enabled = c.enabled ?? true;
+            return (
+              <li key={rule.id} className="space-y-1">
+                <div className="flex items-center gap-2">
+                  <label className="flex flex-1 items-center gap-1">
+                    <input type="checkbox" checked={enabled} onChange={(e) => setRule(rule.id, { enabled: e.target.checked })} />
+                    <span className={enabled ? "" : "text-gray-400"}>{rule.label ?? rule.id}</span>
+                  </label>
+                  <select
+                    value={c.severity ?? rule.severity}
+                    onChange={(e) => setRule(rule.id, { severity: e.target.value })}
+                    disabled={!enabled}
+                    className="rounded border px-1 text-[11px] bg-white"
+                    aria-label={`Severity of ${rule.label ?? rule.id}`}
+                  >
+                    {Object.entries(LINT_SEVERITIES).map(([key, spec]) => <option key={key} value={key}>{spec.label}</option>)}
+                  </select>
+                </div>
+                {enabled && rule.options && (
+                  <div className="ml-5 space-y-1 text-gray-600">
+                    {Object.entries(rule.options).map(([key, fallback]) => (
+                      <OptionInput
+                        key={key}
+                        label={rule.optionLabels?.[key] ?? key}
+                        value={c.options?.[key] ?? fallback}
+                        onChange={(value) => setRule(rule.id, { options: { ...c.options, [key]: value } })}
+                      />
+                    ))}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import * as d3 from "d3";
+import { nearestMinimapNode, visibleRect } from "../lib/navigation";
+
+const VIEWPORT_PAD = 4;
+
+// One path of zero-length round-capped segments: a dot per node in a single element
+const dotsPath = (nodes) => nodes.map((n) => `M${n.x.toFixed(1)},${n.y.toFixed(1)}h0`).join("");
+
+/**
+ * Minimap
+ * The FULL hierarchy in a corner (see lib/navigation): the nodes of the focus
+ * window are coloured and the part of them on screen is boxed. `anchors` pairs
+ * each laid-out node's position with the minimap node standing for it. The
+ * view calls `syncRef.current(transform)` on every zoom event so only the box
+ * re-renders; a click calls `onPick(absPath)` with the nearest node.
+ */
+export default function Minimap({ minimap, size, windowKeys, focusKey, anchors, dims, initialTransform, syncRef, onPick }) {
+  const [transform, setTransform] = useState(initialTransform);
+  const frame = useRef(null);
+  useEffect(() => {
+    syncRef.current = (t) => {
+      cancelAnimationFrame(frame.current);
+      frame.current = requestAnimationFrame(() => setTransform(t));
+    };
+    return () => {
+      cancelAnimationFrame(frame.current);
+      syncRef.current = null;
+    };
+  }, [syncRef]);
+
+  const paths = useMemo(() => ({
+    links: minimap.links.map(([i, j]) => `M${minimap.nodes[i].x.toFixed(1)},${minimap.nodes[i].y.toFixed(1)}L${minimap.nodes[j].x.toFixed(1)},${minimap.nodes[j].y.toFixed(1)}`).join(""),
+    all: dotsPath(minimap.nodes),
+    window: dotsPath(minimap.nodes.filter((n) => windowKeys.has(n.key))),
+  }), [minimap, windowKeys]);
+
+  // Box around the minimap nodes of everything on screen
+  const viewport = useMemo(() => {
+    const r = visibleRect(transform, dims);
+    const seen = anchors.filter((a) => a.px >= r.x0 && a.px <= r.x1 && a.py >= r.y0 && a.py <= r.y1);
+    if (!seen.length) return null;
+    const [x0, x1] = d3.extent(seen, (a) => a.node.x);
+    const [y0, y1] = d3.extent(seen, (a) => a.node.y);
+    return { x: x0 - VIEWPORT_PAD, y: y0 - VIEWPORT_PAD, width: x1 - x0 + 2 * VIEWPORT_PAD, height: y1 - y0 + 2 * VIEWPORT_PAD };
+  }, [anchors, transform, dims]);
+
+  const focus = minimap.byKey.get(focusKey);
+  const pick = (e) => {
+    const [x, y] = d3.pointer(e, e.currentTarget);
+    const n = nearestMinimapNode(minimap, [x - size / 2, y - size / 2]);
+    if (n) onPick(n.absPath);
+  };
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      className="cursor-pointer rounded-xl border bg-white/90 shadow-sm"
+      onClick={pick}
+      role="img"
+      aria-label={`Minimap of the full tree${minimap.depth ? `, ${minimap.depth + 1} levels shown` : ""}`}
+    >
+      <title>Minimap: click to go to a node</title>
+      <g transform={`translate(${size / 2},${size / 2})`}>
+        <path d={paths.links} fill="none" stroke="#e5e7eb" strokeWidth={0.75} />
+        <path d={paths.all} stroke="#cbd5e1" strokeWidth={2.5} strokeLinecap="round" />
+        <path d={paths.window} stroke="#6366f1" strokeWidth={2.5} strokeLinecap="round" />
+        {focus && <circle cx={focus.x} cy={focus.y} r={4} fill="none" stroke="#4338ca" strokeWidth={1.5} />}
+        {viewport && <rect {...viewport} rx={3} fill="#e11d48" fillOpacity={0.06} stroke="#e11d48" strokeWidth={1} />}
+      </g>
+    </svg>
+  );
+}
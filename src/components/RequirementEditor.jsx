@@ -0,0 +1,82 @@
+import React from "react";
+import CommitField from "./CommitField";
+import { COVERAGE_DIMENSIONS } from "../lib/coverage";
+import { asArray } from "../lib/tree";
+
+const PRIORITIES = ["Low", "Medium", "High"];
+const VERIFICATION_METHODS = ["Test", "Analysis", "Inspection", "Demonstration"];
+
+// "REQ-1, REQ-2" → ["REQ-1", "REQ-2"]; nothing left → the field is dropped
+const reqIdList = (text) => {
+  const ids = [...new Set(text.split(/[\s,;]+/).filter(Boolean))];
+  return ids.length ? ids : undefined;
+};
+
+// Known values plus the current one, so an unusual value isn't silently replaced
+const choices = (known, current) => (current && !known.includes(current) ? [...known, current] : known);
+
+/**
+ * RequirementEditor
+ * Edit form for one requirement. Each finished field change is reported as a
+ * patch through `onChange(patch)` (verification fields as
+ * `{ verification: { … } }`, trace references as reqId arrays);
+ * `onRemove()` deletes the requirement.
+ */
+export default function RequirementEditor({ requirement: r, onChange, onRemove }) {
+  const select = (value, options, onPick, label) => (
+    <select
+      value={value ?? ""}
+      onChange={(e) => onPick(e.target.value || undefined)}
+      className="rounded-lg border px-1 py-0.5 text-xs bg-white"
+      aria-label={label}
+    >
+      <option value="">{label}: —</option>
+      {choices(options, value).map((o) => <option key={o} value={o}>{o}</option>)}
+    </select>
+  );
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-1">
+        <div className="w-28 shrink-0">
+          <CommitField value={r.reqId} onCommit={(reqId) => onChange({ reqId })} label="Requirement ID" />
+        </div>
+        <CommitField value={r.title} onCommit={(title) => onChange({ title })} label="Title" placeholder="Title" />
+      </div>
+      <CommitField value={r.text} onCommit={(text) => onChange({ text })} label="Text" placeholder="The system shall…" multiline />
+      <div className="flex flex-wrap items-center gap-1">
+        {select(r.priority, PRIORITIES, (priority) => onChange({ priority }), "Priority")}
+        {select(r.status, COVERAGE_DIMENSIONS.lifecycle.buckets, (status) => onChange({ status }), "Status")}
+        {select(r.verification?.method, VERIFICATION_METHODS, (method) => onChange({ verification: { method } }), "Method")}
+        {select(r.verification?.status, COVERAGE_DIMENSIONS.verification.buckets, (status) => onChange({ verification: { status } }), "Verification")}
+      </div>
+      <CommitField value={r.source} onCommit={(source) => onChange({ source })} label="Source" placeholder="Source" />
+      <div className="flex items-center gap-1">
+        <CommitField
+          value={asArray(r.derivedFrom).join(", ")}
+          onCommit={(text) => onChange({ derivedFrom: reqIdList(text) })}
+          label="Derived from"
+          placeholder="Derived from (reqIds)"
+        />
+        <CommitField
+          value={asArray(r.satisfies).join(", ")}
+          onCommit={(text) => onChange({ satisfies: reqIdList(text) })}
+          label="Satisfies"
+          placeholder="Satisfies (reqIds)"
+        />
+      </div>
+      <CommitField
+        value={r.acceptanceCriteria}
+        onCommit={(acceptanceCriteria) => onChange({ acceptanceCriteria })}
+        label="Acceptance criteria"
+        placeholder="Acceptance criteria"
+        multiline
+      />
+      <div className="text-right">
+        <button type="button" onClick={onRemove} className="rounded-lg border px-2 py-0.5 text-[11px] text-red-700 bg-white hover:bg-red-50">
+          Remove requirement
+        </button>
+      </div>
+    </div>
+  );
+}
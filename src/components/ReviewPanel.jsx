@@ -0,0 +1,61 @@
+import React, { useRef } from "react";
+
+/**
+ * ReviewPanel
+ * Review comments of the current dataset: who is commenting, an "open only"
+ * filter for badges and threads, and the sidecar file (import merges a
+ * reviewer's file via `onImportFile(file)`, export downloads every comment).
+ * `report` is the outcome of the last import.
+ */
+export default function ReviewPanel({ author, onAuthorChange, totals, openOnly, onOpenOnlyChange, onImportFile, onExport, report }) {
+  const fileRef = useRef(null);
+  const button = "rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50 disabled:text-gray-400 disabled:hover:bg-white";
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-sm font-semibold">Review comments</h3>
+        <span className="text-[11px] text-gray-500">{totals.open} open • {totals.total} total</span>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={author}
+          onChange={(e) => onAuthorChange(e.target.value)}
+          placeholder="Your name"
+          className="w-32 rounded-lg border px-2 py-1 text-xs"
+          aria-label="Reviewer name"
+        />
+        <button type="button" className={button} onClick={() => fileRef.current?.click()} title="Merge a comments file from another reviewer">
+          Import…
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (file) onImportFile(file);
+          }}
+        />
+        <button type="button" className={button} onClick={onExport} disabled={!totals.total}>Export</button>
+        <label className="flex items-center gap-1 text-xs text-gray-700">
+          <input type="checkbox" checked={openOnly} onChange={(e) => onOpenOnlyChange(e.target.checked)} />
+          Open comments only
+        </label>
+      </div>
+      {report && (
+        <div className={`text-[11px] ${report.errors.length ? "text-amber-700" : "text-gray-600"}`}>
+          {report.message}
+          {report.errors.length > 0 && (
+            <ul className="mt-0.5 list-disc pl-4">
+              {report.errors.slice(0, 5).map((e, i) => <li key={i}>{e}</li>)}
+              {report.errors.length > 5 && <li>…and {report.errors.length - 5} more</li>}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React from "react";
+import { SEARCH_FACETS } from "../lib/search";
+
+const KIND_LABEL = { node: "Node", requirement: "Req", block: "Block" };
+const MAX_LISTED = 50;
+
+/**
+ * SearchPanel
+ * Controlled search bar + facet selects + hit list. The owner keeps the query,
+ * facets and computed hits so it can also highlight matches in the radial view.
+ * `total` counts every match when `hits` was cut off.
+ */
+export default function SearchPanel({ query, onQueryChange, facets, onFacetsChange, facetValues, hits, total = hits.length, onSelectHit }) {
+  const listed = Math.min(hits.length, MAX_LISTED);
+  const hasCriteria = query.trim() !== "" || Object.values(facets).some((v) => v);
+
+  const setFacet = (key, value) => onFacetsChange({ ...facets, [key]: value });
+
+  return (
+    <div className="w-80 rounded-xl border bg-white/95 shadow-sm p-2 space-y-2 text-sm">
+      <div className="flex items-center gap-1">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          placeholder="Search nodes, requirements, blocks…"
+          className="flex-1 rounded-lg border px-2 py-1 text-sm"
+          aria-label="Search the full tree"
+        />
+        {hasCriteria && (
+          <button
+            type="button"
+            onClick={() => { onQueryChange(""); onFacetsChange({}); }}
+            className="rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50"
+            title="Clear search and facets"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-1">
+        {SEARCH_FACETS.map((f) => (
+          <select
+            key={f.key}
+            value={facets[f.key] ?? ""}
+            onChange={(e) => setFacet(f.key, e.target.value)}
+            className="rounded-lg border px-1 py-0.5 text-xs bg-white"
+            aria-label={f.label}
+          >
+            <option value="">{f.label}: any</option>
+            {(facetValues[f.key] || []).map((v) => (
+              <option key={v} value={v}>{v}</option>
+            ))}
+          </select>
+        ))}
+      </div>
+
+      {hasCriteria && (
+        <div className="max-h-72 overflow-auto">
+          <div className="text-[11px] text-gray-500 mb-1">
+            {total === 0 ? "No matches" : `${total} match${total === 1 ? "" : "es"}`}
+            {listed < total ? ` (showing ${listed} of ${total})` : ""}
+          </div>
+          <ul className="space-y-1">
+            {hits.slice(0, listed).map((h, i) => (
+              <li key={`hit-${i}`}>
+                <button
+                  type="button"
+                  onClick={() => onSelectHit(h)}
+                  className="w-full text-left rounded-lg border px-2 py-1 hover:bg-amber-50"
+                >
+                  <div className="flex items-center gap-1">
+                    <span className="rounded-full border px-1.5 text-[10px] text-gray-600">{KIND_LABEL[h.kind]}</span>
+                    <span className="font-medium truncate">{h.label}</span>
+                  </div>
+                  <div className="text-[11px] text-gray-500 truncate">
+                    {h.kind === "node" ? (h.node.id ?? "") : `on ${h.node.name}`}
+                    {h.field ? ` • ${h.field}` : ""}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import React from "react";
+
+const MAX_LISTED_CONFLICTS = 12;
+
+const versionText = (v) => v ?? "no version";
+
+/**
+ * ServerSyncPanel
+ * Dataset-server messages about the open model. `conflict` is a refused save
+ * `{ name, revision, summary }` (summary from saveConflicts in lib/dataSources):
+ * the nodes both sides changed are listed with their `metadata.version` and
+ * the user overwrites the stored version (`onOverwrite`) or takes it and drops
+ * their edits (`onLoadTheirs`). `remoteChange` `{ name, type }` reports a
+ * save elsewhere while there are unsaved edits (`onReload` takes it).
+ */
+export default function ServerSyncPanel({ conflict, remoteChange, onOverwrite, onLoadTheirs, onReload, onDismiss }) {
+  const button = "rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50";
+  if (conflict) {
+    const { summary } = conflict;
+    const stored = conflict.revision !== null;
+    return (
+      <div className="space-y-2 rounded-lg border border-red-200 bg-red-50 p-2 text-[11px] text-red-800" role="alert">
+        <div className="font-medium">
+          {stored
+            ? `"${conflict.name}" was saved elsewhere since this model was loaded; nothing was written.`
+            : `"${conflict.name}" is no longer on the server (or can't be read); nothing was written.`}
+        </div>
+        {stored && summary && (
+          <>
+            <div>
+              You changed {summary.ours} node{summary.ours === 1 ? "" : "s"}, the stored version changed {summary.theirs}.{" "}
+              {summary.conflicts.length
+                ? `${summary.conflicts.length} node${summary.conflicts.length === 1 ? " was" : "s were"} changed on both sides:`
+                : "No node was changed on both sides."}
+            </div>
+            {summary.conflicts.length > 0 && (
+              <ul className="max-h-40 space-y-0.5 overflow-auto">
+                {summary.conflicts.slice(0, MAX_LISTED_CONFLICTS).map((c) => (
+                  <li key={c.key} className="break-words">
+                    <span className="font-medium">{c.name}</span>{" "}
+                    {!c.inOurs ? "deleted by you" : !c.inTheirs ? "deleted on the server" : (
+                      <span className="text-red-700">
+                        {versionText(c.versions.base)} → yours {versionText(c.versions.ours)}, stored {versionText(c.versions.theirs)}
+                      </span>
+                    )}
+                  </li>
+                ))}
+                {summary.conflicts.length > MAX_LISTED_CONFLICTS && <li>…and {summary.conflicts.length - MAX_LISTED_CONFLICTS} more</li>}
+              </ul>
+            )}
+          </>
+        )}
+        <div className="flex flex-wrap gap-2">
+          <button type="button" className={button} onClick={onOverwrite}>
+            {stored ? "Overwrite with mine" : "Save mine again"}
+          </button>
+          {stored && conflict.data && (
+            <button type="button" className={button} onClick={onLoadTheirs} title="Discards your unsaved edits">
+              Load stored version
+            </button>
+          )}
+          <button type="button" className={button} onClick={onDismiss}>Dismiss</button>
+        </div>
+      </div>
+    );
+  }
+  if (!remoteChange) return null;
+  return (
+    <div className="flex flex-wrap items-center gap-2 rounded-lg border border-amber-300 bg-amber-50 px-2 py-1 text-[11px] text-amber-800" role="status">
+      <span className="flex-1">
+        {remoteChange.type === "removed"
+          ? `"${remoteChange.name}" was removed from the server; saving puts it back.`
+          : `"${remoteChange.name}" was saved elsewhere. Your unsaved edits are based on an older version.`}
+      </span>
+      {remoteChange.type !== "removed" && (
+        <button type="button" className={button} onClick={onReload} title="Discards your unsaved edits">Reload</button>
+      )}
+      <button type="button" className={button} onClick={onDismiss}>Dismiss</button>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { TRACE_KINDS } from "../lib/derivation";
+
+// One requirement of a chain, indented by its distance from the traced one
+const ChainEntry = ({ entry, direction, onSelect }) => (
+  <li style={{ paddingLeft: (entry.depth - 1) * 12 }}>
+    <button type="button" onClick={() => onSelect(entry)} className="w-full text-left hover:underline" title={`${entry.reqId} on ${entry.node.name}`}>
+      <span className="text-gray-500">{direction === "up" ? TRACE_KINDS[entry.kind].label : TRACE_KINDS[entry.kind].inverse} </span>
+      <span className="font-medium text-blue-700">{entry.reqId}</span>
+      {entry.req.title ? ` ${entry.req.title}` : ""}
+      <span className="text-gray-500"> • {entry.node.name}</span>
+    </button>
+  </li>
+);
+
+/**
+ * TraceDetails
+ * Derivation trace of one requirement (see lib/derivation): the chain up to
+ * the requirements it comes from, the chain down to those derived from it,
+ * and its broken references. Picking an entry calls `onSelect(entry)`;
+ * `onImpact()` starts an impact analysis of the requirement.
+ */
+export default function TraceDetails({ up, down, problems, onSelect, onImpact }) {
+  const heading = "text-[11px] uppercase tracking-wide text-gray-500";
+  return (
+    <div className="rounded-lg border border-teal-200 bg-teal-50/40 p-2 space-y-2 text-[11px]">
+      <div>
+        <div className={heading}>Upstream</div>
+        {up.length ? (
+          <ul className="mt-0.5 space-y-0.5">{up.map((e) => <ChainEntry key={e.reqId} entry={e} direction="up" onSelect={onSelect} />)}</ul>
+        ) : (
+          <div className="text-gray-500">Not derived from another requirement.</div>
+        )}
+      </div>
+      <div>
+        <div className={heading}>Downstream</div>
+        {down.length ? (
+          <ul className="mt-0.5 space-y-0.5">{down.map((e) => <ChainEntry key={e.reqId} entry={e} direction="down" onSelect={onSelect} />)}</ul>
+        ) : (
+          <div className="text-gray-500">No requirement derives from it.</div>
+        )}
+      </div>
+      {problems.length > 0 && (
+        <ul className="list-disc pl-4 text-red-700">
+          {problems.map((p, i) => <li key={i}>{p.message}</li>)}
+        </ul>
+      )}
+      <button
+        type="button"
+        onClick={onImpact}
+        disabled={!down.length}
+        className="rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50 disabled:text-gray-400 disabled:hover:bg-white"
+        title="List and highlight every downstream requirement and node affected by a change"
+      >
+        Impact analysis
+      </button>
+    </div>
+  );
+}
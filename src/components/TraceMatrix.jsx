@@ -0,0 +1,230 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { pathKey } from "../lib/tree";
+import { TRACE_COLUMNS, filterTraceMatrix, sortTraceRows } from "../lib/traceability";
+
+const ROW_HEIGHT = 28; // px, every body row
+const OVERSCAN = 10; // rows rendered above/below the viewport
+const COLUMN_WIDTHS = { reqId: 110, title: 220, node: 130, status: 90, blocks: 70, interfaces: 150 };
+const BLOCK_WIDTH = 26;
+const TEXT_FILTERS = { reqId: "Requirement id", title: "Title", node: "Node", interfaces: "Interface" };
+
+/**
+ * TraceMatrix
+ * Requirements of the focused subtree against its related system blocks (see
+ * lib/traceability), with sortable, filterable columns and virtualized rows.
+ * A dot marks each block a requirement's node allocates to; unallocated rows
+ * and orphan block columns are flagged. Picking a row calls `onSelectRow(row)`;
+ * the rows of the node selected in the tree are highlighted and scrolled to.
+ */
+export default function TraceMatrix({ matrix, scopeLabel, selectedKey, selectedReqId, onSelectRow, onClose }) {
+  const [sort, setSort] = useState({ key: null, dir: "asc" });
+  const [filters, setFilters] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewHeight, setViewHeight] = useState(ROW_HEIGHT * 10);
+  const scrollRef = useRef(null);
+
+  const statuses = useMemo(() => [...new Set(matrix.rows.map((r) => r.status).filter(Boolean))].sort(), [matrix]);
+  const flags = useMemo(() => ({
+    unallocated: matrix.rows.filter((r) => r.unallocated).length,
+    orphans: matrix.blocks.filter((b) => b.orphan).length,
+  }), [matrix]);
+  const view = useMemo(() => {
+    const filtered = filterTraceMatrix(matrix, filters);
+    return { ...filtered, rows: sortTraceRows(filtered.rows, sort.key, sort.dir) };
+  }, [matrix, filters, sort]);
+
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+  const toggleSort = (key) => setSort((prev) => (prev.key !== key
+    ? { key, dir: "asc" }
+    : prev.dir === "asc" ? { key, dir: "desc" } : { key: null, dir: "asc" }));
+
+  const onScroll = (e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+    setViewHeight(e.currentTarget.clientHeight || viewHeight);
+  };
+  useEffect(() => {
+    if (scrollRef.current?.clientHeight) setViewHeight(scrollRef.current.clientHeight);
+  }, []);
+
+  // Bring the selection's rows into view when it changes in the tree. Re-sorting and
+  // filtering leave the scroll alone once a selection has been shown.
+  const scrolledToRef = useRef(null);
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (selectedKey === null || selectedKey === undefined) {
+      scrolledToRef.current = null;
+      return;
+    }
+    if (!el) return;
+    const target = `${selectedKey}#${selectedReqId ?? ""}`;
+    if (scrolledToRef.current === target) return;
+    const matches = (r) => pathKey(r.absPath) === selectedKey;
+    let index = view.rows.findIndex((r) => matches(r) && r.reqId === selectedReqId);
+    if (index < 0) index = view.rows.findIndex(matches);
+    if (index < 0) return;
+    scrolledToRef.current = target;
+    const top = index * ROW_HEIGHT;
+    const header = ROW_HEIGHT * 2;
+    if (top < el.scrollTop || top + ROW_HEIGHT > el.scrollTop + el.clientHeight - header) {
+      el.scrollTop = Math.max(0, top - ROW_HEIGHT);
+    }
+  }, [selectedKey, selectedReqId, view.rows]);
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(view.rows.length, Math.ceil((scrollTop + viewHeight) / ROW_HEIGHT) + OVERSCAN);
+  const tableWidth = Object.values(COLUMN_WIDTHS).reduce((a, b) => a + b, 0) + view.blocks.length * BLOCK_WIDTH;
+
+  const sortMark = (key) => (sort.key !== key ? "" : sort.dir === "asc" ? " ▲" : " ▼");
+  const cell = "px-2 truncate border-b";
+  const sticky = "sticky left-0 z-10";
+
+  return (
+    <div className="h-72 flex flex-col rounded-2xl border bg-white text-sm">
+      <div className="flex flex-wrap items-center gap-2 px-3 py-2 border-b">
+        <h3 className="font-semibold">Traceability matrix</h3>
+        <span className="text-xs text-gray-500">{scopeLabel}</span>
+        <span className="text-xs text-gray-600">
+          {view.rows.length} of {matrix.rows.length} requirements • {view.blocks.length} of {matrix.blocks.length} blocks
+        </span>
+        {flags.unallocated > 0 && (
+          <span className="rounded-full border border-amber-300 bg-amber-50 px-2 py-0.5 text-[11px] text-amber-800">
+            {flags.unallocated} unallocated
+          </span>
+        )}
+        {flags.orphans > 0 && (
+          <span className="rounded-full border border-red-300 bg-red-50 px-2 py-0.5 text-[11px] text-red-700">
+            {flags.orphans} orphan block{flags.orphans === 1 ? "" : "s"}
+          </span>
+        )}
+        <div className="ml-auto flex items-center gap-2">
+          <input
+            type="search"
+            value={filters.block ?? ""}
+            onChange={(e) => setFilter("block", e.target.value)}
+            placeholder="Filter blocks…"
+            className="w-32 rounded-lg border px-2 py-0.5 text-xs"
+            aria-label="Filter block columns"
+          />
+          <label className="flex items-center gap-1 text-xs text-gray-700">
+            <input type="checkbox" checked={!!filters.flaggedOnly} onChange={(e) => setFilter("flaggedOnly", e.target.checked)} />
+            Flagged only
+          </label>
+          <button type="button" onClick={onClose} className="rounded-lg border px-2 py-0.5 text-xs bg-white hover:bg-gray-50">
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div ref={scrollRef} onScroll={onScroll} className="flex-1 min-h-0 overflow-auto">
+        <table className="border-separate border-spacing-0" style={{ tableLayout: "fixed", width: tableWidth }}>
+          <colgroup>
+            {Object.entries(COLUMN_WIDTHS).map(([key, width]) => <col key={key} style={{ width }} />)}
+            {view.blocks.map((b) => <col key={b.key} style={{ width: BLOCK_WIDTH }} />)}
+          </colgroup>
+          <thead className="sticky top-0 z-20 bg-gray-50 text-xs text-gray-600">
+            <tr style={{ height: ROW_HEIGHT }}>
+              {Object.entries(TRACE_COLUMNS).map(([key, col], i) => (
+                <th
+                  key={key}
+                  scope="col"
+                  className={`${cell} text-left font-medium bg-gray-50 ${i === 0 ? sticky : ""}`}
+                  aria-sort={sort.key === key ? (sort.dir === "asc" ? "ascending" : "descending") : "none"}
+                >
+                  <button type="button" onClick={() => toggleSort(key)} className="hover:underline">
+                    {col.label}{sortMark(key)}
+                  </button>
+                </th>
+              ))}
+              {view.blocks.map((b) => (
+                <th
+                  key={b.key}
+                  rowSpan={2}
+                  scope="col"
+                  className={`border-b border-l align-bottom font-normal ${b.orphan ? "bg-red-50 text-red-700" : "bg-gray-50"}`}
+                  title={`${b.name}${b.blockId ? ` (${b.blockId})` : ""} on ${b.nodeName}${b.interfaces.length ? ` • ${b.interfaces.join(", ")}` : ""}${b.orphan ? " • orphan: no requirement traces to it" : ""}`}
+                >
+                  <div className="mx-auto max-h-20 overflow-hidden text-[10px]" style={{ writingMode: "vertical-rl", transform: "rotate(180deg)" }}>
+                    {b.orphan ? "⚠ " : ""}{b.name}
+                  </div>
+                </th>
+              ))}
+            </tr>
+            <tr style={{ height: ROW_HEIGHT }}>
+              {Object.keys(TRACE_COLUMNS).map((key, i) => (
+                <th key={key} className={`px-1 border-b font-normal bg-gray-50 ${i === 0 ? sticky : ""}`}>
+                  {key === "status" ? (
+                    <select
+                      value={filters.status ?? ""}
+                      onChange={(e) => setFilter("status", e.target.value)}
+                      className="w-full rounded border px-1 text-[11px] bg-white"
+                      aria-label="Filter by status"
+                    >
+                      <option value="">any</option>
+                      {statuses.map((s) => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                  ) : TEXT_FILTERS[key] ? (
+                    <input
+                      type="search"
+                      value={filters[key] ?? ""}
+                      onChange={(e) => setFilter(key, e.target.value)}
+                      placeholder="Filter…"
+                      className="w-full rounded border px-1 text-[11px]"
+                      aria-label={`Filter by ${TEXT_FILTERS[key].toLowerCase()}`}
+                    />
+                  ) : null}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 && <tr style={{ height: first * ROW_HEIGHT }} aria-hidden="true" />}
+            {view.rows.slice(first, last).map((r) => {
+              const isSelectedNode = pathKey(r.absPath) === selectedKey;
+              const isSelectedReq = isSelectedNode && r.reqId === selectedReqId;
+              const bg = isSelectedReq ? "bg-indigo-100" : isSelectedNode ? "bg-blue-50" : "bg-white";
+              return (
+                <tr
+                  key={r.key}
+                  style={{ height: ROW_HEIGHT }}
+                  className={`cursor-pointer hover:brightness-95 ${bg}`}
+                  tabIndex={0}
+                  aria-selected={isSelectedReq}
+                  onClick={() => onSelectRow(r)}
+                  onKeyDown={(e) => {
+                    if (e.key !== "Enter" && e.key !== " ") return;
+                    e.preventDefault();
+                    onSelectRow(r);
+                  }}
+                >
+                  <td className={`${cell} ${sticky} ${bg} font-medium`} title={r.reqId}>{r.reqId}</td>
+                  <td className={cell} title={r.title}>{r.title}</td>
+                  <td className={cell} title={r.nodeName}>{r.nodeName}</td>
+                  <td className={`${cell} text-xs`}>{r.status || "—"}</td>
+                  <td className={`${cell} text-xs`}>
+                    {r.unallocated ? (
+                      <span className="rounded-full border border-amber-300 bg-amber-50 px-1.5 text-[10px] text-amber-800" title="The owning node has no related system blocks">
+                        unallocated
+                      </span>
+                    ) : r.blockKeys.size}
+                  </td>
+                  <td className={`${cell} text-[11px] text-gray-600`} title={r.interfaces.join(", ")}>{r.interfaces.join(", ") || "—"}</td>
+                  {view.blocks.map((b) => (
+                    <td key={b.key} className={`border-b border-l text-center ${b.orphan ? "bg-red-50/60" : ""}`}>
+                      {r.blockKeys.has(b.key) && <span className="text-indigo-600" aria-label={`allocated to ${b.name}`}>●</span>}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+            {last < view.rows.length && <tr style={{ height: (view.rows.length - last) * ROW_HEIGHT }} aria-hidden="true" />}
+          </tbody>
+        </table>
+        {view.rows.length === 0 && (
+          <div className="p-3 text-xs text-gray-500">
+            {matrix.rows.length === 0 ? "No requirements in this subtree." : "No requirements match the filters."}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
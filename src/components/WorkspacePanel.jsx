@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+
+// One saved node: jumps on click, struck through when it no longer resolves
+const EntryButton = ({ entry, text, missing, onJump }) => (
+  <button
+    type="button"
+    onClick={() => onJump(entry)}
+    className={`truncate text-left hover:underline ${missing ? "text-gray-400 line-through" : "text-blue-700"}`}
+    title={missing ? `${entry.name} (${entry.ref}) is not in this dataset` : `${entry.name} (${entry.ref})`}
+  >
+    {text}
+  </button>
+);
+
+const RemoveButton = ({ label, onClick }) => (
+  <button type="button" onClick={onClick} className="px-1 text-gray-400 hover:text-red-600" aria-label={label} title={label}>×</button>
+);
+
+/**
+ * WorkspacePanel
+ * Bookmarks, pinned nodes and recently selected nodes of the current dataset
+ * (see lib/workspace). `resolved` maps each entry's ref to its path, or null
+ * when the node is gone; such entries stay listed but flagged, and
+ * `onJump(entry)` is left to report them. `selected` is `{ ref, name }` of the
+ * selected node, or null.
+ */
+export default function WorkspacePanel({
+  workspace, resolved, selected, persisted, notice,
+  onJump, onAddBookmark, onTogglePin, onRemove, onClearRecent, onDismissNotice,
+}) {
+  const [label, setLabel] = useState("");
+  const button = "rounded-lg border px-2 py-1 text-xs bg-white hover:bg-gray-50 disabled:text-gray-400 disabled:hover:bg-white";
+  const isMissing = (entry) => !resolved.get(entry.ref);
+  const isPinned = !!selected && workspace.pinned.some((p) => p.ref === selected.ref);
+  const heading = "text-[11px] uppercase tracking-wide text-gray-500";
+
+  return (
+    <div className="space-y-2 text-xs">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-sm font-semibold">Workspace</h3>
+        {!persisted && <span className="text-[11px] text-amber-700" title="Browser storage is unavailable or full">not saved</span>}
+      </div>
+
+      {notice && (
+        <div className="flex items-start gap-1 rounded-lg border border-amber-300 bg-amber-50 px-2 py-1 text-[11px] text-amber-800" role="status">
+          <span className="flex-1">{notice}</span>
+          <RemoveButton label="Dismiss" onClick={onDismissNotice} />
+        </div>
+      )}
+
+      <form
+        className="flex items-center gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onAddBookmark(label);
+          setLabel("");
+        }}
+      >
+        <input
+          type="text"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          placeholder={selected ? selected.name : "Select a node"}
+          disabled={!selected}
+          className="min-w-0 flex-1 rounded-lg border px-2 py-1"
+          aria-label="Bookmark name"
+        />
+        <button type="submit" className={button} disabled={!selected}>Bookmark</button>
+        <button type="button" className={button} disabled={!selected} onClick={onTogglePin} aria-pressed={isPinned}>
+          {isPinned ? "Unpin" : "Pin"}
+        </button>
+      </form>
+
+      {workspace.pinned.length > 0 && (
+        <div>
+          <div className={heading}>Pinned</div>
+          <div className="mt-1 flex flex-wrap gap-1">
+            {workspace.pinned.map((p) => (
+              <span key={p.ref} className="inline-flex max-w-full items-center rounded-full border bg-gray-50 pl-2">
+                <EntryButton entry={p} text={p.name} missing={isMissing(p)} onJump={onJump} />
+                <RemoveButton label={`Unpin ${p.name}`} onClick={() => onRemove("pinned", p.ref)} />
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {workspace.bookmarks.length > 0 && (
+        <div>
+          <div className={heading}>Bookmarks</div>
+          <ul className="mt-1 space-y-0.5">
+            {workspace.bookmarks.map((b) => (
+              <li key={b.ref} className="flex items-center gap-1">
+                <EntryButton entry={b} text={b.label} missing={isMissing(b)} onJump={onJump} />
+                {b.label !== b.name && <span className="truncate text-[10px] text-gray-500">{b.name}</span>}
+                <span className="ml-auto">
+                  <RemoveButton label={`Remove bookmark ${b.label}`} onClick={() => onRemove("bookmarks", b.ref)} />
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {workspace.recent.length > 0 && (
+        <div>
+          <div className="flex items-center justify-between">
+            <span className={heading}>Recent</span>
+            <button type="button" onClick={onClearRecent} className="text-[11px] text-gray-500 hover:underline">Clear</button>
+          </div>
+          <div className="mt-1 flex flex-wrap gap-x-2 gap-y-0.5">
+            {workspace.recent.map((r) => (
+              <EntryButton key={r.ref} entry={r} text={r.name} missing={isMissing(r)} onJump={onJump} />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
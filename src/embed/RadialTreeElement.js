@@ -0,0 +1,116 @@
+import { createElement, createRef } from "react";
+import { createRoot } from "react-dom/client";
+import RadialTreeExplorer from "../App";
+
+// Attributes mirrored onto component props
+const ATTRIBUTES = ["focus-id", "selected-id"];
+
+/**
+ * RadialTreeElement
+ * Custom element around RadialTreeExplorer for pages that don't use React.
+ * The tree goes in through the `data` property (object or JSON string).
+ * `focus-id` / `selected-id` attributes drive the view and follow it: every
+ * change fires a cancelable `focus-change` / `node-select` event (detail
+ * `{ node, id, path }`) and is written back to the attribute unless the event
+ * is cancelled, which snaps the view back. `node-hover` and `zoom` events are
+ * informational. The element leaves the page's URL alone.
+ */
+export class RadialTreeElement extends HTMLElement {
+  static get observedAttributes() {
+    return ATTRIBUTES;
+  }
+
+  constructor() {
+    super();
+    this._data = undefined;
+    this._root = null;
+    this._explorer = createRef();
+  }
+
+  get data() {
+    return this._data;
+  }
+
+  set data(value) {
+    this._data = value;
+    this._render();
+  }
+
+  connectedCallback() {
+    if (!this._root) this._root = createRoot(this);
+    this._render();
+  }
+
+  disconnectedCallback() {
+    // unmount after the current task, so moving the element in the DOM keeps its state
+    queueMicrotask(() => {
+      if (this.isConnected || !this._root) return;
+      this._root.unmount();
+      this._root = null;
+    });
+  }
+
+  attributeChangedCallback() {
+    this._render();
+  }
+
+  focusNode(id) {
+    return this._explorer.current?.focus(id) ?? false;
+  }
+
+  selectNode(id) {
+    return this._explorer.current?.select(id) ?? false;
+  }
+
+  zoomTo(id) {
+    return this._explorer.current?.zoomTo(id) ?? false;
+  }
+
+  resetRoot() {
+    this._explorer.current?.resetRoot();
+  }
+
+  fitAll() {
+    this._explorer.current?.fitAll();
+  }
+
+  exportSvg() {
+    return this._explorer.current?.exportSvg() ?? null;
+  }
+
+  // Fire `type`; unless cancelled, `attribute` takes the new id
+  _report(type, attribute, node, info) {
+    const event = new CustomEvent(type, { detail: { node, ...info }, bubbles: true, cancelable: true });
+    if (!this.dispatchEvent(event)) return; // the explorer reverts to the attribute by itself
+    if (info) this.setAttribute(attribute, info.id);
+    else this.removeAttribute(attribute);
+  }
+
+  _render() {
+    if (!this._root) return;
+    this._root.render(createElement(RadialTreeExplorer, {
+      ref: this._explorer,
+      ...(this._data !== undefined ? { data: this._data } : {}),
+      fitViewport: false,
+      syncUrl: false,
+      focusId: this.getAttribute("focus-id"), // no attribute: the root / no selection
+      selectedId: this.getAttribute("selected-id"),
+      onFocusChange: (node, info) => this._report("focus-change", "focus-id", node, info),
+      onSelect: (node, info) => this._report("node-select", "selected-id", node, info),
+      onHover: (node, info) => this.dispatchEvent(new CustomEvent("node-hover", { detail: { node, ...info }, bubbles: true })),
+      onZoom: (transform) => this.dispatchEvent(new CustomEvent("zoom", { detail: transform, bubbles: true })),
+    }));
+  }
+}
+
+/**
+ * defineRadialTreeElement
+ * Registers the element under `tagName` (once) and returns its class.
+ */
+export const defineRadialTreeElement = (tagName = "radial-tree-explorer") => {
+  const existing = customElements.get(tagName);
+  if (existing) return existing;
+  const element = class extends RadialTreeElement {};
+  customElements.define(tagName, element);
+  return element;
+};
@@ -0,0 +1,4 @@
+// Library entry (`npm run build:lib`): the explorer component for React hosts and a
+// custom element wrapper for everything else. React, ReactDOM and d3 stay external.
+export { default as RadialTreeExplorer } from "../App";
+export { RadialTreeElement, defineRadialTreeElement } from "./RadialTreeElement";
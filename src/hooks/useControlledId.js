@@ -0,0 +1,35 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * useControlledId
+ * Bridges a piece of id-addressed view state the explorer owns (focus,
+ * selection) to an optional controlling prop. Changes of `current` are
+ * reported through `onChange(id)` once `settled`; while `value` is not
+ * undefined the view then follows it, so a host that adopts the reported id
+ * keeps the change and one that keeps passing the old id snaps the view back.
+ * `apply(id)` moves the internal state to `id` and returns false when the id
+ * does not resolve. Changes on the way to an applied id are not reported.
+ */
+export default function useControlledId({ value, current, settled = true, apply, onChange }) {
+  const controlled = value !== undefined;
+  const reportedRef = useRef(controlled ? value : current); // a controlled start is the host's own
+  const targetRef = useRef(undefined); // id being applied from `value`
+  const [checks, setChecks] = useState(0);
+  const latestRef = useRef(null);
+  latestRef.current = { apply, onChange, current }; // `current` is read, not watched, when applying `value`
+
+  useEffect(() => {
+    if (!settled || current === reportedRef.current) return;
+    reportedRef.current = current;
+    const target = targetRef.current;
+    targetRef.current = undefined;
+    if (target !== undefined && current === target) return;
+    latestRef.current.onChange?.(current);
+    if (controlled) setChecks((c) => c + 1); // re-check against `value` after the host had its say
+  }, [current, settled, controlled]);
+
+  useEffect(() => {
+    if (!controlled || value === latestRef.current.current) return;
+    if (latestRef.current.apply(value)) targetRef.current = value;
+  }, [controlled, value, checks]);
+}
@@ -0,0 +1,55 @@
+import { useCallback, useRef, useState } from "react";
+
+/**
+ * useEditHistory
+ * Undo/redo stacks of `{ label, before, after }` snapshots. The owner decides
+ * what a snapshot holds and applies the one returned by `undo()` (its
+ * `before`) or `redo()` (its `after`); recording a new edit drops the redo
+ * stack. Keeps at most `limit` entries.
+ */
+export default function useEditHistory(limit = 100) {
+  const stacks = useRef({ past: [], future: [] });
+  const [, setVersion] = useState(0);
+  const bump = () => setVersion((v) => v + 1);
+
+  const record = useCallback((label, before, after) => {
+    const { past } = stacks.current;
+    stacks.current = { past: [...past, { label, before, after }].slice(-limit), future: [] };
+    bump();
+  }, [limit]);
+
+  const undo = useCallback(() => {
+    const { past, future } = stacks.current;
+    if (!past.length) return null;
+    const entry = past[past.length - 1];
+    stacks.current = { past: past.slice(0, -1), future: [entry, ...future] };
+    bump();
+    return entry;
+  }, []);
+
+  const redo = useCallback(() => {
+    const { past, future } = stacks.current;
+    if (!future.length) return null;
+    const [entry, ...rest] = future;
+    stacks.current = { past: [...past, entry], future: rest };
+    bump();
+    return entry;
+  }, []);
+
+  const clear = useCallback(() => {
+    stacks.current = { past: [], future: [] };
+    bump();
+  }, []);
+
+  const { past, future } = stacks.current;
+  return {
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    undoLabel: past[past.length - 1]?.label ?? null,
+    redoLabel: future[0]?.label ?? null,
+    record,
+    undo,
+    redo,
+    clear,
+  };
+}
@@ -0,0 +1,53 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import * as d3 from "d3";
+
+const prefersReducedMotion = () => !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+
+/**
+ * useNodeTransition
+ * Tweens laid-out nodes from their previous positions whenever `trigger`
+ * changes (layout switch, re-root, …). Nodes are matched across layouts by
+ * `keyOf(node)`; a node that didn't exist before starts from its nearest
+ * ancestor's old position, so branches unfold from where they were.
+ * Returns `{ progress, positionOf }`: `progress` runs 0→1 (1 when idle) and
+ * `positionOf(node)` gives the `[x, y]` to draw at. With reduced motion
+ * requested by the user, nodes jump straight to their new positions.
+ */
+export default function useNodeTransition(nodes, keyOf, trigger, duration = 500) {
+  const lastPositions = useRef(new Map());
+  const fromPositions = useRef(new Map());
+  const isFirst = useRef(true);
+  const [progress, setProgress] = useState(1);
+
+  // Runs before the positions effect below, so `lastPositions` still holds the old layout here
+  useLayoutEffect(() => {
+    if (isFirst.current) {
+      isFirst.current = false;
+      return undefined;
+    }
+    if (prefersReducedMotion()) return undefined;
+    fromPositions.current = lastPositions.current;
+    setProgress(0);
+    const timer = d3.timer((elapsed) => {
+      const t = Math.min(1, elapsed / duration);
+      setProgress(t);
+      if (t >= 1) timer.stop();
+    });
+    return () => timer.stop();
+  }, [trigger, duration]);
+
+  useEffect(() => {
+    lastPositions.current = new Map(nodes.map((n) => [keyOf(n), [n.px, n.py]]));
+  }, [nodes, keyOf]);
+
+  const positionOf = (n) => {
+    if (progress >= 1) return [n.px, n.py];
+    let from = null;
+    for (let cur = n; cur && !from; cur = cur.parent) from = fromPositions.current.get(keyOf(cur)) ?? null;
+    if (!from) from = [0, 0];
+    const t = d3.easeCubicInOut(progress);
+    return [from[0] + (n.px - from[0]) * t, from[1] + (n.py - from[1]) * t];
+  };
+
+  return { progress, positionOf };
+}
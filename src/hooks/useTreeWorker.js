@@ -0,0 +1,72 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { runTreeJob } from "../lib/treeJobs";
+
+const canUseWorker = () => typeof Worker !== "undefined";
+
+const runInline = (type, payload) => {
+  try {
+    return Promise.resolve(runTreeJob(type, payload));
+  } catch (e) {
+    return Promise.reject(e);
+  }
+};
+
+/**
+ * useTreeWorker
+ * Runs tree jobs (see lib/treeJobs) in a module Web Worker, started on first
+ * use and terminated on unmount. `run(type, payload)` returns a promise of the
+ * result; without Worker support (tests, old browsers) the job runs inline.
+ * A worker that fails to load or crashes is dropped: its pending jobs and
+ * every later one run inline instead. `offThread` tells callers whether work
+ * actually leaves the main thread.
+ */
+export default function useTreeWorker() {
+  const workerRef = useRef(null);
+  const pendingRef = useRef(new Map()); // id → { type, payload, resolve, reject }
+  const nextIdRef = useRef(1);
+  const [workerFailed, setWorkerFailed] = useState(false);
+  const failedRef = useRef(false);
+
+  useEffect(() => () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    for (const { reject } of pendingRef.current.values()) reject(new Error("Tree worker stopped"));
+    pendingRef.current.clear();
+  }, []);
+
+  const getWorker = () => {
+    if (workerRef.current) return workerRef.current;
+    const worker = new Worker(new URL("../workers/treeWorker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data: { id, result, error } }) => {
+      const pending = pendingRef.current.get(id);
+      if (!pending) return;
+      pendingRef.current.delete(id);
+      if (error) pending.reject(new Error(error));
+      else pending.resolve(result);
+    };
+    worker.onerror = worker.onmessageerror = (e) => {
+      e.preventDefault?.();
+      console.error("Tree worker failed; running tree jobs on the main thread.", e.message ?? e);
+      worker.terminate();
+      workerRef.current = null;
+      failedRef.current = true;
+      setWorkerFailed(true);
+      const pending = [...pendingRef.current.values()];
+      pendingRef.current.clear();
+      for (const job of pending) runInline(job.type, job.payload).then(job.resolve, job.reject);
+    };
+    workerRef.current = worker;
+    return worker;
+  };
+
+  const run = useCallback((type, payload) => {
+    if (!canUseWorker() || failedRef.current) return runInline(type, payload);
+    const id = nextIdRef.current++;
+    return new Promise((resolve, reject) => {
+      pendingRef.current.set(id, { type, payload, resolve, reject });
+      getWorker().postMessage({ id, type, payload });
+    });
+  }, []);
+
+  return { run, offThread: canUseWorker() && !workerFailed };
+}
@@ -0,0 +1,33 @@
+import { useCallback, useEffect, useState } from "react";
+import { emptyWorkspace, loadWorkspace, saveWorkspace } from "../lib/workspace";
+
+/**
+ * useWorkspace
+ * The saved workspace (see lib/workspace) of the dataset with `fingerprint`,
+ * switched when the fingerprint changes and written back on every update
+ * while `persist` is on. `update(fn)` applies `fn(workspace)`; returning the
+ * same object is a no-op. `persisted` turns false when storage refuses writes.
+ */
+export default function useWorkspace(fingerprint, persist = true) {
+  const load = (fp) => ({ fingerprint: fp, workspace: persist ? loadWorkspace(fp) : emptyWorkspace() });
+  const [state, setState] = useState(() => load(fingerprint));
+  const [persisted, setPersisted] = useState(true);
+
+  // Another dataset: swap workspaces during render, so the old one never shows against it
+  let current = state;
+  if (state.fingerprint !== fingerprint) {
+    current = load(fingerprint);
+    setState(current);
+  }
+
+  useEffect(() => {
+    if (persist) setPersisted(saveWorkspace(state.fingerprint, state.workspace));
+  }, [persist, state]);
+
+  const update = useCallback((fn) => setState((prev) => {
+    const workspace = fn(prev.workspace);
+    return workspace === prev.workspace ? prev : { ...prev, workspace };
+  }), []);
+
+  return { workspace: current.workspace, update, persisted };
+}
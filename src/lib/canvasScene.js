@@ -0,0 +1,209 @@
+import * as d3 from "d3";
+
+// ------------------------------------------------------------
+// Canvas backend for very large windows
+// ------------------------------------------------------------
+// Draws the same scene as the SVG renderer (partition shapes, links, interface
+// edges, node markers with their rings, labels) into one <canvas>, and maps
+// pointer positions back to nodes. Coordinates are the centred drawing
+// coordinates every layout produces (see lib/layouts).
+
+const TAU = 2 * Math.PI;
+
+/**
+ * drawScene
+ * Repaints the whole canvas. `scene`:
+ *   { width, height, dpr, transform: { x, y, k }, nodes, links, linkPath, linkWidth?, linkOpacity?,
+ *     edges: [{ points, color, alpha, width, dash? }], positionOf, styleOf }
+ * `linkWidth(link)` / `linkOpacity(link)` stroke each link at its own width /
+ * opacity (default: all 1px, fully `linkAlpha`).
+ * `styleOf(node)` returns what to draw for one node:
+ *   { alpha?, shape?: { fill, stroke, width }, rings?: [{ r, stroke, width, fill?, dash? }],
+ *     segments?: [{ start, end, color }], segmentRadii?: [inner, outer],
+ *     dot?: { r, fill, stroke?, width? }, label?: { text, dx, dy, angle, align, color, font },
+ *     badges?: [{ text, fill, dx, dy, r }] }
+ * Labels are anchored at the node position plus `dx`/`dy`, rotated by `angle`
+ * (radians) around that anchor. Badges are small counters drawn over the
+ * marker at `dx`/`dy`, kept upright and on top of labels. `alpha` fades all of
+ * a node's drawing (e.g. nodes outside a filter).
+ */
+export const drawScene = (ctx, {
+  width, height, dpr = 1, transform, nodes, links, linkPath, linkWidth = null, linkOpacity = null, edges = [], positionOf, styleOf, linkAlpha = 0.7,
+}) => {
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.translate(width / 2 + transform.x, height / 2 + transform.y);
+  ctx.scale(transform.k, transform.k);
+  const styles = nodes.map(styleOf);
+
+  // partition shapes
+  const arc = d3.arc().context(ctx);
+  nodes.forEach((n, i) => {
+    const shape = styles[i].shape;
+    if (!shape || (!n.arc && !n.rect)) return;
+    ctx.beginPath();
+    if (n.arc) arc(n.arc);
+    else ctx.rect(n.rect.x, n.rect.y, Math.max(0, n.rect.w), Math.max(0, n.rect.h));
+    ctx.globalAlpha = styles[i].alpha ?? 1;
+    ctx.fillStyle = shape.fill;
+    ctx.fill();
+    ctx.lineWidth = shape.width / transform.k;
+    ctx.strokeStyle = shape.stroke;
+    ctx.stroke();
+  });
+  ctx.globalAlpha = 1;
+
+  // parent → child links
+  if (linkPath && links.length) {
+    ctx.globalAlpha = linkAlpha;
+    ctx.strokeStyle = "#bbb";
+    if (linkWidth || linkOpacity) {
+      for (const l of links) {
+        ctx.globalAlpha = linkAlpha * (linkOpacity ? linkOpacity(l) : 1);
+        ctx.lineWidth = (linkWidth ? linkWidth(l) : 1) / transform.k;
+        ctx.stroke(new Path2D(linkPath(l)));
+      }
+    } else {
+      ctx.lineWidth = 1 / transform.k;
+      ctx.stroke(new Path2D(links.map(linkPath).join("")));
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  // interface edges (bundled through the hierarchy)
+  const edgeLine = d3.line().curve(d3.curveBundle.beta(0.85)).context(ctx);
+  for (const e of edges) {
+    ctx.beginPath();
+    edgeLine(e.points);
+    ctx.globalAlpha = e.alpha;
+    ctx.strokeStyle = e.color;
+    ctx.lineWidth = e.width / transform.k;
+    ctx.setLineDash((e.dash ?? []).map((d) => d / transform.k));
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+  ctx.globalAlpha = 1;
+
+  // node markers
+  const segmentArc = d3.arc().context(ctx);
+  nodes.forEach((n, i) => {
+    const { rings = [], segments = [], segmentRadii, dot } = styles[i];
+    const [x, y] = positionOf(n);
+    ctx.save();
+    ctx.globalAlpha = styles[i].alpha ?? 1;
+    ctx.translate(x, y);
+    for (const ring of rings) {
+      ctx.beginPath();
+      ctx.arc(0, 0, ring.r, 0, TAU);
+      if (ring.fill) {
+        ctx.fillStyle = ring.fill;
+        ctx.fill();
+      }
+      ctx.setLineDash(ring.dash ?? []);
+      ctx.lineWidth = ring.width;
+      ctx.strokeStyle = ring.stroke;
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+    for (const seg of segments) {
+      ctx.beginPath();
+      segmentArc({ innerRadius: segmentRadii[0], outerRadius: segmentRadii[1], startAngle: seg.start, endAngle: seg.end });
+      ctx.fillStyle = seg.color;
+      ctx.fill();
+    }
+    if (dot) {
+      ctx.beginPath();
+      ctx.arc(0, 0, dot.r, 0, TAU);
+      ctx.fillStyle = dot.fill;
+      ctx.fill();
+      if (dot.stroke && dot.width) {
+        ctx.lineWidth = dot.width;
+        ctx.strokeStyle = dot.stroke;
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+  });
+
+  // labels last, so markers never cover them
+  ctx.textBaseline = "middle";
+  nodes.forEach((n, i) => {
+    const label = styles[i].label;
+    if (!label?.text) return;
+    const [x, y] = positionOf(n);
+    ctx.save();
+    ctx.globalAlpha = styles[i].alpha ?? 1;
+    ctx.translate(x + (label.dx ?? 0), y + (label.dy ?? 0));
+    if (label.angle) ctx.rotate(label.angle);
+    ctx.font = label.font ?? "12px sans-serif";
+    ctx.textAlign = label.align ?? "start";
+    ctx.fillStyle = label.color ?? "#111827";
+    ctx.fillText(label.text, 0, 0);
+    ctx.restore();
+  });
+
+  // badges on top of everything
+  ctx.textAlign = "center";
+  ctx.font = "bold 8px sans-serif";
+  nodes.forEach((n, i) => {
+    const { badges = [] } = styles[i];
+    if (!badges.length) return;
+    const [x, y] = positionOf(n);
+    ctx.globalAlpha = styles[i].alpha ?? 1;
+    for (const badge of badges) {
+      const bx = x + (badge.dx ?? 0);
+      const by = y + (badge.dy ?? 0);
+      ctx.beginPath();
+      ctx.arc(bx, by, badge.r ?? 6, 0, TAU);
+      ctx.fillStyle = badge.fill;
+      ctx.fill();
+      ctx.fillStyle = "#fff";
+      ctx.fillText(String(badge.text), bx, by);
+    }
+  });
+  ctx.globalAlpha = 1;
+};
+
+// Polar angle in the layouts' convention (0 at 12 o'clock, clockwise)
+const angleOf = (x, y) => {
+  const a = Math.atan2(y, x) + Math.PI / 2;
+  return a < 0 ? a + TAU : a;
+};
+
+// Partition shapes nest along one axis (angle / vertical extent) and stack
+// along the other (radius / horizontal extent)
+const spansPoint = (n, [x, y]) => {
+  if (n.arc) {
+    const a = angleOf(x, y);
+    return a >= n.arc.startAngle && a < n.arc.endAngle;
+  }
+  return y >= n.rect.y && y < n.rect.y + n.rect.h;
+};
+const inBand = (n, [x, y]) => {
+  if (n.arc) {
+    const r = Math.hypot(x, y);
+    return r >= n.arc.innerRadius && r < n.arc.outerRadius;
+  }
+  return x >= n.rect.x && x < n.rect.x + n.rect.w;
+};
+
+/**
+ * createHitTester
+ * `(point, radius) → node | null` for points in drawing coordinates. Partition
+ * layouts descend from the root along the branch whose shapes span the point;
+ * point layouts use a quadtree of node positions and the nearest node within
+ * `radius`.
+ */
+export const createHitTester = (nodes, positionOf) => {
+  const root = nodes[0];
+  if (!root) return () => null;
+  if (root.arc || root.rect) {
+    return (point) => {
+      let hit = spansPoint(root, point) ? root : null;
+      while (hit && !inBand(hit, point)) hit = hit.children?.find((c) => spansPoint(c, point)) ?? null;
+      return hit;
+    };
+  }
+  const tree = d3.quadtree().x((n) => positionOf(n)[0]).y((n) => positionOf(n)[1]).addAll(nodes);
+  return ([x, y], radius) => tree.find(x, y, radius) ?? null;
+};
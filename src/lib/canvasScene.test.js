@@ -0,0 +1,45 @@
+import { expect, test } from 'vitest';
+import { computeLayout, hydrateLayout, serializeLayout } from './layouts';
+import { createHitTester } from './canvasScene';
+import { runTreeJob } from './treeJobs';
+
+const view = {
+  name: 'root',
+  _pathIdxs: [],
+  children: [
+    { name: 'b', _pathIdxs: [0], children: [{ name: 'b1', _pathIdxs: [0, 0] }] },
+    { name: 'a', _pathIdxs: [1] },
+  ],
+};
+const size = { width: 800, height: 600 };
+const at = (n) => [n.px, n.py];
+
+test('point layouts hit the nearest node within the radius', () => {
+  const { nodes } = computeLayout('tree', view, size);
+  const hit = createHitTester(nodes, at);
+  const b1 = nodes.find((n) => n.data.name === 'b1');
+  expect(hit([b1.px + 3, b1.py - 2], 8)).toBe(b1);
+  expect(hit([b1.px + 30, b1.py], 8)).toBeNull();
+});
+
+test('partition layouts hit the innermost shape under the point', () => {
+  for (const kind of ['sunburst', 'icicle']) {
+    const { nodes } = computeLayout(kind, view, size);
+    const hit = createHitTester(nodes, at);
+    for (const n of nodes) expect(hit([n.px + 0.5, n.py + 0.5])).toBe(n);
+    expect(hit([5000, 5000])).toBeNull();
+  }
+});
+
+test('worker layouts hydrate to the same geometry', () => {
+  for (const kind of ['tree', 'sunburst', 'indented']) {
+    const collapsed = new Set(kind === 'indented' ? ['0'] : []);
+    const local = computeLayout(kind, view, { ...size, weightOf: () => 0, isCollapsed: (d) => collapsed.has(d._pathIdxs.join('/')) });
+    const remote = hydrateLayout(view, runTreeJob('layout', { kind, view, ...size, weights: new Map(), collapsed }));
+    expect(remote.nodes.map((n) => [n.data.name, n.px, n.py])).toEqual(local.nodes.map((n) => [n.data.name, n.px, n.py]));
+    expect(remote.links).toHaveLength(local.links.length);
+    expect(remote.bounds).toEqual(local.bounds);
+  }
+  const { nodes } = hydrateLayout(view, serializeLayout('indented', computeLayout('indented', view, { ...size, isCollapsed: (d) => d.name === 'b' })));
+  expect(nodes.find((n) => n.data.name === 'b').collapsedChildren).toHaveLength(1);
+});
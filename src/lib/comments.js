@@ -0,0 +1,167 @@
+import { asArray, pathKey, walkTree } from "./tree";
+import { nodeRef } from "./deepLink";
+
+// ------------------------------------------------------------
+// Review comments (sidecar annotations, kept out of the model)
+// ------------------------------------------------------------
+// A comment: { id, target: { kind: "node"|"requirement"|"block", ref }, parentId?,
+//   author, text, createdAt, updatedAt, status: "open"|"resolved" }
+// Nodes are targeted by ref (their `id`, else a `~` path, see lib/deepLink),
+// requirements by `reqId`, blocks by `blockId`. A thread is a root comment and
+// its replies; it is open while any of its comments is open.
+// Sidecar file: { format: COMMENTS_FORMAT, version: 1, comments: [...] }
+
+export const COMMENTS_FORMAT = "radial-tree-comments";
+export const COMMENT_KINDS = ["node", "requirement", "block"];
+export const COMMENT_STATUSES = ["open", "resolved"];
+
+export const commentTargetKey = (kind, ref) => `${kind}:${ref}`;
+
+/**
+ * createComment
+ * A new open comment by `author` on `target`; a reply when `parentId` is given.
+ */
+export const createComment = ({ target, author, text, parentId = null, now = new Date() }) => {
+  const stamp = now.toISOString();
+  return {
+    id: `C-${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    target: { kind: target.kind, ref: target.ref },
+    ...(parentId ? { parentId } : {}),
+    author: author.trim() || "Anonymous",
+    text: text.trim(),
+    createdAt: stamp,
+    updatedAt: stamp,
+    status: "open",
+  };
+};
+
+/**
+ * setThreadStatus
+ * Resolving a thread resolves all of its comments; reopening reopens its root.
+ */
+export const setThreadStatus = (comments, rootId, status, now = new Date()) => {
+  const touches = (c) => (status === "resolved" ? c.id === rootId || c.parentId === rootId : c.id === rootId);
+  return comments.map((c) => (touches(c) && c.status !== status ? { ...c, status, updatedAt: now.toISOString() } : c));
+};
+
+// Problems with one raw comment, as messages (empty when it is usable)
+const commentProblems = (c) => {
+  if (!c || typeof c !== "object") return ["is not an object"];
+  const problems = [];
+  if (typeof c.id !== "string" || !c.id) problems.push("has no id");
+  if (!COMMENT_KINDS.includes(c.target?.kind) || typeof c.target?.ref !== "string" || !c.target.ref) problems.push("has no valid target");
+  if (typeof c.text !== "string") problems.push("has no text");
+  if (Number.isNaN(Date.parse(c.createdAt))) problems.push("has no valid createdAt");
+  if (!COMMENT_STATUSES.includes(c.status)) problems.push(`has unknown status “${c.status}”`);
+  return problems;
+};
+
+export const isComment = (c) => commentProblems(c).length === 0;
+
+/**
+ * parseCommentsFile
+ * Reads a sidecar file (JSON text). Returns `{ comments, errors }`; unusable
+ * comments are skipped and reported, so one bad entry doesn't sink a review.
+ */
+export const parseCommentsFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { comments: [], errors: [`Invalid JSON: ${e.message}`] };
+  }
+  if (data?.format !== COMMENTS_FORMAT || !Array.isArray(data.comments)) {
+    return { comments: [], errors: [`Not a comments file (expected "format": "${COMMENTS_FORMAT}" and a comments array).`] };
+  }
+  const comments = [];
+  const errors = [];
+  data.comments.forEach((c, i) => {
+    const problems = commentProblems(c);
+    if (problems.length) errors.push(`Comment ${i + 1} ${problems.join(", ")}.`);
+    else comments.push({ ...c, author: String(c.author ?? "").trim() || "Anonymous", updatedAt: c.updatedAt ?? c.createdAt });
+  });
+  return { comments, errors };
+};
+
+export const serializeComments = (comments) =>
+  JSON.stringify({ format: COMMENTS_FORMAT, version: 1, comments }, null, 2);
+
+const stampOf = (c) => Date.parse(c.updatedAt ?? c.createdAt) || 0;
+
+/**
+ * mergeComments
+ * Union by comment id, e.g. files from several reviewers. When both sides have
+ * a comment, the more recently updated copy wins. Returns
+ * `{ comments, added, updated }` (counts of incoming comments that were new /
+ * newer), in creation order.
+ */
+export const mergeComments = (base, incoming) => {
+  const byId = new Map(base.map((c) => [c.id, c]));
+  let added = 0;
+  let updated = 0;
+  for (const c of incoming) {
+    const mine = byId.get(c.id);
+    if (!mine) added += 1;
+    else if (stampOf(c) > stampOf(mine)) updated += 1;
+    else continue;
+    byId.set(c.id, c);
+  }
+  const comments = [...byId.values()].sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+  return { comments, added, updated };
+};
+
+/**
+ * indexComments
+ * `{ threads: Map targetKey → [{ root, replies, open }], counts: Map targetKey → { total, open } }`.
+ * Replies whose root is missing become roots of their own thread.
+ */
+export const indexComments = (comments) => {
+  const ids = new Set(comments.map((c) => c.id));
+  const replies = new Map(); // rootId → [reply]
+  for (const c of comments) {
+    if (c.parentId && ids.has(c.parentId)) {
+      if (!replies.has(c.parentId)) replies.set(c.parentId, []);
+      replies.get(c.parentId).push(c);
+    }
+  }
+  const threads = new Map();
+  const counts = new Map();
+  for (const c of comments) {
+    const key = commentTargetKey(c.target.kind, c.target.ref);
+    const count = counts.get(key) ?? { total: 0, open: 0 };
+    count.total += 1;
+    if (c.status === "open") count.open += 1;
+    counts.set(key, count);
+    if (c.parentId && ids.has(c.parentId)) continue;
+    const own = replies.get(c.id) ?? [];
+    if (!threads.has(key)) threads.set(key, []);
+    threads.get(key).push({ root: c, replies: own, open: c.status === "open" || own.some((r) => r.status === "open") });
+  }
+  return { threads, counts };
+};
+
+/**
+ * nodeCommentCounts
+ * Map absolute pathKey → { total, open } of the comments on each node of the
+ * FULL tree, counting those on its requirements and blocks too. Nodes without
+ * comments are left out.
+ */
+export const nodeCommentCounts = (root, { counts }) => {
+  const out = new Map();
+  if (!counts.size) return out;
+  walkTree(root, (node, absPath) => {
+    const keys = [
+      commentTargetKey("node", nodeRef(node, absPath)),
+      ...asArray(node.requirements).map((r) => commentTargetKey("requirement", r?.reqId)),
+      ...asArray(node.relatedSystemBlocks).map((b) => commentTargetKey("block", b?.blockId)),
+    ];
+    let total = 0;
+    let open = 0;
+    for (const key of keys) {
+      total += counts.get(key)?.total ?? 0;
+      open += counts.get(key)?.open ?? 0;
+    }
+    if (total) out.set(pathKey(absPath), { total, open });
+  });
+  return out;
+};
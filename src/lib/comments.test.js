@@ -0,0 +1,46 @@
+import { expect, test } from 'vitest';
+import {
+  createComment, indexComments, mergeComments, nodeCommentCounts, parseCommentsFile, serializeComments, setThreadStatus,
+} from './comments';
+
+const at = (iso) => new Date(iso);
+
+test('threads index by target, resolve together and roll up onto nodes', () => {
+  const root = createComment({ target: { kind: 'requirement', ref: 'R-1' }, author: ' Ann ', text: 'Unclear limit', now: at('2025-01-01T10:00:00Z') });
+  const reply = createComment({ target: { kind: 'requirement', ref: 'R-1' }, author: '', text: 'Agreed', parentId: root.id, now: at('2025-01-02T10:00:00Z') });
+  const onNode = createComment({ target: { kind: 'node', ref: 'N-1' }, author: 'Bo', text: 'Rename?', now: at('2025-01-03T10:00:00Z') });
+  expect(root).toMatchObject({ author: 'Ann', status: 'open', createdAt: '2025-01-01T10:00:00.000Z' });
+  expect(reply.author).toBe('Anonymous');
+
+  let comments = [root, reply, onNode];
+  let index = indexComments(comments);
+  expect(index.threads.get('requirement:R-1')).toEqual([{ root, replies: [reply], open: true }]);
+  expect(index.counts.get('requirement:R-1')).toEqual({ total: 2, open: 2 });
+
+  comments = setThreadStatus(comments, root.id, 'resolved', at('2025-02-01'));
+  index = indexComments(comments);
+  expect(index.threads.get('requirement:R-1')[0].open).toBe(false);
+  expect(index.counts.get('requirement:R-1')).toEqual({ total: 2, open: 0 });
+  expect(indexComments(setThreadStatus(comments, root.id, 'open')).counts.get('requirement:R-1').open).toBe(1);
+
+  const tree = { name: 'root', children: [{ id: 'N-1', name: 'a', requirements: [{ reqId: 'R-1' }] }, { name: 'b' }] };
+  expect(nodeCommentCounts(tree, index)).toEqual(new Map([['0', { total: 3, open: 1 }]]));
+});
+
+test('sidecar files parse leniently and merge reviewers by comment id', () => {
+  const mine = createComment({ target: { kind: 'block', ref: 'B-1' }, author: 'Ann', text: 'Missing interface', now: at('2025-01-01') });
+  const theirs = createComment({ target: { kind: 'node', ref: '~0.1' }, author: 'Bo', text: 'OK', now: at('2025-01-02') });
+  const resolved = { ...mine, status: 'resolved', updatedAt: '2025-03-01T00:00:00.000Z' };
+
+  const file = JSON.parse(serializeComments([resolved, theirs]));
+  file.comments.push({ id: 'x', target: { kind: 'diagram', ref: 'D' }, text: 'hi', createdAt: 'soon', status: 'open' });
+  const { comments, errors } = parseCommentsFile(JSON.stringify(file));
+  expect(comments.map((c) => c.id)).toEqual([mine.id, theirs.id]);
+  expect(errors).toEqual(['Comment 3 has no valid target, has no valid createdAt.']);
+  expect(parseCommentsFile('[]').errors[0]).toMatch(/Not a comments file/);
+
+  const merged = mergeComments([mine], comments);
+  expect(merged).toMatchObject({ added: 1, updated: 1 });
+  expect(merged.comments.map((c) => [c.id, c.status])).toEqual([[mine.id, 'resolved'], [theirs.id, 'open']]);
+  expect(mergeComments(merged.comments, [mine])).toMatchObject({ added: 0, updated: 0 });
+});
@@ -0,0 +1,96 @@
+import { asArray, pathKey, walkTree } from "./tree";
+
+// ------------------------------------------------------------
+// Requirement coverage roll-up (FULL subtree per node)
+// ------------------------------------------------------------
+export const COVERAGE_DIMENSIONS = {
+  verification: {
+    label: "Verification status",
+    buckets: ["Planned", "In Progress", "Complete"],
+    colors: { Planned: "#f87171", "In Progress": "#fbbf24", Complete: "#34d399" },
+    get: (r) => r.verification?.status,
+  },
+  lifecycle: {
+    label: "Lifecycle status",
+    buckets: ["Draft", "Approved", "Verified"],
+    colors: { Draft: "#cbd5e1", Approved: "#60a5fa", Verified: "#4f46e5" },
+    get: (r) => r.status,
+  },
+};
+
+// Requirements whose status is missing or outside the known buckets
+export const OTHER_BUCKET = "Other";
+export const OTHER_COLOR = "#9ca3af";
+
+const emptyCounts = (dim) => {
+  const out = {};
+  for (const b of COVERAGE_DIMENSIONS[dim].buckets) out[b] = 0;
+  out[OTHER_BUCKET] = 0;
+  return out;
+};
+
+const bucketOf = (dim, req) => {
+  const v = COVERAGE_DIMENSIONS[dim].get(req);
+  return COVERAGE_DIMENSIONS[dim].buckets.includes(v) ? v : OTHER_BUCKET;
+};
+
+/**
+ * computeCoverage
+ * One pass over the full tree. Returns a Map of pathKey → roll-up for that
+ * node's whole subtree:
+ *   { total, verification: { Planned, "In Progress", Complete, Other },
+ *            lifecycle: { Draft, Approved, Verified, Other } }
+ */
+export const computeCoverage = (root) => {
+  const order = [];
+  walkTree(root, (node, absPath) => order.push([node, absPath]));
+
+  const byKey = new Map();
+  for (const [node, absPath] of order) {
+    const own = { total: 0, verification: emptyCounts("verification"), lifecycle: emptyCounts("lifecycle") };
+    for (const r of asArray(node.requirements)) {
+      own.total += 1;
+      own.verification[bucketOf("verification", r)] += 1;
+      own.lifecycle[bucketOf("lifecycle", r)] += 1;
+    }
+    byKey.set(pathKey(absPath), own);
+  }
+  // Pre-order reversed visits children before parents, so sums bubble up
+  for (let i = order.length - 1; i > 0; i--) {
+    const absPath = order[i][1];
+    const cur = byKey.get(pathKey(absPath));
+    const parent = byKey.get(pathKey(absPath.slice(0, -1)));
+    parent.total += cur.total;
+    for (const dim of Object.keys(COVERAGE_DIMENSIONS)) {
+      for (const [b, n] of Object.entries(cur[dim])) parent[dim][b] += n;
+    }
+  }
+  return byKey;
+};
+
+/**
+ * coverageSegments
+ * Ordered `{ key, count, pct, color, start, end }` slices (angles in radians,
+ * 0..2π) for one dimension of a roll-up. Empty buckets are skipped.
+ */
+export const coverageSegments = (rollup, dim) => {
+  if (!rollup || rollup.total === 0) return [];
+  const spec = COVERAGE_DIMENSIONS[dim];
+  const segments = [];
+  let angle = 0;
+  for (const key of [...spec.buckets, OTHER_BUCKET]) {
+    const count = rollup[dim][key];
+    if (!count) continue;
+    const span = (count / rollup.total) * 2 * Math.PI;
+    segments.push({
+      key,
+      count,
+      pct: Math.round((count / rollup.total) * 100),
+      color: spec.colors[key] ?? OTHER_COLOR,
+      start: angle,
+      end: angle + span,
+    });
+    angle += span;
+  }
+  return segments;
+};
@@ -0,0 +1,29 @@
+import { expect, test } from 'vitest';
+import data from '../defaultData/defaultData.json';
+import { computeCoverage, coverageSegments } from './coverage';
+
+const tree = {
+  name: 'root',
+  requirements: [{ reqId: 'R0', status: 'Draft', verification: { status: 'Planned' } }],
+  children: [
+    { name: 'a', requirements: [{ reqId: 'R1', status: 'Verified', verification: { status: 'Complete' } }] },
+    { name: 'b', requirements: [{ reqId: 'R2', status: 'Odd' }, { reqId: 'R3', status: 'Approved', verification: { status: 'Complete' } }] },
+  ],
+};
+
+test('computeCoverage rolls requirement statuses up each subtree', () => {
+  const cov = computeCoverage(tree);
+  expect(cov.get('').total).toBe(4);
+  expect(cov.get('').verification).toEqual({ Planned: 1, 'In Progress': 0, Complete: 2, Other: 1 });
+  expect(cov.get('1').lifecycle).toEqual({ Draft: 0, Approved: 1, Verified: 0, Other: 1 });
+});
+
+test('root roll-up of the bundled model covers every requirement', () => {
+  expect(computeCoverage(data).get('').total).toBe(46);
+});
+
+test('coverageSegments splits the full circle by share', () => {
+  const segs = coverageSegments(computeCoverage(tree).get(''), 'verification');
+  expect(segs.map((s) => [s.key, s.pct])).toEqual([['Planned', 25], ['Complete', 50], ['Other', 25]]);
+  expect(segs.at(-1).end).toBeCloseTo(2 * Math.PI);
+});
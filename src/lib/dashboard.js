@@ -0,0 +1,123 @@
+import * as d3 from "d3";
+import { asArray, walkTree } from "./tree";
+
+// ------------------------------------------------------------
+// Statistics dashboard of a subtree
+// ------------------------------------------------------------
+// Counts of requirements, blocks and nodes by one field each, plus a
+// histogram of `metadata.lastUpdated`. Every bar carries the filter
+// expression (see lib/filter) that selects the nodes it counts, so a click on
+// it can highlight them in the tree.
+
+export const NO_VALUE = "(none)";
+export const OTHER_VALUE = "Other";
+
+/**
+ * DASHBOARD_CHARTS
+ * `kind` says what is counted, `field` is the filter expression field of the
+ * value and `get` reads it; `top` folds the smaller values into "Other".
+ */
+export const DASHBOARD_CHARTS = [
+  { key: "priority", label: "Requirements by priority", kind: "requirement", field: "req.priority", get: (r) => r.priority },
+  { key: "status", label: "Requirements by status", kind: "requirement", field: "req.status", get: (r) => r.status },
+  { key: "source", label: "Requirements by source", kind: "requirement", field: "req.source", get: (r) => r.source, top: 8 },
+  {
+    key: "method",
+    label: "Requirements by verification method",
+    kind: "requirement",
+    field: "req.verification.method",
+    get: (r) => r.verification?.method,
+  },
+  { key: "blockType", label: "Blocks by type", kind: "block", field: "block.type", get: (b) => b.type },
+  { key: "blockLayer", label: "Blocks by layer", kind: "block", field: "block.layer", get: (b) => b.layer },
+  { key: "owner", label: "Top owners (nodes)", kind: "node", field: "metadata.owner", get: (n) => n.metadata?.owner, top: 8 },
+];
+
+const literal = (v) => JSON.stringify(v);
+
+// Ranked bars of one chart; values past `top` fold into "Other", missing values come last
+const chartBars = (chart, counts) => {
+  const ranked = [...counts].filter(([value]) => value !== null).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const keep = chart.top && ranked.length > chart.top + 1 ? ranked.slice(0, chart.top) : ranked;
+  const bars = keep.map(([value, count]) => ({ label: value, count, expression: `${chart.field} == ${literal(value)}` }));
+  if (keep.length < ranked.length) {
+    bars.push({
+      label: OTHER_VALUE,
+      count: d3.sum(ranked.slice(keep.length), ([, count]) => count),
+      expression: `${chart.field} != null and not (${chart.field} in [${keep.map(([value]) => literal(value)).join(", ")}])`,
+    });
+  }
+  if (counts.has(null)) bars.push({ label: NO_VALUE, count: counts.get(null), expression: `${chart.field} == null` });
+  return bars;
+};
+
+// Bin edges by month, quarter or year, whichever keeps the histogram readable
+const dateThresholds = (extent) => {
+  const [lo, hi] = extent;
+  const months = d3.utcMonth.count(lo, hi);
+  const interval = months > 36 ? d3.utcYear : months > 12 ? d3.utcMonth.every(3) : d3.utcMonth;
+  const end = interval.offset(interval.floor(hi), 1);
+  return [...interval.range(interval.floor(lo), end), end];
+};
+
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * computeDashboard
+ * Statistics of the subtree under `root` (the root included):
+ *   { totals: { nodes, requirements, blocks },
+ *     charts: [{ key, label, kind, bars: [{ label, count, expression }] }],
+ *     updated: { bins: [{ x0, x1, label, count, expression }], undated } }
+ * `x0`/`x1` of the lastUpdated bins are ISO days (end exclusive).
+ */
+export const computeDashboard = (root) => {
+  const totals = { nodes: 0, requirements: 0, blocks: 0 };
+  const counts = new Map(DASHBOARD_CHARTS.map((c) => [c.key, new Map()]));
+  const dates = [];
+  let undated = 0;
+  const count = (chart, item) => {
+    const value = chart.get(item);
+    const key = value === undefined || value === null || value === "" ? null : String(value);
+    const map = counts.get(chart.key);
+    map.set(key, (map.get(key) ?? 0) + 1);
+  };
+  walkTree(root, (node) => {
+    totals.nodes += 1;
+    const reqs = asArray(node.requirements);
+    const blocks = asArray(node.relatedSystemBlocks);
+    totals.requirements += reqs.length;
+    totals.blocks += blocks.length;
+    for (const chart of DASHBOARD_CHARTS) {
+      const items = chart.kind === "requirement" ? reqs : chart.kind === "block" ? blocks : [node];
+      for (const item of items) if (item) count(chart, item);
+    }
+    const time = Date.parse(node.metadata?.lastUpdated ?? "");
+    if (Number.isNaN(time)) undated += 1;
+    else dates.push(new Date(time));
+  });
+
+  const charts = DASHBOARD_CHARTS.map((chart) => ({
+    key: chart.key,
+    label: chart.label,
+    kind: chart.kind,
+    bars: chartBars(chart, counts.get(chart.key)),
+  }));
+
+  let bins = [];
+  if (dates.length) {
+    const thresholds = dateThresholds(d3.extent(dates));
+    const binCounts = thresholds.slice(1).map(() => 0);
+    for (const date of dates) binCounts[d3.bisectRight(thresholds, date) - 1] += 1;
+    bins = binCounts.map((count, i) => {
+      const [x0, x1] = [isoDay(thresholds[i]), isoDay(thresholds[i + 1])];
+      return {
+        x0,
+        x1,
+        label: x0.slice(0, 7),
+        count,
+        expression: `metadata.lastUpdated >= ${literal(x0)} and metadata.lastUpdated < ${literal(x1)}`,
+      };
+    });
+  }
+  return { totals, charts, updated: { bins, undated } };
+};
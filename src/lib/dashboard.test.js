@@ -0,0 +1,51 @@
+import { expect, test } from 'vitest';
+import { NO_VALUE, OTHER_VALUE, computeDashboard } from './dashboard';
+import { filterTree, parseFilter } from './filter';
+
+const tree = {
+  name: 'root',
+  metadata: { owner: 'SW', lastUpdated: '2025-01-20' },
+  requirements: [{ reqId: 'R1', priority: 'High', verification: { method: 'Test' } }],
+  children: [
+    {
+      name: 'a',
+      metadata: { owner: 'HW', lastUpdated: '2025-03-02' },
+      requirements: [{ reqId: 'R2', priority: 'High' }, { reqId: 'R3', priority: 'Low', verification: { method: 'Analysis' } }],
+      relatedSystemBlocks: [{ type: 'Subsystem', layer: 'Data' }],
+    },
+    { name: 'b', metadata: { owner: 'SW' }, relatedSystemBlocks: [{ type: 'Subsystem', layer: 'Mission' }] },
+  ],
+};
+
+const chart = (dash, key) => dash.charts.find((c) => c.key === key);
+const matching = (expression) => [...filterTree(tree, parseFilter(expression).filter).matchKeys];
+
+test('counts the subtree by field and every bar selects the nodes it counts', () => {
+  const dash = computeDashboard(tree);
+  expect(dash.totals).toEqual({ nodes: 3, requirements: 3, blocks: 2 });
+  expect(chart(dash, 'priority').bars.map((b) => [b.label, b.count])).toEqual([['High', 2], ['Low', 1]]);
+  expect(chart(dash, 'method').bars.map((b) => [b.label, b.count])).toEqual([['Analysis', 1], ['Test', 1], [NO_VALUE, 1]]);
+  expect(chart(dash, 'owner').bars.map((b) => [b.label, b.count])).toEqual([['SW', 2], ['HW', 1]]);
+
+  expect(matching(chart(dash, 'priority').bars[0].expression)).toEqual(['', '0']);
+  expect(matching(chart(dash, 'method').bars[2].expression)).toEqual(['0']);
+  expect(matching(chart(dash, 'blockLayer').bars.find((b) => b.label === 'Mission').expression)).toEqual(['1']);
+
+  // re-rooting only counts the subtree
+  expect(computeDashboard(tree.children[0]).totals).toEqual({ nodes: 1, requirements: 2, blocks: 1 });
+});
+
+test('bins lastUpdated by month and folds long owner tails into "Other"', () => {
+  const dash = computeDashboard(tree);
+  expect(dash.updated.undated).toBe(1);
+  expect(dash.updated.bins.map((b) => [b.label, b.count])).toEqual([['2025-01', 1], ['2025-02', 0], ['2025-03', 1]]);
+  expect(matching(dash.updated.bins[2].expression)).toEqual(['0']);
+
+  const wide = { name: 'r', children: Array.from({ length: 12 }, (_, i) => ({ name: `n${i}`, metadata: { owner: `O${i}` } })) };
+  const owners = chart(computeDashboard(wide), 'owner').bars;
+  expect(owners).toHaveLength(10);
+  expect(owners.at(-2)).toMatchObject({ label: OTHER_VALUE, count: 4 });
+  expect(owners.at(-1)).toMatchObject({ label: NO_VALUE, count: 1 });
+  const { filter } = parseFilter(owners.at(-2).expression);
+  expect(filterTree(wide, filter).matchKeys.size).toBe(4);
+});
@@ -0,0 +1,180 @@
+import { loadDatasetFromUrl, parseDataset } from "./datasetLoader";
+import { indexNodes } from "./diff";
+
+// ------------------------------------------------------------
+// Data sources: where a dataset comes from and where it is saved
+// ------------------------------------------------------------
+// Every source has the same shape:
+//   { kind, label, canSave, list(), load(name), save?(name, data, baseRevision), subscribe?(onChange) }
+// `list()` resolves to `{ datasets: [{ name, label?, revision? }] | null, errors }` and
+// `load(name)` to `{ data, errors, revision }` (see lib/datasetLoader). Only the
+// dataset server (server/index.js) saves: each save names the revision it
+// started from and is refused with the stored version when someone saved in
+// between. `saveConflicts` then tells which nodes both sides changed.
+
+const fail = (message) => [{ path: "$", message }];
+
+/**
+ * embeddedSource
+ * Datasets bundled with the app, `[{ key, label, data }]`, addressed by key.
+ */
+export const embeddedSource = (datasets) => ({
+  kind: "embedded",
+  label: "Built-in",
+  canSave: false,
+  list: async () => ({ datasets: datasets.map((d) => ({ name: d.key, label: d.label })), errors: [] }),
+  load: async (name) => {
+    const found = datasets.find((d) => d.key === name);
+    return found ? { data: found.data, errors: [], revision: null } : { data: null, errors: fail(`No built-in dataset ${name}.`), revision: null };
+  },
+});
+
+/**
+ * staticSource
+ * Read-only JSON files served next to the app (or any local URL); the name is the URL.
+ */
+export const staticSource = () => ({
+  kind: "static",
+  label: "URL",
+  canSave: false,
+  list: async () => ({ datasets: [], errors: [] }),
+  load: async (url) => ({ ...(await loadDatasetFromUrl(url)), revision: null }),
+});
+
+// "abc" / W/"abc" → abc
+const etagValue = (header) => header?.trim().replace(/^W\//, "").replace(/^"(.*)"$/, "$1") || null;
+
+const errorOf = async (res) => {
+  try {
+    return (await res.json()).error ?? `HTTP ${res.status}`;
+  } catch {
+    return `HTTP ${res.status}`;
+  }
+};
+
+/**
+ * serverSource
+ * The local dataset server at `baseUrl` ("/api", proxied by the dev server).
+ * `save` resolves to `{ revision, conflict, errors }` where `conflict` is
+ * `{ revision, data }` of the stored version when the save was refused;
+ * a null `baseRevision` creates a new dataset. `subscribe(onChange)` listens
+ * for `{ type: "saved" | "removed", name, revision }` and returns an unsubscribe.
+ */
+export const serverSource = (baseUrl = "/api", { fetch: fetchImpl = (...args) => fetch(...args), EventSource: EventSourceImpl = globalThis.EventSource } = {}) => {
+  const datasetUrl = (name) => `${baseUrl}/datasets/${encodeURIComponent(name)}`;
+  const request = async (url, init) => {
+    try {
+      return { res: await fetchImpl(url, init), error: null };
+    } catch (e) {
+      return { res: null, error: `Dataset server unreachable: ${e.message}` };
+    }
+  };
+
+  return {
+    kind: "server",
+    label: "Server",
+    canSave: true,
+    list: async () => {
+      const { res, error } = await request(`${baseUrl}/datasets`, { headers: { Accept: "application/json" } });
+      if (error) return { datasets: null, errors: fail(error) };
+      if (!res.ok) return { datasets: null, errors: fail(`Dataset server: ${await errorOf(res)}`) };
+      try {
+        const body = await res.json();
+        if (!Array.isArray(body?.datasets)) throw new Error("no dataset list");
+        return { datasets: body.datasets, errors: [] };
+      } catch (e) {
+        return { datasets: null, errors: fail(`Not a dataset server: ${e.message}`) };
+      }
+    },
+    load: async (name) => {
+      const { res, error } = await request(datasetUrl(name), { headers: { Accept: "application/json" } });
+      if (error) return { data: null, errors: fail(error), revision: null };
+      if (!res.ok) return { data: null, errors: fail(`Fetch failed: ${await errorOf(res)}`), revision: null };
+      return { ...parseDataset(await res.text()), revision: etagValue(res.headers.get("ETag")) };
+    },
+    save: async (name, data, baseRevision) => {
+      const { res, error } = await request(datasetUrl(name), {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          ...(baseRevision ? { "If-Match": `"${baseRevision}"` } : { "If-None-Match": "*" }),
+        },
+        body: JSON.stringify(data),
+      });
+      if (error) return { revision: null, conflict: null, errors: fail(error) };
+      if (res.status === 409) {
+        try {
+          const body = await res.json();
+          return { revision: null, conflict: { revision: body.revision, data: body.data }, errors: [] };
+        } catch (e) {
+          return { revision: null, conflict: null, errors: fail(`Save refused, unreadable conflict report: ${e.message}`) };
+        }
+      }
+      if (!res.ok) return { revision: null, conflict: null, errors: fail(`Save failed: ${await errorOf(res)}`) };
+      try {
+        return { revision: (await res.json()).revision, conflict: null, errors: [] };
+      } catch (e) {
+        return { revision: null, conflict: null, errors: fail(`Save response unreadable: ${e.message}`) };
+      }
+    },
+    subscribe: (onChange) => {
+      if (!EventSourceImpl) return () => {};
+      const events = new EventSourceImpl(`${baseUrl}/events`);
+      events.addEventListener("dataset", (e) => {
+        try {
+          onChange(JSON.parse(e.data));
+        } catch {
+          // ignore malformed events
+        }
+      });
+      return () => events.close();
+    },
+  };
+};
+
+// key → what each node holds apart from its subtree: its own fields plus its children's keys
+const nodeContents = (index) => {
+  const childKeys = new Map(index.list.map((e) => [e, []]));
+  for (const e of index.list) if (e.parent) childKeys.get(e.parent).push(e.key);
+  const out = new Map();
+  for (const [key, e] of index.byKey) {
+    const { children, ...own } = e.node;
+    out.set(key, JSON.stringify([own, childKeys.get(e)]));
+  }
+  return out;
+};
+
+const indexOf = (root) => (root ? indexNodes(root) : { list: [], byKey: new Map() });
+
+/**
+ * saveConflicts
+ * Three-way comparison for a refused save: `base` is the tree the edits
+ * started from, `ours` the edited tree and `theirs` what is stored now (either
+ * null when there is none: a new dataset, a deleted or unreadable file). Nodes
+ * are matched as in the baseline diff (lib/diff); a node both sides changed,
+ * to different contents, is a conflict. Returns
+ *   { conflicts: [{ key, name, inOurs, inTheirs, versions: { base, ours, theirs } }], ours, theirs }
+ * where `versions` are the node's `metadata.version` on each side and `ours` /
+ * `theirs` count the nodes each side changed.
+ */
+export const saveConflicts = (base, ours, theirs) => {
+  const sides = { base: indexOf(base), ours: indexOf(ours), theirs: indexOf(theirs) };
+  const contents = Object.fromEntries(Object.entries(sides).map(([side, index]) => [side, nodeContents(index)]));
+  const nodeOf = (side, key) => sides[side].byKey.get(key)?.node;
+  const out = { conflicts: [], ours: 0, theirs: 0 };
+  for (const key of new Set([...contents.ours.keys(), ...contents.theirs.keys(), ...contents.base.keys()])) {
+    const [b, o, t] = ["base", "ours", "theirs"].map((side) => contents[side].get(key));
+    if (o !== b) out.ours += 1;
+    if (t !== b) out.theirs += 1;
+    if (o === b || t === b || o === t) continue;
+    const versionOf = (side) => nodeOf(side, key)?.metadata?.version ?? null;
+    out.conflicts.push({
+      key,
+      name: (nodeOf("ours", key) ?? nodeOf("theirs", key)).name,
+      inOurs: !!nodeOf("ours", key),
+      inTheirs: !!nodeOf("theirs", key),
+      versions: { base: versionOf("base"), ours: versionOf("ours"), theirs: versionOf("theirs") },
+    });
+  }
+  return out;
+};
@@ -0,0 +1,71 @@
+import { expect, test } from 'vitest';
+import { embeddedSource, saveConflicts, serverSource } from './dataSources';
+
+const tree = (aVersion, bName, extra = []) => ({
+  id: 'N0',
+  name: 'root',
+  children: [
+    { id: 'N1', name: 'a', metadata: { version: aVersion } },
+    { id: 'N2', name: bName },
+    ...extra,
+  ],
+});
+
+test('refused saves list the nodes both sides changed, with their versions', () => {
+  const base = tree('v1', 'b');
+  const ours = tree('v2', 'b mine');
+  const theirs = tree('v3', 'b', [{ id: 'N3', name: 'c' }]);
+
+  const { conflicts, ours: oursChanged, theirs: theirsChanged } = saveConflicts(base, ours, theirs);
+  expect(conflicts).toEqual([{ key: 'id:N1', name: 'a', inOurs: true, inTheirs: true, versions: { base: 'v1', ours: 'v2', theirs: 'v3' } }]);
+  expect(oursChanged).toBe(2); // a, b
+  expect(theirsChanged).toBe(3); // root (new child), a, c
+
+  // the same edit on both sides is no conflict; without a base every difference is
+  expect(saveConflicts(base, ours, tree('v2', 'b')).conflicts).toHaveLength(0);
+  expect(saveConflicts(null, ours, base).conflicts.map((c) => c.key)).toEqual(['id:N1', 'id:N2']);
+});
+
+test('server source sends the base revision and reports conflicts and errors', async () => {
+  const calls = [];
+  const reply = { status: 200, body: {}, etag: null };
+  const fetch = async (url, init = {}) => {
+    calls.push({ url, init });
+    return {
+      ok: reply.status < 300,
+      status: reply.status,
+      headers: { get: () => reply.etag },
+      json: async () => (typeof reply.body === 'string' ? JSON.parse(reply.body) : reply.body),
+      text: async () => (typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body)),
+    };
+  };
+  const server = serverSource('/api', { fetch, EventSource: null });
+
+  Object.assign(reply, { body: { name: 'model' }, etag: '"rev1"' });
+  expect(await server.load('my model')).toEqual({ data: { name: 'model' }, errors: [], revision: 'rev1' });
+  expect(calls[0].url).toBe('/api/datasets/my%20model');
+
+  Object.assign(reply, { body: { revision: 'rev2' } });
+  expect(await server.save('model', { name: 'model' }, 'rev1')).toEqual({ revision: 'rev2', conflict: null, errors: [] });
+  expect(calls[1].init.headers['If-Match']).toBe('"rev1"');
+  await server.save('new', { name: 'new' }, null);
+  expect(calls[2].init.headers['If-None-Match']).toBe('*');
+  Object.assign(reply, { body: '<html>OK</html>' });
+  expect((await server.save('model', { name: 'model' }, 'rev1')).errors[0].message).toMatch(/Save response unreadable/);
+
+  Object.assign(reply, { status: 409, body: { error: 'changed', revision: 'rev3', data: { name: 'theirs' } } });
+  expect((await server.save('model', { name: 'model' }, 'rev1')).conflict).toEqual({ revision: 'rev3', data: { name: 'theirs' } });
+  Object.assign(reply, { body: '<html>Bad gateway</html>' });
+  const unreadable = await server.save('model', { name: 'model' }, 'rev1');
+  expect(unreadable.conflict).toBeNull();
+  expect(unreadable.errors[0].message).toMatch(/unreadable conflict report/);
+
+  Object.assign(reply, { status: 404, body: { error: 'No dataset named x.' } });
+  expect((await server.load('x')).errors[0].message).toMatch(/No dataset named x/);
+  expect((await serverSource('/api', { fetch: async () => { throw new Error('offline'); } }).list()).datasets).toBeNull();
+  expect(server.subscribe(() => {})).toBeTypeOf('function');
+
+  const builtIn = embeddedSource([{ key: 'flare', label: 'Flare', data: { name: 'flare' } }]);
+  expect((await builtIn.list()).datasets).toEqual([{ name: 'flare', label: 'Flare' }]);
+  expect((await builtIn.load('flare')).data).toEqual({ name: 'flare' });
+});
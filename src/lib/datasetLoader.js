@@ -0,0 +1,51 @@
+import { validateDataset } from "./schema";
+
+// ------------------------------------------------------------
+// Dataset loading (file picker, drag-and-drop, local URL)
+// ------------------------------------------------------------
+
+/**
+ * parseDataset
+ * Parses JSON text and validates it against the dataset schema.
+ * Returns `{ data, errors }`; `data` is null whenever `errors` is non-empty.
+ */
+export const parseDataset = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { data: null, errors: [{ path: "$", message: `Invalid JSON: ${e.message}` }] };
+  }
+  const errors = validateDataset(data);
+  return { data: errors.length ? null : data, errors };
+};
+
+export const readFileText = (file) => {
+  if (typeof file.text === "function") return file.text();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+};
+
+export const loadDatasetFromFile = async (file) => {
+  if (!file) return { data: null, errors: [{ path: "$", message: "No file selected." }] };
+  try {
+    return parseDataset(await readFileText(file));
+  } catch (e) {
+    return { data: null, errors: [{ path: "$", message: `Could not read ${file.name}: ${e.message}` }] };
+  }
+};
+
+export const loadDatasetFromUrl = async (url) => {
+  if (!url) return { data: null, errors: [{ path: "$", message: "No URL given." }] };
+  try {
+    const res = await fetch(url, { headers: { Accept: "application/json" } });
+    if (!res.ok) return { data: null, errors: [{ path: "$", message: `Fetch failed: HTTP ${res.status}` }] };
+    return parseDataset(await res.text());
+  } catch (e) {
+    return { data: null, errors: [{ path: "$", message: `Fetch failed: ${e.message}` }] };
+  }
+};
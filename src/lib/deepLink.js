@@ -0,0 +1,85 @@
+import { asArray, walkTree } from "./tree";
+import { LAYOUTS } from "./layouts";
+
+// ------------------------------------------------------------
+// Deep links: view state ⇄ URL hash
+// ------------------------------------------------------------
+// `#focus=NODE-403f377c&select=NODE-516554fb&req=REQ-9be8b87d&layout=sunburst&depth=3&zoom=1.5,-20,40&lock=1`
+// Nodes are addressed by their stable `id`, so links survive reordering.
+// Nodes without an id fall back to their child-index path (`~0.2.1`, root `~`).
+// Every key is optional; defaults are left out to keep links short.
+
+const ZOOM_RANGE = [0.4, 4];
+
+const getNode = (root, absPath) => absPath.reduce((cur, i) => asArray(cur?.children)[i], root);
+
+export const nodeRef = (node, absPath) => node?.id || `~${absPath.join(".")}`;
+
+/**
+ * resolveNodeRef
+ * Absolute path of the node a ref points to, or null when it no longer exists.
+ */
+export const resolveNodeRef = (root, ref) => {
+  if (!ref) return null;
+  if (ref.startsWith("~")) {
+    const absPath = ref.length > 1 ? ref.slice(1).split(".").map(Number) : [];
+    return absPath.every((i) => Number.isInteger(i) && i >= 0) && getNode(root, absPath) ? absPath : null;
+  }
+  let found = null;
+  walkTree(root, (node, absPath) => {
+    if (!found && node.id === ref) found = absPath;
+  });
+  return found;
+};
+
+// Absolute path of the node holding requirement `reqId` (first match)
+export const findRequirementOwner = (root, reqId) => {
+  let found = null;
+  walkTree(root, (node, absPath) => {
+    if (!found && asArray(node.requirements).some((r) => r?.reqId === reqId)) found = absPath;
+  });
+  return found;
+};
+
+/**
+ * encodeViewState
+ * Hash string (with leading "#", or "" when everything is default) for
+ * `{ focus, select, req, layout, depth, zoom: { k, x, y }, lock }`.
+ */
+export const encodeViewState = ({ focus, select, req, layout, depth, zoom, lock } = {}) => {
+  const params = new URLSearchParams();
+  if (focus) params.set("focus", focus);
+  if (select) params.set("select", select);
+  if (req) params.set("req", req);
+  if (layout) params.set("layout", layout);
+  if (depth !== undefined && depth !== null) params.set("depth", Number.isFinite(depth) ? String(depth) : "all");
+  if (zoom && (zoom.k !== 1 || zoom.x !== 0 || zoom.y !== 0)) {
+    params.set("zoom", [zoom.k.toFixed(3), Math.round(zoom.x), Math.round(zoom.y)].map((v) => String(Number(v))).join(","));
+  }
+  if (lock) params.set("lock", "1");
+  const s = params.toString();
+  return s ? `#${s}` : "";
+};
+
+/**
+ * decodeViewState
+ * Inverse of encodeViewState. Unknown layouts and malformed numbers are
+ * dropped rather than reported, so a mangled link still opens the explorer.
+ */
+export const decodeViewState = (hash) => {
+  const params = new URLSearchParams(String(hash ?? "").replace(/^#/, ""));
+  const out = {};
+  for (const key of ["focus", "select", "req"]) {
+    if (params.get(key)) out[key] = params.get(key);
+  }
+  if (LAYOUTS[params.get("layout")]) out.layout = params.get("layout");
+  const depth = params.get("depth");
+  if (depth === "all") out.depth = Infinity;
+  else if (/^\d+$/.test(depth ?? "") && Number(depth) > 0) out.depth = Number(depth);
+  const zoom = (params.get("zoom") ?? "").split(",").map(Number);
+  if (zoom.length === 3 && zoom.every(Number.isFinite)) {
+    out.zoom = { k: Math.min(ZOOM_RANGE[1], Math.max(ZOOM_RANGE[0], zoom[0])), x: zoom[1], y: zoom[2] };
+  }
+  if (params.get("lock") === "1") out.lock = true;
+  return out;
+};
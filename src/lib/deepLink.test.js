@@ -0,0 +1,34 @@
+import { expect, test } from 'vitest';
+import { decodeViewState, encodeViewState, findRequirementOwner, nodeRef, resolveNodeRef } from './deepLink';
+
+const tree = {
+  id: 'N0',
+  name: 'root',
+  children: [
+    { id: 'N1', name: 'a', children: [{ name: 'no-id', requirements: [{ reqId: 'R1' }] }] },
+    { id: 'N2', name: 'b' },
+  ],
+};
+
+test('nodes resolve by id, falling back to index paths', () => {
+  expect(resolveNodeRef(tree, 'N2')).toEqual([1]);
+  expect(nodeRef(tree.children[0].children[0], [0, 0])).toBe('~0.0');
+  expect(resolveNodeRef(tree, '~0.0')).toEqual([0, 0]);
+  expect(resolveNodeRef(tree, '~')).toEqual([]);
+  expect(resolveNodeRef(tree, '~5')).toBeNull();
+  expect(resolveNodeRef(tree, 'NODE-missing')).toBeNull();
+  expect(findRequirementOwner(tree, 'R1')).toEqual([0, 0]);
+});
+
+test('view state round-trips through the hash', () => {
+  const state = { focus: 'N1', select: '~0.0', req: 'R1', layout: 'sunburst', depth: Infinity, zoom: { k: 1.5, x: -20, y: 40 }, lock: true };
+  const hash = encodeViewState(state);
+  expect(hash.startsWith('#focus=N1&')).toBe(true);
+  expect(decodeViewState(hash)).toEqual(state);
+});
+
+test('defaults are omitted and junk is ignored', () => {
+  expect(encodeViewState({ zoom: { k: 1, x: 0, y: 0 } })).toBe('');
+  expect(decodeViewState('#layout=pie&depth=-1&zoom=1,2&lock=yes')).toEqual({});
+  expect(decodeViewState('#zoom=99,0,0').zoom.k).toBe(4);
+});
@@ -0,0 +1,131 @@
+import { asArray, pathKey, projectToView, walkTree } from "./tree";
+
+// ------------------------------------------------------------
+// Requirement derivation tracing (flow-down across nodes)
+// ------------------------------------------------------------
+// A requirement may name the requirements it comes from:
+//   { reqId, derivedFrom?: [reqId], satisfies?: [reqId] }
+// Both point UP the flow-down (towards system level); the inverse links
+// point down. References are resolved by reqId across the whole tree, so a
+// trace may cross branches. Unknown ids, self references and cycles are
+// reported as problems rather than followed.
+
+export const TRACE_KINDS = {
+  derivedFrom: { label: "Derived from", inverse: "Derives" },
+  satisfies: { label: "Satisfies", inverse: "Satisfied by" },
+};
+
+const push = (map, key, value) => {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+};
+
+/**
+ * buildDerivationIndex
+ * One walk of the FULL tree:
+ *   reqs:     Map reqId → { req, node, absPath } (first owner of a duplicated id)
+ *   up:       Map reqId → [{ reqId, kind }] resolved upward references
+ *   down:     Map reqId → [{ reqId, kind }] the same links seen from the parent
+ *   problems: [{ absPath, reqId, ref?, kind?, message }]
+ */
+export const buildDerivationIndex = (root) => {
+  const reqs = new Map();
+  const refs = [];
+  walkTree(root, (node, absPath) => {
+    for (const req of asArray(node.requirements)) {
+      if (!req?.reqId) continue;
+      if (!reqs.has(req.reqId)) reqs.set(req.reqId, { req, node, absPath });
+      for (const kind of Object.keys(TRACE_KINDS)) {
+        for (const ref of new Set(asArray(req[kind]))) refs.push({ reqId: req.reqId, ref, kind, absPath });
+      }
+    }
+  });
+
+  const up = new Map();
+  const down = new Map();
+  const problems = [];
+  for (const { reqId, ref, kind, absPath } of refs) {
+    if (ref === reqId) problems.push({ absPath, reqId, ref, kind, message: `${TRACE_KINDS[kind].label} itself` });
+    else if (!reqs.has(ref)) problems.push({ absPath, reqId, ref, kind, message: `${TRACE_KINDS[kind].label} unknown requirement “${ref}”` });
+    else {
+      push(up, reqId, { reqId: ref, kind });
+      push(down, ref, { reqId, kind });
+    }
+  }
+
+  // Cycles: a depth-first walk up from every requirement; each back edge closes one
+  const state = new Map(); // reqId → "active" | "done"
+  const stack = [];
+  const visit = (reqId) => {
+    state.set(reqId, "active");
+    stack.push(reqId);
+    for (const link of up.get(reqId) ?? []) {
+      if (state.get(link.reqId) === "active") {
+        const cycle = [...stack.slice(stack.indexOf(link.reqId)), link.reqId];
+        problems.push({ absPath: reqs.get(reqId).absPath, reqId, ref: link.reqId, kind: link.kind, message: `Trace cycle ${cycle.join(" → ")}` });
+      } else if (!state.has(link.reqId)) {
+        visit(link.reqId);
+      }
+    }
+    stack.pop();
+    state.set(reqId, "done");
+  };
+  for (const reqId of up.keys()) if (!state.has(reqId)) visit(reqId);
+
+  return { reqs, up, down, problems };
+};
+
+/**
+ * traceChain
+ * Every requirement reachable from `reqId` going "up" or "down", depth-first:
+ * `[{ reqId, kind, depth, req, node, absPath }]`, `depth` 1 for direct links. Each
+ * requirement is listed once, under the first path that reaches it.
+ */
+export const traceChain = (index, reqId, direction) => {
+  const links = direction === "up" ? index.up : index.down;
+  const out = [];
+  const seen = new Set([reqId]);
+  const walk = (id, depth) => {
+    for (const link of links.get(id) ?? []) {
+      if (seen.has(link.reqId)) continue;
+      seen.add(link.reqId);
+      out.push({ reqId: link.reqId, kind: link.kind, depth, ...index.reqs.get(link.reqId) });
+      walk(link.reqId, depth + 1);
+    }
+  };
+  walk(reqId, 1);
+  return out;
+};
+
+/**
+ * impactAnalysis
+ * What a change to `reqId` reaches: the downstream chain (see traceChain) and
+ * `nodeKeys`, the absolute pathKeys of the nodes that own those requirements.
+ */
+export const impactAnalysis = (index, reqId) => {
+  const requirements = traceChain(index, reqId, "down");
+  return { reqId, requirements, nodeKeys: new Set(requirements.map((r) => pathKey(r.absPath))) };
+};
+
+/**
+ * traceLinksInView
+ * Trace links between the nodes owning both ends, mapped onto the visible
+ * window like interface pairs (see lib/interfaces): `[{ fromRel, toRel, reqIds }]`
+ * running from the upstream owner to the downstream one, `reqIds` as
+ * "child → parent" labels. Links inside one visible node are dropped.
+ */
+export const traceLinksInView = (index, focusPath, visibleKeys) => {
+  const merged = new Map();
+  for (const [reqId, links] of index.up) {
+    const toRel = projectToView(index.reqs.get(reqId).absPath, focusPath, visibleKeys);
+    if (!toRel) continue;
+    for (const link of links) {
+      const fromRel = projectToView(index.reqs.get(link.reqId).absPath, focusPath, visibleKeys);
+      if (!fromRel || pathKey(fromRel) === pathKey(toRel)) continue;
+      const key = `${pathKey(fromRel)}>${pathKey(toRel)}`;
+      if (!merged.has(key)) merged.set(key, { fromRel, toRel, reqIds: [] });
+      merged.get(key).reqIds.push(`${reqId} → ${link.reqId}`);
+    }
+  }
+  return [...merged.values()];
+};
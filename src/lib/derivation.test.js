@@ -0,0 +1,55 @@
+import { expect, test } from 'vitest';
+import { buildDerivationIndex, impactAnalysis, traceChain, traceLinksInView } from './derivation';
+import { lintTree } from './lint';
+import { validateDataset } from './schema';
+
+const tree = {
+  name: 'system',
+  requirements: [{ reqId: 'S-1' }],
+  children: [
+    {
+      name: 'power',
+      requirements: [{ reqId: 'P-1', derivedFrom: ['S-1'] }, { reqId: 'P-2', satisfies: ['S-1', 'S-9'] }],
+      children: [{ name: 'psu', requirements: [{ reqId: 'U-1', derivedFrom: ['P-1', 'P-2'] }] }],
+    },
+    { name: 'comms', requirements: [{ reqId: 'C-1', derivedFrom: ['P-1'] }] },
+  ],
+};
+
+test('chains run up and down across nodes and impact reaches every owner downstream', () => {
+  const index = buildDerivationIndex(tree);
+  expect(traceChain(index, 'U-1', 'up').map((t) => [t.reqId, t.kind, t.depth])).toEqual([
+    ['P-1', 'derivedFrom', 1], ['S-1', 'derivedFrom', 2], ['P-2', 'derivedFrom', 1],
+  ]);
+  expect(traceChain(index, 'S-1', 'down').map((t) => t.reqId)).toEqual(['P-1', 'U-1', 'C-1', 'P-2']);
+
+  const impact = impactAnalysis(index, 'P-1');
+  expect(impact.requirements.map((t) => t.reqId)).toEqual(['U-1', 'C-1']);
+  expect(impact.nodeKeys).toEqual(new Set(['0/0', '1']));
+
+  // the psu node is outside the window: its links land on power, and power → power is dropped
+  const visible = new Set(['', '0', '1']);
+  expect(traceLinksInView(index, [], visible)).toEqual([
+    { fromRel: [], toRel: [0], reqIds: ['P-1 → S-1', 'P-2 → S-1'] },
+    { fromRel: [0], toRel: [1], reqIds: ['C-1 → P-1'] },
+  ]);
+});
+
+test('unknown ids, self references and cycles are reported, also by lint and the schema', () => {
+  const broken = {
+    name: 'root',
+    requirements: [{ reqId: 'A', derivedFrom: ['B', 'A'] }, { reqId: 'B', satisfies: ['C'] }, { reqId: 'C', derivedFrom: ['A', 'Z'] }],
+  };
+  const { problems } = buildDerivationIndex(broken);
+  expect(problems.map((p) => p.message)).toEqual([
+    'Derived from itself',
+    'Derived from unknown requirement “Z”',
+    'Trace cycle A → B → C → A',
+  ]);
+  expect(traceChain(buildDerivationIndex(broken), 'A', 'up').map((t) => t.reqId)).toEqual(['B', 'C']);
+  expect(lintTree(broken).filter((f) => f.ruleId === 'trace-refs').map((f) => f.reqId)).toEqual(['A', 'C', 'C']);
+  expect(validateDataset({ name: 'r', requirements: [{ reqId: 'A', derivedFrom: 'B' }, { reqId: 'B', satisfies: [1] }] })).toEqual([
+    { path: '$.requirements[0].derivedFrom', message: "'derivedFrom' must be an array." },
+    { path: '$.requirements[1].satisfies[0]', message: 'Trace reference must be a string.' },
+  ]);
+});
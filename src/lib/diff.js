@@ -0,0 +1,198 @@
+import { asArray, pathKey, walkTree } from "./tree";
+
+// ------------------------------------------------------------
+// Baseline diff (current model vs an earlier version of it)
+// ------------------------------------------------------------
+// Nodes are matched by `id` (by their name path when a dataset has no ids),
+// requirements by `reqId` and blocks by `blockId`. Every node of the CURRENT
+// tree gets an entry; baseline nodes that no longer exist are reported on the
+// nearest current node that matches one of their baseline ancestors.
+
+export const DIFF_STATUSES = {
+  added: { label: "Added", color: "#16a34a" },
+  removed: { label: "Removed", color: "#dc2626" },
+  moved: { label: "Moved", color: "#9333ea" },
+  modified: { label: "Modified", color: "#f59e0b" },
+};
+
+const NODE_FIELDS = [
+  ["name", (n) => n.name],
+  ["value", (n) => n.value],
+  ["owner", (n) => n.metadata?.owner],
+  ["version", (n) => n.metadata?.version],
+  ["lastUpdated", (n) => n.metadata?.lastUpdated],
+];
+
+const REQUIREMENT_FIELDS = [
+  ...["title", "text", "priority", "status", "source", "acceptanceCriteria"].map((f) => [f, (r) => r[f]]),
+  ["verification.method", (r) => r.verification?.method],
+  ["verification.status", (r) => r.verification?.status],
+];
+
+const BLOCK_FIELDS = [
+  ...["name", "type", "layer"].map((f) => [f, (b) => b[f]]),
+  ["interfaceRefs", (b) => asArray(b.interfaceRefs).join(", ")],
+];
+
+const ITEM_KINDS = [
+  { kind: "requirement", listKey: "requirements", idKey: "reqId", fields: REQUIREMENT_FIELDS },
+  { kind: "block", listKey: "relatedSystemBlocks", idKey: "blockId", fields: BLOCK_FIELDS },
+];
+
+const emptyCounts = () => ({ added: 0, removed: 0, moved: 0, modified: 0 });
+
+const sameValue = (a, b) => String(a ?? "") === String(b ?? "");
+
+const fieldChanges = (fields, before, after) =>
+  fields
+    .map(([field, get]) => ({ field, from: get(before), to: get(after) }))
+    .filter((c) => !sameValue(c.from, c.to));
+
+/**
+ * indexNodes
+ * Pre-order list of `{ node, absPath, key, parentKey, names }` where `key` is
+ * the node's identity across versions, plus a Map of key → entry (first wins).
+ */
+export const indexNodes = (root) => {
+  const list = [];
+  const byPath = new Map();
+  walkTree(root, (node, absPath) => {
+    const parent = absPath.length ? byPath.get(pathKey(absPath.slice(0, -1))) : null;
+    const names = [...(parent?.names ?? []), node.name];
+    const key = node.id ? `id:${node.id}` : `path:${names.join("/")}`;
+    const entry = { node, absPath, key, parent, names };
+    byPath.set(pathKey(absPath), entry);
+    list.push(entry);
+  });
+  const byKey = new Map();
+  for (const e of list) if (!byKey.has(e.key)) byKey.set(e.key, e);
+  return { list, byKey };
+};
+
+// id → { item, entry } for one item kind across the whole tree (first wins)
+const indexItems = (index, { listKey, idKey }) => {
+  const out = new Map();
+  for (const entry of index.list) {
+    for (const item of asArray(entry.node[listKey])) {
+      const id = item?.[idKey];
+      if (id && !out.has(id)) out.set(id, { item, entry });
+    }
+  }
+  return out;
+};
+
+/**
+ * compareItems
+ * Requirement/block changes of one node. Items new to the node that exist on
+ * another baseline node are "moved" (with a `node` field change); items gone
+ * from the node are "removed" unless they now live elsewhere (reported there).
+ */
+const compareItems = (spec, beforeNode, afterEntry, baseItems, curItems) => {
+  const { kind, listKey, idKey, fields } = spec;
+  const before = asArray(beforeNode?.[listKey]).filter((i) => i?.[idKey]);
+  const after = asArray(afterEntry.node[listKey]).filter((i) => i?.[idKey]);
+  const beforeById = new Map(before.map((i) => [i[idKey], i]));
+  const afterIds = new Set(after.map((i) => i[idKey]));
+  const out = [];
+  for (const item of after) {
+    const id = item[idKey];
+    const prev = beforeById.get(id);
+    if (prev) {
+      const changed = fieldChanges(fields, prev, item);
+      if (changed.length) out.push({ kind, id, change: "modified", fields: changed });
+      continue;
+    }
+    const elsewhere = baseItems.get(id);
+    if (elsewhere) {
+      out.push({
+        kind,
+        id,
+        change: "moved",
+        fields: [{ field: "node", from: elsewhere.entry.node.name, to: afterEntry.node.name }, ...fieldChanges(fields, elsewhere.item, item)],
+      });
+    } else {
+      out.push({ kind, id, change: "added", fields: [] });
+    }
+  }
+  for (const prev of before) {
+    const id = prev[idKey];
+    if (!afterIds.has(id) && !curItems.has(id)) out.push({ kind, id, change: "removed", fields: [] });
+  }
+  return out;
+};
+
+/**
+ * diffDatasets
+ * Compares `current` against `baseline`. Returns
+ *   { byKey: Map(pathKey of the CURRENT tree → NodeDiff), totals }
+ * where NodeDiff = {
+ *   status: "added" | "moved" | "modified" | null,   // the node itself
+ *   changes: [{ kind: "node" | "requirement" | "block", id, change, fields: [{ field, from, to }] }],
+ *   removed: [{ id, name, path }],                   // baseline nodes gone from under this node
+ *   own, subtree: { added, removed, moved, modified } // counts of changed nodes, requirements and blocks
+ * }
+ */
+export const diffDatasets = (current, baseline) => {
+  const cur = indexNodes(current);
+  const base = indexNodes(baseline);
+  const baseItems = ITEM_KINDS.map((spec) => indexItems(base, spec));
+  const curItems = ITEM_KINDS.map((spec) => indexItems(cur, spec));
+
+  const byKey = new Map();
+  const matched = new Set();
+  for (const entry of cur.list) {
+    const match = base.byKey.get(entry.key);
+    const info = { status: null, changes: [], removed: [], own: emptyCounts(), subtree: null };
+    if (match) matched.add(match.key);
+
+    if (!match) {
+      info.status = "added";
+      info.own.added += 1;
+    } else {
+      const moved = (entry.parent?.key ?? null) !== (match.parent?.key ?? null);
+      const fields = fieldChanges(NODE_FIELDS, match.node, entry.node);
+      if (moved) fields.push({ field: "parent", from: match.parent?.node.name, to: entry.parent?.node.name });
+      if (fields.length) {
+        info.changes.push({ kind: "node", id: entry.node.id ?? entry.node.name, change: moved ? "moved" : "modified", fields });
+        info.own[moved ? "moved" : "modified"] += 1;
+      }
+    }
+    ITEM_KINDS.forEach((spec, i) => {
+      for (const c of compareItems(spec, match?.node, entry, baseItems[i], curItems[i])) {
+        info.changes.push(c);
+        info.own[c.change] += 1;
+      }
+    });
+    if (!info.status && info.changes.length) info.status = info.changes[0].kind === "node" ? info.changes[0].change : "modified";
+    byKey.set(pathKey(entry.absPath), info);
+  }
+
+  // Removed baseline nodes land on the current node matching their nearest surviving ancestor
+  for (const entry of base.list) {
+    if (matched.has(entry.key)) continue;
+    let anc = entry.parent;
+    while (anc && !matched.has(anc.key)) anc = anc.parent;
+    const host = anc ? cur.byKey.get(anc.key) : cur.list[0];
+    const info = byKey.get(pathKey(host.absPath));
+    info.removed.push({ id: entry.node.id, name: entry.node.name, path: entry.names.slice(anc ? anc.names.length : 0) });
+    info.own.removed += 1;
+    // Items that went down with the node (and didn't move elsewhere)
+    ITEM_KINDS.forEach((spec, i) => {
+      for (const item of asArray(entry.node[spec.listKey])) {
+        if (item?.[spec.idKey] && !curItems[i].has(item[spec.idKey])) info.own.removed += 1;
+      }
+    });
+  }
+
+  // Subtree roll-up: reversed pre-order visits children before parents
+  for (const info of byKey.values()) info.subtree = { ...info.own };
+  for (let i = cur.list.length - 1; i > 0; i--) {
+    const absPath = cur.list[i].absPath;
+    const child = byKey.get(pathKey(absPath)).subtree;
+    const parent = byKey.get(pathKey(absPath.slice(0, -1))).subtree;
+    for (const k of Object.keys(child)) parent[k] += child[k];
+  }
+  return { byKey, totals: byKey.get("")?.subtree ?? emptyCounts() };
+};
+
+export const churnTotal = (counts) => (counts ? counts.added + counts.removed + counts.moved + counts.modified : 0);
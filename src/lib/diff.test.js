@@ -0,0 +1,68 @@
+import { expect, test } from 'vitest';
+import { churnTotal, diffDatasets } from './diff';
+
+const req = (reqId, extra = {}) => ({ reqId, title: reqId, priority: 'High', verification: { method: 'Test', status: 'Planned' }, ...extra });
+
+const baseline = {
+  id: 'N0',
+  name: 'root',
+  children: [
+    { id: 'N1', name: 'a', requirements: [req('R1'), req('R2')], children: [{ id: 'N3', name: 'a1' }] },
+    { id: 'N2', name: 'b', relatedSystemBlocks: [{ blockId: 'B1', name: 'Bus', interfaceRefs: ['IFC-1'] }] },
+    { id: 'N4', name: 'c', requirements: [req('R3')] },
+  ],
+};
+
+const current = {
+  id: 'N0',
+  name: 'root',
+  children: [
+    {
+      id: 'N1',
+      name: 'a',
+      requirements: [req('R1', { priority: 'Low', verification: { method: 'Test', status: 'Complete' } }), req('R3')],
+    },
+    {
+      id: 'N2',
+      name: 'b',
+      relatedSystemBlocks: [{ blockId: 'B1', name: 'Bus', interfaceRefs: ['IFC-1', 'IFC-2'] }],
+      children: [{ id: 'N3', name: 'a1' }, { id: 'N5', name: 'new' }],
+    },
+  ],
+};
+
+test('field-level changes on matched requirements', () => {
+  const { byKey } = diffDatasets(current, baseline);
+  const a = byKey.get('0');
+  expect(a.status).toBe('modified');
+  expect(a.changes.find((c) => c.id === 'R1').fields).toEqual([
+    { field: 'priority', from: 'High', to: 'Low' },
+    { field: 'verification.status', from: 'Planned', to: 'Complete' },
+  ]);
+  expect(a.changes.find((c) => c.id === 'R2').change).toBe('removed');
+  // R3 moved from the deleted node c onto a
+  expect(a.changes.find((c) => c.id === 'R3')).toMatchObject({ change: 'moved', fields: [{ field: 'node', from: 'c', to: 'a' }] });
+});
+
+test('moved, added and removed nodes', () => {
+  const { byKey } = diffDatasets(current, baseline);
+  expect(byKey.get('1/0').status).toBe('moved');
+  expect(byKey.get('1/0').changes[0].fields).toEqual([{ field: 'parent', from: 'a', to: 'b' }]);
+  expect(byKey.get('1/1').status).toBe('added');
+  expect(byKey.get('').removed).toEqual([{ id: 'N4', name: 'c', path: ['c'] }]);
+  expect(byKey.get('1').changes.find((c) => c.id === 'B1').fields).toEqual([{ field: 'interfaceRefs', from: 'IFC-1', to: 'IFC-1, IFC-2' }]);
+});
+
+test('subtree summaries roll up every change', () => {
+  const { byKey, totals } = diffDatasets(current, baseline);
+  expect(byKey.get('1').subtree).toEqual({ added: 1, removed: 0, moved: 1, modified: 1 });
+  // R1 + B1 modified; R2, node c removed (R3 moved, not removed); R3 + N3 moved; N5 added
+  expect(totals).toEqual({ added: 1, removed: 2, moved: 2, modified: 2 });
+  expect(churnTotal(totals)).toBe(7);
+});
+
+test('identical datasets have no changes', () => {
+  const { byKey, totals } = diffDatasets(baseline, structuredClone(baseline));
+  expect(churnTotal(totals)).toBe(0);
+  expect([...byKey.values()].every((d) => d.status === null)).toBe(true);
+});
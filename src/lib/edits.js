@@ -0,0 +1,153 @@
+import { asArray } from "./tree";
+
+// ------------------------------------------------------------
+// Immutable tree edits (absolute child-index paths)
+// ------------------------------------------------------------
+// Every edit returns a NEW root that shares all untouched subtrees with the old
+// one, so a change only copies the nodes along the edited path. Structural
+// edits (remove / move) also return `remap(path)`, which carries any other
+// absolute path (focus, selection, expanded branches) over to the new tree —
+// or returns null when the node it addressed was deleted.
+
+const isPrefix = (prefix, path) => prefix.length <= path.length && prefix.every((v, i) => path[i] === v);
+
+/**
+ * updateAt
+ * Replaces the node at `absPath` with `fn(node)`, copying its ancestors.
+ * Throws when the path does not resolve.
+ */
+const updateAt = (root, absPath, fn) => {
+  if (!absPath.length) return fn(root);
+  const [i, ...rest] = absPath;
+  const children = asArray(root.children);
+  if (!children[i]) throw new Error(`No node at path [${absPath.join(", ")}].`);
+  const next = children.slice();
+  next[i] = updateAt(children[i], rest, fn);
+  return { ...root, children: next };
+};
+
+const nodeAt = (root, absPath) => absPath.reduce((cur, i) => asArray(cur?.children)[i], root);
+
+// Replace a node's `key` array (requirements / relatedSystemBlocks) with `fn(list)`
+const updateList = (root, absPath, key, fn) =>
+  updateAt(root, absPath, (node) => ({ ...node, [key]: fn(asArray(node[key])) }));
+
+const replaceItem = (list, index, fn) => {
+  if (!list[index]) throw new Error(`No item at index ${index}.`);
+  return list.map((item, i) => (i === index ? fn(item) : item));
+};
+
+// Fresh ids in the style of the bundled dataset (NODE-1a2b3c4d)
+export const newId = (prefix) => `${prefix}-${Math.random().toString(16).slice(2, 10).padEnd(8, "0")}`;
+
+// ---- node fields -------------------------------------------------------------
+
+/**
+ * updateNode
+ * Shallow-merges `patch` into the node at `absPath` (`metadata` is merged one
+ * level deeper). `children` cannot be patched; use the structural edits.
+ */
+export const updateNode = (root, absPath, patch) =>
+  updateAt(root, absPath, (node) => {
+    const { children, ...rest } = patch;
+    const next = { ...node, ...rest };
+    if (rest.metadata) next.metadata = { ...node.metadata, ...rest.metadata };
+    return next;
+  });
+
+// ---- requirements / related blocks -----------------------------------------
+
+export const addRequirement = (root, absPath, req) =>
+  updateList(root, absPath, "requirements", (list) => [...list, req]);
+
+/**
+ * updateRequirement
+ * Merges `patch` into requirement `index` of the node at `absPath`;
+ * `verification` is merged one level deeper so a status edit keeps the method.
+ */
+export const updateRequirement = (root, absPath, index, patch) =>
+  updateList(root, absPath, "requirements", (list) => replaceItem(list, index, (req) => {
+    const next = { ...req, ...patch };
+    if (patch.verification) next.verification = { ...req.verification, ...patch.verification };
+    return next;
+  }));
+
+export const removeRequirement = (root, absPath, index) =>
+  updateList(root, absPath, "requirements", (list) => list.filter((_, i) => i !== index));
+
+export const addBlock = (root, absPath, block) =>
+  updateList(root, absPath, "relatedSystemBlocks", (list) => [...list, block]);
+
+export const updateBlock = (root, absPath, index, patch) =>
+  updateList(root, absPath, "relatedSystemBlocks", (list) => replaceItem(list, index, (b) => ({ ...b, ...patch })));
+
+export const removeBlock = (root, absPath, index) =>
+  updateList(root, absPath, "relatedSystemBlocks", (list) => list.filter((_, i) => i !== index));
+
+// ---- structure ----------------------------------------------------------------
+
+/**
+ * pathAfterRemove
+ * Where `path` ends up once the node at `removed` is deleted: later siblings of
+ * the removed node (and their descendants) shift down by one; paths inside the
+ * removed subtree return null.
+ */
+export const pathAfterRemove = (path, removed) => {
+  const d = removed.length - 1;
+  if (path.length <= d || !isPrefix(removed.slice(0, d), path)) return path;
+  if (path[d] === removed[d]) return null;
+  if (path[d] < removed[d]) return path;
+  const next = path.slice();
+  next[d] -= 1;
+  return next;
+};
+
+/**
+ * addChildNode
+ * Appends `child` as the last child of the node at `parentPath`. Appending
+ * never shifts existing paths, so no remap is needed.
+ * Returns `{ root, path }` with the new child's absolute path.
+ */
+export const addChildNode = (root, parentPath, child) => {
+  const index = asArray(nodeAt(root, parentPath)?.children).length;
+  return {
+    root: updateAt(root, parentPath, (node) => ({ ...node, children: [...asArray(node.children), child] })),
+    path: [...parentPath, index],
+  };
+};
+
+/**
+ * removeNode
+ * Deletes the node at `absPath` with its subtree (the root cannot be removed).
+ * Returns `{ root, remap }`.
+ */
+export const removeNode = (root, absPath) => {
+  if (!absPath.length) throw new Error("The root node cannot be removed.");
+  const parentPath = absPath.slice(0, -1);
+  const index = absPath[absPath.length - 1];
+  if (!nodeAt(root, absPath)) throw new Error(`No node at path [${absPath.join(", ")}].`);
+  return {
+    root: updateAt(root, parentPath, (node) => ({ ...node, children: asArray(node.children).filter((_, i) => i !== index) })),
+    remap: (p) => pathAfterRemove(p, absPath),
+  };
+};
+
+/**
+ * moveNode
+ * Re-parents the node at `fromPath` as the last child of `toParentPath` (both
+ * addressed in the tree BEFORE the move). Moving the root, or a node into its
+ * own subtree, throws. Returns `{ root, path, remap }` where `path` is the
+ * moved node's new absolute path.
+ */
+export const moveNode = (root, fromPath, toParentPath) => {
+  if (!fromPath.length) throw new Error("The root node cannot be moved.");
+  if (isPrefix(fromPath, toParentPath)) throw new Error("A node cannot be moved into its own subtree.");
+  const node = nodeAt(root, fromPath);
+  if (!node) throw new Error(`No node at path [${fromPath.join(", ")}].`);
+  if (!nodeAt(root, toParentPath)) throw new Error(`No node at path [${toParentPath.join(", ")}].`);
+
+  const removed = removeNode(root, fromPath);
+  const added = addChildNode(removed.root, removed.remap(toParentPath), node);
+  const remap = (p) => (isPrefix(fromPath, p) ? [...added.path, ...p.slice(fromPath.length)] : removed.remap(p));
+  return { root: added.root, path: added.path, remap };
+};
@@ -0,0 +1,54 @@
+import { expect, test } from 'vitest';
+import { addChildNode, moveNode, pathAfterRemove, removeNode, updateNode, updateRequirement } from './edits';
+
+const tree = {
+  name: 'root',
+  children: [
+    { name: 'a', children: [{ name: 'a1' }, { name: 'a2' }] },
+    { name: 'b', requirements: [{ reqId: 'R1', status: 'Draft', verification: { method: 'Test', status: 'Planned' } }] },
+    { name: 'c', children: [{ name: 'c1' }] },
+  ],
+};
+
+test('edits copy only the edited path', () => {
+  const next = updateNode(tree, [0, 1], { name: 'a2*' });
+  expect(next.children[0].children[1].name).toBe('a2*');
+  expect(tree.children[0].children[1].name).toBe('a2');
+  expect(next.children[2]).toBe(tree.children[2]);
+});
+
+test('updateRequirement keeps untouched verification fields', () => {
+  const next = updateRequirement(tree, [1], 0, { verification: { status: 'Complete' } });
+  expect(next.children[1].requirements[0].verification).toEqual({ method: 'Test', status: 'Complete' });
+});
+
+test('pathAfterRemove shifts later siblings and drops the removed subtree', () => {
+  expect(pathAfterRemove([2, 0], [1])).toEqual([1, 0]);
+  expect(pathAfterRemove([0, 1], [1])).toEqual([0, 1]);
+  expect(pathAfterRemove([1], [1])).toBeNull();
+  expect(pathAfterRemove([0], [0, 1])).toEqual([0]);
+});
+
+test('removeNode refuses the root and remaps paths', () => {
+  expect(() => removeNode(tree, [])).toThrow();
+  const { root, remap } = removeNode(tree, [0]);
+  expect(root.children.map((c) => c.name)).toEqual(['b', 'c']);
+  expect(remap([2, 0])).toEqual([1, 0]);
+  expect(remap([0, 1])).toBeNull();
+});
+
+test('moveNode re-parents and remaps the moved subtree', () => {
+  const { root, path, remap } = moveNode(tree, [0], [2]);
+  expect(root.children.map((c) => c.name)).toEqual(['b', 'c']);
+  expect(root.children[1].children.map((c) => c.name)).toEqual(['c1', 'a']);
+  expect(path).toEqual([1, 1]);
+  expect(remap([0, 1])).toEqual([1, 1, 1]);
+  expect(remap([2, 0])).toEqual([1, 0]);
+  expect(() => moveNode(tree, [0], [0, 1])).toThrow();
+});
+
+test('addChildNode appends and reports the new path', () => {
+  const { root, path } = addChildNode(tree, [1], { name: 'b1' });
+  expect(path).toEqual([1, 0]);
+  expect(root.children[1].children[0].name).toBe('b1');
+});
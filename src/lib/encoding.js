@@ -0,0 +1,147 @@
+import * as d3 from "d3";
+import { asArray, pathKey, walkTree } from "./tree";
+
+// ------------------------------------------------------------
+// Visual encoding: node fill / radius / stroke and link width by attribute
+// ------------------------------------------------------------
+// Each channel maps to one attribute of the FULL data node. Scales are picked
+// from the attribute's kind: categorical values get an ordinal palette (the
+// most frequent first, the long tail folded into "Other"), numbers a
+// sequential color ramp or a sqrt / linear size scale. Domains span the whole
+// tree, so colors and sizes stay put while navigating.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CATEGORIES = 9; // palette slots before "Other"
+export const ENCODING_OTHER = "Other";
+export const ENCODING_MISSING_COLOR = "#d1d5db";
+
+const countWhere = (list, pred) => asArray(list).filter(pred).length;
+
+/**
+ * ENCODING_ATTRIBUTES
+ * `value(node, ctx)` with `ctx = { stat, now }` (`stat` is the node's
+ * computeTreeStats entry, when known) returns a string for categorical
+ * attributes, a number for numeric ones, or null when the node has none.
+ * `zero` numeric attributes are counts/amounts whose scales start at 0.
+ */
+export const ENCODING_ATTRIBUTES = {
+  owner: { label: "Owner", kind: "categorical", value: (node) => node.metadata?.owner || null },
+  version: { label: "Version", kind: "categorical", value: (node) => node.metadata?.version || null },
+  layer: {
+    label: "Block layer mix",
+    kind: "categorical",
+    value: (node) => {
+      const layers = [...new Set(asArray(node.relatedSystemBlocks).map((b) => b?.layer).filter(Boolean))];
+      return layers.length > 1 ? "Mixed" : layers[0] ?? null;
+    },
+  },
+  age: {
+    label: "Days since update",
+    kind: "numeric",
+    interpolator: d3.interpolateYlOrRd,
+    value: (node, { now }) => {
+      const time = Date.parse(node.metadata?.lastUpdated ?? "");
+      return Number.isNaN(time) ? null : Math.max(0, Math.floor((now - time) / DAY_MS));
+    },
+  },
+  requirements: { label: "Requirements", kind: "numeric", zero: true, value: (node) => asArray(node.requirements).length },
+  requirementsDeep: { label: "Requirements (subtree)", kind: "numeric", zero: true, value: (node, { stat }) => stat?.requirementsDeep ?? null },
+  highPriority: {
+    label: "High-priority requirements",
+    kind: "numeric",
+    zero: true,
+    value: (node) => countWhere(node.requirements, (r) => String(r?.priority).toLowerCase() === "high"),
+  },
+  value: { label: "Value (subtree)", kind: "numeric", zero: true, value: (node, { stat }) => stat?.value ?? null },
+};
+
+export const ENCODING_CHANNELS = {
+  fill: { label: "Fill" },
+  radius: { label: "Radius", range: [2.5, 8] },
+  stroke: { label: "Stroke" },
+  linkWidth: { label: "Link width", range: [0.5, 5] },
+};
+
+const isColor = (channel) => channel === "fill" || channel === "stroke";
+
+// Scale for one channel over the observed values of one attribute
+const makeScale = (channel, spec, values) => {
+  const { range } = ENCODING_CHANNELS[channel];
+  if (spec.kind === "categorical") {
+    const counts = d3.rollup(values, (v) => v.length, (v) => v);
+    const ranked = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || String(a).localeCompare(String(b)));
+    const domain = ranked.length > MAX_CATEGORIES + 1 ? [...ranked.slice(0, MAX_CATEGORIES), ENCODING_OTHER] : ranked;
+    const known = new Set(domain);
+    const bucket = (v) => (known.has(v) ? v : ENCODING_OTHER);
+    const base = isColor(channel)
+      ? d3.scaleOrdinal(domain, [...d3.schemeTableau10.slice(0, domain.length - (known.has(ENCODING_OTHER) ? 1 : 0)), "#9ca3af"])
+      : d3.scalePoint(domain, range).padding(0.5);
+    const scale = (v) => base(bucket(v));
+    return { scale, domain, other: ranked.length - (domain.length - (known.has(ENCODING_OTHER) ? 1 : 0)) };
+  }
+  const [min = 0, max = 0] = d3.extent(values);
+  const domain = spec.zero ? [0, Math.max(max, 1)] : [min, max > min ? max : min + 1];
+  if (isColor(channel)) {
+    const interpolator = spec.interpolator ?? d3.interpolateYlGnBu;
+    // keep the low end visible on white
+    const ramp = (t) => interpolator(0.15 + 0.85 * t);
+    const base = spec.zero ? d3.scaleSequentialSqrt(domain, ramp) : d3.scaleSequential(domain, ramp);
+    return { scale: (v) => base(v), domain };
+  }
+  const base = (spec.zero ? d3.scaleSqrt() : d3.scaleLinear()).domain(domain).range(range).clamp(true);
+  return { scale: (v) => base(v), domain };
+};
+
+/**
+ * buildEncoding
+ * `channels`: { fill?, radius?, stroke?, linkWidth? } → attribute key (unset
+ * channels keep the default styling). `stats` is the computeTreeStats map
+ * (subtree attributes read null without it). Returns
+ * `{ [channel]: { attribute, label, kind, domain, other?, scale } }`;
+ * `scale(value)` never sees null (see encodeNode).
+ */
+export const buildEncoding = (root, channels, { stats = null, now = Date.now() } = {}) => {
+  const active = Object.entries(channels).filter(([channel, attr]) => ENCODING_CHANNELS[channel] && ENCODING_ATTRIBUTES[attr]);
+  if (!active.length) return {};
+  const attrs = [...new Set(active.map(([, attr]) => attr))];
+  const observed = new Map(attrs.map((attr) => [attr, []]));
+  walkTree(root, (node, absPath) => {
+    const ctx = { stat: stats?.get(pathKey(absPath)), now };
+    for (const attr of attrs) {
+      const v = ENCODING_ATTRIBUTES[attr].value(node, ctx);
+      if (v !== null && v !== undefined) observed.get(attr).push(v);
+    }
+  });
+  const out = { now, stats };
+  for (const [channel, attr] of active) {
+    const spec = ENCODING_ATTRIBUTES[attr];
+    out[channel] = { attribute: attr, label: spec.label, kind: spec.kind, ...makeScale(channel, spec, observed.get(attr)) };
+  }
+  return out;
+};
+
+/**
+ * encodeNode
+ * `{ fill?, radius?, stroke?, linkWidth? }` for one FULL data node. Nodes
+ * without a value get the missing color, or no size override.
+ */
+export const encodeNode = (encoding, node, absPath) => {
+  const result = {};
+  const ctx = { stat: encoding.stats?.get(pathKey(absPath)), now: encoding.now };
+  for (const channel of Object.keys(ENCODING_CHANNELS)) {
+    const enc = encoding[channel];
+    if (!enc || !node) continue;
+    const v = ENCODING_ATTRIBUTES[enc.attribute].value(node, ctx);
+    if (v !== null && v !== undefined) result[channel] = enc.scale(v);
+    else if (isColor(channel)) result[channel] = ENCODING_MISSING_COLOR;
+  }
+  return result;
+};
+
+// One-click encodings for the questions the tree is most often asked
+export const ENCODING_PRESETS = {
+  ownership: { label: "Ownership", channels: { fill: "owner", stroke: "layer" } },
+  staleness: { label: "Staleness", channels: { fill: "age" } },
+  scale: { label: "Scale", channels: { fill: "highPriority", radius: "requirementsDeep", linkWidth: "requirementsDeep" } },
+  value: { label: "Value", channels: { radius: "value", linkWidth: "value" } },
+};
@@ -0,0 +1,41 @@
+import { expect, test } from 'vitest';
+import { ENCODING_MISSING_COLOR, ENCODING_OTHER, buildEncoding, encodeNode } from './encoding';
+import { computeTreeStats } from './treeStats';
+
+const tree = {
+  name: 'root',
+  metadata: { owner: 'SW', lastUpdated: '2025-01-01' },
+  children: [
+    { name: 'a', value: 4, metadata: { owner: 'HW', lastUpdated: '2024-01-01' }, requirements: [{ priority: 'High' }, { priority: 'Low' }] },
+    { name: 'b', value: 16, metadata: { owner: 'SW' }, relatedSystemBlocks: [{ layer: 'Data' }, { layer: 'Mission' }] },
+  ],
+};
+
+test('scales follow the attribute kind and domains span the full tree', () => {
+  const now = Date.parse('2025-01-11');
+  const enc = buildEncoding(tree, { fill: 'owner', radius: 'value', stroke: 'age', linkWidth: 'highPriority' }, { stats: computeTreeStats(tree), now });
+  expect(enc.fill).toMatchObject({ kind: 'categorical', domain: ['SW', 'HW'] });
+  expect(enc.radius.domain).toEqual([0, 20]);
+  expect(enc.stroke.domain).toEqual([10, 376]);
+
+  const [root, a, b] = [tree, tree.children[0], tree.children[1]];
+  expect(encodeNode(enc, root, []).fill).toBe(encodeNode(enc, b, [1]).fill);
+  expect(encodeNode(enc, a, [0]).fill).not.toBe(encodeNode(enc, b, [1]).fill);
+  expect(encodeNode(enc, b, [1]).stroke).toBe(ENCODING_MISSING_COLOR);
+  expect(encodeNode(enc, root, []).radius).toBeCloseTo(8);
+  expect(encodeNode(enc, a, [0]).radius).toBeLessThan(encodeNode(enc, b, [1]).radius);
+  expect(encodeNode(enc, a, [0]).linkWidth).toBeGreaterThan(encodeNode(enc, b, [1]).linkWidth);
+
+  // subtree attributes have no value until the statistics are known
+  expect(encodeNode(buildEncoding(tree, { radius: 'value' }), a, [0])).toEqual({});
+  expect(buildEncoding(tree, { fill: 'nope' })).toEqual({});
+});
+
+test('long categorical tails fold into "Other"', () => {
+  const wide = { name: 'r', children: Array.from({ length: 14 }, (_, i) => ({ name: `n${i}`, metadata: { owner: `O${i % 12}` } })) };
+  const enc = buildEncoding(wide, { fill: 'owner' });
+  expect(enc.fill.domain).toHaveLength(10);
+  expect(enc.fill.domain.at(-1)).toBe(ENCODING_OTHER);
+  expect(enc.fill.other).toBe(3);
+  expect(encodeNode(enc, wide.children[9], [9]).fill).toBe(enc.fill.scale(ENCODING_OTHER));
+});
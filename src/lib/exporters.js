@@ -0,0 +1,165 @@
+import { asArray, walkTree } from "./tree";
+
+// ------------------------------------------------------------
+// Export helpers (SVG / PNG / JSON / CSV)
+// ------------------------------------------------------------
+
+// Computed style properties copied onto every exported SVG element so the
+// file renders the same outside the app (no external CSS, fonts resolved).
+const INLINED_STYLE_PROPS = [
+  "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray",
+  "opacity", "visibility", "font-family", "font-size", "font-weight", "font-style",
+  "text-anchor", "dominant-baseline",
+];
+
+/**
+ * serializeSvg
+ * Standalone SVG markup for `svgEl` as currently shown: the live zoom transform
+ * and focus are carried over, computed styles are inlined and a white
+ * background is added.
+ */
+export const serializeSvg = (svgEl, { width, height, background = "#ffffff" } = {}) => {
+  const w = width || svgEl.clientWidth || Number(svgEl.getAttribute("width"));
+  const h = height || svgEl.clientHeight || Number(svgEl.getAttribute("height"));
+  const clone = svgEl.cloneNode(true);
+  const src = [svgEl, ...svgEl.querySelectorAll("*")];
+  const dst = [clone, ...clone.querySelectorAll("*")];
+  const view = svgEl.ownerDocument?.defaultView;
+  if (view?.getComputedStyle) {
+    src.forEach((el, i) => {
+      const cs = view.getComputedStyle(el);
+      const decl = INLINED_STYLE_PROPS
+        .map((p) => [p, cs.getPropertyValue(p)])
+        .filter(([, v]) => v && v !== "normal" && v !== "auto")
+        .map(([p, v]) => `${p}:${v}`)
+        .join(";");
+      if (decl) dst[i].setAttribute("style", decl);
+    });
+  }
+  clone.removeAttribute("class");
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", w);
+  clone.setAttribute("height", h);
+  clone.setAttribute("viewBox", `0 0 ${w} ${h}`);
+  if (background) {
+    const bg = svgEl.ownerDocument.createElementNS("http://www.w3.org/2000/svg", "rect");
+    bg.setAttribute("width", "100%");
+    bg.setAttribute("height", "100%");
+    bg.setAttribute("fill", background);
+    clone.insertBefore(bg, clone.firstChild);
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+};
+
+/**
+ * svgToPngBlob
+ * Rasterizes SVG markup at `scale`× its pixel size. Resolves to a PNG Blob.
+ */
+export const svgToPngBlob = (svgString, width, height, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svgString], { type: "image/svg+xml;charset=utf-8" }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed."))), "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not rasterize SVG."));
+    };
+    img.src = url;
+  });
+
+/**
+ * canvasToPngBlob
+ * Counterpart of svgToPngBlob for the canvas renderer: `draw(ctx, scale)`
+ * paints the view into an offscreen canvas `scale`× its pixel size.
+ * Resolves to a PNG Blob.
+ */
+export const canvasToPngBlob = (draw, width, height, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext("2d");
+    if (!ctx) {
+      reject(new Error("Canvas drawing is not available."));
+      return;
+    }
+    draw(ctx, scale);
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed."))), "image/png");
+  });
+
+export const subtreeToJson = (node) => JSON.stringify(node, null, 2);
+
+// Column headers match the CSV importer's aliases so exports re-import cleanly
+const REQUIREMENT_CSV_COLUMNS = [
+  ["Path", (c) => c.path],
+  ["Node ID", (c) => c.node.id],
+  ["Node Name", (c) => c.node.name],
+  ["Requirement ID", (c) => c.req.reqId],
+  ["Title", (c) => c.req.title],
+  ["Text", (c) => c.req.text],
+  ["Priority", (c) => c.req.priority],
+  ["Status", (c) => c.req.status],
+  ["Verification Method", (c) => c.req.verification?.method],
+  ["Verification Status", (c) => c.req.verification?.status],
+  ["Source", (c) => c.req.source],
+  ["Acceptance Criteria", (c) => c.req.acceptanceCriteria],
+];
+
+const csvCell = (v) => {
+  const s = v === undefined || v === null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * requirementsToCsv
+ * Flattens every requirement in the FULL subtree at `absPath` into CSV rows,
+ * with the node's name path from the dataset root as the first column.
+ */
+export const requirementsToCsv = (root, absPath = [], separator = " / ") => {
+  // Names of the ancestors above the subtree root (from the full tree)
+  const prefix = [];
+  let start = root;
+  prefix.push(start?.name);
+  for (const i of absPath) {
+    start = asArray(start?.children)[i];
+    if (!start) return "";
+    prefix.push(start.name);
+  }
+  const lines = [REQUIREMENT_CSV_COLUMNS.map(([h]) => h).join(",")];
+  const namesByKey = new Map();
+  walkTree(start, (node, rel) => {
+    const parentNames = rel.length ? namesByKey.get(rel.slice(0, -1).join("/")) : prefix.slice(0, -1);
+    const names = [...parentNames, node.name];
+    namesByKey.set(rel.join("/"), names);
+    for (const req of asArray(node.requirements)) {
+      const ctx = { path: names.join(separator), node, req };
+      lines.push(REQUIREMENT_CSV_COLUMNS.map(([, get]) => csvCell(get(ctx))).join(","));
+    }
+  });
+  return lines.join("\r\n") + "\r\n";
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadText = (text, filename, type) => downloadBlob(new Blob([text], { type }), filename);
+
+// File-system-safe base name from a node name
+export const fileSlug = (name) => String(name ?? "export").trim().replace(/[^\w.-]+/g, "_").replace(/^_+|_+$/g, "") || "export";
@@ -0,0 +1,34 @@
+import { expect, test } from 'vitest';
+import data from '../defaultData/defaultData.json';
+import { fileSlug, requirementsToCsv, serializeSvg } from './exporters';
+import { importCsv, readCsvHeaders } from './importers/csv';
+
+test('requirementsToCsv flattens the subtree with a node path column', () => {
+  const csv = requirementsToCsv(data, [0, 0]); // flare / analytics / cluster
+  const lines = csv.trim().split('\r\n');
+  expect(lines[0]).toMatch(/^Path,Node ID,Node Name,Requirement ID/);
+  expect(lines[1]).toMatch(/^flare \/ analytics \/ cluster,NODE-516554fb,cluster,/);
+  // cluster + its 4 leaves, 2 requirements each
+  expect(lines.length - 1).toBe(10);
+});
+
+test('requirementsToCsv output re-imports through the CSV importer', () => {
+  const csv = requirementsToCsv(data, [0, 0]);
+  const { data: tree } = importCsv(csv, readCsvHeaders(csv).mapping);
+  expect(tree.name).toBe('flare');
+  expect(tree.children[0].children[0].name).toBe('cluster');
+  expect(tree.children[0].children[0].children).toHaveLength(4);
+});
+
+test('serializeSvg produces standalone markup with the live transform', () => {
+  document.body.innerHTML = '<svg width="200" height="100"><g transform="translate(100,50) scale(2)"><text>hi</text></g></svg>';
+  const out = serializeSvg(document.querySelector('svg'));
+  expect(out).toContain('xmlns="http://www.w3.org/2000/svg"');
+  expect(out).toContain('viewBox="0 0 200 100"');
+  expect(out).toContain('translate(100,50) scale(2)');
+});
+
+test('fileSlug makes safe file names', () => {
+  expect(fileSlug(' query/methods ')).toBe('query_methods');
+  expect(fileSlug('')).toBe('export');
+});
@@ -0,0 +1,282 @@
+import { ancestorKeys, asArray, pathKey, walkTree } from "./tree";
+
+// ------------------------------------------------------------
+// Filter expressions over nodes, their requirements and blocks
+// ------------------------------------------------------------
+// A small boolean language, parsed by hand (never eval'd):
+//   expr     := or
+//   or       := and (("or" | "||") and)*
+//   and      := not (("and" | "&&") not)*
+//   not      := ("not" | "!") not | compare
+//   compare  := operand (("==" | "!=" | "<" | "<=" | ">" | ">=" | "in" | "contains") operand)?
+//   operand  := string | number | true | false | null | "[" operand ("," operand)* "]" | field | "(" expr ")"
+//   field    := ("node" | "req" | "block" | "metadata") ("." name)*
+// `metadata` is short for `node.metadata`. An expression that mentions `req`
+// (or `block`) matches a node when SOME requirement (block) of the node makes
+// it true; nodes without any never match it. String comparisons ignore case;
+// when a field holds a list, a comparison holds for any of its items (`!=`:
+// for none of them). `<`, `>`… compare numbers as numbers, other values as
+// strings (so ISO dates work). A bare operand is true when it is non-empty.
+
+const ROOTS = ["node", "req", "block", "metadata"];
+const KEYWORDS = { and: "and", or: "or", not: "not", in: "in", contains: "contains" };
+const LITERALS = { true: true, false: false, null: null };
+const SYMBOLS = ["==", "!=", "<=", ">=", "&&", "||", "<", ">", "!", "(", ")", "[", "]", ",", "."];
+const COMPARISONS = new Set(["==", "!=", "<", "<=", ">", ">=", "in", "contains"]);
+
+export const FILTER_EXAMPLES = [
+  'req.priority == "High" and req.verification.status != "Complete"',
+  'block.layer == "Mission"',
+  'metadata.owner in ["HW", "IV&V"]',
+  'node.name contains "sensor" or metadata.lastUpdated < "2024-01-01"',
+];
+
+export const FILTER_MODES = {
+  dim: "Dim non-matching",
+  prune: "Prune to matches",
+};
+
+const fail = (message, at) => Object.assign(new Error(message), { at });
+
+// Source text → [{ type: "string"|"number"|"name"|"op"|"end", value, at }]
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+    } else if (ch === '"' || ch === "'") {
+      const start = i;
+      let value = "";
+      i += 1;
+      while (i < text.length && text[i] !== ch) {
+        if (text[i] === "\\" && i + 1 < text.length) i += 1;
+        value += text[i];
+        i += 1;
+      }
+      if (i >= text.length) throw fail("Unterminated string", start);
+      i += 1;
+      tokens.push({ type: "string", value, at: start });
+    } else if (/[0-9]/.test(ch) || (ch === "-" && /[0-9]/.test(text[i + 1] ?? ""))) {
+      const match = /^-?\d+(\.\d+)?/.exec(text.slice(i));
+      tokens.push({ type: "number", value: Number(match[0]), at: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const match = /^[\w$]+/.exec(text.slice(i));
+      tokens.push({ type: "name", value: match[0], at: i });
+      i += match[0].length;
+    } else {
+      const symbol = SYMBOLS.find((s) => text.startsWith(s, i));
+      if (!symbol) throw fail(ch === "=" ? "Use “==” to compare" : `Unexpected “${ch}”`, i);
+      tokens.push({ type: "op", value: symbol, at: i });
+      i += symbol.length;
+    }
+  }
+  tokens.push({ type: "end", value: null, at: text.length });
+  return tokens;
+};
+
+// Keyword (and/or/not/in/contains) or operator a token stands for, if any
+const opOf = (token) => (token.type === "op" ? token.value : token.type === "name" ? KEYWORDS[token.value] : undefined);
+
+const describe = (token) => (token.type === "end" ? "end of expression" : `“${token.type === "string" ? `"${token.value}"` : token.value}”`);
+
+// Recursive descent over the token list; returns the AST and the roots it reads
+const parseTokens = (tokens) => {
+  let pos = 0;
+  const roots = new Set();
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (op) => {
+    const token = next();
+    if (opOf(token) !== op) throw fail(`Expected “${op}” but found ${describe(token)}`, token.at);
+  };
+
+  const parseOperand = () => {
+    const token = next();
+    if (token.type === "string" || token.type === "number") return { type: "literal", value: token.value };
+    if (token.type === "op" && token.value === "(") {
+      const inner = parseOr();
+      expect(")");
+      return inner;
+    }
+    if (token.type === "op" && token.value === "[") {
+      const items = [];
+      if (opOf(peek()) !== "]") {
+        items.push(parseOperand());
+        while (opOf(peek()) === ",") {
+          next();
+          items.push(parseOperand());
+        }
+      }
+      expect("]");
+      return { type: "list", items };
+    }
+    if (token.type === "name" && token.value in LITERALS) return { type: "literal", value: LITERALS[token.value] };
+    if (token.type === "name" && !KEYWORDS[token.value]) {
+      if (!ROOTS.includes(token.value)) {
+        throw fail(`Unknown field “${token.value}” (fields start with ${ROOTS.map((r) => `${r}.`).join(", ")})`, token.at);
+      }
+      const path = token.value === "metadata" ? ["metadata"] : [];
+      const root = token.value === "metadata" ? "node" : token.value;
+      while (opOf(peek()) === ".") {
+        next();
+        const part = next();
+        if (part.type !== "name") throw fail(`Expected a field name after “.” but found ${describe(part)}`, part.at);
+        path.push(part.value);
+      }
+      roots.add(root);
+      return { type: "field", root, path };
+    }
+    throw fail(`Expected a value but found ${describe(token)}`, token.at);
+  };
+
+  const parseCompare = () => {
+    const left = parseOperand();
+    const op = opOf(peek());
+    if (!COMPARISONS.has(op)) return left;
+    next();
+    return { type: "compare", op, left, right: parseOperand() };
+  };
+
+  const parseNot = () => {
+    const op = opOf(peek());
+    if (op === "not" || op === "!") {
+      next();
+      return { type: "not", operand: parseNot() };
+    }
+    return parseCompare();
+  };
+
+  const parseChain = (type, ops, parsePart) => () => {
+    const operands = [parsePart()];
+    while (ops.includes(opOf(peek()))) {
+      next();
+      operands.push(parsePart());
+    }
+    return operands.length === 1 ? operands[0] : { type, operands };
+  };
+  const parseAnd = parseChain("and", ["and", "&&"], parseNot);
+  const parseOr = parseChain("or", ["or", "||"], parseAnd);
+
+  const ast = parseOr();
+  if (peek().type !== "end") throw fail(`Unexpected ${describe(peek())}`, peek().at);
+  return { ast, roots };
+};
+
+/**
+ * parseFilter
+ * Parses an expression. Returns `{ filter, error }`: `filter` is
+ * `{ source, ast, scopes: { req, block } }` (`scopes` says which item lists
+ * the expression quantifies over), `error` is `{ message, at }` with the
+ * character offset of the problem. Blank text is no filter and no error.
+ */
+export const parseFilter = (text) => {
+  const source = String(text ?? "").trim();
+  if (!source) return { filter: null, error: null };
+  try {
+    const { ast, roots } = parseTokens(tokenize(source));
+    return { filter: { source, ast, scopes: { req: roots.has("req"), block: roots.has("block") } }, error: null };
+  } catch (e) {
+    return { filter: null, error: { message: `${e.message} at column ${(e.at ?? 0) + 1}.`, at: e.at ?? 0 } };
+  }
+};
+
+// ---- evaluation ----
+
+const isBlank = (v) => v === null || v === undefined || v === "" || v === false || (Array.isArray(v) && !v.length);
+
+const equals = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) return (a ?? null) === (b ?? null);
+  if (typeof a === "number" && typeof b === "number") return a === b;
+  return String(a).toLowerCase() === String(b).toLowerCase();
+};
+
+const order = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) return null;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  const [x, y] = [String(a).toLowerCase(), String(b).toLowerCase()];
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const RELATIONS = {
+  "<": (c) => c < 0,
+  "<=": (c) => c <= 0,
+  ">": (c) => c > 0,
+  ">=": (c) => c >= 0,
+};
+
+const compareOne = (op, a, b) => {
+  if (op === "==") return equals(a, b);
+  if (op === "in") return asArray(b).some((item) => equals(a, item));
+  if (op === "contains") {
+    if (Array.isArray(a)) return a.some((item) => equals(item, b));
+    return typeof a === "string" && b !== null && b !== undefined && a.toLowerCase().includes(String(b).toLowerCase());
+  }
+  const c = order(a, b);
+  return c !== null && RELATIONS[op](c);
+};
+
+const evaluate = (ast, env) => {
+  switch (ast.type) {
+    case "literal":
+      return ast.value;
+    case "list":
+      return ast.items.map((item) => evaluate(item, env));
+    case "field":
+      return ast.path.reduce((v, key) => (v === null || v === undefined ? undefined : v[key]), env[ast.root]);
+    case "not":
+      return isBlank(evaluate(ast.operand, env));
+    case "and":
+      return ast.operands.every((operand) => !isBlank(evaluate(operand, env)));
+    case "or":
+      return ast.operands.some((operand) => !isBlank(evaluate(operand, env)));
+    case "compare": {
+      const left = evaluate(ast.left, env);
+      const right = evaluate(ast.right, env);
+      // list-valued fields: any item (none of them for !=); `contains` looks into the list itself
+      if (Array.isArray(left) && ast.op !== "contains") {
+        return ast.op === "!=" ? !left.some((item) => equals(item, right)) : left.some((item) => compareOne(ast.op, item, right));
+      }
+      return ast.op === "!=" ? !equals(left, right) : compareOne(ast.op, left, right);
+    }
+    default:
+      return false;
+  }
+};
+
+// Some requirement × block binding of `node` (restricted by `fixed`) satisfies the filter
+const anyBinding = (filter, node, fixed = {}) => {
+  const reqs = "req" in fixed ? [fixed.req] : filter.scopes.req ? asArray(node.requirements) : [undefined];
+  const blocks = filter.scopes.block ? asArray(node.relatedSystemBlocks) : [undefined];
+  return reqs.some((req) => blocks.some((block) => !isBlank(evaluate(filter.ast, { node, req, block }))));
+};
+
+export const matchesNode = (filter, node) => !!node && anyBinding(filter, node);
+
+/**
+ * matchesRequirement
+ * Whether requirement `req` of `node` satisfies the filter. Filters that never
+ * mention `req` don't narrow a node's requirements, so every one passes.
+ */
+export const matchesRequirement = (filter, node, req) => !filter.scopes.req || anyBinding(filter, node, { req });
+
+/**
+ * filterTree
+ * `{ matchKeys, keepKeys }` over the FULL tree: absolute pathKeys of the
+ * matching nodes, and of those plus all their ancestors (what a pruned view
+ * keeps).
+ */
+export const filterTree = (root, filter) => {
+  const matchKeys = new Set();
+  const keepKeys = new Set();
+  walkTree(root, (node, absPath) => {
+    if (!matchesNode(filter, node)) return;
+    const key = pathKey(absPath);
+    matchKeys.add(key);
+    keepKeys.add(key);
+    for (const k of ancestorKeys(absPath)) keepKeys.add(k);
+  });
+  return { matchKeys, keepKeys };
+};
@@ -0,0 +1,50 @@
+import { expect, test } from 'vitest';
+import { filterTree, matchesNode, matchesRequirement, parseFilter } from './filter';
+
+const tree = {
+  name: 'root',
+  metadata: { owner: 'SYS' },
+  children: [
+    {
+      name: 'Sensor suite',
+      metadata: { owner: 'HW', lastUpdated: '2023-06-01' },
+      requirements: [
+        { reqId: 'R-1', priority: 'High', verification: { status: 'Complete' } },
+        { reqId: 'R-2', priority: 'high', verification: { status: 'Planned' } },
+      ],
+      children: [{ name: 'Lidar', value: 12, relatedSystemBlocks: [{ blockId: 'B-1', layer: 'Mission', interfaces: ['IF-1', 'IF-2'] }] }],
+    },
+    { name: 'Ground', metadata: { owner: 'IV&V' }, requirements: [{ reqId: 'R-3', priority: 'Low' }] },
+  ],
+};
+const keys = (text) => [...filterTree(tree, parseFilter(text).filter).matchKeys];
+
+test('expressions quantify over requirements and blocks and keep ancestors of matches', () => {
+  const risky = parseFilter('req.priority == "High" and req.verification.status != "Complete"').filter;
+  expect(risky.scopes).toEqual({ req: true, block: false });
+  expect(filterTree(tree, risky)).toEqual({ matchKeys: new Set(['0']), keepKeys: new Set(['0', '']) });
+  const reqs = tree.children[0].requirements;
+  expect(reqs.map((r) => matchesRequirement(risky, tree.children[0], r))).toEqual([false, true]);
+
+  expect(keys('block.layer == "Mission"')).toEqual(['0/0']);
+  expect(keys('block.interfaces == "if-2" and node.value >= 10')).toEqual(['0/0']);
+  expect(keys('metadata.owner in ["HW", "IV&V"]')).toEqual(['0', '1']);
+  expect(keys('not (node.name contains "o") || metadata.lastUpdated < "2024-01-01"')).toEqual(['0', '0/0']);
+  expect(keys('req.priority != "High"')).toEqual(['1']);
+  expect(matchesNode(parseFilter('metadata').filter, tree.children[0].children[0])).toBe(false);
+  expect(matchesRequirement(parseFilter('metadata.owner == "HW"').filter, tree, reqs[0])).toBe(true);
+});
+
+test('bad expressions are reported with their position, never evaluated', () => {
+  expect(parseFilter('  ')).toEqual({ filter: null, error: null });
+  const cases = {
+    'req.priority = "High"': 'Use “==” to compare at column 14.',
+    'owner == "HW"': 'Unknown field “owner” (fields start with node., req., block., metadata.) at column 1.',
+    'req.priority == "High': 'Unterminated string at column 17.',
+    'block.layer == "Mission" and': 'Expected a value but found end of expression at column 29.',
+    'metadata.owner in ["HW" "SW"]': 'Expected “]” but found “"SW"” at column 25.',
+    '(node.value > 1': 'Expected “)” but found end of expression at column 16.',
+    'node.constructor.constructor("alert(1)")()': 'Unexpected “(” at column 29.',
+  };
+  for (const [text, message] of Object.entries(cases)) expect(parseFilter(text)).toEqual({ filter: null, error: expect.objectContaining({ message }) });
+});
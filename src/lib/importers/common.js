@@ -0,0 +1,96 @@
+// ------------------------------------------------------------
+// Shared pieces for the CSV / ReqIF importers
+// ------------------------------------------------------------
+
+// Requirement fields a source column/attribute can be mapped onto
+export const REQUIREMENT_FIELDS = [
+  { key: "reqId", label: "Requirement ID" },
+  { key: "title", label: "Title" },
+  { key: "text", label: "Text" },
+  { key: "priority", label: "Priority" },
+  { key: "status", label: "Status" },
+  { key: "verificationMethod", label: "Verification method" },
+  { key: "verificationStatus", label: "Verification status" },
+  { key: "source", label: "Source" },
+  { key: "acceptanceCriteria", label: "Acceptance criteria" },
+];
+
+// Name of the synthetic node that collects rows whose parent could not be resolved
+export const ORPHANS_NODE_NAME = "(orphaned)";
+
+// Lower-case and strip separators so "Verification Status", "verification_status"
+// and "ReqIF.VerificationStatus" all compare equal.
+const normalizeHeader = (h) => String(h).toLowerCase().replace(/^reqif\./, "").replace(/[^a-z0-9]/g, "");
+
+/**
+ * guessMapping
+ * Proposes `{ [sourceHeader]: targetKey }` from header names using `aliases`
+ * (`{ targetKey: [alias, ...] }`). Unrecognised headers map to "" (ignored);
+ * each target is used at most once.
+ */
+export const guessMapping = (headers, aliases) => {
+  const byAlias = new Map();
+  for (const [target, names] of Object.entries(aliases)) {
+    for (const n of [target, ...names]) byAlias.set(normalizeHeader(n), target);
+  }
+  const used = new Set();
+  const mapping = {};
+  for (const h of headers) {
+    const target = byAlias.get(normalizeHeader(h));
+    mapping[h] = target && !used.has(target) ? target : "";
+    if (mapping[h]) used.add(target);
+  }
+  return mapping;
+};
+
+// Aliases shared by both importers for requirement columns/attributes
+export const REQUIREMENT_ALIASES = {
+  reqId: ["id", "requirementid", "reqid", "foreignid", "identifier", "absolutenumber"],
+  title: ["name", "heading", "objectheading", "chaptername"],
+  text: ["description", "objecttext", "requirementtext", "shalltext"],
+  priority: [],
+  status: ["lifecyclestatus", "state"],
+  verificationMethod: ["verifymethod", "method", "verification"],
+  verificationStatus: ["verifystatus", "verifiedstatus"],
+  source: ["origin", "sourcedocument"],
+  acceptanceCriteria: ["acceptance", "criteria"],
+};
+
+/**
+ * buildRequirement
+ * Turns `{ targetKey: value }` into the explorer's requirement shape, dropping
+ * empty values and nesting verification fields.
+ */
+export const buildRequirement = (values) => {
+  const req = {};
+  for (const { key } of REQUIREMENT_FIELDS) {
+    const v = values[key];
+    if (v === undefined || v === null || String(v).trim() === "") continue;
+    const s = String(v).trim();
+    if (key === "verificationMethod") req.verification = { ...req.verification, method: s };
+    else if (key === "verificationStatus") req.verification = { ...req.verification, status: s };
+    else req[key] = s;
+  }
+  return req;
+};
+
+export const newNode = (name, id) => (id ? { id, name, children: [] } : { name, children: [] });
+
+export const addRequirement = (node, req) => {
+  if (!node.requirements) node.requirements = [];
+  node.requirements.push(req);
+};
+
+// Drop empty `children`/`requirements` arrays left over from construction
+export const pruneEmpty = (node) => {
+  const stack = [node];
+  while (stack.length) {
+    const n = stack.pop();
+    if (Array.isArray(n.children)) {
+      if (n.children.length === 0) delete n.children;
+      else stack.push(...n.children);
+    }
+    if (Array.isArray(n.requirements) && n.requirements.length === 0) delete n.requirements;
+  }
+  return node;
+};
@@ -0,0 +1,240 @@
+import {
+  REQUIREMENT_ALIASES,
+  REQUIREMENT_FIELDS,
+  ORPHANS_NODE_NAME,
+  addRequirement,
+  buildRequirement,
+  guessMapping,
+  newNode,
+  pruneEmpty,
+} from "./common";
+
+// ------------------------------------------------------------
+// CSV importer (DOORS-style flat export → nested hierarchy)
+// ------------------------------------------------------------
+
+// Structure columns: either a node path per row, or node/parent ids
+export const CSV_STRUCTURE_FIELDS = [
+  { key: "nodePath", label: "Node path (parent path)" },
+  { key: "nodeId", label: "Node ID" },
+  { key: "nodeName", label: "Node name" },
+  { key: "parentId", label: "Parent ID" },
+];
+
+export const CSV_TARGET_FIELDS = [...CSV_STRUCTURE_FIELDS, ...REQUIREMENT_FIELDS];
+
+const CSV_ALIASES = {
+  nodePath: ["path", "parentpath", "hierarchy", "nodepath", "module"],
+  nodeId: ["node", "objectid"],
+  nodeName: ["nodename", "component", "subsystem"],
+  parentId: ["parent", "parentnode", "parentobjectid"],
+  ...REQUIREMENT_ALIASES,
+};
+
+const DEFAULT_PATH_SEPARATOR = /\s*(?:\/|>|›)\s*/;
+
+/**
+ * parseCsv
+ * RFC 4180 parser: quoted fields, doubled quotes, embedded newlines, CRLF and
+ * a leading BOM. The delimiter (comma, semicolon or tab) is sniffed from the
+ * header line. Returns an array of rows (arrays of strings).
+ */
+export const parseCsv = (text) => {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const headerLine = src.split(/\r?\n/, 1)[0] ?? "";
+  const delim = [",", ";", "\t"].reduce((best, d) =>
+    headerLine.split(d).length > headerLine.split(best).length ? d : best, ",");
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") {
+      inQuotes = true;
+    } else if (ch === delim) {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); rows.push(row);
+      row = []; field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+};
+
+/**
+ * readCsvHeaders
+ * Header row plus a proposed column → field mapping for the mapping step.
+ */
+export const readCsvHeaders = (text) => {
+  const [headers = []] = parseCsv(text);
+  return { headers, mapping: guessMapping(headers, CSV_ALIASES) };
+};
+
+/**
+ * importCsv
+ * Converts CSV text into the explorer's nested JSON using `mapping`
+ * (`{ header: targetKey }`, see CSV_TARGET_FIELDS).
+ *  - With a `nodePath` column, each row's requirement is placed on the node at
+ *    that path (intermediate nodes are created on demand).
+ *  - With `nodeId`/`parentId` columns, rows declare nodes and their parents;
+ *    requirement rows without a `nodeId` attach to their `parentId` node.
+ *  - With neither, every requirement lands on the root.
+ * Returns `{ data, report }`; `report.dropped` lists rows that could not be used
+ * and `report.orphaned` rows whose parent was missing (kept under ORPHANS_NODE_NAME).
+ */
+export const importCsv = (text, mapping, { rootName = "Imported requirements", pathSeparator = DEFAULT_PATH_SEPARATOR } = {}) => {
+  const [headers = [], ...body] = parseCsv(text);
+  const report = { rows: body.length, dropped: [], orphaned: [], nodes: 0, requirements: 0 };
+  const colOf = {};
+  headers.forEach((h, i) => { if (mapping[h]) colOf[mapping[h]] = i; });
+  const valuesOf = (cells) => {
+    const out = {};
+    for (const [target, i] of Object.entries(colOf)) out[target] = (cells[i] ?? "").trim();
+    return out;
+  };
+  const hasRequirementContent = (v) => REQUIREMENT_FIELDS.some(({ key }) => v[key]);
+
+  const seenReqIds = new Map();
+  // Returns the requirement for a row, or null after reporting why it was dropped
+  const takeRequirement = (v, rowNo) => {
+    if (!hasRequirementContent(v)) return null;
+    if (!v.reqId) {
+      report.dropped.push({ row: rowNo, reason: "Missing requirement ID" });
+      return null;
+    }
+    if (seenReqIds.has(v.reqId)) {
+      report.dropped.push({ row: rowNo, reason: `Duplicate requirement ID ${v.reqId} (first on row ${seenReqIds.get(v.reqId)})` });
+      return null;
+    }
+    seenReqIds.set(v.reqId, rowNo);
+    report.requirements += 1;
+    return buildRequirement(v);
+  };
+
+  let orphans = null;
+  const orphanBin = () => (orphans ??= newNode(ORPHANS_NODE_NAME));
+  let root;
+
+  if ("nodePath" in colOf) {
+    const split = (p) => p.split(pathSeparator).map((s) => s.trim()).filter(Boolean);
+    const paths = body.map((cells) => split(valuesOf(cells).nodePath ?? ""));
+    // If every path starts with the same segment, treat it as the root's name
+    const firsts = new Set(paths.filter((p) => p.length).map((p) => p[0]));
+    const sharedRoot = firsts.size === 1 ? [...firsts][0] : null;
+    root = newNode(sharedRoot ?? rootName);
+    const byPath = new Map([["", root]]);
+    const ensure = (segs) => {
+      let cur = root;
+      for (let i = 0; i < segs.length; i++) {
+        const key = segs.slice(0, i + 1).join("\u0000");
+        let next = byPath.get(key);
+        if (!next) {
+          next = newNode(segs[i]);
+          cur.children.push(next);
+          byPath.set(key, next);
+          report.nodes += 1;
+        }
+        cur = next;
+      }
+      return cur;
+    };
+    body.forEach((cells, i) => {
+      const rowNo = i + 2; // 1-based, after the header
+      const v = valuesOf(cells);
+      const segs = sharedRoot ? paths[i].slice(1) : paths[i];
+      if (!paths[i].length && !hasRequirementContent(v)) {
+        report.dropped.push({ row: rowNo, reason: "Empty row (no path and no requirement)" });
+        return;
+      }
+      const node = ensure(segs);
+      const req = takeRequirement(v, rowNo);
+      if (req) addRequirement(node, req);
+    });
+  } else if ("nodeId" in colOf || "parentId" in colOf) {
+    const byId = new Map();
+    const parentOf = new Map();
+    const firstRowOf = new Map();
+    const loose = []; // requirement rows hanging off a parentId
+
+    body.forEach((cells, i) => {
+      const rowNo = i + 2;
+      const v = valuesOf(cells);
+      if (v.nodeId) {
+        let node = byId.get(v.nodeId);
+        if (!node) {
+          node = newNode(v.nodeName || v.nodeId, v.nodeId);
+          byId.set(v.nodeId, node);
+          firstRowOf.set(v.nodeId, rowNo);
+          report.nodes += 1;
+        } else if (v.nodeName && node.name === node.id) {
+          node.name = v.nodeName;
+        }
+        if (v.parentId && !parentOf.has(v.nodeId)) parentOf.set(v.nodeId, v.parentId);
+        const req = takeRequirement(v, rowNo);
+        if (req) addRequirement(node, req);
+      } else if (v.parentId) {
+        const req = takeRequirement(v, rowNo);
+        if (req) loose.push({ parentId: v.parentId, req, rowNo });
+      } else {
+        report.dropped.push({ row: rowNo, reason: "No node ID or parent ID" });
+      }
+    });
+
+    // True when following parent ids from `id` comes back to `id`
+    const inCycle = (id) => {
+      const seen = new Set();
+      let cur = parentOf.get(id);
+      while (cur && byId.has(cur) && !seen.has(cur)) {
+        if (cur === id) return true;
+        seen.add(cur);
+        cur = parentOf.get(cur);
+      }
+      return false;
+    };
+
+    const roots = [];
+    for (const [id, node] of byId) {
+      const parentId = parentOf.get(id);
+      if (!parentId) roots.push(node);
+      else if (!byId.has(parentId)) {
+        report.orphaned.push({ row: firstRowOf.get(id), reason: `Parent ${parentId} not found` });
+        orphanBin().children.push(node);
+      } else if (inCycle(id)) {
+        report.orphaned.push({ row: firstRowOf.get(id), reason: `Cycle in parent chain at ${parentId}` });
+        orphanBin().children.push(node);
+      } else {
+        byId.get(parentId).children.push(node);
+      }
+    }
+    for (const { parentId, req, rowNo } of loose) {
+      const node = byId.get(parentId);
+      if (node) addRequirement(node, req);
+      else {
+        report.orphaned.push({ row: rowNo, reason: `Parent ${parentId} not found` });
+        addRequirement(orphanBin(), req);
+      }
+    }
+    root = roots.length === 1 && !orphans ? roots[0] : { ...newNode(rootName), children: roots };
+  } else {
+    root = newNode(rootName);
+    body.forEach((cells, i) => {
+      const v = valuesOf(cells);
+      if (!hasRequirementContent(v)) report.dropped.push({ row: i + 2, reason: "No mapped values" });
+      const req = takeRequirement(v, i + 2);
+      if (req) addRequirement(root, req);
+    });
+  }
+
+  if (orphans) root.children.push(orphans);
+  return { data: pruneEmpty(root), report };
+};
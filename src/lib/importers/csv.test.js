@@ -0,0 +1,53 @@
+import { describe, expect, test } from 'vitest';
+import { importCsv, parseCsv, readCsvHeaders } from './csv';
+import { validateDataset } from '../schema';
+
+test('parseCsv handles quotes, embedded newlines and semicolons', () => {
+  const rows = parseCsv('a;b\r\n"x;1";"line\nbreak ""q"""\r\n');
+  expect(rows).toEqual([['a', 'b'], ['x;1', 'line\nbreak "q"']]);
+});
+
+describe('importCsv', () => {
+  test('builds a hierarchy from a parent-path column', () => {
+    const csv = [
+      'Path,Requirement ID,Title,Priority,Verification Method,Verification Status',
+      'System/Power,R1,Battery,High,Test,Planned',
+      'System/Power/Battery,R2,Cells,Low,Analysis,Complete',
+      'System,,,,,',
+      ',,Loose title,,,',
+    ].join('\n');
+    const { mapping } = readCsvHeaders(csv);
+    expect(mapping).toMatchObject({ Path: 'nodePath', 'Requirement ID': 'reqId', 'Verification Status': 'verificationStatus' });
+
+    const { data, report } = importCsv(csv, mapping);
+    expect(data.name).toBe('System');
+    expect(data.children[0].name).toBe('Power');
+    expect(data.children[0].requirements[0]).toEqual({
+      reqId: 'R1', title: 'Battery', priority: 'High', verification: { method: 'Test', status: 'Planned' },
+    });
+    expect(data.children[0].children[0].requirements[0].reqId).toBe('R2');
+    expect(report.dropped).toEqual([{ row: 5, reason: 'Missing requirement ID' }]);
+    expect(validateDataset(data)).toEqual([]);
+  });
+
+  test('links nodes by parent id and reports orphans and duplicates', () => {
+    const csv = [
+      'Node ID,Node Name,Parent ID,Req ID,Text',
+      'N1,Root,,R1,The system shall work.',
+      'N2,Child,N1,R2,The child shall work.',
+      'N3,Lost,NX,,',
+      ',,N2,R3,Loose requirement',
+      ',,N2,R3,Duplicate',
+    ].join('\n');
+    const { mapping } = readCsvHeaders(csv);
+    const { data, report } = importCsv(csv, mapping);
+    expect(data.name).toBe('Imported requirements');
+    const [root, orphans] = data.children;
+    expect(root.id).toBe('N1');
+    expect(root.children[0].requirements.map((r) => r.reqId)).toEqual(['R2', 'R3']);
+    expect(orphans.name).toBe('(orphaned)');
+    expect(orphans.children[0].id).toBe('N3');
+    expect(report.orphaned).toEqual([{ row: 4, reason: 'Parent NX not found' }]);
+    expect(report.dropped[0].reason).toMatch(/Duplicate requirement ID R3/);
+  });
+});
@@ -0,0 +1,42 @@
+import { CSV_TARGET_FIELDS, importCsv, readCsvHeaders } from "./csv";
+import { importReqif, readReqifAttributes } from "./reqif";
+import { REQUIREMENT_FIELDS } from "./common";
+
+// ------------------------------------------------------------
+// Importer registry used by the import dialog
+// ------------------------------------------------------------
+export const IMPORT_FORMATS = {
+  csv: {
+    label: "CSV",
+    targets: CSV_TARGET_FIELDS,
+    readFields: (text) => {
+      const { headers, mapping } = readCsvHeaders(text);
+      return { fields: headers, mapping };
+    },
+    run: importCsv,
+  },
+  reqif: {
+    label: "ReqIF",
+    targets: REQUIREMENT_FIELDS,
+    readFields: (text) => {
+      const { attributes, mapping } = readReqifAttributes(text);
+      return { fields: attributes, mapping };
+    },
+    run: importReqif,
+  },
+};
+
+/**
+ * detectImportFormat
+ * Picks an importer from the file extension, falling back to sniffing the text.
+ * Returns "csv", "reqif" or null.
+ */
+export const detectImportFormat = (fileName = "", text = "") => {
+  const lower = fileName.toLowerCase();
+  if (lower.endsWith(".reqif") || lower.endsWith(".xml")) return "reqif";
+  if (lower.endsWith(".csv") || lower.endsWith(".tsv") || lower.endsWith(".txt")) return "csv";
+  const head = text.slice(0, 512).trimStart();
+  if (head.startsWith("<")) return head.includes("REQ-IF") ? "reqif" : null;
+  if (head.startsWith("{") || head.startsWith("[")) return null;
+  return head ? "csv" : null;
+};
@@ -0,0 +1,165 @@
+import {
+  REQUIREMENT_ALIASES,
+  ORPHANS_NODE_NAME,
+  addRequirement,
+  buildRequirement,
+  guessMapping,
+  newNode,
+  pruneEmpty,
+} from "./common";
+
+// ------------------------------------------------------------
+// ReqIF importer (SPEC-OBJECTs + SPEC-HIERARCHY → nested hierarchy)
+// ------------------------------------------------------------
+
+// ReqIF files are namespaced; match on local names so any prefix works
+const childrenNamed = (el, name) => (el ? [...el.children].filter((c) => c.localName === name) : []);
+const childNamed = (el, name) => childrenNamed(el, name)[0] ?? null;
+const allNamed = (el, name) => [...el.getElementsByTagNameNS("*", name)];
+const collapse = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+
+const parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(String(text ?? ""), "application/xml");
+  const err = doc.getElementsByTagName("parsererror")[0];
+  if (err) throw new Error(`Invalid ReqIF XML: ${collapse(err.textContent)}`);
+  if (doc.documentElement?.localName !== "REQ-IF") throw new Error("Not a ReqIF document (missing REQ-IF root element).");
+  return doc;
+};
+
+/**
+ * readSpecObjects
+ * Resolves every SPEC-OBJECT to `{ id, longName, attrs }` where `attrs` maps
+ * attribute LONG-NAMEs to display strings (XHTML flattened to text, enum
+ * references resolved to their LONG-NAMEs).
+ */
+const readSpecObjects = (doc) => {
+  const defNames = new Map();
+  for (const el of doc.getElementsByTagNameNS("*", "*")) {
+    if (el.localName.startsWith("ATTRIBUTE-DEFINITION-")) {
+      const id = el.getAttribute("IDENTIFIER");
+      if (id) defNames.set(id, el.getAttribute("LONG-NAME") || id);
+    }
+  }
+  const enumNames = new Map(
+    allNamed(doc, "ENUM-VALUE").map((el) => [el.getAttribute("IDENTIFIER"), el.getAttribute("LONG-NAME") || el.getAttribute("IDENTIFIER")])
+  );
+
+  const objects = new Map();
+  for (const obj of allNamed(doc, "SPEC-OBJECT")) {
+    const id = obj.getAttribute("IDENTIFIER");
+    if (!id) continue;
+    const attrs = {};
+    for (const v of [...(childNamed(obj, "VALUES")?.children ?? [])]) {
+      const defRef = childNamed(v, "DEFINITION")?.firstElementChild;
+      const name = defNames.get(collapse(defRef?.textContent)) ?? collapse(defRef?.textContent);
+      if (!name) continue;
+      if (v.localName === "ATTRIBUTE-VALUE-XHTML") {
+        attrs[name] = collapse(childNamed(v, "THE-VALUE")?.textContent);
+      } else if (v.localName === "ATTRIBUTE-VALUE-ENUMERATION") {
+        attrs[name] = allNamed(v, "ENUM-VALUE-REF")
+          .map((r) => enumNames.get(collapse(r.textContent)) ?? collapse(r.textContent))
+          .join(", ");
+      } else {
+        attrs[name] = v.getAttribute("THE-VALUE") ?? "";
+      }
+    }
+    objects.set(id, { id, longName: obj.getAttribute("LONG-NAME") || "", attrs });
+  }
+  return objects;
+};
+
+/**
+ * readReqifAttributes
+ * Attribute names found on SPEC-OBJECTs plus a proposed attribute → field
+ * mapping for the mapping step.
+ */
+export const readReqifAttributes = (text) => {
+  const objects = readSpecObjects(parseXml(text));
+  const names = new Set();
+  for (const o of objects.values()) Object.keys(o.attrs).forEach((k) => names.add(k));
+  const attributes = [...names];
+  return { attributes, mapping: guessMapping(attributes, REQUIREMENT_ALIASES) };
+};
+
+/**
+ * importReqif
+ * Converts a ReqIF document using `mapping` (`{ attributeLongName: targetKey }`).
+ * Each SPECIFICATION becomes a node; SPEC-HIERARCHY entries with children become
+ * nodes named after their object (heading), leaf entries become requirements on
+ * the enclosing node. A requirement without a mapped ID falls back to the
+ * SPEC-OBJECT IDENTIFIER.
+ * Returns `{ data, report }`; `report.dropped` lists hierarchy entries that could
+ * not be used and `report.orphaned` SPEC-OBJECTs no hierarchy references (kept
+ * under ORPHANS_NODE_NAME). Throws on malformed XML.
+ */
+export const importReqif = (text, mapping, { rootName = "Imported requirements" } = {}) => {
+  const doc = parseXml(text);
+  const objects = readSpecObjects(doc);
+  const report = { rows: objects.size, dropped: [], orphaned: [], nodes: 0, requirements: 0 };
+  const referenced = new Set();
+  const seenReqIds = new Set();
+
+  const valuesOf = (obj) => {
+    const out = {};
+    for (const [attr, target] of Object.entries(mapping)) {
+      if (target && attr in obj.attrs) out[target] = obj.attrs[attr];
+    }
+    return out;
+  };
+  const requirementOf = (obj, ref) => {
+    const v = valuesOf(obj);
+    const req = buildRequirement({ ...v, reqId: v.reqId || obj.id });
+    if (seenReqIds.has(req.reqId)) {
+      report.dropped.push({ ref, reason: `Duplicate requirement ID ${req.reqId}` });
+      return null;
+    }
+    seenReqIds.add(req.reqId);
+    report.requirements += 1;
+    return req;
+  };
+
+  const placeHierarchy = (h, parent) => {
+    const hid = h.getAttribute("IDENTIFIER") || "";
+    const objRef = collapse(childNamed(childNamed(h, "OBJECT"), "SPEC-OBJECT-REF")?.textContent);
+    const obj = objects.get(objRef);
+    const kids = childrenNamed(childNamed(h, "CHILDREN"), "SPEC-HIERARCHY");
+    if (!obj) {
+      report.dropped.push({ ref: hid || objRef, reason: `SPEC-OBJECT ${objRef || "(none)"} not found` });
+      kids.forEach((k) => placeHierarchy(k, parent)); // keep the subtree, hoisted one level
+      return;
+    }
+    referenced.add(obj.id);
+    if (kids.length === 0) {
+      const req = requirementOf(obj, hid);
+      if (req) addRequirement(parent, req);
+      return;
+    }
+    const v = valuesOf(obj);
+    const node = newNode(v.title || obj.longName || v.text || obj.id, hid || obj.id);
+    report.nodes += 1;
+    parent.children.push(node);
+    if (v.text) {
+      const req = requirementOf(obj, hid);
+      if (req) addRequirement(node, req);
+    }
+    kids.forEach((k) => placeHierarchy(k, node));
+  };
+
+  const specNodes = allNamed(doc, "SPECIFICATION").map((spec) => {
+    const node = newNode(spec.getAttribute("LONG-NAME") || spec.getAttribute("IDENTIFIER") || "Specification", spec.getAttribute("IDENTIFIER"));
+    report.nodes += 1;
+    childrenNamed(childNamed(spec, "CHILDREN"), "SPEC-HIERARCHY").forEach((h) => placeHierarchy(h, node));
+    return node;
+  });
+
+  const root = specNodes.length === 1 ? specNodes[0] : { ...newNode(rootName), children: specNodes };
+  const orphans = newNode(ORPHANS_NODE_NAME);
+  for (const obj of objects.values()) {
+    if (referenced.has(obj.id)) continue;
+    report.orphaned.push({ ref: obj.id, reason: "Not referenced by any SPEC-HIERARCHY" });
+    const req = requirementOf(obj, obj.id);
+    if (req) addRequirement(orphans, req);
+  }
+  if (orphans.requirements) root.children.push(orphans);
+  return { data: pruneEmpty(root), report };
+};
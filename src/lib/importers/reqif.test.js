@@ -0,0 +1,71 @@
+import { expect, test } from 'vitest';
+import { importReqif, readReqifAttributes } from './reqif';
+import { validateDataset } from '../schema';
+
+const REQIF = `<?xml version="1.0" encoding="UTF-8"?>
+<REQ-IF xmlns="http://www.omg.org/spec/ReqIF/20110401/reqif.xsd" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+  <CORE-CONTENT><REQ-IF-CONTENT>
+    <DATATYPES>
+      <DATATYPE-DEFINITION-ENUMERATION IDENTIFIER="DT-PRIO">
+        <SPECIFIED-VALUES>
+          <ENUM-VALUE IDENTIFIER="EV-HIGH" LONG-NAME="High"/>
+        </SPECIFIED-VALUES>
+      </DATATYPE-DEFINITION-ENUMERATION>
+    </DATATYPES>
+    <SPEC-TYPES>
+      <SPEC-OBJECT-TYPE IDENTIFIER="T1">
+        <SPEC-ATTRIBUTES>
+          <ATTRIBUTE-DEFINITION-STRING IDENTIFIER="AD-ID" LONG-NAME="ReqIF.ForeignID"/>
+          <ATTRIBUTE-DEFINITION-STRING IDENTIFIER="AD-NAME" LONG-NAME="ReqIF.Name"/>
+          <ATTRIBUTE-DEFINITION-XHTML IDENTIFIER="AD-TEXT" LONG-NAME="ReqIF.Text"/>
+          <ATTRIBUTE-DEFINITION-ENUMERATION IDENTIFIER="AD-PRIO" LONG-NAME="Priority"/>
+        </SPEC-ATTRIBUTES>
+      </SPEC-OBJECT-TYPE>
+    </SPEC-TYPES>
+    <SPEC-OBJECTS>
+      <SPEC-OBJECT IDENTIFIER="O1"><VALUES>
+        <ATTRIBUTE-VALUE-STRING THE-VALUE="Power"><DEFINITION><ATTRIBUTE-DEFINITION-STRING-REF>AD-NAME</ATTRIBUTE-DEFINITION-STRING-REF></DEFINITION></ATTRIBUTE-VALUE-STRING>
+      </VALUES></SPEC-OBJECT>
+      <SPEC-OBJECT IDENTIFIER="O2"><VALUES>
+        <ATTRIBUTE-VALUE-STRING THE-VALUE="REQ-1"><DEFINITION><ATTRIBUTE-DEFINITION-STRING-REF>AD-ID</ATTRIBUTE-DEFINITION-STRING-REF></DEFINITION></ATTRIBUTE-VALUE-STRING>
+        <ATTRIBUTE-VALUE-XHTML><DEFINITION><ATTRIBUTE-DEFINITION-XHTML-REF>AD-TEXT</ATTRIBUTE-DEFINITION-XHTML-REF></DEFINITION>
+          <THE-VALUE><xhtml:div>The battery <xhtml:b>shall</xhtml:b> hold charge.</xhtml:div></THE-VALUE></ATTRIBUTE-VALUE-XHTML>
+        <ATTRIBUTE-VALUE-ENUMERATION><DEFINITION><ATTRIBUTE-DEFINITION-ENUMERATION-REF>AD-PRIO</ATTRIBUTE-DEFINITION-ENUMERATION-REF></DEFINITION>
+          <VALUES><ENUM-VALUE-REF>EV-HIGH</ENUM-VALUE-REF></VALUES></ATTRIBUTE-VALUE-ENUMERATION>
+      </VALUES></SPEC-OBJECT>
+      <SPEC-OBJECT IDENTIFIER="O3"><VALUES/></SPEC-OBJECT>
+    </SPEC-OBJECTS>
+    <SPECIFICATIONS>
+      <SPECIFICATION IDENTIFIER="S1" LONG-NAME="System Spec"><CHILDREN>
+        <SPEC-HIERARCHY IDENTIFIER="H1"><OBJECT><SPEC-OBJECT-REF>O1</SPEC-OBJECT-REF></OBJECT><CHILDREN>
+          <SPEC-HIERARCHY IDENTIFIER="H2"><OBJECT><SPEC-OBJECT-REF>O2</SPEC-OBJECT-REF></OBJECT></SPEC-HIERARCHY>
+          <SPEC-HIERARCHY IDENTIFIER="H3"><OBJECT><SPEC-OBJECT-REF>MISSING</SPEC-OBJECT-REF></OBJECT></SPEC-HIERARCHY>
+        </CHILDREN></SPEC-HIERARCHY>
+      </CHILDREN></SPECIFICATION>
+    </SPECIFICATIONS>
+  </REQ-IF-CONTENT></CORE-CONTENT>
+</REQ-IF>`;
+
+test('readReqifAttributes proposes a mapping from attribute names', () => {
+  const { attributes, mapping } = readReqifAttributes(REQIF);
+  expect(attributes.sort()).toEqual(['Priority', 'ReqIF.ForeignID', 'ReqIF.Name', 'ReqIF.Text']);
+  expect(mapping).toEqual({ 'ReqIF.Name': 'title', 'ReqIF.ForeignID': 'reqId', 'ReqIF.Text': 'text', Priority: 'priority' });
+});
+
+test('importReqif turns the SPEC-HIERARCHY into nodes and requirements', () => {
+  const { mapping } = readReqifAttributes(REQIF);
+  const { data, report } = importReqif(REQIF, mapping);
+  expect(data.name).toBe('System Spec');
+  expect(data.children[0]).toMatchObject({ id: 'H1', name: 'Power' });
+  expect(data.children[0].requirements).toEqual([
+    { reqId: 'REQ-1', text: 'The battery shall hold charge.', priority: 'High' },
+  ]);
+  expect(report.dropped).toEqual([{ ref: 'H3', reason: 'SPEC-OBJECT MISSING not found' }]);
+  expect(report.orphaned).toEqual([{ ref: 'O3', reason: 'Not referenced by any SPEC-HIERARCHY' }]);
+  expect(data.children[1].requirements[0].reqId).toBe('O3');
+  expect(validateDataset(data)).toEqual([]);
+});
+
+test('importReqif rejects documents that are not ReqIF', () => {
+  expect(() => importReqif('<root/>', {})).toThrow(/Not a ReqIF document/);
+});
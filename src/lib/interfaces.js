@@ -0,0 +1,72 @@
+import { asArray, pathKey, projectToView, walkTree } from "./tree";
+
+// ------------------------------------------------------------
+// Interface connectivity (blocks sharing `interfaceRefs` ids)
+// ------------------------------------------------------------
+
+/**
+ * buildInterfaceIndex
+ * Map of interface id → every `{ absPath, node, block }` whose related block
+ * lists that id, in tree order.
+ */
+export const buildInterfaceIndex = (root) => {
+  const index = new Map();
+  walkTree(root, (node, absPath) => {
+    for (const block of asArray(node.relatedSystemBlocks)) {
+      for (const ifc of new Set(asArray(block.interfaceRefs))) {
+        if (!index.has(ifc)) index.set(ifc, []);
+        index.get(ifc).push({ absPath, node, block });
+      }
+    }
+  });
+  return index;
+};
+
+/**
+ * interfacePairs
+ * One entry per pair of distinct tree nodes that share at least one
+ * interface id: `{ aPath, bPath, ifcIds }` (ids sorted, pairs in first-seen order).
+ */
+export const interfacePairs = (index) => {
+  const pairs = new Map();
+  for (const [ifc, refs] of index) {
+    const paths = new Map(refs.map((r) => [pathKey(r.absPath), r.absPath])); // one per node
+    const entries = [...paths.entries()];
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const [ka, pa] = entries[i];
+        const [kb, pb] = entries[j];
+        const key = ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+        if (!pairs.has(key)) pairs.set(key, { aPath: pa, bPath: pb, ifcIds: new Set() });
+        pairs.get(key).ifcIds.add(ifc);
+      }
+    }
+  }
+  return [...pairs.values()].map((p) => ({ ...p, ifcIds: [...p.ifcIds].sort() }));
+};
+
+/**
+ * projectPairsToView
+ * Maps each pair's endpoints onto the nearest node visible in the current
+ * window: `visibleKeys` holds the pathKeys of the laid-out nodes relative to
+ * the focus (which may reach past the depth window on expanded branches).
+ * Pairs outside the focused subtree or collapsing onto a single visible node
+ * are skipped; pairs landing on the same visible endpoints are merged.
+ * Returns `{ aRel, bRel, ifcIds }` with relative paths (as used by `_pathIdxs`).
+ */
+export const projectPairsToView = (pairs, focusPath, visibleKeys) => {
+  const merged = new Map();
+  for (const p of pairs) {
+    const aRel = projectToView(p.aPath, focusPath, visibleKeys);
+    const bRel = projectToView(p.bPath, focusPath, visibleKeys);
+    if (!aRel || !bRel) continue;
+    const ka = pathKey(aRel);
+    const kb = pathKey(bRel);
+    if (ka === kb) continue;
+    const [first, second] = ka < kb ? [aRel, bRel] : [bRel, aRel];
+    const key = `${pathKey(first)}|${pathKey(second)}`;
+    if (!merged.has(key)) merged.set(key, { aRel: first, bRel: second, ifcIds: new Set() });
+    p.ifcIds.forEach((id) => merged.get(key).ifcIds.add(id));
+  }
+  return [...merged.values()].map((m) => ({ ...m, ifcIds: [...m.ifcIds].sort() }));
+};
@@ -0,0 +1,46 @@
+import { expect, test } from 'vitest';
+import { buildInterfaceIndex, interfacePairs, projectPairsToView } from './interfaces';
+
+const block = (blockId, ...interfaceRefs) => ({ blockId, name: blockId, interfaceRefs });
+const tree = {
+  name: 'root',
+  children: [
+    {
+      name: 'a',
+      relatedSystemBlocks: [block('B1', 'IFC-1', 'IFC-2')],
+      children: [{ name: 'a1', relatedSystemBlocks: [block('B2', 'IFC-1')] }],
+    },
+    { name: 'b', relatedSystemBlocks: [block('B3', 'IFC-2'), block('B4', 'IFC-1')] },
+  ],
+};
+
+test('buildInterfaceIndex lists every block referencing an interface', () => {
+  const index = buildInterfaceIndex(tree);
+  expect(index.get('IFC-1').map((r) => r.block.blockId)).toEqual(['B1', 'B2', 'B4']);
+});
+
+test('interfacePairs joins distinct nodes and merges shared ids', () => {
+  const pairs = interfacePairs(buildInterfaceIndex(tree));
+  expect(pairs.map((p) => [p.aPath, p.bPath, p.ifcIds])).toEqual([
+    [[0], [0, 0], ['IFC-1']],
+    [[0], [1], ['IFC-1', 'IFC-2']],
+    [[0, 0], [1], ['IFC-1']],
+  ]);
+});
+
+test('projectPairsToView collapses hidden endpoints onto visible ancestors', () => {
+  const pairs = interfacePairs(buildInterfaceIndex(tree));
+  // only a and b visible: a1 collapses onto a, so a–a1 disappears and a1–b merges into a–b
+  expect(projectPairsToView(pairs, [], new Set(['', '0', '1']))).toEqual([{ aRel: [0], bRel: [1], ifcIds: ['IFC-1', 'IFC-2'] }]);
+  // focused on `a`: only the a–a1 pair is inside the window
+  expect(projectPairsToView(pairs, [0], new Set(['', '0']))).toEqual([{ aRel: [], bRel: [0], ifcIds: ['IFC-1'] }]);
+});
+
+test('projectPairsToView follows branches expanded past the window', () => {
+  const pairs = interfacePairs(buildInterfaceIndex(tree));
+  expect(projectPairsToView(pairs, [], new Set(['', '0', '0/0', '1']))).toEqual([
+    { aRel: [0], bRel: [0, 0], ifcIds: ['IFC-1'] },
+    { aRel: [0], bRel: [1], ifcIds: ['IFC-1', 'IFC-2'] },
+    { aRel: [0, 0], bRel: [1], ifcIds: ['IFC-1'] },
+  ]);
+});
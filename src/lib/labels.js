@@ -0,0 +1,129 @@
+import * as d3 from "d3";
+
+// ------------------------------------------------------------
+// Collision-aware labels for the polar layouts (radial tree / cluster)
+// ------------------------------------------------------------
+// Nodes on one ring (same radius) are labelled in angle order. A ring keeps
+// horizontal labels while neighbours' boxes stay apart; a crowded ring (and the
+// edge of the depth window) switches to radial labels, which only need a line
+// height of arc between neighbours. Each radial label gets the radial room up
+// to the next ring (the viewport edge on the outermost one) and is, in order
+// of preference: kept (truncated to the room) when its neighbours are a line
+// height away, otherwise staggered into alternating inner and outer lanes (each
+// truncated to its half); a label that still collides is hidden.
+
+export const LABEL_FONT = { size: 12, charWidth: 6.8, lineHeight: 13 };
+const MIN_CHARS = 3; // shorter than this (with the ellipsis) is not worth drawing
+const MARGIN = 6; // px kept free before the next ring / the viewport edge
+const TAU = 2 * Math.PI;
+
+/**
+ * truncateLabel
+ * `text` cut to `maxChars` with an ellipsis; "" when fewer than MIN_CHARS fit.
+ */
+export const truncateLabel = (text, maxChars) => {
+  const s = String(text ?? "");
+  if (s.length <= maxChars) return s;
+  return maxChars < MIN_CHARS ? "" : `${s.slice(0, maxChars - 1)}…`;
+};
+
+// Horizontal label anchor just outside the node, pushed further near the top and bottom
+export const horizontalLabelAnchor = (angle, { base, extra }) => {
+  const rx = Math.cos(angle - Math.PI / 2);
+  const ry = Math.sin(angle - Math.PI / 2);
+  return { isLeft: angle >= Math.PI, rx, ry, pad: base + extra * Math.abs(ry) };
+};
+
+// Distance from the centre to the viewport edge along the ray at `angle`
+const edgeDistance = (angle, { width, height }) => {
+  const dx = Math.abs(Math.cos(angle - Math.PI / 2));
+  const dy = Math.abs(Math.sin(angle - Math.PI / 2));
+  return Math.min(dx > 1e-9 ? width / 2 / dx : Infinity, dy > 1e-9 ? height / 2 / dy : Infinity);
+};
+
+// Boxes of a ring's horizontal labels overlap (neighbours in angle order, wrapping around)
+const horizontalCollides = (ring, textOf, pad, font) => {
+  const boxes = ring.map((n) => {
+    const { isLeft, rx, ry, pad: p } = horizontalLabelAnchor(n.x, pad);
+    const x = n.px + rx * p + (isLeft ? -4 : 4);
+    const y = n.py + ry * p;
+    const w = textOf(n).length * font.charWidth;
+    return { x0: isLeft ? x - w : x, x1: isLeft ? x : x + w, y0: y - font.lineHeight / 2, y1: y + font.lineHeight / 2 };
+  });
+  const overlap = (a, b) => a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+  for (let i = 0; i < boxes.length; i++) {
+    for (let j = i + 1; j < Math.min(boxes.length, i + 4); j++) if (overlap(boxes[i], boxes[j])) return true;
+  }
+  return boxes.length > 2 && overlap(boxes[0], boxes.at(-1));
+};
+
+/**
+ * placePolarLabels
+ * Label placement for laid-out polar nodes (`x` angle, `y` radius, `px`/`py`).
+ * Options: `textOf(node)` the full label, `isRadial(node)` forces radial labels
+ * (edge of the depth window), `pad` `{ base, extra }` as for horizontal labels,
+ * `viewport` `{ width, height }` bounding the outermost ring, `font` (LABEL_FONT).
+ * Returns a Map node → `{ text, radial, shift, truncated, hidden }` where `shift`
+ * is the px a staggered radial label starts further out. The root is never
+ * included (it is labelled in place).
+ */
+export const placePolarLabels = (nodes, { textOf, isRadial = () => false, pad, viewport, font = LABEL_FONT }) => {
+  const out = new Map();
+  const rings = d3.groups(nodes.filter((n) => n.depth > 0), (n) => Math.round(n.y)).sort((a, b) => a[0] - b[0]);
+
+  rings.forEach(([radius, ring], ringIndex) => {
+    ring.sort((a, b) => a.x - b.x);
+    const nextRadius = rings[ringIndex + 1]?.[0] ?? null;
+    const radial = ring.some(isRadial) || horizontalCollides(ring, textOf, pad, font);
+    if (!radial) {
+      for (const n of ring) out.set(n, { text: textOf(n), radial: false, shift: 0, truncated: false, hidden: false });
+      return;
+    }
+
+    const start = radius + pad.base;
+    const placed = []; // { node, angle, from, to } of the labels drawn so far, in angle order
+    const conflicts = (angle, from, to) => {
+      for (let i = placed.length - 1; i >= 0; i--) {
+        const p = placed[i];
+        if ((angle - p.angle) * start >= font.lineHeight) break;
+        if (from < p.to && p.from < to) return true;
+      }
+      return false;
+    };
+    const arcTo = (i, j) => {
+      const d = Math.abs(ring[j].x - ring[i].x);
+      return Math.min(d, TAU - d) * start;
+    };
+    let lane = 0; // alternates between crowded labels
+    ring.forEach((n, i) => {
+      const full = textOf(n);
+      const crowded = ring.length > 1
+        && Math.min(arcTo(i, (i + ring.length - 1) % ring.length), arcTo(i, (i + 1) % ring.length)) < font.lineHeight;
+      const outer = nextRadius === null ? edgeDistance(n.x, viewport) : nextRadius;
+      const room = Math.max(0, outer - start - MARGIN);
+      const half = room / 2;
+      const span = (from, to) => {
+        const text = truncateLabel(full, Math.floor((to - from) / font.charWidth));
+        return text ? { text, from, to: from + text.length * font.charWidth } : null;
+      };
+      const lanes = [span(0, half - MARGIN), span(half, room)];
+      const options = crowded ? [lanes[lane], lanes[1 - lane]] : [span(0, room)];
+      const choice = options.find((c) => c && !conflicts(n.x, c.from, c.to));
+      if (!choice) {
+        out.set(n, { text: "", radial: true, shift: 0, truncated: false, hidden: true });
+        return;
+      }
+      if (crowded) lane = choice.from > 0 ? 0 : 1;
+      placed.push({ node: n, angle: n.x, from: choice.from, to: choice.to });
+      out.set(n, { text: choice.text, radial: true, shift: choice.from, truncated: choice.text !== full, hidden: false });
+    });
+    // a full ring wraps around: the last labels must clear the first ones too
+    const first = placed[0];
+    for (let i = placed.length - 1; i > 0; i--) {
+      const p = placed[i];
+      if ((first.angle + TAU - p.angle) * start >= font.lineHeight) break;
+      if (p.from < first.to && first.from < p.to) out.set(p.node, { ...out.get(p.node), text: "", hidden: true });
+    }
+  });
+  return out;
+};
@@ -0,0 +1,52 @@
+import { expect, test } from 'vitest';
+import { LABEL_FONT, placePolarLabels, truncateLabel } from './labels';
+
+const pad = { base: 8, extra: 10 };
+const viewport = { width: 600, height: 600 };
+const ringOf = (count, radius, depth, name = (i) => `node${i}`) => Array.from({ length: count }, (_, i) => {
+  const x = ((i + 0.5) / count) * 2 * Math.PI;
+  return { depth, x, y: radius, px: Math.cos(x - Math.PI / 2) * radius, py: Math.sin(x - Math.PI / 2) * radius, name: name(i) };
+});
+const place = (nodes, opts = {}) => placePolarLabels(nodes, { textOf: (n) => n.name, pad, viewport, ...opts });
+
+test('truncates with an ellipsis and leaves roomy rings alone', () => {
+  expect(truncateLabel('RadialTreeLayout', 8)).toBe('RadialT…');
+  expect(truncateLabel('abc', 3)).toBe('abc');
+  expect(truncateLabel('abcdef', 2)).toBe('');
+
+  const ring = ringOf(4, 100, 1);
+  const labels = place(ring);
+  expect([...labels.values()].every((l) => !l.radial && !l.hidden && !l.truncated)).toBe(true);
+  // the edge of the depth window always reads radially
+  expect(place(ring, { isRadial: () => true }).get(ring[0])).toMatchObject({ radial: true, text: 'node0', shift: 0 });
+});
+
+test('dense rings stagger or hide labels so neighbours never overlap', () => {
+  const inner = ringOf(6, 120, 1, (i) => `Branch${i}`);
+  const outer = ringOf(300, 260, 2, (i) => `AVeryLongMethodName${i}`);
+  const labels = place([...inner, ...outer]);
+  const outerLabels = outer.map((n) => labels.get(n));
+
+  expect(outerLabels.every((l) => l.radial)).toBe(true);
+  expect(outerLabels.some((l) => l.shift > 0)).toBe(true);
+  expect(outerLabels.some((l) => l.hidden)).toBe(true);
+  expect(outerLabels.some((l) => l.truncated && l.text.endsWith('…'))).toBe(true);
+
+  // labels of the outermost ring stay inside the viewport
+  outer.forEach((n, i) => {
+    const l = outerLabels[i];
+    if (l.hidden) return;
+    expect(n.y + pad.base + l.shift + l.text.length * LABEL_FONT.charWidth).toBeLessThanOrEqual(300 / Math.max(Math.abs(Math.cos(n.x - Math.PI / 2)), Math.abs(Math.sin(n.x - Math.PI / 2))));
+  });
+
+  // shown labels closer than a line height never share radial space
+  const shown = outer.filter((n) => !labels.get(n).hidden);
+  shown.forEach((a, i) => shown.slice(i + 1).forEach((b) => {
+    const arc = Math.min(b.x - a.x, 2 * Math.PI - (b.x - a.x)) * (260 + pad.base);
+    if (arc >= LABEL_FONT.lineHeight) return;
+    const [la, lb] = [labels.get(a), labels.get(b)];
+    const span = (l) => [l.shift, l.shift + l.text.length * LABEL_FONT.charWidth];
+    const [[a0, a1], [b0, b1]] = [span(la), span(lb)];
+    expect(a0 < b1 && b0 < a1).toBe(false);
+  }));
+});
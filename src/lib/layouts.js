@@ -0,0 +1,178 @@
+import * as d3 from "d3";
+import { pathKey } from "./tree";
+
+// ------------------------------------------------------------
+// Hierarchy layouts
+// ------------------------------------------------------------
+// Every layout returns d3 hierarchy nodes carrying Cartesian `px`/`py`
+// positions in the centred drawing group (origin = middle of the svg), so the
+// renderer, transitions and overlays don't care which layout produced them.
+// Polar layouts also keep d3's `x` (angle) / `y` (radius); partition layouts
+// add an `arc` or `rect` shape descriptor.
+
+export const LAYOUTS = {
+  tree: { label: "Radial tree", polar: true },
+  cluster: { label: "Radial cluster", polar: true },
+  sunburst: { label: "Sunburst", partition: true },
+  icicle: { label: "Icicle", partition: true },
+  indented: { label: "Indented tree" },
+};
+
+export const PARTITION_SIZES = {
+  requirements: "Requirement count",
+  value: "Value",
+};
+
+const INDENT_STEP = 18; // px per depth level (indented tree)
+const ROW_HEIGHT = 20; // px per row (indented tree)
+const PAD = 24; // px from the drawing edge
+
+const radialPoint = (angle, r) => [Math.cos(angle - Math.PI / 2) * r, Math.sin(angle - Math.PI / 2) * r];
+
+const byName = (a, b) => d3.ascending(a.data.name, b.data.name);
+
+/**
+ * computeLayout
+ * Lays out `viewData` (already depth-limited) with the chosen layout.
+ *   - `weightOf(data)` sizes partition layouts; a non-positive total falls back
+ *     to one unit per leaf so nothing disappears.
+ *   - `isCollapsed(data)` hides a node's children in the indented tree.
+ * Returns `{ root, nodes, links, radius, bounds }` where `bounds` is the
+ * drawing's extent `{ x0, y0, x1, y1 }` in the centred coordinate system.
+ */
+export const computeLayout = (kind, viewData, { width, height, weightOf = () => 1, isCollapsed = () => false }) => {
+  const w = Math.max(400, width);
+  const h = Math.max(300, height);
+  const r = Math.min(w, h) / 2 - PAD;
+  const hier = d3.hierarchy(viewData);
+
+  if (kind === "sunburst" || kind === "icicle") {
+    hier.sum((d) => Math.max(0, weightOf(d) || 0));
+    if (!(hier.value > 0)) hier.count();
+    hier.sort(byName);
+
+    if (kind === "sunburst") {
+      d3.partition().size([2 * Math.PI, r])(hier);
+      hier.each((n) => {
+        n.arc = { startAngle: n.x0, endAngle: n.x1, innerRadius: n.y0, outerRadius: n.y1 };
+        // root is the centre disc; other nodes sit at their arc's midpoint
+        const [px, py] = n.depth === 0 ? [0, 0] : radialPoint((n.x0 + n.x1) / 2, (n.y0 + n.y1) / 2);
+        n.px = px;
+        n.py = py;
+      });
+      return { root: hier, nodes: hier.descendants(), links: [], radius: r, bounds: { x0: -r, y0: -r, x1: r, y1: r } };
+    }
+
+    const iw = w - 2 * PAD;
+    const ih = h - 2 * PAD;
+    d3.partition().size([ih, iw])(hier);
+    hier.each((n) => {
+      // depth runs left→right (y), breadth top→bottom (x)
+      n.rect = { x: n.y0 - iw / 2, y: n.x0 - ih / 2, w: n.y1 - n.y0, h: n.x1 - n.x0 };
+      n.px = n.rect.x + n.rect.w / 2;
+      n.py = n.rect.y + n.rect.h / 2;
+    });
+    return { root: hier, nodes: hier.descendants(), links: [], radius: r, bounds: { x0: -iw / 2, y0: -ih / 2, x1: iw / 2, y1: ih / 2 } };
+  }
+
+  hier.sort(byName);
+
+  if (kind === "indented") {
+    hier.each((n) => {
+      if (n.children && isCollapsed(n.data)) {
+        n.collapsedChildren = n.children;
+        n.children = undefined;
+      }
+    });
+    let row = 0;
+    const left = -w / 2 + PAD;
+    const top = -h / 2 + PAD;
+    hier.eachBefore((n) => {
+      n.px = left + n.depth * INDENT_STEP;
+      n.py = top + row * ROW_HEIGHT;
+      row += 1;
+    });
+    const bottom = top + Math.max(0, row - 1) * ROW_HEIGHT;
+    return {
+      root: hier,
+      nodes: hier.descendants(),
+      links: hier.links(),
+      radius: r,
+      bounds: { x0: -w / 2, y0: -h / 2, x1: w / 2, y1: Math.max(h / 2, bottom + PAD) },
+    };
+  }
+
+  const layout = kind === "cluster" ? d3.cluster() : d3.tree();
+  layout.size([2 * Math.PI, r])(hier);
+  hier.each((n) => {
+    const [px, py] = radialPoint(n.x, n.y);
+    n.px = px;
+    n.py = py;
+  });
+  return { root: hier, nodes: hier.descendants(), links: hier.links(), radius: r, bounds: { x0: -r, y0: -r, x1: r, y1: r } };
+};
+
+const radialLink = d3.linkRadial().angle((d) => d.x).radius((d) => d.y);
+
+/**
+ * linkPathFor
+ * Path generator for a layout's parent→child links (null for partitions,
+ * whose nesting already shows the hierarchy).
+ */
+export const linkPathFor = (kind) => {
+  if (LAYOUTS[kind]?.polar) return radialLink;
+  if (kind === "indented") {
+    // elbow: down from the parent's marker, then right to the child
+    return ({ source, target }) => `M${source.px},${source.py}V${target.py}H${target.px}`;
+  }
+  return null;
+};
+
+// ------------------------------------------------------------
+// Off-thread layouts
+// ------------------------------------------------------------
+// A layout computed in a worker comes back as plain per-node geometry keyed by
+// the node's relative pathKey; the main thread rebuilds the (cheap) hierarchy
+// of the visible window and copies the geometry onto it.
+
+const GEOMETRY_FIELDS = ["x", "y", "x0", "y0", "x1", "y1", "px", "py", "value", "arc", "rect"];
+const relKeyOf = (d) => pathKey(d._pathIdxs);
+
+/**
+ * serializeLayout
+ * Structured-clone friendly form of a computeLayout result:
+ * `{ kind, positions: Map<relKey, geometry>, radius, bounds }`.
+ */
+export const serializeLayout = (kind, { nodes, radius, bounds }) => {
+  const positions = new Map();
+  for (const n of nodes) {
+    const geometry = {};
+    for (const f of GEOMETRY_FIELDS) if (n[f] !== undefined) geometry[f] = n[f];
+    positions.set(relKeyOf(n.data), geometry);
+  }
+  return { kind, positions, radius, bounds };
+};
+
+/**
+ * hydrateLayout
+ * Inverse of serializeLayout against the same `viewData`: returns
+ * `{ root, nodes, links, radius, bounds }` like computeLayout. Children the
+ * worker left out (folded in the indented tree) become `collapsedChildren`.
+ */
+export const hydrateLayout = (viewData, { kind, positions, radius, bounds }) => {
+  const hier = d3.hierarchy(viewData).sort(byName);
+  hier.eachBefore((n) => {
+    if (n.children && !positions.has(relKeyOf(n.children[0].data))) {
+      n.collapsedChildren = n.children;
+      n.children = undefined;
+    }
+    Object.assign(n, positions.get(relKeyOf(n.data)));
+  });
+  return {
+    root: hier,
+    nodes: hier.descendants(),
+    links: LAYOUTS[kind]?.partition ? [] : hier.links(),
+    radius,
+    bounds,
+  };
+};
@@ -0,0 +1,52 @@
+import { describe, expect, test } from 'vitest';
+import { computeLayout, linkPathFor } from './layouts';
+
+const view = {
+  name: 'root',
+  _pathIdxs: [],
+  children: [
+    { name: 'b', _pathIdxs: [0], children: [{ name: 'b1', _pathIdxs: [0, 0] }] },
+    { name: 'a', _pathIdxs: [1] },
+  ],
+};
+const size = { width: 800, height: 600 };
+
+describe('computeLayout', () => {
+  test('radial tree keeps polar coords and adds Cartesian positions', () => {
+    const { nodes, links, radius } = computeLayout('tree', view, size);
+    expect(radius).toBe(276);
+    expect(nodes).toHaveLength(4);
+    expect(links).toHaveLength(3);
+    const leaf = nodes.find((n) => n.data.name === 'b1');
+    expect(Math.hypot(leaf.px, leaf.py)).toBeCloseTo(leaf.y);
+  });
+
+  test('sunburst sizes arcs by weight and falls back to leaf count', () => {
+    const weighted = computeLayout('sunburst', view, { ...size, weightOf: (d) => (d.name === 'a' ? 3 : d.name === 'b1' ? 1 : 0) });
+    const a = weighted.nodes.find((n) => n.data.name === 'a');
+    expect(a.arc.endAngle - a.arc.startAngle).toBeCloseTo((3 / 4) * 2 * Math.PI);
+    const unweighted = computeLayout('sunburst', view, { ...size, weightOf: () => 0 });
+    expect(unweighted.root.value).toBe(2);
+  });
+
+  test('icicle lays depth out left to right inside the bounds', () => {
+    const { nodes, bounds } = computeLayout('icicle', view, size);
+    const root = nodes[0];
+    const b1 = nodes.find((n) => n.data.name === 'b1');
+    expect(root.rect.x).toBeCloseTo(bounds.x0);
+    expect(b1.rect.x).toBeGreaterThan(root.rect.x);
+    expect(root.rect.h).toBeCloseTo(bounds.y1 - bounds.y0);
+  });
+
+  test('indented tree lists rows in outline order and hides collapsed children', () => {
+    const { nodes } = computeLayout('indented', view, { ...size, isCollapsed: (d) => d.name === 'b' });
+    const ordered = [...nodes].sort((x, y) => x.py - y.py).map((n) => n.data.name);
+    expect(ordered).toEqual(['root', 'a', 'b']);
+    expect(nodes.find((n) => n.data.name === 'b').collapsedChildren).toHaveLength(1);
+  });
+});
+
+test('linkPathFor has no links for partitions', () => {
+  expect(linkPathFor('sunburst')).toBeNull();
+  expect(linkPathFor('indented')({ source: { px: 0, py: 0 }, target: { px: 18, py: 20 } })).toBe('M0,0V20H18');
+});
@@ -0,0 +1,217 @@
+import { asArray, pathKey, walkTree } from "./tree";
+import { buildDerivationIndex } from "./derivation";
+
+// ------------------------------------------------------------
+// Requirement quality lint / model health
+// ------------------------------------------------------------
+// A rule is `{ id, label, severity, scope, options?, optionLabels?, check }`.
+// `check(subject, ctx, options)` runs once per subject of its scope:
+//   "requirement" / "block" / "node" → the requirement, block or node itself
+//   "tree"                           → the root, once (findings carry their own `absPath`)
+// with `ctx = { node, absPath, now }` (`now` in ms). It returns nothing, a
+// message, or an array of messages / partial findings `{ message, absPath?, reqId?, blockId? }`.
+// Rule config is plain data, so it can travel to the worker:
+//   { [ruleId]: { enabled?, severity?, options? } }
+
+export const LINT_SEVERITIES = {
+  error: { label: "Error", color: "#dc2626", rank: 3 },
+  warning: { label: "Warning", color: "#d97706", rank: 2 },
+  info: { label: "Info", color: "#2563eb", rank: 1 },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+// Every value of `valuesOf(node)` used more than once across the tree, as one finding per use
+const duplicateRule = (id, label, kind, valuesOf) => ({
+  id,
+  label,
+  severity: "error",
+  scope: "tree",
+  check: (root) => {
+    const uses = new Map(); // value → [{ absPath, ...extra }]
+    walkTree(root, (node, absPath) => {
+      for (const [value, extra] of valuesOf(node)) {
+        if (isBlank(value)) continue;
+        if (!uses.has(value)) uses.set(value, []);
+        uses.get(value).push({ absPath, ...extra });
+      }
+    });
+    return [...uses].filter(([, list]) => list.length > 1).flatMap(([value, list]) =>
+      list.map((use) => ({ ...use, message: `${kind} “${value}” is used ${list.length} times` })));
+  },
+});
+
+export const LINT_RULES = [
+  {
+    id: "req-shall",
+    label: "Requirement text uses “shall”",
+    severity: "warning",
+    scope: "requirement",
+    check: (r) => {
+      if (isBlank(r.text)) return "Requirement has no text";
+      if (!/\bshall\b/i.test(r.text)) return "Text does not state a “shall”";
+      return null;
+    },
+  },
+  {
+    id: "req-ambiguous",
+    label: "No ambiguous wording",
+    severity: "warning",
+    scope: "requirement",
+    options: { words: ["etc.", "as appropriate", "user-friendly", "as required", "and/or", "TBD"] },
+    optionLabels: { words: "Words (comma-separated)" },
+    check: (r, ctx, { words }) => asArray(words)
+      .filter((w) => !isBlank(w) && new RegExp(`(^|\\W)${escapeRegExp(w.trim())}(?=\\W|$)`, "i").test(r.text ?? ""))
+      .map((w) => `Ambiguous wording “${w.trim()}”`),
+  },
+  {
+    id: "req-acceptance",
+    label: "Acceptance criteria present",
+    severity: "warning",
+    scope: "requirement",
+    check: (r) => (isBlank(r.acceptanceCriteria) ? "No acceptance criteria" : null),
+  },
+  {
+    id: "req-verification-method",
+    label: "Verification method present",
+    severity: "warning",
+    scope: "requirement",
+    check: (r) => (isBlank(r.verification?.method) ? "No verification method" : null),
+  },
+  {
+    id: "req-verified-complete",
+    label: "“Verified” only with complete verification",
+    severity: "error",
+    scope: "requirement",
+    check: (r) => (r.status === "Verified" && r.verification?.status !== "Complete"
+      ? `Status is Verified but verification is ${r.verification?.status ? `“${r.verification.status}”` : "missing"}`
+      : null),
+  },
+  duplicateRule("duplicate-req-id", "Unique requirement ids", "Requirement id", (node) =>
+    asArray(node.requirements).map((r) => [r?.reqId, { reqId: r?.reqId }])),
+  duplicateRule("duplicate-block-id", "Unique block ids", "Block id", (node) =>
+    asArray(node.relatedSystemBlocks).map((b) => [b?.blockId, { blockId: b?.blockId }])),
+  duplicateRule("duplicate-node-id", "Unique node ids", "Node id", (node) => [[node.id, {}]]),
+  {
+    id: "trace-refs",
+    label: "Trace references resolve",
+    severity: "error",
+    scope: "tree",
+    check: (root) => buildDerivationIndex(root).problems.map(({ absPath, reqId, message }) => ({ absPath, reqId, message })),
+  },
+  {
+    id: "block-interfaces",
+    label: "Blocks reference interfaces",
+    severity: "info",
+    scope: "block",
+    check: (b) => (asArray(b.interfaceRefs).length === 0 ? `Block “${b.name ?? b.blockId}” has no interface references` : null),
+  },
+  {
+    id: "stale-metadata",
+    label: "Metadata recently updated",
+    severity: "warning",
+    scope: "node",
+    options: { maxAgeDays: 365 },
+    optionLabels: { maxAgeDays: "Max age (days)" },
+    check: (node, { now }, { maxAgeDays }) => {
+      const updated = node.metadata?.lastUpdated;
+      if (isBlank(updated)) return null;
+      const time = Date.parse(updated);
+      if (Number.isNaN(time)) return `Last updated “${updated}” is not a date`;
+      const age = Math.floor((now - time) / DAY_MS);
+      return age > maxAgeDays ? `Last updated ${updated}, ${age} days ago (limit ${maxAgeDays})` : null;
+    },
+  },
+];
+
+/**
+ * resolveLintRules
+ * `rules` with `config` applied (severity / option overrides), disabled rules
+ * left out.
+ */
+export const resolveLintRules = (rules, config = {}) => rules
+  .map((rule) => {
+    const c = config[rule.id] ?? {};
+    return { ...rule, severity: c.severity ?? rule.severity, options: { ...rule.options, ...c.options }, enabled: c.enabled ?? true };
+  })
+  .filter((rule) => rule.enabled);
+
+const comparePaths = (a, b) => {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) if (a[i] !== b[i]) return a[i] - b[i];
+  return a.length - b.length;
+};
+const severityRank = (f) => LINT_SEVERITIES[f.severity]?.rank ?? 0;
+
+/**
+ * sortFindings
+ * Most severe first, then in tree order (stable otherwise). Sorts in place.
+ */
+export const sortFindings = (findings) =>
+  findings.sort((a, b) => severityRank(b) - severityRank(a) || comparePaths(a.absPath, b.absPath));
+
+/**
+ * lintTree
+ * Runs `rules` (default LINT_RULES) over the FULL tree. Returns findings
+ * `{ ruleId, severity, message, absPath, nodeName, reqId?, blockId? }`, most
+ * severe first, then in tree order. A rule that throws is reported once as
+ * an error on the root instead of aborting the run.
+ */
+export const lintTree = (root, { rules = LINT_RULES, config = {}, now = Date.now() } = {}) => {
+  const active = resolveLintRules(rules, config);
+  const findings = [];
+  const failed = new Set();
+  const run = (rule, subject, ctx, base) => {
+    if (failed.has(rule.id)) return;
+    let result;
+    try {
+      result = rule.check(subject, ctx, rule.options);
+    } catch (e) {
+      failed.add(rule.id);
+      findings.push({ ruleId: rule.id, severity: "error", message: `Rule “${rule.label ?? rule.id}” failed: ${e.message}`, absPath: [], nodeName: root?.name ?? "" });
+      return;
+    }
+    for (const item of Array.isArray(result) ? result : result ? [result] : []) {
+      findings.push({ ruleId: rule.id, severity: rule.severity, ...base, ...(typeof item === "string" ? { message: item } : item) });
+    }
+  };
+  const scoped = (scope) => active.filter((rule) => rule.scope === scope);
+  const [nodeRules, reqRules, blockRules] = ["node", "requirement", "block"].map(scoped);
+
+  const names = new Map(); // pathKey → node name, for tree-scope findings
+  walkTree(root, (node, absPath) => {
+    const ctx = { node, absPath, now };
+    const base = { absPath, nodeName: node.name ?? "" };
+    names.set(pathKey(absPath), base.nodeName);
+    for (const rule of nodeRules) run(rule, node, ctx, base);
+    for (const r of asArray(node.requirements).filter(Boolean)) {
+      for (const rule of reqRules) run(rule, r, ctx, { ...base, reqId: r.reqId });
+    }
+    for (const b of asArray(node.relatedSystemBlocks).filter(Boolean)) {
+      for (const rule of blockRules) run(rule, b, ctx, { ...base, blockId: b.blockId ?? b.name });
+    }
+  });
+  for (const rule of scoped("tree")) run(rule, root, { node: root, absPath: [], now }, { absPath: [] });
+  for (const f of findings) f.nodeName ??= names.get(pathKey(f.absPath)) ?? "";
+  return sortFindings(findings);
+};
+
+/**
+ * summarizeLint
+ * `{ totals: { error, warning, info }, byNode: Map pathKey → { count, severity } }`
+ * where `severity` is the worst one on that node (its own findings only).
+ */
+export const summarizeLint = (findings) => {
+  const totals = Object.fromEntries(Object.keys(LINT_SEVERITIES).map((s) => [s, 0]));
+  const byNode = new Map();
+  for (const f of findings) {
+    totals[f.severity] = (totals[f.severity] ?? 0) + 1;
+    const key = pathKey(f.absPath);
+    const entry = byNode.get(key) ?? { count: 0, severity: f.severity };
+    entry.count += 1;
+    if (severityRank(f) > severityRank(entry)) entry.severity = f.severity;
+    byNode.set(key, entry);
+  }
+  return { totals, byNode };
+};
@@ -0,0 +1,63 @@
+import { expect, test } from 'vitest';
+import { LINT_RULES, lintTree, summarizeLint } from './lint';
+
+const now = Date.parse('2026-01-01');
+const tree = {
+  name: 'root',
+  id: 'sys',
+  metadata: { lastUpdated: '2025-12-01' },
+  children: [
+    {
+      name: 'power',
+      id: 'sys',
+      metadata: { lastUpdated: '2020-01-01' },
+      requirements: [
+        { reqId: 'R-1', text: 'The PSU shall supply 5 V etc.', acceptanceCriteria: 'Measured', verification: { method: 'Test', status: 'Complete' }, status: 'Verified' },
+        { reqId: 'R-1', text: 'Backup power', verification: { status: 'Planned' }, status: 'Verified' },
+      ],
+      relatedSystemBlocks: [{ blockId: 'B1', name: 'PSU', interfaceRefs: [] }],
+    },
+  ],
+};
+
+test('built-in rules flag requirements, blocks, duplicates and stale nodes', () => {
+  const findings = lintTree(tree, { now });
+  const found = (ruleId) => findings.filter((f) => f.ruleId === ruleId).map((f) => f.reqId ?? f.blockId ?? f.nodeName);
+  expect(found('req-ambiguous')).toEqual(['R-1']);
+  expect(found('req-shall')).toEqual(['R-1']);
+  expect(found('req-acceptance')).toEqual(['R-1']);
+  expect(found('req-verification-method')).toEqual(['R-1']);
+  expect(found('req-verified-complete')).toEqual(['R-1']);
+  expect(found('duplicate-req-id')).toEqual(['R-1', 'R-1']);
+  expect(found('duplicate-node-id')).toEqual(['root', 'power']);
+  expect(found('block-interfaces')).toEqual(['B1']);
+  expect(found('stale-metadata')).toEqual(['power']);
+  expect(findings[0].severity).toBe('error');
+  expect(findings.at(-1).severity).toBe('info');
+
+  const { totals, byNode } = summarizeLint(findings);
+  expect(totals.error).toBe(5);
+  expect(byNode.get('0')).toMatchObject({ severity: 'error' });
+  expect(byNode.get('')).toEqual({ count: 1, severity: 'error' });
+});
+
+test('config disables, re-grades and re-parameterises rules; custom rules plug in', () => {
+  const config = {
+    'duplicate-node-id': { enabled: false },
+    'block-interfaces': { severity: 'error' },
+    'stale-metadata': { options: { maxAgeDays: 10000 } },
+  };
+  const findings = lintTree(tree, { now, config });
+  expect(findings.some((f) => f.ruleId === 'duplicate-node-id' || f.ruleId === 'stale-metadata')).toBe(false);
+  expect(findings.find((f) => f.ruleId === 'block-interfaces').severity).toBe('error');
+
+  const custom = [
+    { id: 'has-owner', label: 'Has owner', severity: 'info', scope: 'node', check: (n) => (n.owner ? null : `${n.name} has no owner`) },
+    { id: 'broken', label: 'Broken', severity: 'info', scope: 'requirement', check: () => { throw new Error('boom'); } },
+  ];
+  const extra = lintTree(tree, { rules: [...LINT_RULES.slice(0, 1), ...custom], now });
+  expect(extra.filter((f) => f.ruleId === 'has-owner').map((f) => f.message)).toEqual(['root has no owner', 'power has no owner']);
+  expect(extra.filter((f) => f.ruleId === 'broken')).toEqual([
+    expect.objectContaining({ severity: 'error', message: 'Rule “Broken” failed: boom', absPath: [] }),
+  ]);
+});
@@ -0,0 +1,95 @@
+import * as d3 from "d3";
+import { asArray, pathKey } from "./tree";
+
+// ------------------------------------------------------------
+// View navigation: fitting the zoom and the minimap of the full tree
+// ------------------------------------------------------------
+// Zoom transforms here act inside the centring group, like the view's own
+// d3.zoom: a layout point p lands at (width / 2 + x + k·px, height / 2 + y + k·py).
+
+export const MINIMAP_BUDGET = 1500;
+
+/**
+ * fitTransform
+ * The zoom transform that fits `bounds` grown by `pad` into a `width`×`height`
+ * viewport, its scale clamped to `scaleExtent`.
+ */
+export const fitTransform = (bounds, { width, height }, { pad = 0, scaleExtent = [0.4, 4] } = {}) => {
+  const w = bounds.x1 - bounds.x0 + 2 * pad;
+  const h = bounds.y1 - bounds.y0 + 2 * pad;
+  const fit = w > 0 && h > 0 ? Math.min(width / w, height / h) : 1;
+  const k = Math.min(scaleExtent[1], Math.max(scaleExtent[0], fit));
+  return d3.zoomIdentity.translate((-k * (bounds.x0 + bounds.x1)) / 2, (-k * (bounds.y0 + bounds.y1)) / 2).scale(k);
+};
+
+/**
+ * visibleRect
+ * The part of the layout a zoom transform shows in a `width`×`height` viewport,
+ * as layout bounds `{ x0, y0, x1, y1 }`.
+ */
+export const visibleRect = (t, { width, height }) => ({
+  x0: (-width / 2 - t.x) / t.k,
+  y0: (-height / 2 - t.y) / t.k,
+  x1: (width / 2 - t.x) / t.k,
+  y1: (height / 2 - t.y) / t.k,
+});
+
+/**
+ * minimapLayout
+ * A small radial tree of the FULL hierarchy within `radius`, cut at the
+ * deepest level that keeps at most `budget` nodes (the root level always
+ * shows): `{ nodes: [{ absPath, key, depth, x, y }], byKey, links: [[i, j]], depth }`
+ * with `links` as indices into `nodes`.
+ */
+export const minimapLayout = (root, { radius, budget = MINIMAP_BUDGET }) => {
+  if (!root) return { nodes: [], byKey: new Map(), links: [], depth: 0 };
+  // breadth-first, one level at a time, so the cut falls between levels
+  let level = [{ data: root, absPath: [] }];
+  const levels = [];
+  let total = 0;
+  while (level.length && (!levels.length || total + level.length <= budget)) {
+    levels.push(level);
+    total += level.length;
+    level = level.flatMap((item) => asArray(item.data.children).map((data, i) => ({ data, absPath: [...item.absPath, i], parent: item })));
+  }
+  for (let d = levels.length - 1; d > 0; d--) {
+    for (const item of levels[d]) (item.parent.children ??= []).push(item);
+  }
+
+  const hier = d3.hierarchy(levels[0][0]);
+  d3.tree().size([2 * Math.PI, radius]).separation((a, b) => (a.parent === b.parent ? 1 : 2) / Math.max(1, a.depth))(hier);
+  const nodes = hier.descendants().map((h) => ({
+    absPath: h.data.absPath,
+    key: pathKey(h.data.absPath),
+    depth: h.depth,
+    x: Math.cos(h.x - Math.PI / 2) * h.y,
+    y: Math.sin(h.x - Math.PI / 2) * h.y,
+  }));
+  const index = new Map(hier.descendants().map((h, i) => [h, i]));
+  return {
+    nodes,
+    byKey: new Map(nodes.map((n) => [n.key, n])),
+    links: hier.links().map((l) => [index.get(l.source), index.get(l.target)]),
+    depth: levels.length - 1,
+  };
+};
+
+/**
+ * minimapAnchor
+ * The minimap node standing for `absPath`: the node itself or its deepest
+ * drawn ancestor. Negative indices (aggregate nodes) stand for their parent.
+ */
+export const minimapAnchor = (minimap, absPath) => {
+  const cut = absPath.findIndex((i) => i < 0);
+  for (let len = cut < 0 ? absPath.length : cut; len >= 0; len--) {
+    const n = minimap.byKey.get(pathKey(absPath.slice(0, len)));
+    if (n) return n;
+  }
+  return null;
+};
+
+/**
+ * nearestMinimapNode
+ * The minimap node closest to the minimap point `[x, y]`.
+ */
+export const nearestMinimapNode = (minimap, [x, y]) => d3.least(minimap.nodes, (n) => (n.x - x) ** 2 + (n.y - y) ** 2) ?? null;
@@ -0,0 +1,34 @@
+import { expect, test } from 'vitest';
+import { fitTransform, minimapAnchor, minimapLayout, nearestMinimapNode, visibleRect } from './navigation';
+
+test('fits bounds into the viewport and reports what a transform shows', () => {
+  const dims = { width: 400, height: 200 };
+  const t = fitTransform({ x0: 0, y0: -50, x1: 200, y1: 50 }, dims);
+  expect(t.k).toBeCloseTo(2);
+  expect(visibleRect(t, dims)).toEqual({ x0: 0, y0: -50, x1: 200, y1: 50 });
+
+  // padding shrinks the scale, the scale extent clamps it
+  expect(fitTransform({ x0: 0, y0: -50, x1: 200, y1: 50 }, dims, { pad: 50 }).k).toBeCloseTo(1);
+  expect(fitTransform({ x0: -1, y0: -1, x1: 1, y1: 1 }, dims).k).toBe(4);
+  expect(fitTransform({ x0: 0, y0: 0, x1: 0, y1: 0 }, dims).k).toBe(1);
+});
+
+test('the minimap cuts the full tree at a whole level and anchors deeper paths', () => {
+  const leaf = (name) => ({ name });
+  const tree = { name: 'r', children: [{ name: 'a', children: [leaf('a0'), leaf('a1'), leaf('a2')] }, { name: 'b', children: [leaf('b0')] }] };
+
+  const full = minimapLayout(tree, { radius: 50 });
+  expect(full.nodes).toHaveLength(7);
+  expect(full.depth).toBe(2);
+  expect(full.links).toHaveLength(6);
+  expect(Math.hypot(full.byKey.get('').x, full.byKey.get('').y)).toBe(0);
+
+  const cut = minimapLayout(tree, { radius: 50, budget: 5 });
+  expect(cut.nodes.map((n) => n.key)).toEqual(['', '0', '1']);
+  expect(minimapAnchor(cut, [0, 2]).key).toBe('0');
+  expect(minimapAnchor(cut, [1, -1]).key).toBe('1');
+
+  const b = cut.byKey.get('1');
+  expect(Math.hypot(b.x, b.y)).toBeCloseTo(50);
+  expect(nearestMinimapNode(cut, [b.x + 1, b.y - 1])).toBe(b);
+});
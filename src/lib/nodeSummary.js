@@ -0,0 +1,34 @@
+import { asArray } from "./tree";
+
+// ------------------------------------------------------------
+// Node summary for hover cards
+// ------------------------------------------------------------
+
+export const NO_STATUS = "No status";
+
+/**
+ * summarizeNode
+ * What a hover card shows of a FULL-tree node:
+ *   { name, id, owner, children, blocks,
+ *     requirements: { total, byStatus: [{ status, count }] } }
+ * Statuses are listed by count (then name), requirements without one last as NO_STATUS.
+ */
+export const summarizeNode = (node) => {
+  const counts = new Map();
+  const reqs = asArray(node?.requirements);
+  for (const req of reqs) {
+    const status = req?.status ? String(req.status) : NO_STATUS;
+    counts.set(status, (counts.get(status) ?? 0) + 1);
+  }
+  const byStatus = [...counts]
+    .map(([status, count]) => ({ status, count }))
+    .sort((a, b) => (a.status === NO_STATUS) - (b.status === NO_STATUS) || b.count - a.count || a.status.localeCompare(b.status));
+  return {
+    name: node?.name ?? "",
+    id: node?.id ?? null,
+    owner: node?.metadata?.owner ?? null,
+    children: asArray(node?.children).length,
+    blocks: asArray(node?.relatedSystemBlocks).length,
+    requirements: { total: reqs.length, byStatus },
+  };
+};
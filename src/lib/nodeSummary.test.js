@@ -0,0 +1,25 @@
+import { expect, test } from 'vitest';
+import { NO_STATUS, summarizeNode } from './nodeSummary';
+
+test('summarizes a node by owner, requirement status and block count', () => {
+  const node = {
+    name: 'Axes',
+    id: 'NODE-1',
+    metadata: { owner: 'SW' },
+    requirements: [{ status: 'Draft' }, { status: 'Verified' }, { status: 'Draft' }, {}],
+    relatedSystemBlocks: [{}, {}],
+    children: [{ name: 'a' }],
+  };
+  expect(summarizeNode(node)).toEqual({
+    name: 'Axes',
+    id: 'NODE-1',
+    owner: 'SW',
+    children: 1,
+    blocks: 2,
+    requirements: {
+      total: 4,
+      byStatus: [{ status: 'Draft', count: 2 }, { status: 'Verified', count: 1 }, { status: NO_STATUS, count: 1 }],
+    },
+  });
+  expect(summarizeNode({ name: 'leaf' })).toMatchObject({ id: null, owner: null, blocks: 0, requirements: { total: 0, byStatus: [] } });
+});
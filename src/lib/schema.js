@@ -0,0 +1,118 @@
+import { asArray } from "./tree";
+
+// ------------------------------------------------------------
+// Dataset schema validation
+// ------------------------------------------------------------
+// Node shape accepted by the explorer (everything but `name` is optional so
+// plain flare-style hierarchies still load):
+//   { id?, name, value?, metadata?, requirements?: Requirement[],
+//     relatedSystemBlocks?: Block[], children?: Node[] }
+//   Requirement: { reqId, title?, text?, priority?, status?, source?,
+//                  acceptanceCriteria?, verification?: { method?, status? },
+//                  derivedFrom?: string[], satisfies?: string[] }   (reqIds, see lib/derivation)
+//   Block: { blockId? | name?, type?, layer?, interfaceRefs?: string[] }
+//   Metadata: { owner?, version?, lastUpdated? (ISO date) }
+
+const MAX_ERRORS = 100;
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const isString = (v) => typeof v === "string";
+
+/**
+ * validateDataset
+ * Walks the whole hierarchy and collects schema violations as
+ * `{ path, message }`, where `path` is a JSON path like
+ * `$.children[2].requirements[0].verification.status`.
+ * Stops collecting after MAX_ERRORS so a wrong file doesn't flood the UI.
+ */
+export const validateDataset = (root) => {
+  const errors = [];
+  const report = (path, message) => {
+    if (errors.length < MAX_ERRORS) errors.push({ path, message });
+  };
+  const optionalStrings = (obj, keys, path) => {
+    for (const k of keys) {
+      if (k in obj && obj[k] !== null && !isString(obj[k])) report(`${path}.${k}`, `'${k}' must be a string.`);
+    }
+  };
+  const optionalStringArray = (obj, key, path, itemLabel) => {
+    if (!(key in obj)) return;
+    if (!Array.isArray(obj[key])) return report(`${path}.${key}`, `'${key}' must be an array.`);
+    obj[key].forEach((v, i) => {
+      if (!isString(v)) report(`${path}.${key}[${i}]`, `${itemLabel} must be a string.`);
+    });
+  };
+
+  const checkRequirement = (r, path) => {
+    if (!isPlainObject(r)) return report(path, "Requirement must be an object.");
+    if (!isString(r.reqId) || r.reqId === "") report(`${path}.reqId`, "Requirement must have a non-empty 'reqId' string.");
+    optionalStrings(r, ["title", "text", "priority", "status", "source", "acceptanceCriteria"], path);
+    if ("verification" in r) {
+      if (!isPlainObject(r.verification)) report(`${path}.verification`, "'verification' must be an object.");
+      else optionalStrings(r.verification, ["method", "status"], `${path}.verification`);
+    }
+    optionalStringArray(r, "derivedFrom", path, "Trace reference");
+    optionalStringArray(r, "satisfies", path, "Trace reference");
+  };
+
+  const checkBlock = (b, path) => {
+    if (!isPlainObject(b)) return report(path, "Block must be an object.");
+    if (!isString(b.blockId) && !isString(b.name)) report(path, "Block must have a 'blockId' or 'name' string.");
+    optionalStrings(b, ["blockId", "name", "type", "layer"], path);
+    optionalStringArray(b, "interfaceRefs", path, "Interface reference");
+  };
+
+  const checkMetadata = (m, path) => {
+    if (!isPlainObject(m)) return report(path, "'metadata' must be an object.");
+    optionalStrings(m, ["owner", "version", "lastUpdated"], path);
+    if (isString(m.lastUpdated) && Number.isNaN(Date.parse(m.lastUpdated))) {
+      report(`${path}.lastUpdated`, "'lastUpdated' must be an ISO date (YYYY-MM-DD).");
+    }
+  };
+
+  const checkArray = (node, key, path, checkItem) => {
+    if (!(key in node)) return;
+    if (!Array.isArray(node[key])) return report(`${path}.${key}`, `'${key}' must be an array when provided.`);
+    node[key].forEach((item, i) => checkItem(item, `${path}.${key}[${i}]`));
+  };
+
+  if (!isPlainObject(root)) {
+    report("$", "Data must be an object or JSON string representing an object.");
+    return errors;
+  }
+
+  // Iterative so very deep models don't overflow the stack
+  const stack = [[root, "$"]];
+  while (stack.length && errors.length < MAX_ERRORS) {
+    const [node, path] = stack.pop();
+    if (!isPlainObject(node)) {
+      report(path, "Node must be an object.");
+      continue;
+    }
+    if (!("name" in node)) report(path, path === "$" ? "Root object must have a 'name' property." : "Node must have a 'name' property.");
+    else if (!isString(node.name) && typeof node.name !== "number") report(`${path}.name`, "'name' must be a string.");
+    optionalStrings(node, ["id"], path);
+    if ("value" in node && typeof node.value !== "number") report(`${path}.value`, "'value' must be a number.");
+    if ("metadata" in node) checkMetadata(node.metadata, `${path}.metadata`);
+    checkArray(node, "requirements", path, checkRequirement);
+    checkArray(node, "relatedSystemBlocks", path, checkBlock);
+    if ("children" in node) {
+      if (!Array.isArray(node.children)) report(`${path}.children`, "'children' must be an array when provided.");
+      else {
+        const kids = asArray(node.children);
+        for (let i = kids.length - 1; i >= 0; i--) stack.push([kids[i], `${path}.children[${i}]`]);
+      }
+    }
+  }
+  return errors;
+};
+
+/**
+ * validateHierarchy
+ * Throwing form used by the runtime tests: raises the first schema error.
+ */
+export const validateHierarchy = (obj) => {
+  const [first] = validateDataset(obj);
+  if (first) throw new Error(first.path === "$" ? first.message : `${first.path}: ${first.message}`);
+  return true;
+};
@@ -0,0 +1,35 @@
+import { describe, expect, test } from 'vitest';
+import data from '../defaultData/defaultData.json';
+import { validateDataset, validateHierarchy } from './schema';
+
+describe('validateDataset', () => {
+  test('accepts the bundled requirements model', () => {
+    expect(validateDataset(data)).toEqual([]);
+  });
+
+  test('accepts a plain flare-style hierarchy', () => {
+    expect(validateDataset({ name: 'flare', children: [{ name: 'a', value: 1 }] })).toEqual([]);
+  });
+
+  test('reports nested errors with JSON paths', () => {
+    const errors = validateDataset({
+      name: 'root',
+      children: [
+        { name: 'a', requirements: [{ title: 'no id', verification: { status: 3 } }] },
+        { name: 'b', relatedSystemBlocks: [{ type: 'X', interfaceRefs: 'IFC-1' }], metadata: { lastUpdated: 'soon' } },
+      ],
+    });
+    expect(errors.map((e) => e.path)).toEqual([
+      '$.children[0].requirements[0].reqId',
+      '$.children[0].requirements[0].verification.status',
+      '$.children[1].metadata.lastUpdated',
+      '$.children[1].relatedSystemBlocks[0]',
+      '$.children[1].relatedSystemBlocks[0].interfaceRefs',
+    ]);
+  });
+});
+
+test('validateHierarchy throws the first error', () => {
+  expect(() => validateHierarchy({ bogus: true })).toThrow("Root object must have a 'name' property.");
+  expect(() => validateHierarchy({ name: 'r', children: {} })).toThrow("$.children: 'children' must be an array when provided.");
+});
@@ -0,0 +1,137 @@
+import { asArray, ancestorKeys, pathKey, walkTree } from "./tree";
+
+// ------------------------------------------------------------
+// Full-text + faceted search over the FULL hierarchy
+// ------------------------------------------------------------
+
+// Facets shown in the search bar. `kind` says which hit type a facet narrows;
+// `get` reads the facet value off a requirement or block.
+export const SEARCH_FACETS = [
+  { key: "priority", label: "Priority", kind: "requirement", get: (r) => r.priority },
+  { key: "status", label: "Status", kind: "requirement", get: (r) => r.status },
+  { key: "verificationStatus", label: "Verification", kind: "requirement", get: (r) => r.verification?.status },
+  { key: "source", label: "Source", kind: "requirement", get: (r) => r.source },
+  { key: "blockType", label: "Block type", kind: "block", get: (b) => b.type },
+  { key: "blockLayer", label: "Block layer", kind: "block", get: (b) => b.layer },
+];
+
+const str = (v) => (v === undefined || v === null ? "" : String(v));
+
+/**
+ * buildSearchIndex
+ * Flattens the full tree into one entry per node, requirement and related block.
+ * Each entry keeps its absolute path plus the searchable fields (lower-cased) so
+ * queries never re-walk the tree.
+ */
+export const buildSearchIndex = (root) => {
+  const entries = [];
+  walkTree(root, (node, absPath) => {
+    entries.push({
+      kind: "node",
+      absPath,
+      node,
+      item: node,
+      label: str(node.name),
+      fields: { name: str(node.name), id: str(node.id) },
+    });
+    for (const r of asArray(node.requirements)) {
+      entries.push({
+        kind: "requirement",
+        absPath,
+        node,
+        item: r,
+        label: str(r.title || r.reqId),
+        fields: {
+          reqId: str(r.reqId),
+          title: str(r.title),
+          text: str(r.text),
+          acceptanceCriteria: str(r.acceptanceCriteria),
+        },
+      });
+    }
+    for (const b of asArray(node.relatedSystemBlocks)) {
+      entries.push({
+        kind: "block",
+        absPath,
+        node,
+        item: b,
+        label: str(b.name || b.blockId),
+        fields: { blockId: str(b.blockId), name: str(b.name) },
+      });
+    }
+  });
+  for (const e of entries) {
+    e.haystack = Object.values(e.fields).join("\n").toLowerCase();
+  }
+  return entries;
+};
+
+/**
+ * collectFacetValues
+ * Distinct values present in the index for each facet, sorted for display.
+ */
+export const collectFacetValues = (index) => {
+  const out = {};
+  for (const f of SEARCH_FACETS) out[f.key] = new Set();
+  for (const e of index) {
+    for (const f of SEARCH_FACETS) {
+      if (f.kind !== e.kind) continue;
+      const v = f.get(e.item);
+      if (v !== undefined && v !== null && v !== "") out[f.key].add(String(v));
+    }
+  }
+  const sorted = {};
+  for (const k of Object.keys(out)) sorted[k] = [...out[k]].sort((a, b) => a.localeCompare(b));
+  return sorted;
+};
+
+const activeFacets = (facets) =>
+  SEARCH_FACETS.filter((f) => facets && facets[f.key] !== undefined && facets[f.key] !== "");
+
+/**
+ * searchIndex
+ * Case-insensitive AND match of every whitespace-separated term against an
+ * entry's fields. Active facets narrow to the hit kind they describe (a
+ * requirement facet drops node/block hits, and so on). With only facets set,
+ * every entry passing them is returned.
+ * Returns `{ hits: [{ ...entry, field }], total }` where `field` is the first
+ * field that matched; `hits` stops at `limit`, `total` counts every match.
+ */
+export const searchIndex = (index, query, facets = {}, limit = 200) => {
+  const terms = str(query).toLowerCase().split(/\s+/).filter(Boolean);
+  const active = activeFacets(facets);
+  if (terms.length === 0 && active.length === 0) return { hits: [], total: 0 };
+
+  const kinds = new Set(active.map((f) => f.kind));
+  if (kinds.size > 1) return { hits: [], total: 0 }; // requirement and block facets can never both hold on one entry
+
+  const hits = [];
+  let total = 0;
+  for (const e of index) {
+    if (kinds.size && !kinds.has(e.kind)) continue;
+    if (!active.every((f) => str(f.get(e.item)) === facets[f.key])) continue;
+    if (!terms.every((t) => e.haystack.includes(t))) continue;
+    total += 1;
+    if (hits.length >= limit) continue;
+    const field = terms.length
+      ? Object.keys(e.fields).find((k) => e.fields[k].toLowerCase().includes(terms[0]))
+      : null;
+    hits.push({ ...e, field });
+  }
+  return { hits, total };
+};
+
+/**
+ * searchHighlightKeys
+ * pathKeys of every node that owns a hit and of all of its ancestors, so the
+ * radial view can mark the branches leading to matches.
+ */
+export const searchHighlightKeys = (hits) => {
+  const hitKeys = new Set();
+  const ancestors = new Set();
+  for (const h of hits) {
+    hitKeys.add(pathKey(h.absPath));
+    for (const k of ancestorKeys(h.absPath)) ancestors.add(k);
+  }
+  return { hitKeys, ancestors };
+};
@@ -0,0 +1,48 @@
+import { describe, expect, test } from 'vitest';
+import data from '../defaultData/defaultData.json';
+import { buildSearchIndex, collectFacetValues, searchHighlightKeys, searchIndex } from './search';
+
+const index = buildSearchIndex(data);
+
+describe('searchIndex', () => {
+  test('finds a node by name anywhere in the full tree', () => {
+    const hits = searchIndex(index, 'cluster').hits.filter((h) => h.kind === 'node');
+    expect(hits.map((h) => h.node.id)).toContain('NODE-516554fb');
+  });
+
+  test('finds requirements by reqId and reports the matched field', () => {
+    const [hit] = searchIndex(index, 'req-cbfdb7b7').hits;
+    expect(hit.kind).toBe('requirement');
+    expect(hit.field).toBe('reqId');
+    expect(hit.absPath).toEqual([]);
+  });
+
+  test('facets alone list every entry of that kind with the value', () => {
+    const { hits, total } = searchIndex(index, '', { priority: 'High' });
+    expect(hits.length).toBeGreaterThan(0);
+    expect(total).toBe(hits.length);
+    expect(hits.every((h) => h.kind === 'requirement' && h.item.priority === 'High')).toBe(true);
+  });
+
+  test('empty query and no facets returns nothing', () => {
+    expect(searchIndex(index, '   ', {})).toEqual({ hits: [], total: 0 });
+  });
+
+  test('stops listing at the limit but counts every match', () => {
+    const all = searchIndex(index, 'req');
+    const { hits, total } = searchIndex(index, 'req', {}, 3);
+    expect(hits).toHaveLength(3);
+    expect(total).toBe(all.total);
+    expect(total).toBeGreaterThan(3);
+  });
+
+  test('collectFacetValues lists verification statuses present in the data', () => {
+    expect(collectFacetValues(index).verificationStatus).toContain('Planned');
+  });
+});
+
+test('searchHighlightKeys marks hit nodes and their ancestors', () => {
+  const { hitKeys, ancestors } = searchHighlightKeys([{ absPath: [0, 1, 2] }]);
+  expect([...hitKeys]).toEqual(['0/1/2']);
+  expect([...ancestors].sort()).toEqual(['', '0', '0/1']);
+});
@@ -0,0 +1,109 @@
+import { asArray, pathKey, walkTree } from "./tree";
+
+// ------------------------------------------------------------
+// Traceability matrix: requirements × related system blocks × interfaces
+// ------------------------------------------------------------
+// A requirement is allocated to the blocks listed on the node that owns it.
+// Requirements on nodes without blocks are "unallocated"; blocks on nodes
+// without requirements trace to nothing and are "orphans".
+
+/**
+ * buildTraceMatrix
+ * Matrix for the subtree at `focusPath` of the FULL data, in tree order:
+ *   rows:   [{ key, reqId, title, status, priority, nodeName, absPath,
+ *              blockKeys: Set, interfaces: string[], unallocated }]
+ *   blocks: [{ key, blockId, name, nodeName, absPath, interfaces, orphan }]
+ * Row and block keys are unique even when a node repeats a reqId or blockId
+ * (`<pathKey>#<index>:<reqId>`, `<pathKey>#<index>:<blockId or name>`).
+ */
+export const buildTraceMatrix = (root, focusPath = []) => {
+  const focusNode = focusPath.reduce((cur, i) => asArray(cur?.children)[i], root);
+  const rows = [];
+  const blocks = [];
+  walkTree(focusNode, (node, relPath) => {
+    const absPath = [...focusPath, ...relPath];
+    const nodeName = node.name ?? "";
+    const requirements = asArray(node.requirements).filter(Boolean);
+    const nodeBlocks = asArray(node.relatedSystemBlocks).filter(Boolean).map((b, i) => ({
+      key: `${pathKey(absPath)}#${i}:${b.blockId || b.name || ""}`,
+      blockId: b.blockId ?? "",
+      name: b.name ?? b.blockId ?? "",
+      nodeName,
+      absPath,
+      interfaces: [...new Set(asArray(b.interfaceRefs))],
+      orphan: requirements.length === 0,
+    }));
+    blocks.push(...nodeBlocks);
+    const blockKeys = new Set(nodeBlocks.map((b) => b.key));
+    const interfaces = [...new Set(nodeBlocks.flatMap((b) => b.interfaces))].sort();
+    requirements.forEach((r, i) => {
+      rows.push({
+        key: `${pathKey(absPath)}#${i}:${r.reqId ?? ""}`,
+        reqId: r.reqId ?? "",
+        title: r.title ?? "",
+        status: r.status ?? "",
+        priority: r.priority ?? "",
+        nodeName,
+        absPath,
+        blockKeys,
+        interfaces,
+        unallocated: nodeBlocks.length === 0,
+      });
+    });
+  });
+  return { rows, blocks };
+};
+
+// Sortable columns: label + comparable value of a row
+export const TRACE_COLUMNS = {
+  reqId: { label: "Requirement", value: (r) => r.reqId },
+  title: { label: "Title", value: (r) => r.title },
+  node: { label: "Node", value: (r) => r.nodeName },
+  status: { label: "Status", value: (r) => r.status },
+  blocks: { label: "Blocks", value: (r) => r.blockKeys.size },
+  interfaces: { label: "Interfaces", value: (r) => r.interfaces.length },
+};
+
+const compareValues = (a, b) => (typeof a === "number" && typeof b === "number"
+  ? a - b
+  : String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" }));
+
+/**
+ * sortTraceRows
+ * Stable sort by a TRACE_COLUMNS key; `dir` is "asc" or "desc". No key keeps
+ * tree order.
+ */
+export const sortTraceRows = (rows, key, dir = "asc") => {
+  const column = TRACE_COLUMNS[key];
+  if (!column) return rows;
+  const sign = dir === "desc" ? -1 : 1;
+  return rows
+    .map((r, i) => [r, i])
+    .sort(([a, ia], [b, ib]) => sign * compareValues(column.value(a), column.value(b)) || ia - ib)
+    .map(([r]) => r);
+};
+
+const includesText = (value, needle) => String(value ?? "").toLowerCase().includes(needle);
+
+/**
+ * filterTraceMatrix
+ * `filters`: { reqId?, title?, node?, status?, block?, interfaces?, flaggedOnly? }
+ * Text filters are case-insensitive substrings; `status` matches exactly.
+ * `block` narrows the block columns (by id or name), `interfaces` keeps rows
+ * and blocks touching a matching interface id. `flaggedOnly` keeps
+ * unallocated rows and orphan blocks. Returns `{ rows, blocks }`.
+ */
+export const filterTraceMatrix = ({ rows, blocks }, filters = {}) => {
+  const text = (key) => String(filters[key] ?? "").trim().toLowerCase();
+  const [reqId, title, node, block, ifc] = ["reqId", "title", "node", "block", "interfaces"].map(text);
+  const keepRow = (r) => (!reqId || includesText(r.reqId, reqId))
+    && (!title || includesText(r.title, title))
+    && (!node || includesText(r.nodeName, node))
+    && (!filters.status || r.status === filters.status)
+    && (!ifc || r.interfaces.some((i) => includesText(i, ifc)))
+    && (!filters.flaggedOnly || r.unallocated);
+  const keepBlock = (b) => (!block || includesText(b.blockId, block) || includesText(b.name, block))
+    && (!ifc || b.interfaces.some((i) => includesText(i, ifc)))
+    && (!filters.flaggedOnly || b.orphan);
+  return { rows: rows.filter(keepRow), blocks: blocks.filter(keepBlock) };
+};
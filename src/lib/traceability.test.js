@@ -0,0 +1,42 @@
+import { expect, test } from 'vitest';
+import { buildTraceMatrix, filterTraceMatrix, sortTraceRows } from './traceability';
+
+const tree = {
+  name: 'root',
+  children: [
+    {
+      name: 'power',
+      requirements: [{ reqId: 'R-10', title: 'Supply', status: 'Approved' }, { reqId: 'R-2', title: 'Backup', status: 'Draft' }],
+      relatedSystemBlocks: [{ blockId: 'B1', name: 'PSU', interfaceRefs: ['IFC-1', 'IFC-1'] }],
+    },
+    { name: 'ui', requirements: [{ reqId: 'R-3', title: 'Display' }] },
+    { name: 'spare', relatedSystemBlocks: [{ blockId: 'B2', name: 'Fan', interfaceRefs: ['IFC-2'] }] },
+  ],
+};
+
+test('rows allocate to the blocks of their node and flags are raised', () => {
+  const { rows, blocks } = buildTraceMatrix(tree);
+  expect(rows.map((r) => r.reqId)).toEqual(['R-10', 'R-2', 'R-3']);
+  expect([...rows[0].blockKeys]).toEqual(['0#0:B1']);
+  expect(rows[0].interfaces).toEqual(['IFC-1']);
+  expect(rows.map((r) => r.unallocated)).toEqual([false, false, true]);
+  expect(blocks.map((b) => [b.key, b.orphan])).toEqual([['0#0:B1', false], ['2#0:B2', true]]);
+  expect(buildTraceMatrix(tree, [2]).rows).toEqual([]);
+
+  // repeated reqIds and blockIds on one node (reported by lint) still get distinct keys
+  const dup = buildTraceMatrix({ name: 'd', requirements: [{ reqId: 'R' }, { reqId: 'R' }], relatedSystemBlocks: [{ blockId: 'B' }, { blockId: 'B' }] });
+  expect(new Set(dup.rows.map((r) => r.key)).size).toBe(2);
+  expect(new Set(dup.blocks.map((b) => b.key)).size).toBe(2);
+});
+
+test('sorting is numeric-aware and filters narrow rows and block columns', () => {
+  const matrix = buildTraceMatrix(tree);
+  expect(sortTraceRows(matrix.rows, 'reqId').map((r) => r.reqId)).toEqual(['R-2', 'R-3', 'R-10']);
+  expect(sortTraceRows(matrix.rows, 'blocks', 'desc').map((r) => r.reqId)).toEqual(['R-10', 'R-2', 'R-3']);
+  const flagged = filterTraceMatrix(matrix, { flaggedOnly: true });
+  expect(flagged.rows.map((r) => r.reqId)).toEqual(['R-3']);
+  expect(flagged.blocks.map((b) => b.blockId)).toEqual(['B2']);
+  const byIfc = filterTraceMatrix(matrix, { interfaces: 'ifc-1', status: 'Approved' });
+  expect(byIfc.rows.map((r) => r.reqId)).toEqual(['R-10']);
+  expect(byIfc.blocks.map((b) => b.name)).toEqual(['PSU']);
+});
@@ -0,0 +1,50 @@
+// ------------------------------------------------------------
+// Shared tree helpers (operate on FULL data)
+// ------------------------------------------------------------
+export const asArray = (v) => (Array.isArray(v) ? v : []);
+
+// Stable string key for an absolute child-index path ([] → "")
+export const pathKey = (idxs) => (Array.isArray(idxs) ? idxs.join("/") : "");
+
+// Inverse of pathKey ("" → [])
+export const parsePathKey = (key) => (key ? key.split("/").map(Number) : []);
+
+export const samePath = (a, b) =>
+  Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i]);
+
+/**
+ * walkTree
+ * Depth-first pre-order walk of the full hierarchy. `visit(node, absPath)` is
+ * called for every node; absPath is the array of child indices from `root`.
+ * Iterative so very deep models don't blow the call stack.
+ */
+export const walkTree = (root, visit) => {
+  if (!root) return;
+  const stack = [[root, []]];
+  while (stack.length) {
+    const [node, path] = stack.pop();
+    visit(node, path);
+    const kids = asArray(node.children);
+    for (let i = kids.length - 1; i >= 0; i--) stack.push([kids[i], [...path, i]]);
+  }
+};
+
+// Every proper prefix of `absPath` as a pathKey (root "" included)
+export const ancestorKeys = (absPath) => {
+  const keys = [];
+  for (let i = 0; i < absPath.length; i++) keys.push(pathKey(absPath.slice(0, i)));
+  return keys;
+};
+
+/**
+ * projectToView
+ * `absPath` relative to `focusPath`, cut back to its deepest prefix among
+ * `visibleKeys` (pathKeys of the laid-out nodes, relative to the focus).
+ * null when the path is outside the focused subtree.
+ */
+export const projectToView = (absPath, focusPath, visibleKeys) => {
+  if (absPath.length < focusPath.length || focusPath.some((v, i) => absPath[i] !== v)) return null;
+  let rel = absPath.slice(focusPath.length);
+  while (rel.length && !visibleKeys.has(pathKey(rel))) rel = rel.slice(0, -1);
+  return rel;
+};
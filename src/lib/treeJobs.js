@@ -0,0 +1,40 @@
+import { pathKey } from "./tree";
+import { computeCoverage } from "./coverage";
+import { computeLayout, serializeLayout } from "./layouts";
+import { lintTree } from "./lint";
+import { computeTreeStats } from "./treeStats";
+
+// ------------------------------------------------------------
+// Jobs run off the main thread (see workers/treeWorker.js)
+// ------------------------------------------------------------
+// Payloads and results are structured-clone friendly (plain objects, Maps,
+// Sets), so the same functions also run inline where Workers are missing.
+
+export const TREE_JOBS = {
+  /** Full-tree aggregates and coverage roll-ups: `{ stats, coverage }`, both keyed by absolute pathKey. */
+  stats: ({ root }) => ({ stats: computeTreeStats(root), coverage: computeCoverage(root) }),
+
+  /**
+   * Layout of the visible window. `weights` (relKey → partition weight) and
+   * `collapsed` (Set of relKeys folded in the indented tree) replace the
+   * callbacks computeLayout takes on the main thread.
+   */
+  layout: ({ kind, view, width, height, weights, collapsed }) => {
+    const result = computeLayout(kind, view, {
+      width,
+      height,
+      weightOf: (d) => weights?.get(pathKey(d._pathIdxs)) ?? 0,
+      isCollapsed: (d) => !!collapsed?.has(pathKey(d._pathIdxs)),
+    });
+    return serializeLayout(kind, result);
+  },
+
+  /** Built-in lint rules over the full tree; `config` and `now` are passed through to lintTree. */
+  lint: ({ root, config, now }) => lintTree(root, { config, now }),
+};
+
+export const runTreeJob = (type, payload) => {
+  const job = TREE_JOBS[type];
+  if (!job) throw new Error(`Unknown tree job "${type}"`);
+  return job(payload);
+};
@@ -0,0 +1,64 @@
+// ------------------------------------------------------------
+// Keyboard navigation over the laid-out tree
+// ------------------------------------------------------------
+// Works on the d3 hierarchy nodes of the current view (any layout), so moves
+// follow what is on screen: "+N more" aggregates count as siblings and
+// branches cut off by the depth window or folded in the outline have no
+// children to move into.
+
+// Arrow key → move (Left/Right climb and descend, Up/Down walk siblings)
+export const NAV_KEYS = {
+  ArrowLeft: "parent",
+  ArrowRight: "child",
+  ArrowUp: "prev",
+  ArrowDown: "next",
+  Home: "first",
+  End: "last",
+};
+
+/**
+ * moveTarget
+ * The node a move (see NAV_KEYS) lands on, or null when there is nowhere to go.
+ * "first" is the view root and "last" the last node in pre-order.
+ */
+export const moveTarget = (node, move) => {
+  if (!node) return null;
+  const siblings = node.parent?.children ?? [node];
+  const index = siblings.indexOf(node);
+  switch (move) {
+    case "parent":
+      return node.parent ?? null;
+    case "child":
+      return node.children?.[0] ?? null;
+    case "prev":
+      return siblings[index - 1] ?? null;
+    case "next":
+      return siblings[index + 1] ?? null;
+    case "first":
+      return node.ancestors().at(-1);
+    case "last": {
+      let last = node.ancestors().at(-1);
+      while (last.children?.length) last = last.children[last.children.length - 1];
+      return last;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * treeItemAria
+ * WAI-ARIA treeitem attributes for a view node. `baseLevel` is the depth of
+ * the view root in the full tree. Aggregates stand in for `_aggregate`
+ * siblings in aria-setsize; aria-expanded is left out for leaves.
+ */
+export const treeItemAria = (node, baseLevel = 0) => {
+  const siblings = node.parent?.children ?? [node];
+  const canOpen = !!(node.collapsedChildren || node.data._hasHidden);
+  return {
+    "aria-level": baseLevel + node.depth + 1,
+    "aria-setsize": siblings.reduce((sum, s) => sum + (s.data._aggregate ?? 1), 0),
+    "aria-posinset": siblings.indexOf(node) + 1,
+    "aria-expanded": node.children?.length ? true : canOpen ? false : undefined,
+  };
+};
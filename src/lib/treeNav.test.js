@@ -0,0 +1,36 @@
+import { expect, test } from 'vitest';
+import * as d3 from 'd3';
+import { moveTarget, treeItemAria } from './treeNav';
+
+const root = d3.hierarchy({
+  name: 'root',
+  children: [
+    { name: 'a', children: [{ name: 'a1' }], _hasHidden: false },
+    { name: 'b', _hasHidden: true },
+    { name: '+3 more', _aggregate: 3 },
+  ],
+});
+const byName = (name) => root.descendants().find((n) => n.data.name === name);
+
+test('arrow moves climb, descend and walk siblings', () => {
+  expect(moveTarget(byName('a'), 'child').data.name).toBe('a1');
+  expect(moveTarget(byName('a1'), 'parent').data.name).toBe('a');
+  expect(moveTarget(byName('a'), 'next').data.name).toBe('b');
+  expect(moveTarget(byName('a'), 'prev')).toBeNull();
+  expect(moveTarget(byName('b'), 'child')).toBeNull();
+  expect(moveTarget(root, 'parent')).toBeNull();
+  expect(moveTarget(byName('a1'), 'first')).toBe(root);
+  expect(moveTarget(root, 'last').data.name).toBe('+3 more');
+});
+
+test('treeitem attributes count aggregated siblings', () => {
+  expect(treeItemAria(byName('b'), 2)).toEqual({
+    'aria-level': 4,
+    'aria-setsize': 5,
+    'aria-posinset': 2,
+    'aria-expanded': false,
+  });
+  expect(treeItemAria(byName('a'))['aria-expanded']).toBe(true);
+  expect(treeItemAria(byName('a1'))['aria-expanded']).toBeUndefined();
+  expect(treeItemAria(root)).toMatchObject({ 'aria-level': 1, 'aria-setsize': 1, 'aria-posinset': 1 });
+});
@@ -0,0 +1,41 @@
+import { asArray, pathKey, walkTree } from "./tree";
+
+// ------------------------------------------------------------
+// Per-node subtree aggregates (FULL tree)
+// ------------------------------------------------------------
+
+/**
+ * computeTreeStats
+ * One pass over the full tree. Returns a Map of pathKey → aggregates for that
+ * node's whole subtree (the node itself included):
+ *   { nodes, leaves, value, requirements (own), requirementsDeep }
+ * `value` sums every numeric `value` in the subtree, like the old per-selection
+ * walk did; a node without children counts as one leaf.
+ */
+export const computeTreeStats = (root) => {
+  const order = [];
+  walkTree(root, (node, absPath) => order.push([node, absPath]));
+
+  const byKey = new Map();
+  for (const [node, absPath] of order) {
+    const own = asArray(node.requirements).length;
+    byKey.set(pathKey(absPath), {
+      nodes: 1,
+      leaves: asArray(node.children).length ? 0 : 1,
+      value: typeof node.value === "number" ? node.value : 0,
+      requirements: own,
+      requirementsDeep: own,
+    });
+  }
+  // Pre-order reversed visits children before parents, so sums bubble up
+  for (let i = order.length - 1; i > 0; i--) {
+    const absPath = order[i][1];
+    const cur = byKey.get(pathKey(absPath));
+    const parent = byKey.get(pathKey(absPath.slice(0, -1)));
+    parent.nodes += cur.nodes;
+    parent.leaves += cur.leaves;
+    parent.value += cur.value;
+    parent.requirementsDeep += cur.requirementsDeep;
+  }
+  return byKey;
+};
@@ -0,0 +1,18 @@
+import { expect, test } from 'vitest';
+import { computeTreeStats } from './treeStats';
+
+test('aggregates roll up every subtree in one pass', () => {
+  const tree = {
+    name: 'root',
+    value: 1,
+    requirements: [{ reqId: 'R0' }],
+    children: [
+      { name: 'a', value: 2, children: [{ name: 'a1', value: 3, requirements: [{ reqId: 'R1' }, { reqId: 'R2' }] }] },
+      { name: 'b', children: [] },
+    ],
+  };
+  const stats = computeTreeStats(tree);
+  expect(stats.get('')).toEqual({ nodes: 4, leaves: 2, value: 6, requirements: 1, requirementsDeep: 3 });
+  expect(stats.get('0')).toEqual({ nodes: 2, leaves: 1, value: 5, requirements: 0, requirementsDeep: 2 });
+  expect(stats.get('1').leaves).toBe(1);
+});
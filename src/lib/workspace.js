@@ -0,0 +1,171 @@
+import { asArray, walkTree } from "./tree";
+import { resolveNodeRef } from "./deepLink";
+import { isComment } from "./comments";
+
+// ------------------------------------------------------------
+// Saved workspaces: bookmarks, pinned nodes, recent nodes, last session, comments, filters
+// ------------------------------------------------------------
+// One workspace per dataset, kept in localStorage under the dataset's
+// fingerprint. Nodes are stored by ref (their `id`, else a `~` path, see
+// lib/deepLink) together with the name they had, so an entry whose node is
+// gone can still be named when it fails to resolve.
+//   { version, bookmarks: [{ ref, name, label, created }], pinned: [{ ref, name }],
+//     recent: [{ ref, name }], session: { hash, showAllReqs } | null, comments: [...],
+//     filters: [{ name, expression, mode }] }
+// `session.hash` is the view encoded as a deep link (encodeViewState); comments
+// are the review comments of lib/comments, kept here between sidecar exports;
+// filters are named filter expressions (see lib/filter).
+
+export const WORKSPACE_VERSION = 1;
+export const RECENT_LIMIT = 12;
+const STORAGE_PREFIX = "radial-tree-explorer:workspace:";
+const PREFERENCE_PREFIX = "radial-tree-explorer:pref:";
+
+export const emptyWorkspace = () => ({ version: WORKSPACE_VERSION, bookmarks: [], pinned: [], recent: [], session: null, comments: [], filters: [] });
+
+// FNV-1a, enough to tell datasets apart in a storage key
+const hashString = (s) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+};
+
+/**
+ * datasetFingerprint
+ * Storage key part for a dataset loaded from `source` (a file name, URL,
+ * built-in or server dataset). The loaded `root`'s `id`, when it has one, tells
+ * apart datasets from one source such as the host's data prop. Taken once per
+ * load, never from the edited tree, so edits (renaming the root included) keep
+ * their workspace.
+ */
+export const datasetFingerprint = (source, root = null) => hashString(`${source}\u0000${root?.id ?? ""}`);
+
+const defaultStorage = () => {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null; // storage disabled (privacy mode, sandboxed frames)
+  }
+};
+
+const nodeAt = (root, absPath) => absPath.reduce((cur, i) => asArray(cur?.children)[i], root);
+
+const entryList = (v) => (Array.isArray(v) ? v.filter((e) => e && typeof e.ref === "string") : []);
+
+/**
+ * loadWorkspace
+ * The stored workspace for `fingerprint`, or an empty one when there is none,
+ * storage is unavailable or the entry can't be read.
+ */
+export const loadWorkspace = (fingerprint, storage = defaultStorage()) => {
+  try {
+    const raw = storage?.getItem(STORAGE_PREFIX + fingerprint);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (!parsed || parsed.version !== WORKSPACE_VERSION) return emptyWorkspace();
+    return {
+      ...emptyWorkspace(),
+      bookmarks: entryList(parsed.bookmarks),
+      pinned: entryList(parsed.pinned),
+      recent: entryList(parsed.recent),
+      session: parsed.session && typeof parsed.session.hash === "string" ? parsed.session : null,
+      comments: Array.isArray(parsed.comments) ? parsed.comments.filter(isComment) : [],
+      filters: Array.isArray(parsed.filters)
+        ? parsed.filters.filter((f) => typeof f?.name === "string" && typeof f.expression === "string")
+        : [],
+    };
+  } catch {
+    return emptyWorkspace();
+  }
+};
+
+/**
+ * saveWorkspace
+ * Stores `workspace`; returns false when storage is unavailable or full.
+ */
+export const saveWorkspace = (fingerprint, workspace, storage = defaultStorage()) => {
+  try {
+    if (!storage) return false;
+    storage.setItem(STORAGE_PREFIX + fingerprint, JSON.stringify(workspace));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Preferences shared by every dataset (e.g. the reviewer name), as strings
+export const loadPreference = (name, fallback = "", storage = defaultStorage()) => {
+  try {
+    return storage?.getItem(PREFERENCE_PREFIX + name) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+export const savePreference = (name, value, storage = defaultStorage()) => {
+  try {
+    storage?.setItem(PREFERENCE_PREFIX + name, String(value));
+  } catch {
+    // best effort, like the workspace itself
+  }
+};
+
+// Entry lists (newest first, one entry per ref)
+const withEntry = (list, entry) => [entry, ...list.filter((e) => e.ref !== entry.ref)];
+
+export const addBookmark = (ws, { ref, name, label }) => ({
+  ...ws,
+  bookmarks: withEntry(ws.bookmarks, { ref, name, label: label?.trim() || name, created: new Date().toISOString() }),
+});
+
+export const removeEntry = (ws, list, ref) => ({ ...ws, [list]: ws[list].filter((e) => e.ref !== ref) });
+
+export const togglePin = (ws, { ref, name }) => (ws.pinned.some((p) => p.ref === ref)
+  ? removeEntry(ws, "pinned", ref)
+  : { ...ws, pinned: [...ws.pinned, { ref, name }] });
+
+export const pushRecent = (ws, { ref, name }, limit = RECENT_LIMIT) => (ws.recent[0]?.ref === ref
+  ? ws
+  : { ...ws, recent: withEntry(ws.recent, { ref, name }).slice(0, limit) });
+
+// Named filters (newest first, one per name)
+export const saveNamedFilter = (ws, { name, expression, mode }) => ({
+  ...ws,
+  filters: [{ name: name.trim(), expression, mode }, ...ws.filters.filter((f) => f.name !== name.trim())],
+});
+
+export const removeNamedFilter = (ws, name) => ({ ...ws, filters: ws.filters.filter((f) => f.name !== name) });
+
+/**
+ * resolveWorkspaceRefs
+ * Map ref → absolute path (or null when the node no longer exists) for every
+ * bookmarked, pinned and recent entry, in one walk of the tree. A `~` ref (a
+ * node without id, by index path) only resolves while the node there still
+ * has a name stored with the entry; otherwise another node has moved in.
+ */
+export const resolveWorkspaceRefs = (root, ws) => {
+  const names = new Map(); // ref → names stored with its entries
+  for (const e of [...ws.bookmarks, ...ws.pinned, ...ws.recent]) {
+    if (!names.has(e.ref)) names.set(e.ref, new Set());
+    if (typeof e.name === "string") names.get(e.ref).add(e.name);
+  }
+  const refs = new Set(names.keys());
+  const out = new Map();
+  const byPath = (ref) => {
+    const absPath = resolveNodeRef(root, ref);
+    const stored = names.get(ref);
+    return absPath && (!stored.size || stored.has(nodeAt(root, absPath)?.name)) ? absPath : null;
+  };
+  const ids = new Set([...refs].filter((ref) => !ref.startsWith("~")));
+  if (ids.size) {
+    walkTree(root, (node, absPath) => {
+      if (ids.has(node.id) && !out.has(node.id)) out.set(node.id, absPath);
+    });
+  }
+  for (const ref of refs) {
+    if (!out.has(ref)) out.set(ref, ref.startsWith("~") ? byPath(ref) : null);
+  }
+  return out;
+};
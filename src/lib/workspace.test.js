@@ -0,0 +1,57 @@
+import { expect, test } from 'vitest';
+import {
+  addBookmark, datasetFingerprint, emptyWorkspace, loadWorkspace, pushRecent, removeNamedFilter, resolveWorkspaceRefs, saveNamedFilter,
+  saveWorkspace, togglePin,
+} from './workspace';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return { getItem: (k) => items.get(k) ?? null, setItem: (k, v) => items.set(k, String(v)) };
+};
+
+test('workspaces round-trip through storage per dataset fingerprint', () => {
+  const storage = memoryStorage();
+  const fp = datasetFingerprint('plant.json', { id: 'SYS', name: 'Plant', children: [{ name: 'a' }] });
+  expect(fp).toBe(datasetFingerprint('plant.json', { id: 'SYS', name: 'Plant', children: [] }));
+  expect(fp).not.toBe(datasetFingerprint('plant.json', { id: 'OTHER', name: 'Plant' }));
+
+  let ws = addBookmark(emptyWorkspace(), { ref: 'N-1', name: 'Pump', label: ' Main pump ' });
+  ws = togglePin(ws, { ref: 'N-1', name: 'Pump' });
+  ws = pushRecent(pushRecent(pushRecent(ws, { ref: 'N-1', name: 'Pump' }), { ref: 'N-2', name: 'Valve' }), { ref: 'N-1', name: 'Pump' });
+  ws = { ...ws, session: { hash: '#focus=N-1', showAllReqs: true } };
+  ws = saveNamedFilter(ws, { name: 'Open risks', expression: 'req.priority == "High"', mode: 'dim' });
+  ws = saveNamedFilter(ws, { name: ' Open risks ', expression: 'req.priority == "High"', mode: 'prune' });
+  expect(saveWorkspace(fp, ws, storage)).toBe(true);
+
+  const back = loadWorkspace(fp, storage);
+  expect(back.bookmarks).toEqual([expect.objectContaining({ ref: 'N-1', label: 'Main pump' })]);
+  expect(back.pinned).toEqual([{ ref: 'N-1', name: 'Pump' }]);
+  expect(back.recent.map((r) => r.ref)).toEqual(['N-1', 'N-2']);
+  expect(back.session).toEqual({ hash: '#focus=N-1', showAllReqs: true });
+  expect(back.filters).toEqual([{ name: 'Open risks', expression: 'req.priority == "High"', mode: 'prune' }]);
+  expect(togglePin(back, { ref: 'N-1' }).pinned).toEqual([]);
+  expect(removeNamedFilter(back, 'Open risks').filters).toEqual([]);
+
+  storage.setItem('radial-tree-explorer:workspace:bad', '{not json');
+  expect(loadWorkspace('bad', storage)).toEqual(emptyWorkspace());
+  expect(saveWorkspace(fp, ws, { setItem: () => { throw new Error('QuotaExceededError'); } })).toBe(false);
+});
+
+test('entries resolve by id after the tree changes and report nodes that are gone', () => {
+  let ws = addBookmark(emptyWorkspace(), { ref: 'N-2', name: 'Valve' });
+  ws = addBookmark(ws, { ref: 'N-9', name: 'Gone' });
+  ws = pushRecent(ws, { ref: '~0', name: 'First' });
+  const before = { name: 'root', children: [{ name: 'First' }, { id: 'N-2', name: 'Valve' }] };
+  const after = { name: 'root', children: [{ id: 'N-3', name: 'c', children: [{ id: 'N-2', name: 'Valve' }] }] };
+  expect(resolveWorkspaceRefs(before, ws)).toEqual(new Map([['N-2', [1]], ['N-9', null], ['~0', [0]]]));
+  // another node now sits at the `~` path: reported like a missing one
+  expect(resolveWorkspaceRefs(after, ws)).toEqual(new Map([['N-2', [0, 0]], ['N-9', null], ['~0', null]]));
+});
+
+test('the fingerprint comes from where a dataset was loaded, not its root name', () => {
+  const root = { name: 'Plant', children: [{ name: 'a' }] };
+  const renamed = { ...root, name: 'Plant (rev B)' };
+  expect(datasetFingerprint('plant.json', renamed)).toBe(datasetFingerprint('plant.json', root));
+  expect(datasetFingerprint('other.json', root)).not.toBe(datasetFingerprint('plant.json', root));
+  expect(datasetFingerprint('data prop', { id: 'A', name: 'Plant' })).not.toBe(datasetFingerprint('data prop', { id: 'B', name: 'Plant' }));
+});
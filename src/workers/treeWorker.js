@@ -0,0 +1,10 @@
+import { runTreeJob } from "../lib/treeJobs";
+
+// Answers `{ id, type, payload }` with `{ id, result }` or `{ id, error }`
+self.onmessage = ({ data: { id, type, payload } }) => {
+  try {
+    self.postMessage({ id, result: runTreeJob(type, payload) });
+  } catch (e) {
+    self.postMessage({ id, error: String(e?.message ?? e) });
+  }
+};
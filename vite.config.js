@@ -4,6 +4,10 @@ import react from "@vitejs/plugin-react";
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // Dataset server (npm run server); `vite preview` uses the same proxy
+  server: {
+    proxy: { "/api": "http://127.0.0.1:3001" },
+  },
   test: {
     globals: true,
     environment: 'jsdom',
@@ -0,0 +1,20 @@
+import { defineConfig } from "vite";
+import react from "@vitejs/plugin-react";
+
+// Library build (ESM) of the explorer and its custom element, separate from the demo app
+export default defineConfig({
+  plugins: [react()],
+  base: "./", // the worker chunk is resolved next to the bundle, wherever it is served from
+  publicDir: false,
+  build: {
+    outDir: "dist-lib",
+    lib: {
+      entry: "src/embed/index.js",
+      formats: ["es"],
+      fileName: "radial-tree-explorer",
+    },
+    rollupOptions: {
+      external: ["react", "react-dom", "react-dom/client", "react/jsx-runtime", "d3"],
+    },
+  },
+})